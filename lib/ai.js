@@ -182,6 +182,14 @@ async function streamOpenAI(systemPrompt, userPrompt, onChunk, apiKey) {
 
 // ── Generation Functions ────────────────────────────────────
 
+const wholeProposalRequest = 'Generate the following sections with clear markdown headings:\n\n## 1. Case for Support\n## 2. Background and Literature Context\n## 3. Research Questions and Objectives\n## 4. Methodology and Research Design\n## 5. Work Plan and Timeline\n## 6. Expected Outcomes and Deliverables\n## 7. Ethical Considerations\n## 8. Data Management Plan\n## 9. Pathways to Impact\n## 10. References\n\nMake each section substantive and appropriate for the funding amount and duration.';
+
+// One section a funder asks for: { name, notes, maxWords, maxPages } from the scheme
+function sectionRequest(section) {
+  const limit = section.maxWords ? `Stay within ${section.maxWords} words.` : section.maxPages ? `It must fit on ${section.maxPages} page${section.maxPages !== 1 ? 's' : ''}.` : '';
+  return `Write only the "${section.name}" section of the proposal, using markdown subheadings (###) where they help. ${limit}${section.notes ? `\n\nFUNDER GUIDANCE FOR THIS SECTION: ${section.notes}` : ''}\n\nMake it substantive and appropriate for the funding amount and duration.`;
+}
+
 async function generateProposal(formData, funderData, onChunk, providerOpts = {}) {
   const funderContext = funderData
     ? `\nFunder: ${funderData.fullName} (${funderData.name})\nScheme: ${formData.scheme || 'General'}\nFunder priorities: ${(funderData.priorities || []).join(', ')}\nReview criteria: ${(funderData.reviewCriteria || []).join(', ')}`
@@ -192,7 +200,7 @@ async function generateProposal(formData, funderData, onChunk, providerOpts = {}
 
   const systemPrompt = `You are an expert academic grant proposal writer with decades of experience securing funding from UK and international research councils. You write compelling, evidence-based proposals that score highly on novelty, methodology, impact, and feasibility.\n\nWrite in a formal academic style appropriate for peer review. Be specific, avoid vague claims, and demonstrate deep understanding of the research area. Use numbered sections with clear headings.${funderContext}`;
 
-  const userPrompt = `Write a complete, structured grant proposal with the following details:\n\nPROJECT TITLE: ${formData.title || 'Untitled Project'}\nRESEARCH AREA: ${formData.researchArea || 'Not specified'}\nREQUESTED AMOUNT: £${formData.amount || 'TBC'}\nDURATION: ${formData.duration || 'TBC'} months\nPRINCIPAL INVESTIGATOR: ${formData.piName || 'TBC'} (${formData.piInstitution || 'TBC'})\n${coIs ? `CO-INVESTIGATORS:\n${coIs}` : ''}\n\nRESEARCH QUESTION/HYPOTHESIS:\n${formData.researchQuestion || 'Not provided'}\n\nKEY OBJECTIVES:\n${objectives || 'Not provided'}\n\nMETHODOLOGY OVERVIEW:\n${formData.methodology || 'Not provided'}\n\nEXPECTED OUTCOMES:\n${formData.outcomes || 'Not provided'}\n\n${formData.existingNotes ? `EXISTING NOTES TO INCORPORATE:\n${formData.existingNotes}` : ''}\n\nGenerate the following sections with clear markdown headings:\n\n## 1. Case for Support\n## 2. Background and Literature Context\n## 3. Research Questions and Objectives\n## 4. Methodology and Research Design\n## 5. Work Plan and Timeline\n## 6. Expected Outcomes and Deliverables\n## 7. Ethical Considerations\n## 8. Data Management Plan\n## 9. Pathways to Impact\n## 10. References\n\nMake each section substantive and appropriate for the funding amount and duration.`;
+  const userPrompt = `${formData.section ? 'Write one section of a grant proposal' : 'Write a complete, structured grant proposal'} with the following details:\n\nPROJECT TITLE: ${formData.title || 'Untitled Project'}\nRESEARCH AREA: ${formData.researchArea || 'Not specified'}\nREQUESTED AMOUNT: £${formData.amount || 'TBC'}\nDURATION: ${formData.duration || 'TBC'} months\nPRINCIPAL INVESTIGATOR: ${formData.piName || 'TBC'} (${formData.piInstitution || 'TBC'})\n${coIs ? `CO-INVESTIGATORS:\n${coIs}` : ''}\n\nRESEARCH QUESTION/HYPOTHESIS:\n${formData.researchQuestion || 'Not provided'}\n\nKEY OBJECTIVES:\n${objectives || 'Not provided'}\n\nMETHODOLOGY OVERVIEW:\n${formData.methodology || 'Not provided'}\n\nEXPECTED OUTCOMES:\n${formData.outcomes || 'Not provided'}\n\n${formData.existingNotes ? `EXISTING NOTES TO INCORPORATE:\n${formData.existingNotes}` : ''}\n\n${formData.section ? sectionRequest(formData.section) : wholeProposalRequest}`;
 
   await streamGenerate(systemPrompt, userPrompt, onChunk, providerOpts);
 }
@@ -303,8 +311,35 @@ async function generateReviewerResponse(reviewerComments, proposalContext, onChu
   await streamGenerate(systemPrompt, userPrompt, onChunk, providerOpts);
 }
 
+/**
+ * Re-order funding matches by how well each scheme suits the idea
+ * @param {Object} idea - { researchArea, researchQuestion, amount, duration, careerStage }
+ * @param {Array} matches - from matchSchemes() in lib/matcher.js
+ * @returns {Array} [{ index, reason }] in the new order; index points into matches
+ */
+async function rerankMatches(idea, matches, providerOpts = {}) {
+  const systemPrompt = 'You are a research development officer matching research ideas to funding schemes. Judge fit on the funder\'s remit and priorities, the scheme\'s purpose and the applicant\'s career stage. Reply with JSON only.';
+  const list = matches.map((m, i) => `[${i}] ${m.funderFullName} — ${m.scheme}. ${m.reasons.join('. ')}`).join('\n');
+  const userPrompt = `RESEARCH AREA: ${idea.researchArea || 'Not specified'}\nRESEARCH QUESTION: ${idea.researchQuestion || 'Not specified'}\nAMOUNT: £${idea.amount || 'TBC'}\nDURATION: ${idea.duration || 'TBC'} months\nCAREER STAGE: ${idea.careerStage || 'Not specified'}\n\nSCHEMES:\n${list}\n\nRank the schemes from best to worst fit. Reply with a JSON array only, one object per scheme: [{"index": 0, "reason": "one sentence on why it fits or not"}]`;
+
+  let text = '';
+  await streamGenerate(systemPrompt, userPrompt, chunk => { text += chunk; }, providerOpts);
+  const json = text.match(/\[[\s\S]*\]/);
+  let ranked;
+  try {
+    ranked = JSON.parse(json ? json[0] : text);
+  } catch (e) {
+    throw new Error('The AI reply was not a ranking');
+  }
+  const seen = new Set();
+  return ranked
+    .filter(r => r && Number.isInteger(r.index) && r.index >= 0 && r.index < matches.length && !seen.has(r.index) && seen.add(r.index))
+    .map(r => ({ index: r.index, reason: typeof r.reason === 'string' ? r.reason : '' }));
+}
+
 module.exports = {
   getProviderConfig,
+  rerankMatches,
   generateProposal,
   generateImpact,
   polishText,
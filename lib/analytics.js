@@ -0,0 +1,209 @@
+/**
+ * Funding Analytics
+ * Success rates, money requested against money awarded, time from first
+ * draft to submission and the value of the pipeline, worked out from
+ * proposals, the outcomes recorded on them and their workflow audit logs.
+ *
+ * A proposal counts as submitted once the workflow moves it to "submitted",
+ * and as decided once it reaches a final stage: "awarded" is a success and
+ * any other final stage (such as "rejected") is not.
+ */
+
+const SUBMITTED = 'submitted';
+const AWARDED = 'awarded';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validDate(value) {
+  const d = value ? new Date(value) : null;
+  return d && !isNaN(d) ? d.toISOString() : null;
+}
+
+function quarterOf(date) {
+  if (!date) return null;
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Average panel score as a percentage of the maximum
+ * @param {Array} scores - [{ criterion, score, max }]
+ */
+function scorePercent(scores) {
+  const marked = (scores || []).filter(s => Number(s.max) > 0 && s.score !== '' && s.score != null && !isNaN(Number(s.score)));
+  if (!marked.length) return null;
+  return round(marked.reduce((sum, s) => sum + Number(s.score) / Number(s.max), 0) / marked.length * 100);
+}
+
+/**
+ * The numbers one proposal contributes
+ * @param {Object} proposal
+ * @param {Array} audit - its workflow audit log, oldest first
+ * @param {Object} options - { finalStages: [stage ids] }
+ */
+function proposalFacts(proposal, audit = [], { finalStages = [] } = {}) {
+  const stage = proposal.status || 'draft';
+  const outcome = proposal.outcome || {};
+  const moves = audit.filter(e => e.action === 'transition');
+  const created = audit.find(e => e.action === 'created');
+  const submitted = moves.find(e => e.to === SUBMITTED);
+  const decided = [...moves].reverse().find(e => finalStages.includes(e.to));
+  const final = finalStages.includes(stage);
+  const requested = Number(proposal.amount) || 0;
+
+  const startedAt = validDate(created ? created.at : proposal.createdAt);
+  const submittedAt = validDate(submitted && submitted.at);
+  const decidedAt = final ? validDate(outcome.decisionDate) || validDate(decided && decided.at) : null;
+  const result = final ? (stage === AWARDED ? 'awarded' : 'unsuccessful') : null;
+
+  return {
+    id: proposal.id,
+    title: proposal.title || 'Untitled',
+    funder: proposal.funder || '',
+    funderName: proposal.funderName || proposal.funder || 'No funder',
+    scheme: proposal.scheme || '',
+    stage,
+    requested,
+    // Awards without a recorded amount are taken to be for the amount requested
+    awarded: result === 'awarded' ? (Number(outcome.awardedAmount) || requested) : 0,
+    startedAt,
+    submittedAt,
+    decidedAt,
+    daysToSubmit: startedAt && submittedAt ? Math.round((new Date(submittedAt) - new Date(startedAt)) / DAY_MS) : null,
+    submittedOrLater: stage === SUBMITTED || final,
+    result,
+    score: scorePercent(outcome.panelScores)
+  };
+}
+
+function dateRange(from, to) {
+  from = validDate(from);
+  to = validDate(to);
+  // A whole day when only a date is given
+  if (to && to.endsWith('T00:00:00.000Z')) to = new Date(new Date(to).getTime() + DAY_MS - 1).toISOString();
+  return { from, to };
+}
+
+function inRange(date, from, to) {
+  if (!from && !to) return true;
+  if (!date) return false;
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+/**
+ * Success rate and money for a group of proposals
+ */
+function groupStats(facts) {
+  const decided = facts.filter(f => f.result);
+  const awarded = decided.filter(f => f.result === 'awarded');
+  const scores = decided.map(f => f.score).filter(s => s !== null);
+  return {
+    submitted: facts.filter(f => f.submittedOrLater).length,
+    decided: decided.length,
+    awarded: awarded.length,
+    successRate: decided.length ? round(awarded.length / decided.length * 100) : null,
+    requested: round(decided.reduce((sum, f) => sum + f.requested, 0)),
+    awardedAmount: round(awarded.reduce((sum, f) => sum + f.awarded, 0)),
+    averageScore: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null
+  };
+}
+
+function groupBy(facts, keyOf, labelOf) {
+  const groups = new Map();
+  for (const f of facts) {
+    const key = keyOf(f);
+    if (!groups.has(key)) groups.set(key, { key, label: labelOf(f), facts: [] });
+    groups.get(key).facts.push(f);
+  }
+  return [...groups.values()]
+    .map(g => ({ key: g.key, label: g.label, proposals: g.facts.length, ...groupStats(g.facts) }))
+    .sort((a, b) => b.submitted - a.submitted || a.label.localeCompare(b.label));
+}
+
+/**
+ * Build the analytics report
+ * @param {Array} facts - from proposalFacts()
+ * @param {Object} options - { from, to (ISO dates; submissions and decisions
+ *   outside are left out of rates and timings), stages: [{ id, label, final }] }
+ */
+function buildAnalytics(facts, { from, to, stages = [] } = {}) {
+  ({ from, to } = dateRange(from, to));
+
+  // A proposal joins the rates when it was decided in range, or submitted in range if still waiting
+  const counted = facts.filter(f => f.result ? inRange(f.decidedAt, from, to) : f.submittedOrLater && inRange(f.submittedAt, from, to));
+  const timed = facts.filter(f => f.daysToSubmit !== null && inRange(f.submittedAt, from, to)).map(f => f.daysToSubmit);
+
+  const quarters = new Map();
+  const quarter = q => {
+    if (!quarters.has(q)) quarters.set(q, { quarter: q, submitted: 0, requested: 0, decided: 0, awarded: 0, awardedAmount: 0 });
+    return quarters.get(q);
+  };
+  for (const f of facts) {
+    if (f.submittedAt && inRange(f.submittedAt, from, to)) {
+      const q = quarter(quarterOf(f.submittedAt));
+      q.submitted++;
+      q.requested = round(q.requested + f.requested);
+    }
+    if (f.result && f.decidedAt && inRange(f.decidedAt, from, to)) {
+      const q = quarter(quarterOf(f.decidedAt));
+      q.decided++;
+      if (f.result === 'awarded') {
+        q.awarded++;
+        q.awardedAmount = round(q.awardedAmount + f.awarded);
+      }
+    }
+  }
+
+  // The pipeline is what is in progress now, whatever the date range
+  const pipeline = stages.filter(s => !s.final).map(s => {
+    const here = facts.filter(f => f.stage === s.id);
+    return { stage: s.id, label: s.label, proposals: here.length, value: round(here.reduce((sum, f) => sum + f.requested, 0)) };
+  });
+
+  return {
+    from,
+    to,
+    totals: { proposals: facts.length, ...groupStats(counted) },
+    byFunder: groupBy(counted, f => f.funder, f => f.funderName),
+    byScheme: groupBy(counted, f => `${f.funder}/${f.scheme}`, f => `${f.funderName} — ${f.scheme || 'No scheme'}`),
+    timeToSubmission: {
+      proposals: timed.length,
+      medianDays: median(timed),
+      meanDays: timed.length ? round(timed.reduce((a, b) => a + b, 0) / timed.length) : null
+    },
+    pipeline,
+    quarters: [...quarters.values()].sort((a, b) => a.quarter.localeCompare(b.quarter))
+  };
+}
+
+const CSV_COLUMNS = ['title', 'funderName', 'scheme', 'stage', 'requested', 'awarded', 'startedAt', 'submittedAt', 'decidedAt', 'daysToSubmit', 'result', 'score'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from running titles as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per proposal, for the research office's own reporting. With a date
+ * range, only proposals submitted or decided within it.
+ */
+function factsToCsv(facts, range = {}) {
+  const { from, to } = dateRange(range.from, range.to);
+  const rows = facts.filter(f => !from && !to || inRange(f.submittedAt, from, to) || inRange(f.decidedAt, from, to));
+  return [CSV_COLUMNS.join(','), ...rows.map(f => CSV_COLUMNS.map(c => csvCell(f[c])).join(','))].join('\n') + '\n';
+}
+
+module.exports = { proposalFacts, buildAnalytics, factsToCsv, scorePercent, quarterOf };
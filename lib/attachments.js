@@ -0,0 +1,196 @@
+/**
+ * Attachments
+ * Files a proposal is submitted with, such as CVs, letters of support and
+ * ethics approvals. Each one meets a section the scheme requires. Storage
+ * keeps the file (saveAttachment) and the proposal keeps a record of it:
+ *
+ *   "attachments": [
+ *     { "id": "…", "section": "Letter of Support", "name": "letter.pdf", "type": "pdf",
+ *       "size": 48213, "pages": 2, "dated": "2026-03-01", "uploadedAt": "…", "uploadedBy": "…" }
+ *   ]
+ *
+ * Only PDF, Word (.docx), PNG and JPEG files are accepted. The type comes
+ * from the file's contents, not its name. Pages are counted from the file
+ * itself: the page objects in a PDF, or the page count Word saves in a .docx.
+ * An image is one page. `pages` is null when the count cannot be read.
+ *
+ * `dated` is the date written on a letter. A letter dated more than
+ * `maxAgeMonths` (from the scheme's section, default 6) before the deadline
+ * has expired.
+ */
+
+const { listEntries, readEntry } = require('./zip');
+
+const FILE_TYPES = {
+  pdf: { label: 'PDF', mime: 'application/pdf' },
+  docx: { label: 'Word document', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  png: { label: 'PNG image', mime: 'image/png' },
+  jpeg: { label: 'JPEG image', mime: 'image/jpeg' }
+};
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const LETTER_MAX_AGE_MONTHS = 6;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * What a file is, from its first bytes
+ * @returns {string|null} a key of FILE_TYPES, or null for anything else
+ */
+function detectType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8) return null;
+  if (buffer.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.toString('latin1', 0, 4) === 'PK\x03\x04') {
+    const entries = listEntries(buffer) || [];
+    if (entries.some(e => e.name === 'word/document.xml')) return 'docx';
+  }
+  return null;
+}
+
+// Page objects, or failing that (when they are packed in compressed object
+// streams) the largest page-tree count
+function pdfPages(buffer) {
+  const text = buffer.toString('latin1');
+  const pages = (text.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length;
+  if (pages) return pages;
+  const counts = [...text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)].map(m => Number(m[1] || m[2]));
+  return counts.length ? Math.max(...counts) : null;
+}
+
+// Word records the page count when it saves; other writers may not
+function docxPages(buffer) {
+  const app = readEntry(buffer, 'docProps/app.xml');
+  const m = app && app.toString('utf8').match(/<Pages>(\d+)<\/Pages>/);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Number of pages in a file of a known type, or null when it cannot be told
+ */
+function countPages(buffer, type) {
+  if (type === 'pdf') return pdfPages(buffer);
+  if (type === 'docx') return docxPages(buffer);
+  if (type === 'png' || type === 'jpeg') return 1;
+  return null;
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+}
+
+/**
+ * Check an uploaded file and describe it for proposal.attachments
+ * @param {Buffer} buffer - the file
+ * @param {Object} fields - { id, name, section, dated, uploadedBy }
+ * @param {Object} limits - { maxBytes }
+ * @returns {Object} the attachment record
+ * @throws an error with status 400, 413 or 415 when the file cannot be taken
+ */
+function describeUpload(buffer, { id, name, section, dated, uploadedBy }, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+  if (!section || typeof section !== 'string') throw fail(400, 'Choose the section the file is for');
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw fail(400, 'The file is empty');
+  if (buffer.length > maxBytes) throw fail(413, `Files can be up to ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  if (dated && !isDate(dated)) throw fail(400, 'The letter date must be YYYY-MM-DD');
+  const type = detectType(buffer);
+  if (!type) throw fail(415, `Only ${Object.values(FILE_TYPES).map(t => t.label).join(', ')} files can be attached`);
+  return {
+    id,
+    section,
+    name: String(name || `attachment.${type}`).replace(/[\\/\r\n"]/g, '_').slice(0, 200),
+    type,
+    size: buffer.length,
+    pages: countPages(buffer, type),
+    dated: dated || null,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: uploadedBy || null
+  };
+}
+
+function isLetter(sectionName) {
+  return /\bletters?\b/i.test(sectionName);
+}
+
+function monthsBetween(from, to) {
+  const a = new Date(`${from}T00:00:00Z`);
+  const b = new Date(`${to}T00:00:00Z`);
+  return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth()) + (b.getUTCDate() - a.getUTCDate()) / 31;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Compliance results for the sections met by attachments
+ * @param {Array} schemeSections - scheme.sections
+ * @param {Array} resolved - resolveSections() for the same sections
+ * @param {Array} attachments - proposal.attachments
+ * @param {Object} options - { deadline } for letter expiry
+ * @returns {Array} [{ check, status, message, advice }]
+ */
+function checkAttachments(schemeSections, resolved, attachments = [], { deadline } = {}) {
+  const results = [];
+  attachments = attachments || [];
+  (schemeSections || []).forEach((section, i) => {
+    const { attachment, text } = resolved[i];
+    // A section met by text is checked as text
+    if (!attachment || text) return;
+    const check = `Attachment: ${section.name}`;
+    const files = attachments.filter(a => a.section === section.name);
+    if (!files.length) {
+      results.push({
+        check,
+        status: section.required ? 'fail' : 'warn',
+        message: `No file uploaded for "${section.name}".`,
+        advice: 'Upload it under Attachments on the Compliance tab.'
+      });
+      return;
+    }
+    results.push({ check, status: 'pass', message: `${files.map(f => f.name).join(', ')} uploaded.` });
+
+    if (section.maxPages) {
+      for (const file of files) {
+        if (file.pages == null) {
+          results.push({ check: `${check} (Page Limit)`, status: 'warn', message: `The pages in ${file.name} could not be counted (limit: ${section.maxPages}).`, advice: 'Check the page count by hand, or upload it as a PDF.' });
+        } else if (file.pages > section.maxPages) {
+          results.push({ check: `${check} (Page Limit)`, status: 'fail', message: `${file.name} has ${plural(file.pages, 'page')} (limit: ${section.maxPages}).`, advice: `Cut it to ${plural(section.maxPages, 'page')}.` });
+        } else {
+          results.push({ check: `${check} (Page Limit)`, status: 'pass', message: `${file.name} has ${plural(file.pages, 'page')} (limit: ${section.maxPages}).` });
+        }
+      }
+    }
+
+    if (section.maxAgeMonths || isLetter(section.name)) {
+      const maxAge = section.maxAgeMonths || LETTER_MAX_AGE_MONTHS;
+      for (const file of files) {
+        if (!file.dated) {
+          results.push({ check: `${check} (Date)`, status: 'warn', message: `${file.name} has no date recorded, so its age cannot be checked.`, advice: 'Record the date written on the letter when uploading it.' });
+        } else if (!isDate(deadline)) {
+          results.push({ check: `${check} (Date)`, status: 'warn', message: `${file.name} is dated ${file.dated}, but the proposal has no deadline to check it against.`, advice: 'Set the deadline on the Overview tab.' });
+        } else if (monthsBetween(file.dated, deadline) > maxAge) {
+          results.push({ check: `${check} (Date)`, status: 'fail', message: `${file.name} is dated ${file.dated}, more than ${plural(maxAge, 'month')} before the deadline (${deadline}).`, advice: 'Ask for an updated letter.' });
+        } else {
+          results.push({ check: `${check} (Date)`, status: 'pass', message: `${file.name} is dated ${file.dated}, within ${plural(maxAge, 'month')} of the deadline.` });
+        }
+      }
+    }
+  });
+
+  // Files for sections the scheme no longer asks for
+  const known = new Set((schemeSections || []).map(s => s.name));
+  const orphans = attachments.filter(a => !known.has(a.section));
+  if (orphans.length) {
+    results.push({
+      check: 'Attachments',
+      status: 'warn',
+      message: `${orphans.map(a => `${a.name} (${a.section})`).join(', ')} ${orphans.length > 1 ? 'are' : 'is'} for sections the scheme does not list.`,
+      advice: 'Delete files that are no longer needed, or upload them again for the right section.'
+    });
+  }
+  return results;
+}
+
+module.exports = { FILE_TYPES, DEFAULT_MAX_BYTES, LETTER_MAX_AGE_MONTHS, detectType, countPages, describeUpload, checkAttachments };
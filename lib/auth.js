@@ -0,0 +1,124 @@
+/**
+ * Accounts & Access Control
+ * Password hashing, session tokens and per-proposal sharing roles.
+ * Passwords are hashed with scrypt; session tokens are random and only their
+ * SHA-256 hash is stored, so a copy of the data folder cannot be replayed as
+ * a login.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'bw_session';
+const SESSION_DAYS = Number(process.env.SESSION_DAYS || 30);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// Ordered weakest to strongest; each role can do everything the ones before it can
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+/**
+ * Hash a password for storage
+ * @returns {string} "scrypt$N$r$p$salt$hash" (salt and hash base64)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a new password; returns an error message or null
+ */
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  if (password.length > 200) return 'Password is too long';
+  return null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Start a session
+ * @returns {Object} { token, session } — the token goes in the cookie, the session (keyed by its hash) in storage
+ */
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  return {
+    token,
+    session: {
+      id: hashToken(token),
+      userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }
+  };
+}
+
+function sessionCookie(token, { secure = false, clear = false } = {}) {
+  const parts = [
+    `${SESSION_COOKIE}=${clear ? '' : token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${clear ? 0 : SESSION_DAYS * 24 * 60 * 60}`
+  ];
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (e) { /* ignore malformed */ }
+  }
+  return cookies;
+}
+
+/**
+ * A user's role on a proposal, or null for no access
+ */
+function roleFor(proposal, userId) {
+  if (!proposal || !userId) return null;
+  if (proposal.ownerId === userId) return 'owner';
+  const role = (proposal.access || {})[userId];
+  return ROLES.includes(role) && role !== 'owner' ? role : null;
+}
+
+function hasRole(role, minimum) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Account fields that are safe to send to the browser
+ */
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, calendarFeed, ...rest } = user;
+  return calendarFeed ? { ...rest, calendarFeed: { createdAt: calendarFeed.createdAt } } : rest;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+module.exports = {
+  ROLES, SESSION_COOKIE,
+  hashPassword, verifyPassword, passwordProblem,
+  hashToken, createSession, sessionCookie, parseCookies,
+  roleFor, hasRole, publicUser, normalizeEmail
+};
@@ -0,0 +1,183 @@
+/**
+ * Deadline Calendar
+ * Funder call opening and closing dates, each proposal's external deadline and
+ * the internal milestones worked back from it (costing due two weeks before,
+ * sign-off one week before and so on), as calendar events and as an
+ * iCalendar (RFC 5545) feed for Outlook, Thunderbird or Google Calendar.
+ *
+ * All dates are whole days ("YYYY-MM-DD"); funders publish closing dates and
+ * the time of day varies by scheme, so events are all-day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A date as "YYYY-MM-DD", or null if it is not a date
+ */
+function isoDate(value) {
+  if (!value) return null;
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return isNaN(d) ? null : d.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * A proposal's milestones with their dates worked out. Proposals that have
+ * not set their own use the defaults from the workflow configuration.
+ * @param {Array} defaults - [{ label, daysBefore, stage }]
+ * @returns {Array} [{ id, label, date, daysBefore, stage }] in date order; milestones
+ *   fixed relative to a deadline the proposal does not have yet are left out
+ */
+function proposalMilestones(proposal, defaults = []) {
+  const deadline = isoDate(proposal.deadline);
+  const list = Array.isArray(proposal.milestones) ? proposal.milestones : defaults.map((m, i) => ({ id: `default-${i}`, ...m }));
+  return list
+    .map((m, i) => {
+      const daysBefore = m.daysBefore === '' || m.daysBefore == null ? null : Number(m.daysBefore);
+      const date = isoDate(m.date) || (deadline && Number.isFinite(daysBefore) ? addDays(deadline, -daysBefore) : null);
+      return { id: m.id || `m${i}`, label: m.label || 'Milestone', date, daysBefore: isoDate(m.date) ? null : daysBefore, stage: m.stage || null };
+    })
+    .filter(m => m.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Events for one proposal: its deadline and milestones. A milestone tied to a
+ * workflow stage is done once the proposal has reached that stage.
+ * @param {Object} options - { defaults, stages: [{ id, label, final }] (in order), stage: the proposal's current stage,
+ *   funderName: the name from the proposal's funder template }
+ */
+function proposalEvents(proposal, { defaults = [], stages = [], stage = 'draft', funderName = null } = {}) {
+  const order = stages.map(s => s.id);
+  const reached = id => order.indexOf(stage) >= order.indexOf(id) && order.includes(id);
+  const finished = (stages.find(s => s.id === stage) || {}).final || false;
+  const title = proposal.title || 'Untitled';
+  const where = [funderName || proposal.funderName, proposal.scheme].filter(Boolean).join(' — ');
+  const events = [];
+
+  const deadline = isoDate(proposal.deadline);
+  if (deadline) {
+    events.push({
+      uid: `deadline-${proposal.id}`,
+      kind: 'deadline',
+      date: deadline,
+      title: `Deadline: ${title}`,
+      description: where,
+      proposalId: proposal.id,
+      done: finished || reached('submitted')
+    });
+  }
+  for (const m of proposalMilestones(proposal, defaults)) {
+    events.push({
+      uid: `milestone-${proposal.id}-${m.id}`,
+      kind: 'milestone',
+      date: m.date,
+      title: `${m.label}: ${title}`,
+      description: [where, m.daysBefore !== null && deadline ? `${m.daysBefore} day${m.daysBefore !== 1 ? 's' : ''} before the ${deadline} deadline` : ''].filter(Boolean).join('\n'),
+      proposalId: proposal.id,
+      stage: m.stage,
+      done: finished || (m.stage ? reached(m.stage) : false)
+    });
+  }
+  return events;
+}
+
+/**
+ * Call opening and closing dates from a funder template's schemes
+ * (schemes[].calls: [{ opens, closes, name, source }])
+ */
+function callEvents(funder) {
+  const events = [];
+  for (const scheme of funder.schemes || []) {
+    for (const call of scheme.calls || []) {
+      const name = `${funder.name} ${scheme.name}${call.name ? ` (${call.name})` : ''}`;
+      const key = `${funder.id}-${scheme.name}-${call.closes || call.opens}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+      const opens = isoDate(call.opens);
+      const closes = isoDate(call.closes);
+      const source = call.source ? `\nSource: ${call.source}` : '';
+      if (opens) events.push({ uid: `call-opens-${key}`, kind: 'call-opens', date: opens, title: `Call opens: ${name}`, description: `${closes ? `Closes ${closes}` : ''}${source}`.trim(), funder: funder.id, scheme: scheme.name });
+      if (closes) events.push({ uid: `call-closes-${key}`, kind: 'call-closes', date: closes, title: `Call closes: ${name}`, description: `${opens ? `Opened ${opens}` : ''}${source}`.trim(), funder: funder.id, scheme: scheme.name });
+    }
+  }
+  return events;
+}
+
+/**
+ * Events between two dates (inclusive), in date order
+ */
+function eventsBetween(events, from, to) {
+  from = isoDate(from);
+  to = isoDate(to);
+  return events
+    .filter(e => (!from || e.date >= from) && (!to || e.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.title.localeCompare(b.title));
+}
+
+// ── iCalendar ──
+
+function icsText(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * An iCalendar document of all-day events
+ * @param {Array} events - from proposalEvents() and callEvents()
+ * @param {Object} options - { name: calendar name, host: domain for event UIDs,
+ *   proposalUrl: id → link to the proposal }
+ */
+function toICS(events, { name = 'BidWriter deadlines', host = 'bidwriter', proposalUrl } = {}) {
+  const stamp = icsStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Mikoshi//BidWriter//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  for (const e of events) {
+    const url = e.proposalId && proposalUrl ? proposalUrl(e.proposalId) : null;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${e.date.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addDays(e.date, 1).replace(/-/g, '')}`,
+      `SUMMARY:${icsText(e.done ? `✓ ${e.title}` : e.title)}`,
+      `CATEGORIES:${e.kind}`,
+      'TRANSP:TRANSPARENT'
+    );
+    const description = [e.description, url].filter(Boolean).join('\n');
+    if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+    if (url) lines.push(`URL:${url}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+module.exports = { isoDate, proposalMilestones, proposalEvents, callEvents, eventsBetween, toICS };
@@ -0,0 +1,237 @@
+/**
+ * Real-time Collaboration Hub
+ * Keeps one room per open proposal with the live text of each section.
+ * Clients listen on an SSE stream and POST their edits as OT operations;
+ * concurrent edits are transformed against each other so every co-author
+ * converges on the same text. Rooms are saved back to the proposal on a
+ * short debounce and closed when the last client leaves.
+ *
+ * A client that reconnects says which room it was in and the section
+ * versions it had reached; if the room is still open its welcome carries the
+ * ops applied since, so edits the client had not had acknowledged can be
+ * transformed and sent again rather than lost.
+ */
+
+const crypto = require('crypto');
+const OT = require('./ot');
+
+const SAVE_DELAY_MS = 2000;
+const HISTORY_LIMIT = 500;   // ops kept per section for transforming late edits
+const COLORS = ['#f59e0b', '#3b82f6', '#10b981', '#a855f7', '#ef4444', '#ec4899', '#06b6d4', '#84cc16'];
+
+const rooms = new Map();
+
+function send(client, event) {
+  client.res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+function broadcast(room, event) {
+  for (const client of room.clients.values()) send(client, event);
+}
+
+function peerList(room) {
+  return [...room.clients.values()].map(c => ({ id: c.id, name: c.name, color: c.color, section: c.section, cursor: c.cursor }));
+}
+
+// A connected client, checked against the user making the request
+function getClient(proposalId, clientId, userId) {
+  const room = rooms.get(proposalId);
+  const client = room && room.clients.get(clientId);
+  if (!client || (userId !== undefined && client.userId !== userId)) throw new Error('Not connected to this proposal');
+  return { room, client };
+}
+
+function getDoc(room, section) {
+  if (!room.docs.has(section)) room.docs.set(section, { text: '', version: 0, history: [] });
+  return room.docs.get(section);
+}
+
+/**
+ * Add a client to a proposal's room, opening the room if needed
+ * @param {string} proposalId
+ * @param {Object} client - { id, userId, name, res } where res is an open SSE response
+ * @param {Object} storage - { load: async () => sections, save: async (sections) => saveInfo }
+ * @param {Object} [resume] - { room, since: { section: version } } from a client reconnecting
+ */
+async function join(proposalId, client, storage, resume) {
+  let room = rooms.get(proposalId);
+  if (!room) {
+    // Register before loading so clients joining at the same moment share the room
+    room = { id: crypto.randomUUID(), docs: new Map(), clients: new Map(), save: storage.save, saveTimer: null, dirty: new Set() };
+    room.loaded = storage.load().then(sections => {
+      for (const [key, text] of Object.entries(sections || {})) {
+        if (typeof text === 'string') room.docs.set(key, { text, version: 0, history: [] });
+      }
+    });
+    rooms.set(proposalId, room);
+  }
+  try {
+    await room.loaded;
+  } catch (err) {
+    if (rooms.get(proposalId) === room) rooms.delete(proposalId);
+    throw err;
+  }
+
+  const used = new Set([...room.clients.values()].map(c => c.color));
+  const color = COLORS.find(c => !used.has(c)) || COLORS[room.clients.size % COLORS.length];
+  room.clients.set(client.id, { ...client, color, section: null, cursor: null });
+
+  // Ops a returning client missed, when the room still holds them all
+  const since = resume && resume.room === room.id && resume.since ? resume.since : {};
+  const sections = {};
+  for (const [key, doc] of room.docs) {
+    sections[key] = { text: doc.text, version: doc.version };
+    const behind = doc.version - since[key];
+    if (Number.isInteger(since[key]) && behind >= 0 && behind <= doc.history.length) {
+      sections[key].missed = doc.history.slice(doc.history.length - behind);
+    }
+  }
+  send(room.clients.get(client.id), { type: 'welcome', clientId: client.id, room: room.id, color, sections, peers: peerList(room) });
+  broadcast(room, { type: 'presence', peers: peerList(room) });
+}
+
+/**
+ * Remove a client; the last one out saves and closes the room
+ */
+async function leave(proposalId, clientId) {
+  const room = rooms.get(proposalId);
+  if (!room) return;
+  room.clients.delete(clientId);
+  if (room.clients.size > 0) {
+    broadcast(room, { type: 'presence', peers: peerList(room) });
+    return;
+  }
+  rooms.delete(proposalId);
+  clearTimeout(room.saveTimer);
+  await flush(room);
+}
+
+/**
+ * Apply a client's edit to a section
+ * @param {Object} edit - { section, version, op, seq } where version is the
+ *   section version the op was made against
+ * @param {string} [userId] - Account making the request; must own clientId
+ * @returns {number} New section version
+ */
+function submitOp(proposalId, clientId, edit, userId) {
+  const { room, client } = getClient(proposalId, clientId, userId);
+  const { section, version, seq } = edit;
+  if (typeof section !== 'string' || !section) throw new Error('Section name required');
+
+  const doc = getDoc(room, section);
+  const behind = doc.version - version;
+  if (!Number.isInteger(version) || behind < 0 || behind > doc.history.length) {
+    const err = new Error('Section is out of sync; reconnect to resync');
+    err.resync = true;
+    throw err;
+  }
+
+  // Transform against everything applied since the client's version
+  let op = edit.op;
+  if (!OT.isValid(op)) throw new Error('Malformed operation');
+  for (const applied of doc.history.slice(doc.history.length - behind)) {
+    [op] = OT.transform(op, applied.op);
+  }
+  if (!OT.isValid(op, doc.text.length)) throw new Error('Operation does not fit the section text');
+
+  applyOp(room, section, doc, op, clientId, seq);
+  room.dirty.add(section);
+  clearTimeout(room.saveTimer);
+  room.saveTimer = setTimeout(() => flush(room), SAVE_DELAY_MS);
+  return doc.version;
+}
+
+function applyOp(room, section, doc, op, clientId, seq) {
+  doc.text = OT.apply(doc.text, op);
+  doc.version++;
+  doc.history.push({ op, version: doc.version, clientId, seq });
+  if (doc.history.length > HISTORY_LIMIT) doc.history.shift();
+
+  for (const client of room.clients.values()) {
+    if (client.section === section && client.cursor !== null) client.cursor = OT.transformIndex(client.cursor, op);
+  }
+  broadcast(room, { type: 'op', section, op, version: doc.version, clientId, seq });
+}
+
+/**
+ * Put text the server has already saved (an accepted suggestion, a restored
+ * version) into a proposal's room, as an edit from no client so open editors
+ * merge it
+ * @returns {boolean} false if the proposal has no open room
+ */
+function replaceText(proposalId, section, text) {
+  const room = rooms.get(proposalId);
+  if (!room) return false;
+  const doc = getDoc(room, section);
+  if (doc.text !== text) applyOp(room, section, doc, OT.fromDiff(doc.text, text), null, null);
+  return true;
+}
+
+/**
+ * Drop a section the server has already removed (by restoring a version
+ * without it) from a proposal's room, and tell open editors
+ * @returns {boolean} false if the room has no such section
+ */
+function removeSection(proposalId, section) {
+  const room = rooms.get(proposalId);
+  if (!room || !room.docs.has(section)) return false;
+  room.docs.delete(section);
+  room.dirty.delete(section);
+  broadcast(room, { type: 'removed', section });
+  return true;
+}
+
+/**
+ * Record which section and cursor position a client is at
+ */
+function setPresence(proposalId, clientId, { section = null, cursor = null } = {}, userId) {
+  const { room, client } = getClient(proposalId, clientId, userId);
+  client.section = section;
+  client.cursor = Number.isInteger(cursor) ? cursor : null;
+  broadcast(room, { type: 'presence', peers: peerList(room) });
+}
+
+async function flush(room) {
+  if (room.dirty.size === 0) return;
+  const sections = {};
+  for (const key of room.dirty) sections[key] = room.docs.get(key).text;
+  room.dirty.clear();
+  try {
+    const info = await room.save(sections);
+    broadcast(room, { type: 'saved', sections, ...info });
+  } catch (err) {
+    console.error('Collaboration save failed:', err.message);
+    for (const key of Object.keys(sections)) room.dirty.add(key);
+  }
+}
+
+/**
+ * Save a room's pending edits now rather than after the debounce
+ */
+async function saveNow(proposalId) {
+  const room = rooms.get(proposalId);
+  if (!room) return;
+  clearTimeout(room.saveTimer);
+  await flush(room);
+}
+
+/**
+ * Send an event to everyone in a proposal's room, if it has one
+ */
+function notify(proposalId, event) {
+  const room = rooms.get(proposalId);
+  if (room) broadcast(room, event);
+}
+
+/**
+ * Live section text for a proposal with an open room, or null
+ */
+function liveSections(proposalId) {
+  const room = rooms.get(proposalId);
+  if (!room) return null;
+  const sections = {};
+  for (const [key, doc] of room.docs) sections[key] = doc.text;
+  return sections;
+}
+
+module.exports = { join, leave, submitOp, setPresence, replaceText, removeSection, saveNow, notify, liveSections };
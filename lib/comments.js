@@ -0,0 +1,153 @@
+/**
+ * Comment Threads
+ * Review comments anchored to a passage of one proposal section, with
+ * replies, resolve/reopen and @mentions. Threads are stored on the proposal
+ * (so version snapshots carry them) and their anchors are moved through
+ * every change to the section text, so a comment stays on its passage while
+ * the section is rewritten around it.
+ */
+
+const crypto = require('crypto');
+const OT = require('./ot');
+const { diffText } = require('./diff');
+
+const MAX_TEXT = 5000;
+const MAX_QUOTE = 1000;
+
+/**
+ * Operation turning oldText into newText, aligned word by word so edits in
+ * different paragraphs do not swallow the text between them
+ */
+function textOp(oldText, newText) {
+  const op = [];
+  for (const change of diffText(oldText, newText)) {
+    if (!change.text) continue;
+    if (change.type === 'equal') op.push(change.text.length);
+    else if (change.type === 'delete') op.push(-change.text.length);
+    else op.push(change.text);
+  }
+  return op;
+}
+
+/**
+ * Move anchored items (comment threads, suggestions) in one section through an operation
+ * @returns {Array} Updated items (items in other sections are reused)
+ */
+function moveAnchors(items, section, op) {
+  return (items || []).map(item => {
+    if (item.section !== section || item.anchor.detached) return item;
+    const [start, end] = OT.transformRange(item.anchor.start, item.anchor.end, op);
+    const anchor = { ...item.anchor, start, end };
+    // The whole passage was deleted; keep the item but stop pointing at the text
+    if (end <= start && item.anchor.end > item.anchor.start) anchor.detached = true;
+    return { ...item, anchor };
+  });
+}
+
+/**
+ * Move anchored items from one version of the sections to another
+ * @returns {Array} Updated items (unchanged objects are reused)
+ */
+function remapAnchors(items, oldSections = {}, newSections = {}) {
+  if (!Array.isArray(items) || items.length === 0) return items || [];
+  let result = items;
+  const sections = new Set(items.map(item => item.section));
+  for (const key of sections) {
+    const before = (oldSections || {})[key];
+    const after = (newSections || {})[key];
+    if (before === after) continue;
+    if (typeof after !== 'string' || typeof before !== 'string') {
+      result = result.map(item => item.section === key && !item.anchor.detached
+        ? { ...item, anchor: { ...item.anchor, start: 0, end: 0, detached: true } }
+        : item);
+      continue;
+    }
+    result = moveAnchors(result, key, textOp(before, after));
+  }
+  return result;
+}
+
+/**
+ * Find the anchor for a new comment. The browser may be a keystroke or two
+ * ahead of the server, so when the offsets no longer cover the quoted text
+ * the nearest copy of the quote is used instead.
+ * @returns {Object|null} { start, end, quote } or null if the quote is gone
+ */
+function locateAnchor(text, { start, end, quote }) {
+  if (typeof text !== 'string') return null;
+  start = Number(start);
+  end = Number(end);
+  if (typeof quote !== 'string' || !quote) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length) return null;
+    quote = text.slice(start, end);
+  }
+  if (text.slice(start, end) !== quote) {
+    let best = -1;
+    for (let i = text.indexOf(quote); i >= 0; i = text.indexOf(quote, i + 1)) {
+      if (best < 0 || Math.abs(i - start) < Math.abs(best - start)) best = i;
+    }
+    if (best < 0) return null;
+    start = best;
+    end = best + quote.length;
+  }
+  return { start, end, quote: quote.slice(0, MAX_QUOTE) };
+}
+
+/**
+ * Accounts mentioned in a message as @Full Name, @email or @email-user
+ * @param {Array} members - [{ userId, name, email }]
+ * @returns {string[]} User ids
+ */
+function findMentions(text, members) {
+  const lower = String(text || '').toLowerCase();
+  const mentioned = new Set();
+  for (const m of members) {
+    const handles = [m.name, m.email, (m.email || '').split('@')[0]].filter(Boolean).map(h => '@' + h.toLowerCase());
+    for (const handle of handles) {
+      const at = lower.indexOf(handle);
+      // The handle must end at a word boundary, so @Ann does not match @Anna
+      if (at >= 0 && !/[\w.-]/.test(lower.charAt(at + handle.length) || ' ')) {
+        mentioned.add(m.userId);
+        break;
+      }
+    }
+  }
+  return [...mentioned];
+}
+
+/**
+ * Check a comment or reply body; returns an error message or null
+ */
+function messageProblem(text) {
+  if (typeof text !== 'string' || !text.trim()) return 'Comment text is required';
+  if (text.length > MAX_TEXT) return `Comments are limited to ${MAX_TEXT} characters`;
+  return null;
+}
+
+function createComment({ section, anchor, text, author, members }) {
+  return {
+    id: crypto.randomUUID(),
+    section,
+    anchor,
+    authorId: author.id,
+    authorName: author.name,
+    text: text.trim(),
+    mentions: findMentions(text, members),
+    createdAt: new Date().toISOString(),
+    resolved: false,
+    replies: []
+  };
+}
+
+function createReply({ text, author, members }) {
+  return {
+    id: crypto.randomUUID(),
+    authorId: author.id,
+    authorName: author.name,
+    text: text.trim(),
+    mentions: findMentions(text, members),
+    createdAt: new Date().toISOString()
+  };
+}
+
+module.exports = { textOp, moveAnchors, remapAnchors, locateAnchor, findMentions, messageProblem, createComment, createReply };
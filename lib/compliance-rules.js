@@ -0,0 +1,236 @@
+/**
+ * Compliance Rules
+ * Extra checks a funder or scheme declares in its template (`rules`), on top
+ * of the checks every proposal gets in runComplianceChecks():
+ *
+ *   "rules": [
+ *     { "type": "requiredKeywords", "keywords": ["Trusted Research"], "section": "Case for Support" },
+ *     { "type": "forbiddenPhrases", "phrases": ["world-leading", "paradigm shift"] },
+ *     { "type": "maxReferences", "max": 10, "section": "Extended Synopsis (Part B1)" },
+ *     { "type": "requiredHeadings", "headings": ["Objectives", "Methodology"], "section": "Case for Support" },
+ *     { "type": "acronymsDefined" },
+ *     { "type": "maxBudgetShare", "category": "equipment", "maxPercent": 20 }
+ *   ]
+ *
+ * A rule with a `section` checks that section's text; without one it checks
+ * the whole proposal. Every rule can set `severity` (warn or fail) to override
+ * its type's default, `name` for the check's title and `advice` in the
+ * funder's own words.
+ *
+ * Each type is { label, severity, check(rule, context) } returning results
+ * in the usual { check, status, message, advice } shape, and needs nothing but
+ * the rule and a context:
+ *
+ *   context = {
+ *     text(section),   // a section's text, or the whole proposal when no section is named
+ *     budget           // calculateBudget() result, or null when there is no budget
+ *   }
+ *
+ * so a rule can be tried on its own with a hand-made context.
+ */
+
+// Abbreviations nobody expects spelled out
+const COMMON_ACRONYMS = new Set(['UK', 'EU', 'US', 'USA', 'UN', 'PI', 'CV', 'NHS', 'UKRI', 'ERC', 'II', 'III', 'IV', 'VI', 'OK', 'DNA', 'RNA']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word (or whole-phrase) matches
+function phrasePattern(phrase, caseSensitive) {
+  return new RegExp(`(^|[^\\w])${escapeRegExp(phrase.trim()).replace(/\s+/g, '\\s+')}(?=$|[^\\w])`, caseSensitive ? 'g' : 'gi');
+}
+
+function occurrences(text, phrase, caseSensitive) {
+  return (text.match(phrasePattern(phrase, caseSensitive)) || []).length;
+}
+
+function quoteList(items) {
+  return items.map(i => `"${i}"`).join(', ');
+}
+
+// "Methodology", "2. Methodology:" and "METHODOLOGY" all name the same heading
+function headingKey(text) {
+  return text.toLowerCase().replace(/^[\d.\s]+/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function markdownHeadings(text) {
+  return [...text.matchAll(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/gm)].map(m => m[1].replace(/\*\*/g, ''));
+}
+
+/**
+ * The references in some text: the entries under a References or
+ * Bibliography heading if there is one, otherwise the distinct citations in
+ * the text, numeric ([1], [2–4]) or author–year ((Smith et al., 2020)).
+ * @returns {Object} { count, from: 'list' | 'citations' }
+ */
+function countReferences(text) {
+  const heading = text.match(/^\s*#{1,6}\s*(references|bibliography|works cited)\b.*$/im);
+  if (heading) {
+    const after = text.slice(heading.index + heading[0].length);
+    const end = after.search(/^\s*#{1,6}\s/m);
+    const list = (end === -1 ? after : after.slice(0, end)).split('\n').map(l => l.trim()).filter(Boolean);
+    return { count: list.length, from: 'list' };
+  }
+  const cited = new Set();
+  for (const m of text.matchAll(/\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g)) {
+    for (const part of m[1].split(',')) {
+      const [from, to = from] = part.split(/[-–]/).map(n => Number(n.trim()));
+      for (let n = from; n <= to && n - from < 200; n++) cited.add(`#${n}`);
+    }
+  }
+  for (const m of text.matchAll(/\(([^()]*?\b(?:19|20)\d{2}[a-z]?)\)/g)) {
+    // "(Smith et al., 2020; Jones 2019)"
+    for (const cite of m[1].split(';')) {
+      const found = cite.match(/([A-Z][\w'-]+).*?\b((?:19|20)\d{2}[a-z]?)/);
+      if (found) cited.add(`${found[1]} ${found[2]}`);
+    }
+  }
+  return { count: cited.size, from: 'citations' };
+}
+
+const RULE_TYPES = {
+  forbiddenPhrases: {
+    label: 'Forbidden Phrases',
+    severity: 'warn',
+    check(rule, context) {
+      const text = context.text(rule.section) || '';
+      const found = rule.phrases.map(p => ({ phrase: p, n: occurrences(text, p, rule.caseSensitive) })).filter(f => f.n);
+      if (!found.length) return [{ status: 'pass', message: `None of ${quoteList(rule.phrases)} used.` }];
+      return [{
+        status: rule.severity,
+        message: `Uses ${found.map(f => `"${f.phrase}"${f.n > 1 ? ` (${f.n}×)` : ''}`).join(', ')}.`,
+        advice: 'The funder asks applicants not to use these; rephrase them.'
+      }];
+    }
+  },
+
+  requiredKeywords: {
+    label: 'Required Keywords',
+    severity: 'fail',
+    check(rule, context) {
+      const text = context.text(rule.section) || '';
+      const missing = rule.keywords.filter(k => !occurrences(text, k, rule.caseSensitive));
+      if (!missing.length) return [{ status: 'pass', message: `Mentions ${quoteList(rule.keywords)}.` }];
+      return [{
+        status: rule.severity,
+        message: `Does not mention ${quoteList(missing)}.`,
+        advice: `The funder expects ${missing.length > 1 ? 'these to be addressed' : 'this to be addressed'}${rule.section ? ` in "${rule.section}"` : ''}.`
+      }];
+    }
+  },
+
+  maxReferences: {
+    label: 'Reference Limit',
+    severity: 'fail',
+    check(rule, context) {
+      const { count, from } = countReferences(context.text(rule.section) || '');
+      const counted = from === 'list' ? 'in the reference list' : 'cited';
+      if (count > rule.max) {
+        return [{ status: rule.severity, message: `${count} references ${counted} (limit: ${rule.max}).`, advice: `Remove ${count - rule.max} of the less essential references.` }];
+      }
+      return [{ status: 'pass', message: `${count} references ${counted} (limit: ${rule.max}).` }];
+    }
+  },
+
+  requiredHeadings: {
+    label: 'Required Headings',
+    severity: 'fail',
+    check(rule, context) {
+      const found = markdownHeadings(context.text(rule.section) || '').map(headingKey);
+      const position = h => found.findIndex(f => f === headingKey(h) || f.startsWith(`${headingKey(h)} `));
+      const missing = rule.headings.filter(h => position(h) === -1);
+      if (missing.length) {
+        return [{ status: rule.severity, message: `Missing the heading${missing.length > 1 ? 's' : ''} ${quoteList(missing)}.`, advice: 'Use the funder\'s headings as markdown headings (## Heading) so reviewers can find each part.' }];
+      }
+      const positions = rule.headings.map(position);
+      if (rule.inOrder && positions.some((p, i) => i && p < positions[i - 1])) {
+        return [{ status: rule.severity, message: `Has the headings ${quoteList(rule.headings)}, but not in that order.`, advice: 'Put the headings in the order the funder lists them.' }];
+      }
+      return [{ status: 'pass', message: `Has the headings ${quoteList(rule.headings)}.` }];
+    }
+  },
+
+  acronymsDefined: {
+    label: 'Acronyms Defined',
+    severity: 'warn',
+    check(rule, context) {
+      const text = context.text(rule.section) || '';
+      const ignore = new Set([...COMMON_ACRONYMS, ...(rule.ignore || [])]);
+      const undefinedOnes = [];
+      const seen = new Set();
+      for (const m of text.matchAll(/\b[A-Z][A-Z0-9]*[A-Z][A-Z0-9]*s?\b/g)) {
+        const acronym = m[0].replace(/s$/, '');
+        if (seen.has(acronym) || ignore.has(acronym) || acronym.length > 8) continue;
+        seen.add(acronym);
+        // Defined where first used: "Natural Language Processing (NLP)" or "NLP (natural language processing)"
+        const inBrackets = text[m.index - 1] === '(' && text[m.index + m[0].length] === ')';
+        const expanded = /^\s*\([a-z][^)]{3,}\)/i.test(text.slice(m.index + m[0].length));
+        if (!inBrackets && !expanded) undefinedOnes.push(acronym);
+      }
+      if (!undefinedOnes.length) return [{ status: 'pass', message: seen.size ? `${seen.size} acronym${seen.size !== 1 ? 's' : ''}, each defined where first used.` : 'No acronyms used.' }];
+      const shown = undefinedOnes.slice(0, 10);
+      return [{
+        status: rule.severity,
+        message: `Not defined where first used: ${shown.join(', ')}${undefinedOnes.length > shown.length ? ` and ${undefinedOnes.length - shown.length} more` : ''}.`,
+        advice: 'Spell each acronym out the first time, e.g. "Natural Language Processing (NLP)".'
+      }];
+    }
+  },
+
+  maxBudgetShare: {
+    label: 'Budget Share',
+    severity: 'fail',
+    check(rule, context) {
+      const of = rule.of || 'directCosts';
+      const base = context.budget ? context.budget.summary[of] : 0;
+      const category = rule.category[0].toUpperCase() + rule.category.slice(1);
+      const ofText = of === 'directCosts' ? 'direct costs' : 'the full economic cost';
+      if (!(base > 0)) {
+        return [{ status: 'warn', message: `No budget to check ${rule.category} against (limit: ${rule.maxPercent}% of ${ofText}).`, advice: 'Fill in and calculate the budget.' }];
+      }
+      const share = (context.budget.categories[rule.category].total / base) * 100;
+      const message = `${category} is ${share.toFixed(1)}% of ${ofText} (limit: ${rule.maxPercent}%).`;
+      if (share > rule.maxPercent + 1e-9) return [{ status: rule.severity, message, advice: `Bring ${rule.category} down to £${(base * rule.maxPercent / 100).toLocaleString('en-GB', { maximumFractionDigits: 0 })} or less.` }];
+      return [{ status: 'pass', message }];
+    }
+  }
+};
+
+/**
+ * Run declared rules
+ * @param {Array} rules - template rules (funder-wide first, then the scheme's)
+ * @param {Object} context - { text(section), budget }
+ * @returns {Array} [{ check, status, message, advice }]; a rule of an unknown
+ *   type gives a warning rather than being skipped silently
+ */
+function runRules(rules, context) {
+  const results = [];
+  for (const declared of rules || []) {
+    const type = RULE_TYPES[declared.type];
+    if (!type) {
+      results.push({ check: declared.name || 'Template Rule', status: 'warn', message: `Unknown rule type "${declared.type}" in the funder template.`, advice: 'Ask the research office to fix the template.' });
+      continue;
+    }
+    const rule = { ...declared, severity: declared.severity || type.severity };
+    const check = rule.name || (rule.section ? `${type.label}: ${rule.section}` : type.label);
+    for (const result of type.check(rule, context)) {
+      results.push({ check, ...result, ...(rule.advice && result.status !== 'pass' ? { advice: rule.advice } : {}) });
+    }
+  }
+  return results;
+}
+
+/**
+ * Problems in a declared rule that the schema cannot see, such as fields its
+ * type needs
+ * @returns {Array} [{ path, message }], paths relative to the rule
+ */
+function lintRule(rule) {
+  const needs = { forbiddenPhrases: ['phrases'], requiredKeywords: ['keywords'], maxReferences: ['max'], requiredHeadings: ['headings'], maxBudgetShare: ['category', 'maxPercent'] };
+  return (needs[rule.type] || [])
+    .filter(field => rule[field] === undefined)
+    .map(field => ({ path: field, message: `is required for a ${rule.type} rule` }));
+}
+
+module.exports = { RULE_TYPES, runRules, lintRule, countReferences };
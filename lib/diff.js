@@ -0,0 +1,256 @@
+/**
+ * Proposal Diffing
+ * Compares two proposal snapshots section by section: word-level changes
+ * for section text, field-level changes for overview, budget line items
+ * and Gantt work packages, and which comment threads were opened, answered,
+ * resolved or removed.
+ */
+
+// Largest LCS table we are willing to allocate (cells). Anything bigger is
+// aligned sentence by sentence first.
+const MAX_LCS_CELLS = 4000000;
+
+const META_FIELDS = ['title', 'funder', 'scheme', 'status', 'amount', 'duration'];
+const BUDGET_SETTINGS = ['costModel', 'fecRate', 'overheadRate', 'customRate'];
+const BUDGET_CATEGORIES = ['staff', 'travel', 'equipment', 'consumables', 'other', 'subcontracting'];
+
+/**
+ * Diff two sequences with an LCS table after trimming the common prefix/suffix
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {Function} eq - Equality test
+ * @returns {Array|null} Ops [{type: 'equal'|'delete'|'insert', items}], or null if too large
+ */
+function diffSequences(a, b, eq = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && eq(a[start], b[start])) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length, m = midB.length;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) return null;
+
+  const ops = [];
+  const push = (type, item) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.items.push(item);
+    else ops.push({ type, items: [item] });
+  };
+
+  a.slice(0, start).forEach(item => push('equal', item));
+
+  // table[i][j] = LCS length of midA[i..] and midB[j..]
+  const w = m + 1;
+  const table = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * w + j] = eq(midA[i], midB[j])
+        ? table[(i + 1) * w + j + 1] + 1
+        : Math.max(table[(i + 1) * w + j], table[i * w + j + 1]);
+    }
+  }
+
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (eq(midA[i], midB[j])) { push('equal', midA[i]); i++; j++; }
+    else if (table[(i + 1) * w + j] >= table[i * w + j + 1]) { push('delete', midA[i]); i++; }
+    else { push('insert', midB[j]); j++; }
+  }
+  while (i < n) push('delete', midA[i++]);
+  while (j < m) push('insert', midB[j++]);
+
+  a.slice(endA).forEach(item => push('equal', item));
+  return ops;
+}
+
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function countWords(tokens) {
+  return tokens.filter(t => /\S/.test(t)).length;
+}
+
+/**
+ * Word-level diff of two strings
+ * @returns {Array} Changes [{type: 'equal'|'delete'|'insert', text}]
+ */
+function diffText(oldText, newText) {
+  const ops = diffSequences(tokenize(oldText), tokenize(newText));
+  if (ops) return ops.map(op => ({ type: op.type, text: op.items.join('') }));
+
+  // Too large for one table: align sentences, then diff words inside replaced runs
+  const split = text => (text || '').split(/(?<=[.!?]\s+|\n\s*)(?=\S)/);
+  const sentenceOps = diffSequences(split(oldText), split(newText)) || [
+    { type: 'delete', items: [oldText || ''] },
+    { type: 'insert', items: [newText || ''] }
+  ];
+  const changes = [];
+  for (let k = 0; k < sentenceOps.length; k++) {
+    const op = sentenceOps[k];
+    const next = sentenceOps[k + 1];
+    if (op.type === 'delete' && next && next.type === 'insert') {
+      const inner = diffSequences(tokenize(op.items.join('')), tokenize(next.items.join('')));
+      if (inner) {
+        inner.forEach(o => changes.push({ type: o.type, text: o.items.join('') }));
+        k++;
+        continue;
+      }
+    }
+    changes.push({ type: op.type, text: op.items.join('') });
+  }
+  return changes;
+}
+
+/**
+ * Compare every key of two `sections` maps
+ */
+function diffSections(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys.map(key => {
+    const oldText = (before || {})[key] || '';
+    const newText = (after || {})[key] || '';
+    if (oldText === newText) {
+      return { key, status: 'unchanged', inserted: 0, deleted: 0, changes: [{ type: 'equal', text: oldText }] };
+    }
+    const changes = diffText(oldText, newText);
+    const inserted = countWords(tokenize(changes.filter(c => c.type === 'insert').map(c => c.text).join(' ')));
+    const deleted = countWords(tokenize(changes.filter(c => c.type === 'delete').map(c => c.text).join(' ')));
+    const status = !oldText ? 'added' : !newText ? 'removed' : 'modified';
+    return { key, status, inserted, deleted, changes };
+  });
+}
+
+/**
+ * Compare flat objects field by field
+ * @returns {Array} [{field, status, before, after}] for changed fields only
+ */
+function diffFields(before = {}, after = {}, fields) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = [];
+  for (const field of keys) {
+    const oldVal = (before || {})[field];
+    const newVal = (after || {})[field];
+    if (JSON.stringify(oldVal) === JSON.stringify(newVal)) continue;
+    const empty = v => v === undefined || v === null || v === '';
+    const status = empty(oldVal) ? 'added' : empty(newVal) ? 'removed' : 'modified';
+    changes.push({ field, status, before: oldVal === undefined ? null : oldVal, after: newVal === undefined ? null : newVal });
+  }
+  return changes;
+}
+
+/**
+ * Compare two lists of items (budget lines, work packages), aligning by label
+ * so that removing one item does not mark every later item as changed
+ */
+function diffItems(before = [], after = [], labelOf) {
+  const a = before || [], b = after || [];
+  const ops = diffSequences(a, b, (x, y) => labelOf(x) === labelOf(y)) || [
+    { type: 'delete', items: a },
+    { type: 'insert', items: b }
+  ];
+  const items = [];
+  let ia = 0, ib = 0;
+  for (const op of ops) {
+    for (const item of op.items) {
+      if (op.type === 'delete') {
+        items.push({ label: labelOf(item), status: 'removed', before: item, after: null, fields: [] });
+        ia++;
+      } else if (op.type === 'insert') {
+        items.push({ label: labelOf(item), status: 'added', before: null, after: item, fields: [] });
+        ib++;
+      } else {
+        const fields = diffFields(a[ia], b[ib]);
+        items.push({ label: labelOf(item), status: fields.length ? 'modified' : 'unchanged', before: a[ia], after: b[ib], fields });
+        ia++; ib++;
+      }
+    }
+  }
+  return items;
+}
+
+function budgetLabel(item) {
+  return (item && (item.name || item.description || item.role)) || '(unnamed item)';
+}
+
+function workPackageLabel(wp) {
+  return (wp && wp.name) || '(unnamed work package)';
+}
+
+/**
+ * Compare comment threads by id
+ * @returns {Array} [{ id, section, quote, text, authorName, status, newReplies }]
+ *   where status is added, removed, resolved, reopened or replied
+ */
+function diffComments(before = [], after = []) {
+  const old = new Map((before || []).map(c => [c.id, c]));
+  const describe = (c, status, newReplies = 0) => ({
+    id: c.id, section: c.section, quote: (c.anchor || {}).quote || '', text: c.text,
+    authorName: c.authorName, status, newReplies
+  });
+  const changes = [];
+  for (const c of after || []) {
+    const prev = old.get(c.id);
+    old.delete(c.id);
+    const newReplies = (c.replies || []).length - (prev ? (prev.replies || []).length : 0);
+    if (!prev) changes.push(describe(c, 'added', (c.replies || []).length));
+    else if (!!prev.resolved !== !!c.resolved) changes.push(describe(c, c.resolved ? 'resolved' : 'reopened', Math.max(0, newReplies)));
+    else if (newReplies > 0) changes.push(describe(c, 'replied', newReplies));
+  }
+  for (const c of old.values()) changes.push(describe(c, 'removed'));
+  return changes;
+}
+
+/**
+ * Compare two proposal snapshots
+ * @param {Object} before - Older proposal or version snapshot
+ * @param {Object} after - Newer proposal or version snapshot
+ * @returns {Object} { meta, overview, sections, budget, gantt, comments, summary }
+ */
+function diffProposals(before = {}, after = {}) {
+  const sections = diffSections(before.sections, after.sections);
+  const overview = diffFields(before.overview, after.overview);
+  const meta = diffFields(before, after, META_FIELDS);
+
+  const oldBudget = before.budget || {};
+  const newBudget = after.budget || {};
+  const budget = {
+    settings: diffFields(oldBudget, newBudget, BUDGET_SETTINGS),
+    categories: {}
+  };
+  for (const cat of BUDGET_CATEGORIES) {
+    const items = diffItems(oldBudget[cat], newBudget[cat], budgetLabel);
+    if (items.some(i => i.status !== 'unchanged')) budget.categories[cat] = items;
+  }
+
+  const gantt = diffItems(
+    (before.gantt || {}).workPackages,
+    (after.gantt || {}).workPackages,
+    workPackageLabel
+  );
+
+  const comments = diffComments(before.comments, after.comments);
+
+  const changedSections = sections.filter(s => s.status !== 'unchanged');
+  return {
+    meta,
+    overview,
+    sections,
+    budget,
+    gantt,
+    comments,
+    summary: {
+      sectionsChanged: changedSections.length,
+      wordsInserted: changedSections.reduce((n, s) => n + s.inserted, 0),
+      wordsDeleted: changedSections.reduce((n, s) => n + s.deleted, 0),
+      overviewFieldsChanged: overview.length,
+      budgetItemsChanged: Object.values(budget.categories).flat().filter(i => i.status !== 'unchanged').length + budget.settings.length,
+      workPackagesChanged: gantt.filter(i => i.status !== 'unchanged').length,
+      commentsChanged: comments.length
+    }
+  };
+}
+
+module.exports = { diffProposals, diffText, diffSections, diffComments };
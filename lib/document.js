@@ -0,0 +1,128 @@
+/**
+ * Export Document
+ * What an exported proposal contains, in order, whatever the file format: a
+ * title page, then numbered parts.
+ *
+ *   { kind: 'section', title, markdown }      text written for a required section
+ *   { kind: 'budget', title, rows }           calculateBudget() by category
+ *   { kind: 'workPlan', title, months, workPackages }
+ *   { kind: 'references', title, references } from the papers on the Literature tab
+ *
+ * With a scheme, sections come in the funder's order under the funder's names,
+ * each holding the text mapped to it (see lib/section-map.js); sections met by
+ * an attachment are left out. Text not mapped to any requirement follows.
+ * Without a scheme, the editor sections come in the editor's order.
+ *
+ * The date is when the proposal was last saved, so exporting the same proposal
+ * twice gives the same document.
+ */
+
+const { calculateBudget } = require('./budget-calc');
+const { editorSections, suggestSectionMap, resolveSections } = require('./section-map');
+
+const BUDGET_CATEGORIES = {
+  staff: 'Staff',
+  travel: 'Travel and subsistence',
+  equipment: 'Equipment',
+  consumables: 'Consumables',
+  other: 'Other costs',
+  subcontracting: 'Subcontracting'
+};
+
+function money(amount) {
+  return `£${(Number(amount) || 0).toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function hasText(text) {
+  return typeof text === 'string' && text.trim() !== '';
+}
+
+function sectionParts(proposal, scheme) {
+  const sections = proposal.sections || {};
+  if (!scheme || !(scheme.sections || []).length) {
+    return editorSections(sections).filter(name => hasText(sections[name])).map(name => ({ kind: 'section', title: name, markdown: sections[name] }));
+  }
+  const sectionMap = proposal.sectionMap || suggestSectionMap(scheme.sections, editorSections(sections));
+  const resolved = resolveSections(scheme.sections, sectionMap, sections);
+  const parts = resolved.filter(r => hasText(r.text)).map(r => ({ kind: 'section', title: r.name, markdown: r.text }));
+  const used = new Set(resolved.flatMap(r => r.sources));
+  for (const name of editorSections(sections)) {
+    if (!used.has(name) && hasText(sections[name])) parts.push({ kind: 'section', title: name, markdown: sections[name] });
+  }
+  return parts;
+}
+
+// { cells: [label, amount], bold } rows; the bold ones are totals
+function budgetRows(budgetData) {
+  if (!budgetData) return null;
+  const { categories, summary } = calculateBudget(budgetData);
+  if (!(summary.fullEconomicCost > 0)) return null;
+  const rows = Object.entries(BUDGET_CATEGORIES)
+    .filter(([key]) => categories[key].total)
+    .map(([key, label]) => ({ cells: [label, money(categories[key].total)] }));
+  rows.push(
+    { cells: ['Direct costs', money(summary.directCosts)], bold: true },
+    { cells: [`Indirect costs (${summary.overheadRate}%)`, money(summary.indirectCosts)] },
+    { cells: ['Full economic cost', money(summary.fullEconomicCost)], bold: true },
+    { cells: [`Requested from the funder (${summary.funderRate}%)`, money(summary.funderContribution)], bold: true },
+    { cells: ['Institution contribution', money(summary.institutionContribution)] }
+  );
+  return rows;
+}
+
+// "Ann Smith and Bo Jones (2020) Title. Venue. doi:…"
+function reference(paper) {
+  const authors = (paper.authors || []).map(a => a.name).filter(Boolean);
+  const names = authors.length > 3 ? `${authors[0]} et al.` : authors.length > 1 ? `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}` : authors[0] || 'Anon.';
+  const doi = paper.externalIds && paper.externalIds.DOI;
+  return [`${names} (${paper.year || 'n.d.'}) ${String(paper.title || 'Untitled').replace(/\.$/, '')}.`, paper.venue ? `${paper.venue}.` : '', doi ? `doi:${doi}` : paper.url || '']
+    .filter(Boolean).join(' ');
+}
+
+/**
+ * The document to export for a proposal
+ * @param {Object} proposal
+ * @param {Object} options - { funder, scheme }: the proposal's funder template and
+ *   scheme, when it has them
+ * @returns {Object} { title, details: [[label, value]], date (YYYY-MM-DD),
+ *   formatting (the scheme's, or {}), parts: [{ kind, number, title, … }] }
+ */
+function exportDocument(proposal, { funder, scheme } = {}) {
+  const overview = proposal.overview || {};
+  const funderName = (funder && funder.name) || proposal.funderName || proposal.funder || '';
+  const details = [
+    ['Principal Investigator', proposal.piName || overview.piName],
+    ['Institution', proposal.piInstitution || overview.piInstitution],
+    ['Funder', funderName && (proposal.scheme ? `${funderName} — ${proposal.scheme}` : funderName)],
+    ['Requested', proposal.amount ? money(proposal.amount) : ''],
+    ['Duration', proposal.duration ? `${proposal.duration} months` : ''],
+    ['Deadline', proposal.deadline]
+  ].filter(([, value]) => value);
+
+  const parts = sectionParts(proposal, scheme);
+
+  const rows = budgetRows(proposal.budget);
+  if (rows) parts.push({ kind: 'budget', title: 'Budget', rows });
+
+  const workPackages = ((proposal.gantt && proposal.gantt.workPackages) || []).filter(wp => wp.name || wp.deliverable);
+  if (workPackages.length) {
+    const months = Math.max(Number(proposal.duration) || 0, ...workPackages.map(wp => Number(wp.end) || 0), 1);
+    parts.push({ kind: 'workPlan', title: 'Gantt Chart', months, workPackages });
+  }
+
+  // Unless the text already ends with its own list
+  const papers = (proposal.literature && proposal.literature.papers) || [];
+  const listed = parts.some(p => p.kind === 'section' && (/^references$/i.test(p.title) || /^\s*#{1,6}\s*(references|bibliography)\b/im.test(p.markdown)));
+  if (papers.length && !listed) parts.push({ kind: 'references', title: 'References', references: papers.map(reference) });
+
+  parts.forEach((part, i) => { part.number = i + 1; });
+  return {
+    title: proposal.title || 'Untitled Proposal',
+    details,
+    date: String(proposal.updatedAt || new Date().toISOString()).slice(0, 10),
+    formatting: (scheme && scheme.formatting) || {},
+    parts
+  };
+}
+
+module.exports = { exportDocument };
@@ -0,0 +1,420 @@
+/**
+ * Word Export
+ * Writes an exported proposal (see lib/document.js) as a Word document
+ * (.docx, Office Open XML): a title page, then each part from a new page under
+ * a numbered Heading 1, with the text's own headings as Heading 2 and 3, real
+ * bullet and numbered lists, tables, the budget, a Gantt table shading the
+ * months each work package runs, and references. Pages after the title carry
+ * the proposal title as a header and "Page n of N" as a footer.
+ *
+ * Without a Word template the styles follow the scheme's formatting (font,
+ * size, margins, line and paragraph spacing). With one, a funder's .docx, the
+ * document starts from it instead: its styles, theme, numbering, page setup
+ * and headers are kept, and only the styles it lacks (Title, Heading 1–3,
+ * List Paragraph, Table Grid, Header, Footer) are added.
+ */
+
+const { resolveFormatting, parseBlocks } = require('./layout');
+const { listEntries, readEntry, writeZip } = require('./zip');
+
+const NS = {
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+};
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_TYPE = {
+  document: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+  template: 'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml',
+  styles: 'application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml',
+  numbering: 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml',
+  settings: 'application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml',
+  header: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+  footer: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+  core: 'application/vnd.openxmlformats-package.core-properties+xml',
+  app: 'application/vnd.openxmlformats-officedocument.extended-properties+xml'
+};
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Twentieths of a point
+const TWIPS_PER_POINT = 20;
+// Gantt charts longer than this have a column per quarter rather than per month
+const GANTT_MAX_MONTH_COLUMNS = 36;
+const GANTT_FILL = '4361EE';
+
+function xml(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function twips(points) {
+  return Math.round(points * TWIPS_PER_POINT);
+}
+
+function halfPoints(points) {
+  return Math.round(points * 2);
+}
+
+// ─── Runs and Paragraphs ────────────────────────────────────
+
+function run(text, { bold, size } = {}) {
+  const props = `${bold ? '<w:b/>' : ''}${size ? `<w:sz w:val="${halfPoints(size)}"/><w:szCs w:val="${halfPoints(size)}"/>` : ''}`;
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xml(text)}</w:t></w:r>`;
+}
+
+// Inline runs from lib/layout.js ([{ text, bold }])
+function runs(list, options = {}) {
+  return list.map(r => run(r.text, { ...options, bold: options.bold || r.bold })).join('');
+}
+
+function paragraph(content, props = '') {
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+function style(id) {
+  return `<w:pStyle w:val="${id}"/>`;
+}
+
+function numbering(numId, level = 0) {
+  return `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`;
+}
+
+// A table with a bold header row repeated on each page; widths in twips
+function table(widths, rows, { header = true } = {}) {
+  const grid = widths.map(w => `<w:gridCol w:w="${w}"/>`).join('');
+  const body = rows.map((cells, r) => {
+    const rowProps = r === 0 && header ? '<w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>' : '<w:trPr><w:cantSplit/></w:trPr>';
+    return `<w:tr>${rowProps}${cells.map((cell, c) => {
+      const props = `<w:tcW w:w="${widths[c]}" w:type="dxa"/>${cell.fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${cell.fill}"/>` : ''}`;
+      return `<w:tc><w:tcPr>${props}</w:tcPr>${cell.content || paragraph('', '<w:spacing w:after="0"/>')}</w:tc>`;
+    }).join('')}</w:tr>`;
+  }).join('');
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${widths.reduce((a, b) => a + b, 0)}" w:type="dxa"/><w:tblLayout w:type="fixed"/><w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="1" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${body}</w:tbl>${paragraph('', '<w:spacing w:after="0"/>')}`;
+}
+
+function cellText(content, { bold, align, size } = {}) {
+  return paragraph(content.map(c => (typeof c === 'string' ? run(c, { bold, size }) : runs(c, { bold, size }))).join(''), `<w:spacing w:before="40" w:after="40"/>${align ? `<w:jc w:val="${align}"/>` : ''}`);
+}
+
+// ─── Body ───────────────────────────────────────────────────
+
+// Builds the body, handing out list numbering as it goes: numIds are assigned
+// from `first`, so they can follow a template's own
+function createBody(f, first) {
+  const lists = [];
+  const newList = kind => {
+    lists.push(kind);
+    return first + lists.length - 1;
+  };
+  const headingList = newList('heading');
+  const bulletList = newList('bullet');
+  const contentWidth = twips(f.contentWidth);
+
+  // Markdown in the shape lib/layout.js parses it; headings sit under the part's
+  function markdown(text) {
+    const out = [];
+    let numbered = null;
+    for (const block of parseBlocks(text)) {
+      if (block.type !== 'item') numbered = null;
+      if (block.type === 'heading') {
+        out.push(paragraph(runs(block.runs), style(`Heading${Math.min(block.level + 1, 3)}`)));
+      } else if (block.type === 'paragraph') {
+        out.push(paragraph(block.lines.map(line => runs(line)).join('<w:br/>')));
+      } else if (block.type === 'item') {
+        const isNumbered = /^\d/.test(block.marker);
+        if (isNumbered && numbered === null) numbered = newList('decimal');
+        const level = Math.min(block.depth, 2);
+        out.push(paragraph(runs(block.runs), style('ListParagraph') + numbering(isNumbered ? numbered : bulletList, level)));
+      } else if (block.type === 'table') {
+        const columns = Math.max(...block.rows.map(r => r.length));
+        const widths = Array.from({ length: columns }, () => Math.floor(contentWidth / columns));
+        out.push(table(widths, block.rows.map((row, r) => Array.from({ length: columns }, (_, c) => ({ content: cellText([row[c] || []], { bold: r === 0 }) })))));
+      }
+    }
+    return out.join('');
+  }
+
+  function budget(part) {
+    const amount = Math.round(contentWidth * 0.3);
+    const rows = [
+      [{ content: cellText(['Item'], { bold: true }) }, { content: cellText(['Amount'], { bold: true, align: 'right' }) }],
+      ...part.rows.map(r => [{ content: cellText([r.cells[0]], { bold: r.bold }) }, { content: cellText([r.cells[1]], { bold: r.bold, align: 'right' }) }])
+    ];
+    return table([contentWidth - amount, amount], rows);
+  }
+
+  // A column per month (or per quarter on long projects), shaded while a work package runs
+  function gantt(part) {
+    const perColumn = part.months > GANTT_MAX_MONTH_COLUMNS ? 3 : 1;
+    const columns = Math.ceil(part.months / perColumn);
+    const labelWidth = Math.round(contentWidth * 0.3);
+    const columnWidth = Math.floor((contentWidth - labelWidth) / columns);
+    const small = Math.max(6, Math.min(f.fontSize * 0.7, 9));
+    const header = [
+      { content: cellText(['Work package'], { bold: true }) },
+      ...Array.from({ length: columns }, (_, c) => ({ content: cellText([perColumn === 1 ? String(c + 1) : `Q${c + 1}`], { bold: true, align: 'center', size: small }) }))
+    ];
+    const rows = part.workPackages.map((wp, i) => {
+      const start = Math.min(Math.max(Number(wp.start) || 1, 1), part.months);
+      const end = Math.min(Math.max(Number(wp.end) || start, start), part.months);
+      const label = cellText([wp.name || `WP${i + 1}`], { bold: true }) +
+        cellText([`M${start}–M${end}`], { size: small }) +
+        (wp.deliverable ? cellText([`Deliverable: ${wp.deliverable}`], { size: small }) : '');
+      return [
+        { content: label },
+        ...Array.from({ length: columns }, (_, c) => {
+          const from = c * perColumn + 1;
+          const to = from + perColumn - 1;
+          return { fill: from <= end && to >= start ? GANTT_FILL : null };
+        })
+      ];
+    });
+    return table([labelWidth, ...Array(columns).fill(columnWidth)], [header, ...rows]);
+  }
+
+  function references(part) {
+    const list = newList('decimal');
+    return part.references.map(r => paragraph(run(r), style('ListParagraph') + numbering(list))).join('');
+  }
+
+  function titlePage(doc) {
+    const out = [paragraph(run(doc.title), `${style('Title')}<w:spacing w:before="${twips(f.contentHeight * 0.25)}"/>`)];
+    for (const [label, value] of doc.details) out.push(paragraph(run(`${label}: `, { bold: true }) + run(value), '<w:jc w:val="center"/>'));
+    const date = new Date(`${doc.date}T00:00:00Z`).toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    out.push(paragraph(run(date), '<w:spacing w:before="480"/><w:jc w:val="center"/>'));
+    return out.join('');
+  }
+
+  function part(p) {
+    const heading = paragraph(run(p.title), `${style('Heading1')}<w:pageBreakBefore/>${numbering(headingList)}`);
+    if (p.kind === 'section') return heading + markdown(p.markdown);
+    if (p.kind === 'budget') return heading + budget(p);
+    if (p.kind === 'workPlan') return heading + gantt(p);
+    if (p.kind === 'references') return heading + references(p);
+    return heading;
+  }
+
+  return { titlePage, part, lists };
+}
+
+// ─── Package Parts ──────────────────────────────────────────
+
+function stylesXml(f) {
+  const font = xml(f.font);
+  return `${XML_HEADER}<w:styles xmlns:w="${NS.w}">` +
+    `<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/><w:sz w:val="${halfPoints(f.fontSize)}"/><w:szCs w:val="${halfPoints(f.fontSize)}"/><w:lang w:val="en-GB"/></w:rPr></w:rPrDefault>` +
+    `<w:pPrDefault><w:pPr><w:spacing w:after="${twips(f.paragraphSpacing)}" w:line="${Math.round(240 * f.lineSpacing)}" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>` +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:uiPriority w:val="99"/><w:semiHidden/><w:unhideWhenUsed/><w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+    Object.values(addedStyles(f)).join('') +
+    '</w:styles>';
+}
+
+// The styles the document uses, by id
+function addedStyles(f) {
+  const heading = (level, scale, before) => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${twips(before)}" w:after="${twips(4)}"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/><w:bCs/><w:sz w:val="${halfPoints(f.fontSize * scale)}"/><w:szCs w:val="${halfPoints(f.fontSize * scale)}"/></w:rPr></w:style>`;
+  const small = halfPoints(Math.max(8, f.fontSize * 0.8));
+  const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`;
+  return {
+    Title: `<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="10"/><w:qFormat/><w:pPr><w:spacing w:after="${twips(f.fontSize * 2)}"/><w:jc w:val="center"/></w:pPr><w:rPr><w:b/><w:bCs/><w:sz w:val="${halfPoints(f.fontSize * 2)}"/><w:szCs w:val="${halfPoints(f.fontSize * 2)}"/></w:rPr></w:style>`,
+    Heading1: heading(1, 1.3, 12),
+    Heading2: heading(2, 1.15, 10),
+    Heading3: heading(3, 1, 8),
+    ListParagraph: '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="34"/><w:qFormat/><w:pPr><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style>',
+    TableGrid: `<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/><w:uiPriority w:val="39"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr></w:style>`,
+    Header: `<w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/><w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="595959"/><w:sz w:val="${small}"/><w:szCs w:val="${small}"/></w:rPr></w:style>`,
+    Footer: `<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/><w:pPr><w:spacing w:after="0"/><w:jc w:val="center"/></w:pPr><w:rPr><w:color w:val="595959"/><w:sz w:val="${small}"/><w:szCs w:val="${small}"/></w:rPr></w:style>`
+  };
+}
+
+// One abstract numbering per kind of list, and an instance per list so numbered lists restart
+function numberingDefinitions(lists, firstNumId, firstAbstractId) {
+  const level = (ilvl, format, text, left, hanging) => `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${left}" w:hanging="${hanging}"/></w:pPr></w:lvl>`;
+  const kinds = {
+    heading: `<w:multiLevelType w:val="singleLevel"/>${level(0, 'decimal', '%1.', 432, 432)}`,
+    bullet: `<w:multiLevelType w:val="hybridMultilevel"/>${['•', '◦', '▪'].map((b, i) => level(i, 'bullet', b, 720 * (i + 1), 360)).join('')}`,
+    decimal: `<w:multiLevelType w:val="hybridMultilevel"/>${[['decimal', '%1.'], ['lowerLetter', '%2)'], ['lowerRoman', '%3.']].map(([format, text], i) => level(i, format, text, 720 * (i + 1), 360)).join('')}`
+  };
+  const abstractIds = {};
+  const abstracts = Object.entries(kinds).map(([kind, body], i) => {
+    abstractIds[kind] = firstAbstractId + i;
+    return `<w:abstractNum w:abstractNumId="${abstractIds[kind]}">${body}</w:abstractNum>`;
+  }).join('');
+  const nums = lists.map((kind, i) => `<w:num w:numId="${firstNumId + i}"><w:abstractNumId w:val="${abstractIds[kind]}"/>${kind === 'decimal' ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : ''}</w:num>`).join('');
+  return { abstracts, nums };
+}
+
+function headerXml(title) {
+  return `${XML_HEADER}<w:hdr xmlns:w="${NS.w}" xmlns:r="${NS.r}">${paragraph(run(title), style('Header'))}</w:hdr>`;
+}
+
+function footerXml() {
+  const field = code => `<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> ${code} </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>`;
+  return `${XML_HEADER}<w:ftr xmlns:w="${NS.w}" xmlns:r="${NS.r}">${paragraph(`${run('Page ')}${field('PAGE')}${run(' of ')}${field('NUMPAGES')}`, style('Footer'))}</w:ftr>`;
+}
+
+function coreXml(doc) {
+  const author = (doc.details.find(([label]) => label === 'Principal Investigator') || [])[1];
+  const date = `${doc.date}T00:00:00Z`;
+  return `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+    `<dc:title>${xml(doc.title)}</dc:title>${author ? `<dc:creator>${xml(author)}</dc:creator>` : ''}` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${date}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${date}</dcterms:modified></cp:coreProperties>`;
+}
+
+function appXml() {
+  return `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>BidWriter</Application></Properties>`;
+}
+
+function sectionXml(f, { header, footer }) {
+  const paper = `<w:pgSz w:w="${twips(f.pageWidth)}" w:h="${twips(f.pageHeight)}"/>`;
+  const margins = `<w:pgMar w:top="${twips(f.margins.top)}" w:right="${twips(f.margins.right)}" w:bottom="${twips(f.margins.bottom)}" w:left="${twips(f.margins.left)}" w:header="${twips(f.margins.top / 2)}" w:footer="${twips(f.margins.bottom / 2)}" w:gutter="0"/>`;
+  return `<w:sectPr><w:headerReference w:type="default" r:id="${header}"/><w:footerReference w:type="default" r:id="${footer}"/>${paper}${margins}<w:titlePg/></w:sectPr>`;
+}
+
+function relationshipsXml(rels) {
+  return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.map(r => `<Relationship Id="${r.id}" Type="${REL}/${r.type}" Target="${r.target}"/>`).join('')}</Relationships>`;
+}
+
+const PACKAGE_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/>` +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+  `<Relationship Id="rId3" Type="${REL}/extended-properties" Target="docProps/app.xml"/></Relationships>`;
+
+// Content size in points from a template's section properties
+function templatePage(sectPr) {
+  const attribute = (element, name) => {
+    const tag = (sectPr || '').match(new RegExp(`<w:${element}\\b[^>]*>`));
+    const value = tag && tag[0].match(new RegExp(`w:${name}="(\\d+)"`));
+    return value ? Number(value[1]) / TWIPS_PER_POINT : null;
+  };
+  const [width, height] = [attribute('pgSz', 'w'), attribute('pgSz', 'h')];
+  if (!width || !height) return null;
+  const [top, right, bottom, left] = ['top', 'right', 'bottom', 'left'].map(side => attribute('pgMar', side) || 0);
+  return { contentWidth: width - left - right, contentHeight: height - top - bottom };
+}
+
+function addOverride(types, part, type) {
+  if (types.includes(`PartName="${part}"`)) return types;
+  return types.replace('</Types>', `<Override PartName="${part}" ContentType="${type}"/></Types>`);
+}
+
+// ─── Document ───────────────────────────────────────────────
+
+/**
+ * Whether a file can be used as a Word template: a .docx or .dotx with styles
+ */
+function isWordTemplate(buffer) {
+  const names = (listEntries(buffer) || []).map(e => e.name);
+  return names.includes('word/document.xml') && names.includes('word/styles.xml') && names.includes('[Content_Types].xml');
+}
+
+/**
+ * Write an exported proposal as a Word document
+ * @param {Object} doc - exportDocument() result
+ * @param {Object} options - { template }: a funder's Word template (.docx), whose
+ *   styles and page setup the document starts from
+ * @returns {Buffer} the .docx file
+ */
+function generateDOCX(doc, { template } = {}) {
+  const f = resolveFormatting(doc.formatting);
+  const base = template && isWordTemplate(template) ? template : null;
+  const read = name => {
+    const data = base && readEntry(base, name);
+    return data ? data.toString('utf8') : null;
+  };
+
+  // Numbering ids follow the template's own
+  const templateNumbering = read('word/numbering.xml');
+  const maxId = (text, attribute) => Math.max(0, ...[...(text || '').matchAll(new RegExp(`w:${attribute}="(\\d+)"`, 'g'))].map(m => Number(m[1])));
+
+  // The template's page setup, which tables are sized to
+  let root = `<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}">`;
+  let sectPr = null;
+  let page = f;
+  if (base) {
+    const templateDocument = read('word/document.xml');
+    const rootTag = templateDocument.match(/<w:document\b[^>]*>/);
+    if (rootTag && rootTag[0].includes(NS.r)) root = rootTag[0];
+    // The body's own section properties are its last child; earlier ones end sections within it
+    const section = templateDocument.slice(templateDocument.lastIndexOf('<w:sectPr')).match(/^<w:sectPr\b[\s\S]*?<\/w:sectPr>(?=\s*<\/w:body>)/);
+    sectPr = section ? section[0] : null;
+    page = { ...f, ...templatePage(sectPr) };
+  }
+
+  const body = createBody(page, maxId(templateNumbering, 'numId') + 1);
+  const content = body.titlePage(doc) + doc.parts.map(body.part).join('');
+  const { abstracts, nums } = numberingDefinitions(body.lists, maxId(templateNumbering, 'numId') + 1, maxId(templateNumbering, 'abstractNumId') + 1);
+
+  const files = {};
+  let types;
+  let rels;
+
+  if (base) {
+    for (const { name } of listEntries(base)) {
+      if (!name.endsWith('/')) files[name] = readEntry(base, name);
+    }
+    types = read('[Content_Types].xml').replace(CONTENT_TYPE.template, CONTENT_TYPE.document);
+    rels = read('word/_rels/document.xml.rels') || relationshipsXml([]);
+
+    // Styles the template lacks
+    const styles = read('word/styles.xml');
+    const missing = Object.entries(addedStyles(f)).filter(([id]) => !styles.includes(`w:styleId="${id}"`)).map(([, definition]) => definition);
+    files['word/styles.xml'] = styles.replace('</w:styles>', `${missing.join('')}</w:styles>`);
+
+    if (templateNumbering) {
+      const firstNum = templateNumbering.search(/<w:num[\s>]/);
+      const withAbstracts = firstNum === -1 ? templateNumbering.replace('</w:numbering>', `${abstracts}</w:numbering>`) : templateNumbering.slice(0, firstNum) + abstracts + templateNumbering.slice(firstNum);
+      files['word/numbering.xml'] = withAbstracts.replace('</w:numbering>', `${nums}</w:numbering>`);
+    }
+  } else {
+    types = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/></Types>`;
+    rels = relationshipsXml([
+      { id: 'rId1', type: 'styles', target: 'styles.xml' },
+      { id: 'rId2', type: 'settings', target: 'settings.xml' }
+    ]);
+    files['word/styles.xml'] = stylesXml(f);
+    files['word/settings.xml'] = `${XML_HEADER}<w:settings xmlns:w="${NS.w}"><w:defaultTabStop w:val="720"/><w:characterSpacingControl w:val="doNotCompress"/><w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat></w:settings>`;
+    types = addOverride(types, '/word/settings.xml', CONTENT_TYPE.settings);
+  }
+
+  const addRel = (id, type, target) => { rels = rels.replace('</Relationships>', `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/></Relationships>`); };
+  if (!files['word/numbering.xml']) {
+    files['word/numbering.xml'] = `${XML_HEADER}<w:numbering xmlns:w="${NS.w}">${abstracts}${nums}</w:numbering>`;
+    addRel('bwNumbering', 'numbering', 'numbering.xml');
+  }
+
+  // The template's page setup and headers if it has them, else the scheme's and ours
+  const hasHeaders = sectPr && /<w:(header|footer)Reference\b/.test(sectPr);
+  if (!hasHeaders) {
+    files['word/bidwriter-header.xml'] = headerXml(doc.title);
+    files['word/bidwriter-footer.xml'] = footerXml();
+    addRel('bwHeader', 'header', 'bidwriter-header.xml');
+    addRel('bwFooter', 'footer', 'bidwriter-footer.xml');
+    types = addOverride(types, '/word/bidwriter-header.xml', CONTENT_TYPE.header);
+    types = addOverride(types, '/word/bidwriter-footer.xml', CONTENT_TYPE.footer);
+    sectPr = sectPr
+      ? sectPr.replace(/<w:sectPr\b[^>]*>/, open => `${open}<w:headerReference w:type="default" r:id="bwHeader"/><w:footerReference w:type="default" r:id="bwFooter"/>`).replace(/<w:titlePg\s*\/>/, '').replace('</w:sectPr>', '<w:titlePg/></w:sectPr>')
+      : sectionXml(f, { header: 'bwHeader', footer: 'bwFooter' });
+  }
+
+  files['word/document.xml'] = `${XML_HEADER}${root}<w:body>${content}${sectPr}</w:body></w:document>`;
+  files['word/_rels/document.xml.rels'] = rels;
+  files['_rels/.rels'] = PACKAGE_RELS;
+  files['docProps/core.xml'] = coreXml(doc);
+  files['docProps/app.xml'] = appXml();
+  types = addOverride(types, '/word/document.xml', CONTENT_TYPE.document);
+  types = addOverride(types, '/word/styles.xml', CONTENT_TYPE.styles);
+  types = addOverride(types, '/word/numbering.xml', CONTENT_TYPE.numbering);
+  types = addOverride(types, '/docProps/core.xml', CONTENT_TYPE.core);
+  types = addOverride(types, '/docProps/app.xml', CONTENT_TYPE.app);
+  files['[Content_Types].xml'] = types;
+
+  // [Content_Types].xml first, as some readers expect
+  const names = ['[Content_Types].xml', ...Object.keys(files).filter(n => n !== '[Content_Types].xml').sort()];
+  return writeZip(names.map(name => ({ name, data: files[name] })), { date: new Date(`${doc.date}T00:00:00Z`) });
+}
+
+module.exports = { generateDOCX, isWordTemplate };
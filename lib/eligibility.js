@@ -0,0 +1,180 @@
+/**
+ * Eligibility Rules
+ * Machine-checkable eligibility for a scheme (`eligibilityRules` in a funder
+ * template), checked against the applicant facts recorded on a proposal
+ * (`proposal.applicant`). The scheme's free-text `eligibility` stays as the
+ * description shown to people.
+ *
+ *   "eligibilityRules": {
+ *     "yearsSincePhd": { "max": 5 },          // PhD awarded at most 5 years before the deadline
+ *     "yearsSinceAppointment": { "max": 5 },  // first academic appointment, likewise
+ *     "careerStages": ["early"],
+ *     "institutionCountries": ["GB"],         // ISO 3166 country codes
+ *     "contractCoversProject": true,          // employed until the project ends
+ *     "businessPartnerRequired": true
+ *   }
+ *
+ * Every rule given must pass, except that yearsSincePhd and
+ * yearsSinceAppointment together pass if either does ("within 5 years of PhD
+ * or first academic appointment"). Years are counted to the proposal's
+ * deadline, or to today when it has none.
+ */
+
+const CAREER_STAGES = [
+  { id: 'phd', label: 'PhD student' },
+  { id: 'early', label: 'Early career (postdoc, up to ~8 years after PhD)' },
+  { id: 'mid', label: 'Mid career' },
+  { id: 'established', label: 'Established' }
+];
+
+// What a proposal records about its applicant (proposal.applicant)
+const APPLICANT_FIELDS = {
+  careerStage: 'Career stage',
+  phdDate: 'Date PhD awarded',
+  appointmentDate: 'First academic appointment',
+  institutionCountry: 'Institution country',
+  contractEnd: 'Contract end date',
+  permanentContract: 'Permanent contract',
+  businessPartner: 'Business partner'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+}
+
+function yearsBetween(from, to) {
+  return (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (365.25 * DAY_MS);
+}
+
+function addMonths(date, months) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 10);
+}
+
+function stageLabel(id) {
+  const stage = CAREER_STAGES.find(s => s.id === id);
+  return stage ? stage.label.split(' (')[0].toLowerCase() : id;
+}
+
+function rangeText({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}–${max} years`;
+  return max !== undefined ? `at most ${max} years` : `at least ${min} years`;
+}
+
+function inRange(years, { min, max }) {
+  return (min === undefined || years >= min) && (max === undefined || years <= max);
+}
+
+// "Date PhD awarded" → "date PhD awarded" mid-sentence
+function fieldName(field) {
+  const label = APPLICANT_FIELDS[field];
+  return label[0].toLowerCase() + label.slice(1);
+}
+
+function missing(check, field) {
+  return {
+    check,
+    status: 'warn',
+    message: `${APPLICANT_FIELDS[field]} is not recorded, so this rule cannot be checked.`,
+    advice: `Add the ${fieldName(field)} under Applicant on the Overview tab.`
+  };
+}
+
+// yearsSincePhd and yearsSinceAppointment as one result; either may pass
+function experienceCheck(rules, applicant, asOf) {
+  const options = [
+    rules.yearsSincePhd && { range: rules.yearsSincePhd, field: 'phdDate', what: 'PhD' },
+    rules.yearsSinceAppointment && { range: rules.yearsSinceAppointment, field: 'appointmentDate', what: 'first academic appointment' }
+  ].filter(Boolean);
+  const rule = options.length === 2 && rangeText(options[0].range) === rangeText(options[1].range)
+    ? `${rangeText(options[0].range)} since ${options.map(o => o.what).join(' or ')}`
+    : options.map(o => `${rangeText(o.range)} since ${o.what}`).join(' or ');
+  const known = options.filter(o => isDate(applicant[o.field]));
+  if (!known.length) return { ...missing('Eligibility: Experience', options[0].field), message: `Needs ${rule}, but no ${options.map(o => fieldName(o.field)).join(' or ')} is recorded.` };
+  const passing = known.find(o => inRange(yearsBetween(applicant[o.field], asOf), o.range));
+  const describe = o => `${yearsBetween(applicant[o.field], asOf).toFixed(1)} years since ${o.what}`;
+  if (passing) return { check: 'Eligibility: Experience', status: 'pass', message: `${describe(passing)} (needs ${rule}).` };
+  // An unrecorded alternative might still pass
+  if (known.length < options.length) {
+    const other = options.find(o => !known.includes(o));
+    return { ...missing('Eligibility: Experience', other.field), message: `${describe(known[0])}, outside ${rule}; the ${fieldName(other.field)} is not recorded.` };
+  }
+  return {
+    check: 'Eligibility: Experience',
+    status: 'fail',
+    message: `${known.map(describe).join(' and ')}; the scheme needs ${rule}.`,
+    advice: 'Check whether career breaks count towards the limit, or consider another scheme.'
+  };
+}
+
+/**
+ * Check a scheme's eligibility rules against a proposal's applicant facts
+ * @param {Object} rules - scheme.eligibilityRules
+ * @param {Object} applicant - proposal.applicant
+ * @param {Object} project - { startDate, duration (months), deadline } for contract
+ *   and experience checks; today stands in for a missing deadline
+ * @returns {Array} compliance results [{ check, status: pass|warn|fail, message, advice }];
+ *   a fact that is not recorded gives a warning
+ */
+function checkEligibility(rules, applicant = {}, { startDate, duration, deadline, today = new Date().toISOString().slice(0, 10) } = {}) {
+  const results = [];
+  applicant = applicant || {};
+  const asOf = isDate(deadline) ? deadline : today;
+
+  if (rules.yearsSincePhd || rules.yearsSinceAppointment) {
+    results.push(experienceCheck(rules, applicant, asOf));
+  }
+
+  if (rules.careerStages) {
+    const open = rules.careerStages.map(stageLabel).join(' or ');
+    if (!applicant.careerStage) results.push(missing('Eligibility: Career Stage', 'careerStage'));
+    else if (rules.careerStages.includes(applicant.careerStage)) results.push({ check: 'Eligibility: Career Stage', status: 'pass', message: `Open to ${open}.` });
+    else results.push({ check: 'Eligibility: Career Stage', status: 'fail', message: `Open to ${open}, not ${stageLabel(applicant.careerStage)}.`, advice: 'Look for a scheme aimed at your career stage.' });
+  }
+
+  if (rules.institutionCountries) {
+    const countries = rules.institutionCountries.join(', ');
+    const country = String(applicant.institutionCountry || '').trim().toUpperCase();
+    if (!country) results.push(missing('Eligibility: Institution', 'institutionCountry'));
+    else if (rules.institutionCountries.includes(country)) results.push({ check: 'Eligibility: Institution', status: 'pass', message: `Institution in ${country} (open to ${countries}).` });
+    else results.push({ check: 'Eligibility: Institution', status: 'fail', message: `Open to institutions in ${countries}, not ${country}.`, advice: 'Apply through a partner at an eligible institution.' });
+  }
+
+  if (rules.contractCoversProject) {
+    const end = isDate(startDate) && Number(duration) > 0 ? addMonths(startDate, Number(duration)) : null;
+    if (applicant.permanentContract) results.push({ check: 'Eligibility: Contract', status: 'pass', message: 'Permanent contract covers the project.' });
+    else if (!isDate(applicant.contractEnd)) results.push(missing('Eligibility: Contract', 'contractEnd'));
+    else if (!end) results.push({ check: 'Eligibility: Contract', status: 'warn', message: 'The project has no start date and duration, so its end cannot be checked against your contract.', advice: 'Set the start date and duration on the Overview tab.' });
+    else if (applicant.contractEnd >= end) results.push({ check: 'Eligibility: Contract', status: 'pass', message: `Contract runs to ${applicant.contractEnd}, past the project end (${end}).` });
+    else results.push({ check: 'Eligibility: Contract', status: 'fail', message: `Contract ends ${applicant.contractEnd}, before the project ends (${end}).`, advice: 'Ask your institution to confirm an extension for the life of the grant.' });
+  }
+
+  if (rules.businessPartnerRequired) {
+    const partner = String(applicant.businessPartner || '').trim();
+    results.push(partner
+      ? { check: 'Eligibility: Business Partner', status: 'pass', message: `Business partner: ${partner}.` }
+      : { check: 'Eligibility: Business Partner', status: 'fail', message: 'This scheme needs a business partner, and none is recorded.', advice: 'Name the partner under Applicant on the Overview tab.' });
+  }
+
+  return results;
+}
+
+/**
+ * Inconsistencies in a scheme's rules that the schema cannot express
+ * @returns {Array} [{ path, message }], paths relative to the rules
+ */
+function lintRules(rules) {
+  const errors = [];
+  for (const field of ['yearsSincePhd', 'yearsSinceAppointment']) {
+    const range = rules[field];
+    if (range && range.min !== undefined && range.max !== undefined && range.min > range.max) {
+      errors.push({ path: `${field}.min`, message: `(${range.min}) is more than max (${range.max})` });
+    }
+  }
+  return errors;
+}
+
+module.exports = { CAREER_STAGES, APPLICANT_FIELDS, checkEligibility, lintRules };
@@ -0,0 +1,103 @@
+/**
+ * Font Metrics
+ * Character widths and line heights for the fonts funders ask for, so text can
+ * be measured without a browser or word processor. Widths are the Adobe AFM
+ * metrics of the standard PDF fonts (Helvetica, Times, Courier) in 1/1000 em;
+ * Arial and Times New Roman share their widths with Helvetica and Times.
+ * Calibri and Georgia have no standard metrics here and are approximated from
+ * Helvetica and Times, scaled to their average width.
+ *
+ * Line heights are what Word and LibreOffice use for single spacing (the
+ * font's ascent + descent + line gap), in em.
+ * Shared by the server (require) and the browser (served as /js/fonts.js).
+ */
+
+(function (exports) {
+  // Widths of ASCII 32 (space) to 126 (~)
+  function widthTable(list) {
+    const widths = {};
+    list.split(' ').forEach((w, i) => { widths[String.fromCharCode(32 + i)] = Number(w); });
+    return widths;
+  }
+
+  const WIDTHS = {
+    Helvetica: widthTable('278 278 355 556 556 889 667 191 333 333 389 584 278 333 278 278 556 556 556 556 556 556 556 556 556 556 278 278 584 584 584 556 1015 667 667 722 722 667 611 778 722 278 500 667 556 833 722 778 667 778 722 667 611 722 667 944 667 667 611 278 278 278 469 556 333 556 556 500 556 556 278 556 556 222 222 500 222 833 556 556 556 556 333 500 278 556 500 722 500 500 500 334 260 334 584'),
+    'Helvetica-Bold': widthTable('278 333 474 556 556 889 722 238 333 333 389 584 278 333 278 278 556 556 556 556 556 556 556 556 556 556 333 333 584 584 584 611 975 722 722 722 722 667 611 778 722 278 556 722 611 833 722 778 667 778 722 667 611 722 667 944 667 667 611 333 278 333 584 556 333 556 611 556 611 556 333 611 611 278 278 556 278 889 611 611 611 611 389 556 333 611 556 778 556 556 500 389 280 389 584'),
+    'Times-Roman': widthTable('250 333 408 500 500 833 778 180 333 333 500 564 250 333 250 278 500 500 500 500 500 500 500 500 500 500 278 278 564 564 564 444 921 722 667 667 722 611 556 722 722 333 389 722 611 889 722 722 556 722 667 556 611 722 722 944 722 722 611 333 278 333 469 500 333 444 500 444 500 444 333 500 500 278 278 500 278 778 500 500 500 500 333 389 278 500 500 722 500 500 444 480 200 480 541'),
+    'Times-Bold': widthTable('250 333 555 500 500 1000 833 278 333 333 500 570 250 333 250 278 500 500 500 500 500 500 500 500 500 500 333 333 570 570 570 500 930 722 667 722 722 667 611 778 778 389 500 778 667 944 722 778 611 778 722 556 667 722 722 1000 722 722 667 333 278 333 581 500 333 500 556 444 556 444 333 500 556 278 333 556 278 833 556 500 556 556 444 389 333 556 500 722 500 500 444 394 220 394 520')
+  };
+
+  // Common characters outside ASCII, by metrics family: [regular, bold]
+  const EXTRA_WIDTHS = {
+    Helvetica: { '‘': [222, 278], '’': [222, 278], '“': [333, 500], '”': [333, 500], '–': [556, 556], '—': [1000, 1000], '•': [350, 350], '…': [1000, 1000], '£': [556, 556], '€': [556, 556], '°': [400, 400], '±': [584, 584], '×': [584, 584], 'µ': [556, 611] },
+    Times: { '‘': [333, 333], '’': [333, 333], '“': [444, 500], '”': [444, 500], '–': [500, 500], '—': [1000, 1000], '•': [350, 350], '…': [1000, 1000], '£': [500, 500], '€': [500, 500], '°': [400, 400], '±': [564, 570], '×': [564, 570], 'µ': [500, 556] }
+  };
+
+  /**
+   * Fonts a funder template may name. metrics is the standard font whose widths
+   * are used, scaled by widthScale; lineHeight is single spacing in em.
+   */
+  const FONTS = {
+    'Arial': { metrics: 'Helvetica', widthScale: 1, lineHeight: 1.15 },
+    'Helvetica': { metrics: 'Helvetica', widthScale: 1, lineHeight: 1.15 },
+    'Calibri': { metrics: 'Helvetica', widthScale: 0.89, lineHeight: 1.22 },
+    'Times New Roman': { metrics: 'Times', widthScale: 1, lineHeight: 1.15 },
+    'Times': { metrics: 'Times', widthScale: 1, lineHeight: 1.15 },
+    'Georgia': { metrics: 'Times', widthScale: 1.1, lineHeight: 1.14 },
+    'Courier New': { metrics: 'Courier', widthScale: 1, lineHeight: 1.13 }
+  };
+
+  // The standard PDF font for a metrics family, regular or bold
+  function baseFont(metrics, bold) {
+    if (metrics === 'Times') return bold ? 'Times-Bold' : 'Times-Roman';
+    if (metrics === 'Courier') return bold ? 'Courier-Bold' : 'Courier';
+    return bold ? 'Helvetica-Bold' : 'Helvetica';
+  }
+
+  function fontInfo(font) {
+    return FONTS[font] || FONTS.Arial;
+  }
+
+  // Width of one character in 1/1000 em
+  function charWidth(metrics, bold, ch) {
+    if (metrics === 'Courier') return 600;
+    const table = WIDTHS[baseFont(metrics, bold)];
+    if (table[ch] !== undefined) return table[ch];
+    const extra = EXTRA_WIDTHS[metrics][ch];
+    if (extra) return extra[bold ? 1 : 0];
+    // Accented letters measure as their base letter
+    const base = ch.normalize('NFD')[0];
+    if (base !== ch && table[base] !== undefined) return table[base];
+    return table.n;
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text
+   * @param {string} font - a name from FONTS; unknown fonts measure as Arial
+   * @param {number} size - points
+   * @param {boolean} bold
+   */
+  function textWidth(text, font, size, bold = false) {
+    const { metrics, widthScale } = fontInfo(font);
+    let units = 0;
+    for (const ch of String(text)) units += charWidth(metrics, bold, ch);
+    return units * widthScale * size / 1000;
+  }
+
+  /**
+   * Height of one line of single-spaced text in points
+   */
+  function lineHeight(font, size) {
+    return fontInfo(font).lineHeight * size;
+  }
+
+  /**
+   * The standard PDF font that stands in for a font, e.g. Arial → Helvetica-Bold
+   */
+  function pdfFont(font, bold = false) {
+    return baseFont(fontInfo(font).metrics, bold);
+  }
+
+  Object.assign(exports, { FONTS, textWidth, lineHeight, pdfFont });
+})(typeof module !== 'undefined' ? module.exports : (window.Fonts = {}));
@@ -0,0 +1,351 @@
+/**
+ * Funder Template Editing
+ * Validation of funder templates against data/funder.schema.json plus the
+ * consistency checks a schema cannot express, the versions of a funder's
+ * rules by call year, and the edit history kept when the research office
+ * changes a template in the app.
+ *
+ * A template's `schemes` are its current rules, described by `version`
+ * ({ id, label, effectiveFrom, effectiveTo }). When a funder changes its
+ * rules for a new call, the old schemes move to `previousVersions` (newest
+ * first) with their own version details. Proposals pin the version they were
+ * started under (`funderVersion`) and are checked against it until someone
+ * moves them on; proposals without a pin follow the version in effect on the
+ * day they were created.
+ *
+ * Templates stay as files in data/funders so they can still be edited by
+ * hand and kept under version control. Each change made through the API is
+ * recorded as a history entry holding the whole template as it was saved,
+ * so any earlier state can be restored. The first change to a template also
+ * records the file as it was before, and the history outlives a deleted
+ * template so it can be brought back.
+ */
+
+const crypto = require('crypto');
+const { validate, formatErrors } = require('./json-schema');
+const { lintRules } = require('./eligibility');
+const { resolveFormatting } = require('./layout');
+const { lintRule } = require('./compliance-rules');
+const SCHEMA = require('../data/funder.schema.json');
+
+// Who changed a template and how
+const HISTORY_ACTIONS = ['original', 'created', 'updated', 'deleted', 'reverted'];
+
+// What each cost model takes its rate from (see lib/budget-calc.js)
+const COST_MODEL_RATES = { fEC: 'fecRate', full: null, custom: 'customRate' };
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function isRealDate(value) {
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+function lintComplianceRules(rules, at, errors) {
+  if (!Array.isArray(rules)) return;
+  rules.forEach((rule, j) => {
+    if (!rule || typeof rule !== 'object') return;
+    for (const e of lintRule(rule)) errors.push({ path: `${at}[${j}].${e.path}`, message: e.message });
+  });
+}
+
+/**
+ * Problems in one scheme that the schema cannot see
+ */
+function lintScheme(scheme, at, errors, warnings) {
+  if (scheme.minAmount > scheme.maxAmount) {
+    errors.push({ path: `${at}.minAmount`, message: `(${scheme.minAmount}) is more than maxAmount (${scheme.maxAmount})` });
+  }
+  if (scheme.minDuration > scheme.maxDuration) {
+    errors.push({ path: `${at}.minDuration`, message: `(${scheme.minDuration}) is more than maxDuration (${scheme.maxDuration})` });
+  }
+  if (scheme.eligibilityRules && typeof scheme.eligibilityRules === 'object') {
+    for (const e of lintRules(scheme.eligibilityRules)) errors.push({ path: `${at}.eligibilityRules.${e.path}`, message: e.message });
+  }
+
+  // A rate the scheme's cost model does not use is ignored when budgeting
+  const model = scheme.costModel;
+  if (model === undefined) {
+    warnings.push({ path: `${at}.costModel`, message: 'is not set, so budgets default to fEC at 80%' });
+  } else if (model in COST_MODEL_RATES) {
+    for (const rate of ['fecRate', 'customRate']) {
+      if (scheme[rate] !== undefined && COST_MODEL_RATES[model] !== rate) {
+        errors.push({ path: `${at}.${rate}`, message: `is ignored with costModel "${model}"${COST_MODEL_RATES[model] ? ` (which uses ${COST_MODEL_RATES[model]})` : ''}` });
+      }
+    }
+    const needed = COST_MODEL_RATES[model];
+    if (needed && scheme[needed] === undefined) {
+      const fallback = needed === 'fecRate' ? 80 : 100;
+      (model === 'custom' ? errors : warnings).push({ path: `${at}.${needed}`, message: `is not set, so costModel "${model}" pays ${fallback}%` });
+    }
+  }
+
+  const sections = scheme.sections || [];
+  lintComplianceRules(scheme.rules, `${at}.rules`, errors);
+  (Array.isArray(scheme.rules) ? scheme.rules : []).forEach((rule, j) => {
+    if (rule && typeof rule.section === 'string' && !sections.some(s => s && typeof s.name === 'string' && sameName(s.name, rule.section))) {
+      warnings.push({ path: `${at}.rules[${j}].section`, message: `"${rule.section}" is not one of the scheme's sections` });
+    }
+  });
+  const formatting = scheme.formatting;
+  if (formatting && typeof formatting === 'object') {
+    const page = resolveFormatting(formatting);
+    // Less than 5 cm of text either way is a typo in the margins
+    if (page.contentWidth < 5 * 72 / 2.54 || page.contentHeight < 5 * 72 / 2.54) {
+      errors.push({ path: `${at}.formatting.margins`, message: 'leave less than 5 cm of the page for text' });
+    }
+  }
+  if (!sections.length) warnings.push({ path: `${at}.sections`, message: 'is empty, so compliance checks cannot check any sections' });
+  sections.forEach((section, j) => {
+    if (typeof section.name !== 'string') return;
+    const path = `${at}.sections[${j}].name`;
+    if (section.name !== section.name.trim()) warnings.push({ path, message: `"${section.name}" has spaces at the start or end` });
+    const first = sections.findIndex(other => typeof other.name === 'string' && sameName(other.name, section.name));
+    if (first < j) errors.push({ path, message: `"${section.name}" repeats section ${first + 1} ("${sections[first].name}")` });
+  });
+
+  (scheme.calls || []).forEach((call, j) => {
+    const path = `${at}.calls[${j}]`;
+    for (const field of ['opens', 'closes']) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(call[field] || '') && !isRealDate(call[field])) errors.push({ path: `${path}.${field}`, message: `"${call[field]}" is not a real date` });
+    }
+    if (isRealDate(call.opens) && isRealDate(call.closes) && call.opens > call.closes) {
+      errors.push({ path: `${path}.closes`, message: `(${call.closes}) is before the call opens (${call.opens})` });
+    }
+  });
+}
+
+// Version details checked the same way for the current and earlier rules
+function lintVersions(template, errors, warnings) {
+  const previous = Array.isArray(template.previousVersions) ? template.previousVersions : [];
+  if (!previous.length) return;
+  if (!template.version || typeof template.version.id !== 'string') {
+    errors.push({ path: 'version', message: 'is required when previousVersions are listed, so proposals can pin the current rules' });
+  }
+  const all = [template.version && { ...template.version, path: 'version' }, ...previous.map((v, i) => v && { ...v, path: `previousVersions[${i}]` })]
+    .filter(v => v && typeof v === 'object');
+  all.forEach((v, i) => {
+    for (const field of ['effectiveFrom', 'effectiveTo']) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(v[field] || '') && !isRealDate(v[field])) errors.push({ path: `${v.path}.${field}`, message: `"${v[field]}" is not a real date` });
+    }
+    if (isRealDate(v.effectiveFrom) && isRealDate(v.effectiveTo) && v.effectiveFrom > v.effectiveTo) {
+      errors.push({ path: `${v.path}.effectiveTo`, message: `(${v.effectiveTo}) is before effectiveFrom (${v.effectiveFrom})` });
+    }
+    const first = all.findIndex(other => other.id === v.id);
+    if (typeof v.id === 'string' && first < i) errors.push({ path: `${v.path}.id`, message: `"${v.id}" is already used by ${all[first].path}; proposals pin versions by id` });
+    // Overlapping periods leave it unclear which rules a new proposal gets
+    for (const other of all.slice(0, i)) {
+      if (rangesOverlap(v, other)) warnings.push({ path: v.path, message: `applies over the same dates as ${other.path} ("${other.id}")` });
+    }
+  });
+  previous.forEach((v, i) => {
+    if (!v || !Array.isArray(v.schemes)) return;
+    v.schemes.forEach((scheme, j) => {
+      if (scheme && typeof scheme === 'object') lintScheme(scheme, `previousVersions[${i}].schemes[${j}]`, errors, warnings);
+    });
+  });
+}
+
+function rangesOverlap(a, b) {
+  if (!(a.effectiveFrom || a.effectiveTo) || !(b.effectiveFrom || b.effectiveTo)) return false;
+  const start = (v) => v.effectiveFrom || '0000-01-01';
+  const end = (v) => v.effectiveTo || '9999-12-31';
+  return start(a) <= end(b) && start(b) <= end(a);
+}
+
+/**
+ * Everything wrong with a template: schema errors, then inconsistencies
+ * such as minAmount above maxAmount, repeated scheme or section names, a
+ * rate the cost model ignores or a call that closes before it opens.
+ * Warnings are worth fixing but do not stop the template loading.
+ * @param {Object} options - { fileName: checked against the id }
+ * @returns {Object} { errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+function lintFunder(template, { fileName } = {}) {
+  const errors = validate(template, SCHEMA);
+  const warnings = [];
+  if (!template || typeof template !== 'object' || Array.isArray(template)) return { errors, warnings };
+
+  if (fileName && typeof template.id === 'string' && fileName !== `${template.id}.json`) {
+    errors.push({ path: 'id', message: `"${template.id}" does not match the file name ${fileName}` });
+  }
+  const schemes = Array.isArray(template.schemes) ? template.schemes : [];
+  schemes.forEach((scheme, i) => {
+    if (!scheme || typeof scheme !== 'object') return;
+    const at = `schemes[${i}]`;
+    if (typeof scheme.name === 'string') {
+      const first = schemes.findIndex(other => other && typeof other.name === 'string' && sameName(other.name, scheme.name));
+      if (first < i) errors.push({ path: `${at}.name`, message: `"${scheme.name}" repeats scheme ${first + 1}; proposals pick schemes by name` });
+    }
+    lintScheme(scheme, at, errors, warnings);
+  });
+  lintComplianceRules(template.rules, 'rules', errors);
+  lintVersions(template, errors, warnings);
+  return { errors, warnings };
+}
+
+/**
+ * Parse and lint a template file's text. Text that is not JSON gives one
+ * error saying where parsing stopped.
+ * @returns {Object} { template (null if unreadable), errors, warnings }
+ */
+function lintFunderText(text, { fileName } = {}) {
+  let template;
+  try {
+    template = JSON.parse(text);
+  } catch (err) {
+    const at = Number((err.message.match(/at position (\d+)/) || [])[1]);
+    let where = '';
+    if (Number.isFinite(at)) {
+      const before = text.slice(0, at).split('\n');
+      where = ` at line ${before.length}, column ${before[before.length - 1].length + 1}`;
+    }
+    const message = `is not valid JSON: ${err.message.replace(/ in JSON at position \d+.*$/, '')}${where}`;
+    return { template: null, errors: [{ path: '', message }], warnings: [] };
+  }
+  return { template, ...lintFunder(template, { fileName }) };
+}
+
+/**
+ * Schema and consistency errors in a template
+ * @returns {Array} [{ path, message }]; empty when the template is valid
+ */
+function validateFunder(template, options) {
+  return lintFunder(template, options).errors;
+}
+
+/**
+ * Throw a 400 error listing what is wrong with a template, if anything
+ */
+function assertValidFunder(template) {
+  const errors = validateFunder(template);
+  if (errors.length) {
+    throw Object.assign(new Error(`The template is not valid: ${formatErrors(errors).join('; ')}`), { status: 400, errors });
+  }
+}
+
+// ── Versions ──
+
+function versionMeta(v, current) {
+  return { id: v.id || null, label: v.label || v.id || 'Current rules', effectiveFrom: v.effectiveFrom || null, effectiveTo: v.effectiveTo || null, current };
+}
+
+/**
+ * A template's versions, current first
+ * @returns {Array} [{ id, label, effectiveFrom, effectiveTo, current, schemes }];
+ *   an unversioned template has one version with a null id
+ */
+function funderVersions(template) {
+  return [
+    { ...versionMeta(template.version || {}, true), schemes: template.schemes || [] },
+    ...(template.previousVersions || []).map(v => ({ ...versionMeta(v, false), schemes: v.schemes || [] }))
+  ];
+}
+
+/**
+ * The version in effect on a date: the first (newest) whose dates include
+ * it, otherwise the current one
+ */
+function versionOn(template, date) {
+  const versions = funderVersions(template);
+  const day = String(date || '').slice(0, 10);
+  return versions.find(v => (v.effectiveFrom || v.effectiveTo) && (!v.effectiveFrom || v.effectiveFrom <= day) && (!v.effectiveTo || day <= v.effectiveTo)) || versions[0];
+}
+
+/**
+ * The template as it applies to one proposal: its schemes are those of the
+ * pinned version (or, with no pin, the version in effect on the date)
+ * @param {Object} pin - { version: pinned version id, date: "YYYY-MM-DD" }
+ * @returns {Object} the template with the version's schemes, plus
+ *   version: { id, label, effectiveFrom, effectiveTo, current },
+ *   newerVersion: the current version's details when these rules are older, else null,
+ *   missingVersion: the pinned id when the template no longer has it, else null
+ */
+function resolveVersion(template, { version, date } = {}) {
+  const versions = funderVersions(template);
+  const pinned = version ? versions.find(v => v.id === version) : null;
+  const chosen = pinned || (version ? versions[0] : versionOn(template, date || new Date().toISOString()));
+  const { previousVersions, version: ignored, ...rest } = template;
+  const { schemes, ...meta } = chosen;
+  const { schemes: currentSchemes, ...current } = versions[0];
+  return {
+    ...rest,
+    schemes,
+    version: meta,
+    versions: versions.map(({ schemes: s, ...v }) => v),
+    newerVersion: chosen.current ? null : current,
+    missingVersion: version && !pinned ? version : null
+  };
+}
+
+/**
+ * A history entry for a change to a template
+ * @param {Object} change - { funderId, action, user, note, data: the template
+ *   after the change (null when deleted), changes: from describeChange(),
+ *   revertedTo: entry id }
+ */
+function historyEntry({ funderId, action, user, note, data, changes, revertedTo }) {
+  if (!HISTORY_ACTIONS.includes(action)) throw new Error(`Unknown funder history action "${action}"`);
+  return {
+    id: crypto.randomUUID(),
+    funderId,
+    at: new Date().toISOString(),
+    action,
+    userId: user ? user.id : null,
+    userName: user ? user.name : '',
+    note: String(note || '').trim().slice(0, 500),
+    changes: changes || [],
+    ...(revertedTo ? { revertedTo } : {}),
+    data: data || null
+  };
+}
+
+/**
+ * A history entry without the template it holds, for listing
+ */
+function historySummary(entry) {
+  const { data, ...rest } = entry;
+  return { ...rest, schemes: data ? (data.schemes || []).map(s => s.name) : [] };
+}
+
+/**
+ * What changed between two versions of a template, in a few words each
+ * ("Added scheme X", "Changed Standard Research Grant: sections, maxAmount")
+ */
+function describeChange(before, after) {
+  if (!before) return after ? ['Created'] : [];
+  if (!after) return ['Deleted'];
+  const changes = [];
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(k => k !== 'schemes' && differs(before[k], after[k]));
+  if (fields.length) changes.push(`Changed ${fields.join(', ')}`);
+
+  const named = template => new Map((template.schemes || []).map(s => [s.name, s]));
+  const old = named(before);
+  const now = named(after);
+  for (const [name, scheme] of now) {
+    if (!old.has(name)) {
+      changes.push(`Added scheme ${name}`);
+      continue;
+    }
+    const previous = old.get(name);
+    const keys = [...new Set([...Object.keys(previous), ...Object.keys(scheme)])].filter(k => differs(previous[k], scheme[k]));
+    if (keys.length) changes.push(`Changed ${name}: ${keys.join(', ')}`);
+  }
+  for (const name of old.keys()) {
+    if (!now.has(name)) changes.push(`Removed scheme ${name}`);
+  }
+  if (!changes.length && differs((before.schemes || []).map(s => s.name), (after.schemes || []).map(s => s.name))) {
+    changes.push('Reordered schemes');
+  }
+  return changes;
+}
+
+module.exports = {
+  SCHEMA, HISTORY_ACTIONS,
+  lintFunder, lintFunderText, validateFunder, assertValidFunder,
+  funderVersions, versionOn, resolveVersion,
+  historyEntry, historySummary, describeChange
+};
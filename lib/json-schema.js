@@ -0,0 +1,150 @@
+/**
+ * JSON Schema Validation
+ * A small validator for the parts of JSON Schema (draft-07) that BidWriter's
+ * own schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, min/maxItems, uniqueItems, min/maxLength,
+ * pattern, minimum, maximum, exclusiveMinimum/Maximum, local $refs
+ * ("#/definitions/…") and allOf/anyOf/oneOf. Anything else in a schema is
+ * ignored.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const TYPE_NAMES = { string: 'text', number: 'a number', integer: 'a whole number', boolean: 'true or false', array: 'a list', object: 'an object', null: 'null' };
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// "schemes[0].sections[2].maxWords"
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported (got "${ref}")`);
+  const target = ref.slice(2).split('/').reduce((node, key) => node && node[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  if (!target) throw new Error(`Unresolved $ref "${ref}"`);
+  return target;
+}
+
+function check(value, schema, path, root, errors) {
+  if (schema === true || !schema) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) return check(value, resolveRef(root, schema.$ref), path, root, errors);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => typeMatches(value, t))) {
+      const message = types.includes('integer') && typeof value === 'number'
+        ? 'should be a whole number'
+        : `should be ${types.map(t => TYPE_NAMES[t] || t).join(' or ')}, not ${TYPE_NAMES[typeOf(value)]}`;
+      errors.push({ path, message });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(v => sameValue(v, value))) {
+    errors.push({ path, message: `should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` });
+  }
+  if ('const' in schema && !sameValue(schema.const, value)) {
+    errors.push({ path, message: `should be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && [...value].length > schema.maxLength) {
+      errors.push({ path, message: `should be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `does not match the pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `should be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `should be at most ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `should be more than ${schema.exclusiveMinimum}` });
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push({ path, message: `should be less than ${schema.exclusiveMaximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `should have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `should have at most ${schema.maxItems} item${schema.maxItems !== 1 ? 's' : ''}` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push({ path: childPath(path, i), message: 'repeats an earlier item' });
+        seen.add(key);
+      });
+    }
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, childPath(path, i), root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) check(item, properties[key], childPath(path, key), root, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: childPath(path, key), message: 'is not a known field' });
+      else if (typeof schema.additionalProperties === 'object') check(item, schema.additionalProperties, childPath(path, key), root, errors);
+    }
+  }
+
+  if (schema.allOf) schema.allOf.forEach(sub => check(value, sub, path, root, errors));
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const passing = options.filter(sub => {
+      const found = [];
+      check(value, sub, path, root, found);
+      return found.length === 0;
+    }).length;
+    if (schema.anyOf && passing === 0) {
+      errors.push({ path, message: `does not match any of the allowed forms${schema.description ? ` (${schema.description})` : ''}` });
+    } else if (schema.oneOf && passing !== 1) {
+      errors.push({ path, message: passing ? 'matches more than one of the allowed forms' : 'does not match any of the allowed forms' });
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array} [{ path, message }]; empty when the value is valid. The path
+ *   is "" for the value itself, otherwise like "schemes[0].sections[2].maxWords"
+ */
+function validate(value, schema) {
+  const errors = [];
+  check(value, schema, '', schema, errors);
+  return errors;
+}
+
+/**
+ * Errors as one readable line each
+ */
+function formatErrors(errors) {
+  return errors.map(e => `${e.path || 'value'} ${e.message}`);
+}
+
+module.exports = { validate, formatErrors };
@@ -0,0 +1,285 @@
+/**
+ * Page Layout Model
+ * Lays out a section's markdown on the page the way a word processor would,
+ * using the funder's required font, font size, margins and line spacing (a
+ * scheme's `formatting` in its funder template), so page limits can be checked
+ * against pages rather than a words-per-page guess.
+ *
+ *   "formatting": { "font": "Arial", "fontSize": 11, "margins": 2, "lineSpacing": 1 }
+ *
+ * margins are in centimetres, either one number or { top, right, bottom, left };
+ * lineSpacing is a multiple of single spacing; paragraphSpacing is the space
+ * after a paragraph in points; paper is A4 or Letter.
+ *
+ * Text wraps greedily word by word. Each line of the markdown starts a new
+ * line, as in the editor preview and print view; a blank line ends a
+ * paragraph. Headings (#, ##, ###) are bold, larger, and kept with the line
+ * after them; list items (-, *, 1.) are indented; pipe tables get columns in
+ * proportion to their content and rows are never split across pages.
+ * Shared by the server (require) and the browser (served as /js/layout.js,
+ * after /js/fonts.js).
+ */
+
+(function (exports) {
+  const { textWidth, lineHeight } = typeof module !== 'undefined' ? require('./fonts') : window.Fonts;
+
+  const DEFAULT_FORMATTING = { font: 'Arial', fontSize: 11, lineSpacing: 1, margins: 2, paper: 'A4', paragraphSpacing: 6 };
+
+  // Points
+  const PAPER = { A4: { width: 595.28, height: 841.89 }, Letter: { width: 612, height: 792 } };
+  const POINTS_PER_CM = 72 / 2.54;
+  const LIST_INDENT = 18;
+  const CELL_PADDING = 4;
+  const HEADINGS = { 1: { scale: 1.3, before: 12 }, 2: { scale: 1.15, before: 10 }, 3: { scale: 1, before: 8 } };
+
+  /**
+   * A scheme's formatting with defaults filled in and margins in points
+   */
+  function resolveFormatting(formatting = {}) {
+    const f = { ...DEFAULT_FORMATTING, ...formatting };
+    const m = typeof f.margins === 'number' ? allSides(f.margins) : { ...allSides(DEFAULT_FORMATTING.margins), ...f.margins };
+    const paper = PAPER[f.paper] || PAPER.A4;
+    const margins = {
+      top: m.top * POINTS_PER_CM,
+      right: m.right * POINTS_PER_CM,
+      bottom: m.bottom * POINTS_PER_CM,
+      left: m.left * POINTS_PER_CM
+    };
+    return {
+      ...f,
+      margins,
+      pageWidth: paper.width,
+      pageHeight: paper.height,
+      contentWidth: paper.width - margins.left - margins.right,
+      contentHeight: paper.height - margins.top - margins.bottom
+    };
+  }
+
+  function allSides(cm) {
+    return { top: cm, right: cm, bottom: cm, left: cm };
+  }
+
+  // "Some **bold** and [a link](url)" → [{ text, bold }]
+  function inlineRuns(text) {
+    const plain = text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/`([^`]+)`/g, '$1');
+    const runs = [];
+    const pattern = /\*\*(.+?)\*\*|__(.+?)__/g;
+    let last = 0;
+    let m;
+    while ((m = pattern.exec(plain))) {
+      if (m.index > last) runs.push({ text: plain.slice(last, m.index), bold: false });
+      runs.push({ text: m[1] || m[2], bold: true });
+      last = pattern.lastIndex;
+    }
+    if (last < plain.length) runs.push({ text: plain.slice(last), bold: false });
+    return runs.map(r => ({ ...r, text: r.text.replace(/(^|[^*])\*([^*]+)\*/g, '$1$2').replace(/\b_([^_]+)_\b/g, '$1') }));
+  }
+
+  // Runs → words, each [{ text, bold }] pieces so that "**bold**," is one word
+  function words(runs) {
+    const out = [];
+    let current = null;
+    for (const run of runs) {
+      for (const part of run.text.split(/(\s+)/)) {
+        if (!part) continue;
+        if (/^\s+$/.test(part)) { current = null; continue; }
+        if (!current) { current = []; out.push(current); }
+        current.push({ text: part, bold: run.bold });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Split markdown into blocks: heading, paragraph (one entry per markdown line),
+   * item (a list item) and table
+   */
+  function parseBlocks(markdown) {
+    const blocks = [];
+    let paragraph = null;
+    let table = null;
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+
+    for (const raw of lines) {
+      const line = raw.replace(/\t/g, '    ');
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('|')) table = null;
+      if (!trimmed) { paragraph = null; continue; }
+
+      const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+      const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+      if (heading) {
+        paragraph = null;
+        blocks.push({ type: 'heading', level: Math.min(heading[1].length, 3), runs: inlineRuns(heading[2]) });
+      } else if (trimmed.startsWith('|')) {
+        paragraph = null;
+        const cells = trimmed.replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+        if (cells.every(c => /^:?-{2,}:?$/.test(c))) continue;
+        if (!table) { table = { type: 'table', rows: [] }; blocks.push(table); }
+        table.rows.push(cells.map(inlineRuns));
+      } else if (item) {
+        paragraph = null;
+        const marker = /^\d/.test(item[2]) ? item[2] : '•';
+        blocks.push({ type: 'item', depth: Math.floor(item[1].length / 2), marker, runs: inlineRuns(item[3]) });
+      } else {
+        const text = trimmed.replace(/^>\s?/, '');
+        if (!paragraph) { paragraph = { type: 'paragraph', lines: [] }; blocks.push(paragraph); }
+        paragraph.lines.push(inlineRuns(text));
+      }
+    }
+    return blocks;
+  }
+
+  // measure(text, size, bold) is a width in points in the formatting's font
+  function wordWidth(word, measure, size, forceBold) {
+    return word.reduce((w, piece) => w + measure(piece.text, size, forceBold || piece.bold), 0);
+  }
+
+  // Greedy word wrap → [{ words, width }] lines
+  function wrap(runs, maxWidth, measure, size, bold = false) {
+    const space = measure(' ', size, bold);
+    const lines = [];
+    let line = { words: [], width: 0 };
+    for (const word of words(runs)) {
+      const w = wordWidth(word, measure, size, bold);
+      const needed = line.words.length ? line.width + space + w : w;
+      if (needed > maxWidth && line.words.length) {
+        lines.push(line);
+        line = { words: [word], width: w };
+      } else {
+        line.words.push(word);
+        line.width = needed;
+      }
+    }
+    lines.push(line);
+    return lines;
+  }
+
+  // A wrapped line as text fragments at x offsets, for drawing
+  function fragments(line, x, measure, size, bold) {
+    const space = measure(' ', size, bold);
+    const out = [];
+    for (const word of line.words) {
+      for (const piece of word) {
+        out.push({ x, text: piece.text, bold: bold || piece.bold, size });
+        x += measure(piece.text, size, bold || piece.bold);
+      }
+      x += space;
+    }
+    return out;
+  }
+
+  function lineText(line) {
+    return line.words.map(w => w.map(p => p.text).join('')).join(' ');
+  }
+
+  /**
+   * Lay out markdown on pages
+   * @param {string} markdown
+   * @param {Object} formatting - a scheme's formatting; missing fields take defaults
+   * @param {Object} options - { maxPages } to find where the text overflows the limit;
+   *   { textWidth } to measure with other metrics than lib/fonts.js, with the same arguments
+   * @returns {Object} { pages: pages used to one decimal place (rounded up), pageCount,
+   *   overflow: { page, line, text } for the first line past maxPages, or null,
+   *   lines: [{ page, line, y, height, text, fragments: [{ x, text, bold, size, dy }], table }] }
+   *   in points, y being the top of the line from the top of the page. A table row is
+   *   one line: its fragments have dy from the top of the row, and table is
+   *   { x, widths } for the cell borders.
+   */
+  function layoutText(markdown, formatting = {}, { maxPages, textWidth: width = textWidth } = {}) {
+    const f = resolveFormatting(formatting);
+    const measure = (text, size, bold) => width(text, f.font, size, bold);
+    const bodyLine = lineHeight(f.font, f.fontSize) * f.lineSpacing;
+    const placed = [];
+    let page = 1;
+    let y = 0;
+    let lineOnPage = 0;
+
+    const newPage = () => { page++; y = 0; lineOnPage = 0; };
+    const space = points => { if (y > 0) y = Math.min(y + points, f.contentHeight); };
+    const place = (height, text, frags, table) => {
+      if (y > 0 && y + height > f.contentHeight) newPage();
+      lineOnPage++;
+      placed.push({ page, line: lineOnPage, y: f.margins.top + y, height, text, fragments: frags, table });
+      y += height;
+    };
+
+    const blocks = parseBlocks(markdown);
+    blocks.forEach((block, b) => {
+      const next = blocks[b + 1];
+      if (block.type === 'heading') {
+        const { scale, before } = HEADINGS[block.level];
+        const size = f.fontSize * scale;
+        const height = lineHeight(f.font, size) * f.lineSpacing;
+        const lines = wrap(block.runs, f.contentWidth, measure, size, true);
+        space(before);
+        // Keep with next: move the heading over rather than strand it at the foot of a page
+        if (y > 0 && y + height * lines.length + bodyLine > f.contentHeight) newPage();
+        for (const line of lines) place(height, lineText(line), fragments(line, f.margins.left, measure, size, true));
+        y += 4;
+      } else if (block.type === 'paragraph') {
+        for (const runs of block.lines) {
+          for (const line of wrap(runs, f.contentWidth, measure, f.fontSize)) {
+            place(bodyLine, lineText(line), fragments(line, f.margins.left, measure, f.fontSize));
+          }
+        }
+        space(f.paragraphSpacing);
+      } else if (block.type === 'item') {
+        const indent = LIST_INDENT * (block.depth + 1);
+        const x = f.margins.left + indent;
+        wrap(block.runs, f.contentWidth - indent, measure, f.fontSize).forEach((line, i) => {
+          const frags = fragments(line, x, measure, f.fontSize);
+          if (i === 0) frags.unshift({ x: x - LIST_INDENT + 4, text: block.marker, bold: false, size: f.fontSize });
+          place(bodyLine, lineText(line), frags);
+        });
+        if (!next || next.type !== 'item') space(f.paragraphSpacing);
+      } else if (block.type === 'table') {
+        layoutTable(block, f, bodyLine, place, measure);
+        space(f.paragraphSpacing);
+      }
+    });
+
+    const used = placed.length ? (page - 1) + y / f.contentHeight : 0;
+    const pages = used ? Math.ceil(used * 10 - 1e-9) / 10 : 0;
+
+    let overflow = null;
+    if (maxPages) {
+      const past = placed.find(l => (l.page - 1) + (l.y - f.margins.top + l.height) / f.contentHeight > maxPages + 1e-9);
+      if (past) overflow = { page: past.page, line: past.line, text: past.text };
+    }
+
+    return { pages, pageCount: placed.length ? page : 0, overflow, lines: placed };
+  }
+
+  // Each row is placed whole, as one line; the first row is the header, in bold
+  function layoutTable(table, f, bodyLine, place, measure) {
+    const columns = Math.max(...table.rows.map(r => r.length));
+    const natural = Array.from({ length: columns }, (_, c) => Math.max(
+      20,
+      ...table.rows.map((row, r) => (row[c] ? wordWidth(words(row[c]).flat(), measure, f.fontSize, r === 0) : 0))
+    ) + 2 * CELL_PADDING);
+    const total = natural.reduce((a, b) => a + b, 0);
+    const widths = natural.map(w => (total > f.contentWidth ? w * f.contentWidth / total : w));
+
+    table.rows.forEach((row, r) => {
+      let x = f.margins.left;
+      const frags = [];
+      const cellLines = widths.map((width, c) => {
+        const lines = wrap(row[c] || [], width - 2 * CELL_PADDING, measure, f.fontSize, r === 0);
+        lines.forEach((line, i) => {
+          frags.push(...fragments(line, x + CELL_PADDING, measure, f.fontSize, r === 0).map(fr => ({ ...fr, dy: CELL_PADDING + i * bodyLine })));
+        });
+        x += width;
+        return lines;
+      });
+      const height = Math.max(...cellLines.map(l => l.length)) * bodyLine + 2 * CELL_PADDING;
+      const text = cellLines.map(lines => lines.map(lineText).join(' ')).filter(Boolean).join(' | ');
+      place(height, text, frags, { x: f.margins.left, widths });
+    });
+  }
+
+  Object.assign(exports, { DEFAULT_FORMATTING, PAPER, resolveFormatting, parseBlocks, layoutText });
+})(typeof module !== 'undefined' ? module.exports : (window.Layout = {}));
@@ -0,0 +1,170 @@
+/**
+ * Email Delivery
+ * A small SMTP client for reminder emails, configured from the environment:
+ *
+ *   SMTP_HOST    mail server; email is off when unset
+ *   SMTP_PORT    default 587 (or 465 with SMTP_SECURE=tls)
+ *   SMTP_SECURE  tls (implicit TLS, usually port 465), starttls (upgrade after
+ *                connecting, usually port 587) or none (plain, e.g. a local
+ *                test mail sink such as MailHog on port 1025). Default:
+ *                tls on 465, starttls on 587, otherwise none
+ *   SMTP_USER / SMTP_PASS   sign in with AUTH PLAIN when set
+ *   SMTP_FROM    sender address, default bidwriter@<SMTP_HOST>
+ *
+ * One connection per message; reminder volumes are small.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 30 * 1000;
+
+/**
+ * SMTP settings from the environment, or null when email is off
+ */
+function configFromEnv(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const secure = env.SMTP_SECURE || (env.SMTP_PORT === '465' ? 'tls' : !env.SMTP_PORT || env.SMTP_PORT === '587' ? 'starttls' : 'none');
+  if (!['tls', 'starttls', 'none'].includes(secure)) throw new Error(`SMTP_SECURE must be tls, starttls or none (got "${secure}")`);
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || (secure === 'tls' ? 465 : 587)),
+    secure,
+    user: env.SMTP_USER || '',
+    pass: env.SMTP_PASS || '',
+    from: env.SMTP_FROM || `bidwriter@${env.SMTP_HOST}`
+  };
+}
+
+// Non-ASCII header text as an RFC 2047 encoded word
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function address(value) {
+  const email = String(value).match(/<([^>]+)>/)?.[1] || String(value).trim();
+  if (/[\s<>\r\n]/.test(email) || !email.includes('@')) throw new Error(`Invalid email address "${value}"`);
+  return email;
+}
+
+/**
+ * The message as sent after DATA (CRLF line endings, base64 body)
+ */
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${address(from).split('@')[1]}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Reads SMTP replies from a socket; a reply may span several "250-" lines
+ */
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const waiting = [];
+  const ready = [];
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply); else ready.push(reply);
+      }
+    }
+  };
+  const onError = err => { while (waiting.length) waiting.shift().reject(err); };
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', () => onError(new Error('The mail server closed the connection')));
+  return {
+    next() {
+      if (ready.length) return Promise.resolve(ready.shift());
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+    }
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure === 'tls'
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('The mail server timed out')));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.setTimeout(TIMEOUT_MS, () => secured.destroy(new Error('The mail server timed out')));
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Send one plain-text email
+ * @param {Object} config - from configFromEnv()
+ * @param {Object} message - { to, subject, text }
+ */
+async function sendMail(config, { to, subject, text }) {
+  let socket = await connect(config);
+  let reader = replyReader(socket);
+  const command = async (line, expect) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expect.includes(reply.code)) {
+      throw Object.assign(new Error(`Mail server refused ${line === null ? 'the connection' : line.split(' ')[0]}: ${reply.code} ${reply.lines.join(' ')}`), { smtpCode: reply.code });
+    }
+    return reply;
+  };
+  try {
+    await command(null, [220]);
+    const hostname = os.hostname() || 'localhost';
+    let hello = await command(`EHLO ${hostname}`, [250]);
+    if (config.secure === 'starttls') {
+      if (!hello.lines.some(l => /^STARTTLS\b/i.test(l))) throw new Error('The mail server does not offer STARTTLS; set SMTP_SECURE=none to send without it');
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, config.host);
+      reader = replyReader(socket);
+      hello = await command(`EHLO ${hostname}`, [250]);
+    }
+    if (config.user) {
+      await command(`AUTH PLAIN ${Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64')}`, [235]);
+    }
+    await command(`MAIL FROM:<${address(config.from)}>`, [250]);
+    await command(`RCPT TO:<${address(to)}>`, [250, 251]);
+    await command('DATA', [354]);
+    // Lines starting with a dot are doubled so they are not read as the end
+    const data = buildMessage({ from: config.from, to, subject, text }).replace(/^\./gm, '..');
+    await command(`${data}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = { configFromEnv, sendMail, buildMessage };
@@ -0,0 +1,201 @@
+/**
+ * Funding Opportunity Finder
+ * Ranks every scheme across the funder templates against a research idea:
+ * the research area and question, the amount and duration wanted and the
+ * principal investigator's career stage.
+ *
+ * Amount and duration limits and the career stage a scheme is open to are
+ * hard constraints: a scheme that fails one is listed after those that do
+ * not, with the reason. Topical fit is TF-IDF cosine similarity between the
+ * idea and the funder's priorities and the scheme's own text, so ranking works
+ * offline. An AI provider can re-order the best matches afterwards (see
+ * rerankMatches() in lib/ai.js); this module never calls one.
+ *
+ * The career stages a scheme is open to come from its eligibilityRules (see
+ * lib/eligibility.js) when it has them, and otherwise are read from the
+ * free-text eligibility with a few patterns ("within 5 years of PhD",
+ * "established researchers", "any career stage"). Schemes that say nothing
+ * about career stage are not ruled out.
+ */
+
+const { CAREER_STAGES } = require('./eligibility');
+
+const ALL_STAGES = CAREER_STAGES.map(s => s.id);
+
+// First match wins, so broader phrases come before narrower ones
+const STAGE_PATTERNS = [
+  { pattern: /\b(any|all) career stages?\b/, stages: ALL_STAGES },
+  { pattern: /\b(prospective )?phd (students?|scholarships?)\b/, stages: ['phd'] },
+  { pattern: /\b(\d+)\s*-\s*(\d+) years (after|post)[- ]phd\b/, stages: m => (Number(m[1]) >= 7 ? ['mid'] : ['early']) },
+  { pattern: /\bwithin \d+ years\b|\bearly[- ]career\b|\bnew investigator\b|\bpostdoctoral\b/, stages: ['early'] },
+  { pattern: /\bestablished\b|\btrack record\b|\bworld-leading\b|\bpermanent (post|position)\b/, stages: ['mid', 'established'] }
+];
+
+const STOP_WORDS = new Set(('a an and are as at be by for from has have how in into is it its of on or our that the their this to was were what which will with '
+  + 'we can using use used study research project new based via within between across through towards about these those than more most').split(' '));
+
+// Abbreviations researchers use for funders' priority areas
+const ALIASES = { ai: 'artificial intelligence', ml: 'machine learning', nhs: 'health', iot: 'internet of things', nlp: 'natural language processing' };
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Words worth matching on, lower-cased and stemmed, stop words left out
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .flatMap(w => (ALIASES[w] ? ALIASES[w].split(' ') : [w]))
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w) && !/^\d+$/.test(w))
+    .map(stem);
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+function tfidfVector(counts, idf) {
+  const vector = new Map();
+  for (const [term, n] of counts) {
+    if (idf.has(term)) vector.set(term, (1 + Math.log(n)) * idf.get(term));
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, w] of a) if (b.has(term)) dot += w * b.get(term);
+  const norm = v => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator ? dot / denominator : 0;
+}
+
+/**
+ * The career stages a scheme is open to, from its rules or else read from its
+ * name and eligibility text
+ * @returns {Array|null} stage ids, or null when the scheme does not say
+ */
+function schemeCareerStages(scheme) {
+  if (scheme.eligibilityRules && scheme.eligibilityRules.careerStages) return scheme.eligibilityRules.careerStages;
+  const text = `${scheme.name || ''}. ${scheme.eligibility || ''}`.toLowerCase();
+  for (const { pattern, stages } of STAGE_PATTERNS) {
+    const m = text.match(pattern);
+    if (m) return typeof stages === 'function' ? stages(m) : stages;
+  }
+  return null;
+}
+
+function money(n) {
+  return `£${Number(n).toLocaleString('en-GB')}`;
+}
+
+// The hard constraints for one scheme: [{ check, status: pass|fail|unknown, message }]
+function constraintChecks(scheme, idea) {
+  const checks = [];
+  const amount = Number(idea.amount) || 0;
+  const duration = Number(idea.duration) || 0;
+
+  if (scheme.minAmount || scheme.maxAmount) {
+    const range = [scheme.minAmount && `from ${money(scheme.minAmount)}`, scheme.maxAmount && `up to ${money(scheme.maxAmount)}`].filter(Boolean).join(' ');
+    if (!amount) checks.push({ check: 'Amount', status: 'unknown', message: `Funds ${range}` });
+    else if (scheme.maxAmount && amount > scheme.maxAmount) checks.push({ check: 'Amount', status: 'fail', message: `${money(amount)} is more than the ${money(scheme.maxAmount)} maximum` });
+    else if (scheme.minAmount && amount < scheme.minAmount) checks.push({ check: 'Amount', status: 'fail', message: `${money(amount)} is less than the ${money(scheme.minAmount)} minimum` });
+    else checks.push({ check: 'Amount', status: 'pass', message: `${money(amount)} fits (${range})` });
+  }
+
+  if (scheme.minDuration || scheme.maxDuration) {
+    const range = scheme.minDuration === scheme.maxDuration
+      ? `${scheme.maxDuration} months`
+      : [scheme.minDuration && `at least ${scheme.minDuration}`, scheme.maxDuration && `at most ${scheme.maxDuration}`].filter(Boolean).join(', ') + ' months';
+    if (!duration) checks.push({ check: 'Duration', status: 'unknown', message: `Projects of ${range}` });
+    else if (scheme.maxDuration && duration > scheme.maxDuration) checks.push({ check: 'Duration', status: 'fail', message: `${duration} months is longer than the ${scheme.maxDuration}-month maximum` });
+    else if (scheme.minDuration && duration < scheme.minDuration) checks.push({ check: 'Duration', status: 'fail', message: `${duration} months is shorter than the ${scheme.minDuration}-month minimum` });
+    else checks.push({ check: 'Duration', status: 'pass', message: `${duration} months fits (${range})` });
+  }
+
+  const stages = schemeCareerStages(scheme);
+  const stage = CAREER_STAGES.find(s => s.id === idea.careerStage);
+  if (stages && stage) {
+    const open = stages.length === ALL_STAGES.length ? 'all career stages' : stages.map(id => CAREER_STAGES.find(s => s.id === id).label.split(' (')[0].toLowerCase()).join(' or ');
+    checks.push(stages.includes(stage.id)
+      ? { check: 'Career stage', status: 'pass', message: `Open to ${open}` }
+      : { check: 'Career stage', status: 'fail', message: `Open to ${open}, not ${stage.label.split(' (')[0].toLowerCase()}` });
+  }
+  if (scheme.eligibility) {
+    checks.push({ check: 'Eligibility', status: 'unknown', message: scheme.eligibility });
+  }
+  return checks;
+}
+
+/**
+ * Rank every scheme of the given funder templates against a research idea
+ * @param {Object} idea - { researchArea, researchQuestion, amount, duration, careerStage }
+ * @param {Array} templates - funder templates (the version in effect today)
+ * @returns {Array} [{ funderId, funderName, scheme, eligible, score, fit, matchedPriorities,
+ *   matchedTerms, checks, reasons }], eligible schemes first, each group by topical fit.
+ *   score is 0–100; fit is the raw cosine similarity.
+ */
+function matchSchemes(idea, templates) {
+  const docs = [];
+  for (const template of templates) {
+    for (const scheme of template.schemes || []) {
+      // Priorities are the funder's own statement of fit, so they count twice
+      const priorities = (template.priorities || []).join('. ');
+      const text = [priorities, priorities, template.fullName, scheme.name, scheme.eligibility, scheme.notes].filter(Boolean).join('. ');
+      docs.push({ template, scheme, counts: termCounts(tokenize(text)) });
+    }
+  }
+
+  const df = new Map();
+  for (const { counts } of docs) for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const idf = new Map([...df].map(([term, n]) => [term, Math.log((docs.length + 1) / (n + 1)) + 1]));
+
+  const queryTerms = tokenize(`${idea.researchArea || ''} ${idea.researchQuestion || ''}`);
+  const query = tfidfVector(termCounts(queryTerms), idf);
+  const queryTermSet = new Set(queryTerms);
+
+  const results = docs.map(({ template, scheme, counts }) => {
+    const fit = query.size ? cosine(query, tfidfVector(counts, idf)) : 0;
+    const matchedPriorities = (template.priorities || []).filter(p => tokenize(p).some(t => queryTermSet.has(t)));
+    const matchedTerms = [...queryTermSet].filter(t => counts.has(t));
+    const checks = constraintChecks(scheme, idea);
+    const failed = checks.filter(c => c.status === 'fail');
+    const reasons = [
+      ...failed.map(c => c.message),
+      matchedPriorities.length
+        ? `Fits ${template.name} priorities: ${matchedPriorities.join(', ')}`
+        : matchedTerms.length ? `Shares the terms ${matchedTerms.slice(0, 6).join(', ')}` : query.size ? `No overlap with ${template.name}'s stated priorities` : null,
+      ...checks.filter(c => c.status === 'pass').map(c => c.message)
+    ].filter(Boolean);
+    return {
+      funderId: template.id,
+      funderName: template.name,
+      funderFullName: template.fullName,
+      scheme: scheme.name,
+      eligible: failed.length === 0,
+      score: Math.round(fit * 100),
+      fit,
+      matchedPriorities,
+      matchedTerms,
+      checks,
+      reasons
+    };
+  });
+
+  return results.sort((a, b) =>
+    (b.eligible - a.eligible) ||
+    (b.fit - a.fit) ||
+    (a.checks.filter(c => c.status === 'unknown').length - b.checks.filter(c => c.status === 'unknown').length) ||
+    a.funderName.localeCompare(b.funderName) || a.scheme.localeCompare(b.scheme));
+}
+
+module.exports = { CAREER_STAGES, matchSchemes, schemeCareerStages, tokenize };
@@ -0,0 +1,163 @@
+/**
+ * Operational Transformation for plain text
+ * An operation is an array of components applied left to right across the
+ * whole document: a positive number retains that many characters, a negative
+ * number deletes that many, and a string inserts it.
+ * Shared by the server (require) and the browser (served as /js/ot.js).
+ */
+
+(function (exports) {
+  const isRetain = c => typeof c === 'number' && c > 0;
+  const isDelete = c => typeof c === 'number' && c < 0;
+  const isInsert = c => typeof c === 'string';
+
+  /**
+   * Append a component, merging with the previous one and keeping inserts
+   * ahead of adjacent deletes so equivalent operations look the same
+   */
+  function push(op, c) {
+    if (c === 0 || c === '' || c === undefined) return;
+    const last = op[op.length - 1];
+    if (isRetain(c) && isRetain(last)) op[op.length - 1] += c;
+    else if (isDelete(c) && isDelete(last)) op[op.length - 1] += c;
+    else if (isInsert(c) && isInsert(last)) op[op.length - 1] += c;
+    else if (isInsert(c) && isDelete(last)) {
+      if (isInsert(op[op.length - 2])) op[op.length - 2] += c;
+      else op.splice(op.length - 1, 0, c);
+    } else op.push(c);
+  }
+
+  function baseLength(op) {
+    return op.reduce((n, c) => n + (isInsert(c) ? 0 : Math.abs(c)), 0);
+  }
+
+  function targetLength(op) {
+    return op.reduce((n, c) => n + (isInsert(c) ? c.length : isRetain(c) ? c : 0), 0);
+  }
+
+  /**
+   * Check that an operation is well formed and fits a document length
+   */
+  function isValid(op, length) {
+    if (!Array.isArray(op)) return false;
+    if (!op.every(c => isInsert(c) || (Number.isInteger(c) && c !== 0))) return false;
+    return length === undefined || baseLength(op) === length;
+  }
+
+  function apply(text, op) {
+    if (baseLength(op) !== text.length) throw new Error('Operation does not match document length');
+    let out = '', pos = 0;
+    for (const c of op) {
+      if (isRetain(c)) { out += text.slice(pos, pos + c); pos += c; }
+      else if (isInsert(c)) out += c;
+      else pos -= c;
+    }
+    return out;
+  }
+
+  /**
+   * Transform two concurrent operations on the same document
+   * @returns {Array} [a', b'] where apply(apply(d, a), b') === apply(apply(d, b), a').
+   *   When both insert at the same place, a's text goes first.
+   */
+  function transform(a, b) {
+    if (baseLength(a) !== baseLength(b)) throw new Error('Operations must apply to the same document');
+    const a1 = [], b1 = [];
+    let i = 0, j = 0;
+    let ca = a[i++], cb = b[j++];
+    while (ca !== undefined || cb !== undefined) {
+      if (isInsert(ca)) { push(a1, ca); push(b1, ca.length); ca = a[i++]; continue; }
+      if (isInsert(cb)) { push(a1, cb.length); push(b1, cb); cb = b[j++]; continue; }
+      if (ca === undefined || cb === undefined) throw new Error('Operations do not line up');
+
+      const n = Math.min(Math.abs(ca), Math.abs(cb));
+      if (isRetain(ca) && isRetain(cb)) { push(a1, n); push(b1, n); }
+      else if (isDelete(ca) && isRetain(cb)) push(a1, -n);
+      else if (isRetain(ca) && isDelete(cb)) push(b1, -n);
+      // delete/delete: both sides already removed the text
+
+      ca = Math.abs(ca) > n ? ca - Math.sign(ca) * n : a[i++];
+      cb = Math.abs(cb) > n ? cb - Math.sign(cb) * n : b[j++];
+    }
+    return [a1, b1];
+  }
+
+  /**
+   * Combine two consecutive operations into one
+   */
+  function compose(a, b) {
+    if (targetLength(a) !== baseLength(b)) throw new Error('Operations are not consecutive');
+    const out = [];
+    let i = 0, j = 0;
+    let ca = a[i++], cb = b[j++];
+    while (ca !== undefined || cb !== undefined) {
+      if (isDelete(ca)) { push(out, ca); ca = a[i++]; continue; }
+      if (isInsert(cb)) { push(out, cb); cb = b[j++]; continue; }
+      if (ca === undefined || cb === undefined) throw new Error('Operations do not line up');
+
+      const lenA = isInsert(ca) ? ca.length : ca;
+      const n = Math.min(lenA, Math.abs(cb));
+      if (isRetain(ca) && isRetain(cb)) push(out, n);
+      else if (isRetain(ca) && isDelete(cb)) push(out, -n);
+      else if (isInsert(ca) && isRetain(cb)) push(out, ca.slice(0, n));
+      // insert then delete: cancels out
+
+      ca = lenA > n ? (isInsert(ca) ? ca.slice(n) : ca - n) : a[i++];
+      cb = Math.abs(cb) > n ? cb - Math.sign(cb) * n : b[j++];
+    }
+    return out;
+  }
+
+  /**
+   * Build the operation that turns oldText into newText (one contiguous change)
+   */
+  function fromDiff(oldText, newText) {
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+    let endOld = oldText.length, endNew = newText.length;
+    while (endOld > start && endNew > start && oldText[endOld - 1] === newText[endNew - 1]) { endOld--; endNew--; }
+    const op = [];
+    push(op, start);
+    push(op, newText.slice(start, endNew));
+    push(op, -(endOld - start));
+    push(op, oldText.length - endOld);
+    return op;
+  }
+
+  /**
+   * Move a cursor position through an operation
+   */
+  function transformIndex(index, op) {
+    let newIndex = index, pos = 0;
+    for (const c of op) {
+      if (isRetain(c)) pos += c;
+      else if (isInsert(c)) newIndex += c.length;
+      else { newIndex -= Math.min(index - pos, -c); pos -= c; }
+      if (pos > index) break;
+    }
+    return Math.max(0, newIndex);
+  }
+
+  /**
+   * Move a selected range [start, end) through an operation. Text inserted at
+   * either edge stays outside the range; a range whose text was all deleted
+   * collapses to an empty range where it used to be.
+   * @returns {number[]} [start, end]
+   */
+  function transformRange(start, end, op) {
+    let pos = 0, out = 0, newStart = null, newEnd = null;
+    for (const c of op) {
+      if (isInsert(c)) { out += c.length; continue; }
+      const n = Math.abs(c);
+      if (newStart === null && start >= pos && start < pos + n) newStart = isRetain(c) ? out + start - pos : out;
+      if (newEnd === null && end > pos && end <= pos + n) newEnd = isRetain(c) ? out + end - pos : out;
+      pos += n;
+      if (isRetain(c)) out += n;
+    }
+    if (newStart === null) newStart = out;
+    if (newEnd === null) newEnd = out;
+    return [newStart, Math.max(newStart, newEnd)];
+  }
+
+  Object.assign(exports, { apply, transform, compose, fromDiff, transformIndex, transformRange, isValid, baseLength, targetLength });
+})(typeof module !== 'undefined' ? module.exports : (window.OT = {}));
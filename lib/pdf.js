@@ -1,246 +1,501 @@
 /**
- * PDF Export via Print-friendly HTML
- * Generates a standalone HTML page with @media print CSS
- * that can be printed to PDF from the browser.
+ * PDF Export
+ * Writes an exported proposal (see lib/document.js) as a PDF file, without a
+ * browser or a PDF library: a title page, a table of contents with page
+ * numbers, then each part from a new page, laid out by the page layout model
+ * (lib/layout.js) in the scheme's formatting. Pages after the title carry the
+ * proposal title as a running header and "Page n of N" at the foot; each part
+ * is a bookmark, and its contents entry links to it.
+ *
+ * Fonts are embedded, subset to the characters used. The TrueType file for
+ * the scheme's font, or a stand-in with the same widths (Liberation Serif for
+ * Times New Roman, Carlito for Calibri) or of the same style (DejaVu), is
+ * looked for in PDF_FONT_DIRS (separated like PATH) and then the system font
+ * folders. When there is none, the standard PDF font is used unembedded.
  */
 
-function generatePrintHTML(proposal) {
-  const {
-    title = 'Untitled Proposal',
-    piName = '',
-    piInstitution = '',
-    funder = '',
-    scheme = '',
-    amount = '',
-    duration = '',
-    sections = {},
-    budget = null,
-    ganttHtml = '',
-    references = ''
-  } = proposal;
-
-  const now = new Date().toLocaleDateString('en-GB', {
-    year: 'numeric', month: 'long', day: 'numeric'
-  });
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { FONTS, textWidth, lineHeight, pdfFont } = require('./fonts');
+const { resolveFormatting, layoutText } = require('./layout');
+const { readFont } = require('./ttf');
 
-  // Convert markdown-ish content to basic HTML
-  function mdToHtml(text) {
-    if (!text) return '';
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/^### (.+)$/gm, '<h4>$1</h4>')
-      .replace(/^## (.+)$/gm, '<h3>$1</h3>')
-      .replace(/^# (.+)$/gm, '<h2>$1</h2>')
-      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.+?)\*/g, '<em>$1</em>')
-      .replace(/^- (.+)$/gm, '<li>$1</li>')
-      .replace(/(<li>.*<\/li>\n?)+/g, '<ul>$&</ul>')
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n/g, '<br>')
-      .replace(/^/, '<p>')
-      .replace(/$/, '</p>');
-  }
+// Font files to look for by metrics family, best first: [regular, bold]
+const FONT_FILES = {
+  Helvetica: [
+    ['arial.ttf', 'liberationsans-regular.ttf', 'arimo-regular.ttf', 'dejavusans.ttf'],
+    ['arialbd.ttf', 'arial bold.ttf', 'liberationsans-bold.ttf', 'arimo-bold.ttf', 'dejavusans-bold.ttf']
+  ],
+  Times: [
+    ['times.ttf', 'times new roman.ttf', 'liberationserif-regular.ttf', 'tinos-regular.ttf', 'dejavuserif.ttf'],
+    ['timesbd.ttf', 'times new roman bold.ttf', 'liberationserif-bold.ttf', 'tinos-bold.ttf', 'dejavuserif-bold.ttf']
+  ],
+  Courier: [
+    ['cour.ttf', 'courier new.ttf', 'liberationmono-regular.ttf', 'cousine-regular.ttf', 'dejavusansmono.ttf'],
+    ['courbd.ttf', 'courier new bold.ttf', 'liberationmono-bold.ttf', 'cousine-bold.ttf', 'dejavusansmono-bold.ttf']
+  ]
+};
 
-  // Build sections HTML
-  let sectionsHtml = '';
-  const sectionOrder = [
-    'Case for Support',
-    'Background and Literature Context',
-    'Research Questions and Objectives',
-    'Methodology and Research Design',
-    'Work Plan and Timeline',
-    'Expected Outcomes and Deliverables',
-    'Ethical Considerations',
-    'Data Management Plan',
-    'Pathways to Impact',
-    'References'
-  ];
-
-  let sectionNum = 1;
-  for (const name of sectionOrder) {
-    const content = sections[name];
-    if (content) {
-      sectionsHtml += `
-        <div class="section">
-          <h2>${sectionNum}. ${name}</h2>
-          <div class="section-content">${mdToHtml(content)}</div>
-        </div>`;
-      sectionNum++;
-    }
-  }
+// Fonts with files of their own, tried before their metrics family's
+const OWN_FONT_FILES = {
+  Calibri: [['calibri.ttf', 'carlito-regular.ttf'], ['calibrib.ttf', 'carlito-bold.ttf']],
+  Georgia: [['georgia.ttf', 'gelasio-regular.ttf'], ['georgiab.ttf', 'gelasio-bold.ttf']]
+};
+
+const SYSTEM_FONT_DIRS = [
+  '/usr/share/fonts',
+  '/usr/local/share/fonts',
+  path.join(os.homedir(), '.local/share/fonts'),
+  path.join(os.homedir(), '.fonts'),
+  '/Library/Fonts',
+  '/System/Library/Fonts/Supplemental',
+  'C:\\Windows\\Fonts'
+];
+
+// Characters outside Latin-1 in the standard fonts' WinAnsi encoding
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f };
 
-  // Any extra sections not in the standard order
-  for (const [name, content] of Object.entries(sections)) {
-    if (!sectionOrder.includes(name) && content) {
-      sectionsHtml += `
-        <div class="section">
-          <h2>${sectionNum}. ${name}</h2>
-          <div class="section-content">${mdToHtml(content)}</div>
-        </div>`;
-      sectionNum++;
+// Where the baseline sits below the top of a line, in em
+const BASELINE = 0.9;
+const CELL_PADDING = 4;
+const GANTT_LABEL_SHARE = 0.4;
+
+// ─── Fonts ──────────────────────────────────────────────────
+
+let fontIndex = null;
+const fontCache = new Map();
+
+// Every .ttf file under the font folders, by lower-case file name; the first found wins
+async function indexFonts(dirs) {
+  const found = new Map();
+  const walk = async (dir, depth) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
     }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory() && depth < 4) await walk(full, depth + 1);
+      else if (/\.ttf$/i.test(entry.name) && !found.has(entry.name.toLowerCase())) found.set(entry.name.toLowerCase(), full);
+    }
+  };
+  for (const dir of dirs) await walk(dir, 0);
+  return found;
+}
+
+/**
+ * The TrueType font embedded for a funder font (see lib/ttf.js), or null when
+ * no file for it can be found
+ */
+async function findFont(font, bold = false) {
+  if (!fontIndex) {
+    const configured = (process.env.PDF_FONT_DIRS || '').split(path.delimiter).filter(Boolean);
+    fontIndex = indexFonts([...configured, ...SYSTEM_FONT_DIRS]);
   }
+  const index = await fontIndex;
+  const { metrics } = FONTS[font] || FONTS.Arial;
+  const style = bold ? 1 : 0;
+  const names = [...(OWN_FONT_FILES[font] ? OWN_FONT_FILES[font][style] : []), ...FONT_FILES[metrics][style]];
+  for (const name of names) {
+    const file = index.get(name);
+    if (!file) continue;
+    if (!fontCache.has(file)) fontCache.set(file, fs.readFile(file).then(readFont, () => null));
+    const parsed = await fontCache.get(file);
+    if (parsed) return parsed;
+  }
+  return null;
+}
 
-  // Budget table
-  let budgetHtml = '';
-  if (budget) {
-    budgetHtml = `
-      <div class="section page-break">
-        <h2>Budget Summary</h2>
-        <table class="budget-table">
-          <thead>
-            <tr><th>Category</th><th>Amount (£)</th></tr>
-          </thead>
-          <tbody>
-            ${Object.entries(budget.categories || {}).map(([cat, data]) => `
-              <tr><td>${cat.charAt(0).toUpperCase() + cat.slice(1)}</td><td>£${(data.total || 0).toLocaleString()}</td></tr>
-            `).join('')}
-            <tr class="total-row"><td><strong>Direct Costs</strong></td><td><strong>£${(budget.summary?.directCosts || 0).toLocaleString()}</strong></td></tr>
-            <tr><td>Indirect Costs (${budget.summary?.overheadRate || 0}%)</td><td>£${(budget.summary?.indirectCosts || 0).toLocaleString()}</td></tr>
-            <tr class="total-row"><td><strong>Full Economic Cost</strong></td><td><strong>£${(budget.summary?.fullEconomicCost || 0).toLocaleString()}</strong></td></tr>
-            <tr><td>Funder Contribution (${budget.summary?.funderRate || 80}%)</td><td>£${(budget.summary?.funderContribution || 0).toLocaleString()}</td></tr>
-            <tr><td>Institution Contribution</td><td>£${(budget.summary?.institutionContribution || 0).toLocaleString()}</td></tr>
-          </tbody>
-        </table>
-      </div>`;
+function hex(buffer) {
+  return buffer.toString('hex').toUpperCase();
+}
+
+// UTF-16BE, as PDF text strings and ToUnicode maps want it
+function utf16(text) {
+  return Buffer.from(text, 'utf16le').swap16();
+}
+
+function toUnicodeMap(used) {
+  const entries = [...used].map(([glyph, ch]) => `<${glyph.toString(16).padStart(4, '0').toUpperCase()}> <${hex(utf16(ch))}>`);
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
   }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+}
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <title>${title}</title>
-  <style>
-    @page {
-      size: A4;
-      margin: 2.5cm 2cm;
-    }
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      font-family: 'Times New Roman', Georgia, serif;
-      font-size: 12pt;
-      line-height: 1.5;
-      color: #000;
-      background: #fff;
-    }
-    .title-page {
-      text-align: center;
-      padding-top: 6cm;
-      page-break-after: always;
-    }
-    .title-page h1 {
-      font-size: 24pt;
-      margin-bottom: 2cm;
-      line-height: 1.3;
-    }
-    .title-page .meta {
-      font-size: 14pt;
-      line-height: 2;
-    }
-    .toc {
-      page-break-after: always;
-    }
-    .toc h2 { margin-bottom: 1cm; }
-    .toc ul {
-      list-style: none;
-      padding: 0;
-    }
-    .toc li {
-      padding: 0.3cm 0;
-      border-bottom: 1px dotted #ccc;
-    }
-    .section {
-      margin-bottom: 1cm;
-    }
-    .section h2 {
-      font-size: 14pt;
-      margin-bottom: 0.5cm;
-      color: #1a1a2e;
-    }
-    .section h3 {
-      font-size: 12pt;
-      margin-top: 0.5cm;
-      margin-bottom: 0.3cm;
-    }
-    .section p {
-      margin-bottom: 0.4cm;
-      text-align: justify;
-    }
-    .section ul {
-      margin-left: 1cm;
-      margin-bottom: 0.4cm;
-    }
-    .budget-table {
-      width: 100%;
-      border-collapse: collapse;
-      margin: 0.5cm 0;
+// A font as one document uses it: measures text, encodes it for a content
+// stream, and writes itself once every character used is known
+function embeddedFace(ttf) {
+  const used = new Map();
+  return {
+    width(text, size) {
+      let units = 0;
+      for (const ch of text) units += ttf.advance(ttf.glyphFor(ch.codePointAt(0)));
+      return units * size / 1000;
+    },
+    encode(text) {
+      let out = '';
+      for (const ch of text) {
+        const glyph = ttf.glyphFor(ch.codePointAt(0));
+        if (!used.has(glyph)) used.set(glyph, ch);
+        out += glyph.toString(16).padStart(4, '0');
+      }
+      return `<${out}>`;
+    },
+    write(pdf) {
+      const glyphs = [...used.keys()].sort((a, b) => a - b);
+      // Subsets are named with a tag of six capitals, the same for the same glyphs
+      const tag = [...crypto.createHash('md5').update(`${ttf.name}:${glyphs.join(',')}`).digest().subarray(0, 6)].map(b => String.fromCharCode(65 + (b % 26))).join('');
+      const name = `${tag}+${ttf.name}`;
+      const file = ttf.subset(glyphs);
+      const fontFile = pdf.stream(`/Length1 ${file.length}`, file);
+      const descriptor = pdf.add(`<< /Type /FontDescriptor /FontName /${name} /Flags ${ttf.fixedPitch ? 5 : 4} /FontBBox [${ttf.bbox.join(' ')}] /ItalicAngle ${ttf.italicAngle} /Ascent ${ttf.ascent} /Descent ${ttf.descent} /CapHeight ${ttf.capHeight} /StemV 80 /FontFile2 ${ref(fontFile)} >>`);
+      const widths = glyphs.map(g => `${g} [${Math.round(ttf.advance(g))}]`).join(' ');
+      const cidFont = pdf.add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${ref(descriptor)} /W [${widths}] /CIDToGIDMap /Identity >>`);
+      const toUnicode = pdf.stream('', toUnicodeMap(used));
+      return pdf.add(`<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H /DescendantFonts [${ref(cidFont)}] /ToUnicode ${ref(toUnicode)} >>`);
     }
-    .budget-table th, .budget-table td {
-      border: 1px solid #333;
-      padding: 0.3cm 0.5cm;
-      text-align: left;
+  };
+}
+
+// A standard PDF font, for when no font file is found
+function standardFace(font, bold) {
+  return {
+    width(text, size) {
+      return textWidth(text, font, size, bold);
+    },
+    encode(text) {
+      let out = '';
+      for (const ch of text) {
+        const code = WIN_ANSI[ch] || (ch.codePointAt(0) < 256 && !(ch.codePointAt(0) >= 0x80 && ch.codePointAt(0) < 0xa0) ? ch.codePointAt(0) : 63);
+        if (code === 0x28 || code === 0x29 || code === 0x5c) out += `\\${ch}`;
+        else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+        else out += ch;
+      }
+      return `(${out})`;
+    },
+    write(pdf) {
+      return pdf.add(`<< /Type /Font /Subtype /Type1 /BaseFont /${pdfFont(font, bold)} /Encoding /WinAnsiEncoding >>`);
     }
-    .budget-table th {
-      background: #f0f0f0;
+  };
+}
+
+async function loadFace(font, bold) {
+  const ttf = await findFont(font, bold);
+  return ttf ? embeddedFace(ttf) : standardFace(font, bold);
+}
+
+// ─── PDF Objects ────────────────────────────────────────────
+
+function ref(id) {
+  return `${id} 0 R`;
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+// A text string: UTF-16 with a byte order mark
+function pdfText(text) {
+  return `<FEFF${hex(utf16(String(text)))}>`;
+}
+
+function pdfDate(date) {
+  return `(D:${date.replace(/-/g, '')}000000Z)`;
+}
+
+function createWriter() {
+  const objects = [];
+  const reserve = () => objects.push(null);
+  const set = (id, body) => { objects[id - 1] = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'); };
+  const add = body => {
+    const id = reserve();
+    set(id, body);
+    return id;
+  };
+  return {
+    reserve,
+    set,
+    add,
+    /** A compressed stream object; dict holds entries besides /Length and /Filter */
+    stream(dict, data) {
+      const packed = zlib.deflateSync(Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1'));
+      return add(Buffer.concat([Buffer.from(`<< ${dict ? `${dict} ` : ''}/Filter /FlateDecode /Length ${packed.length} >>\nstream\n`, 'latin1'), packed, Buffer.from('\nendstream', 'latin1')]));
+    },
+    toBuffer(root, info) {
+      const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const offset = length;
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+      const id = hex(crypto.createHash('md5').update(Buffer.concat(chunks)).digest());
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${ref(root)} /Info ${ref(info)} /ID [<${id}> <${id}>] >>`,
+        'startxref',
+        String(length),
+        '%%EOF\n'
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+      return Buffer.concat(chunks);
     }
-    .total-row {
-      background: #f5f5f5;
+  };
+}
+
+// ─── Document ───────────────────────────────────────────────
+
+// Headings in a part's text sit one level under the part's own heading
+function demoteHeadings(markdown) {
+  return String(markdown).replace(/^(\s*)(#{1,5})(\s)/gm, '$1#$2$3');
+}
+
+function partMarkdown(part) {
+  const heading = `# ${part.number}. ${part.title}\n\n`;
+  if (part.kind === 'section') return heading + demoteHeadings(part.markdown);
+  if (part.kind === 'budget') {
+    const cell = (text, bold) => (bold ? `**${text}**` : text);
+    return `${heading}| Item | Amount |\n| --- | ---: |\n${part.rows.map(r => `| ${r.cells.map(c => cell(c, r.bold)).join(' | ')} |`).join('\n')}\n`;
+  }
+  if (part.kind === 'references') return heading + part.references.map((r, i) => `${i + 1}. ${r}`).join('\n');
+  return heading;
+}
+
+/**
+ * Write an exported proposal as a PDF
+ * @param {Object} doc - exportDocument() result
+ * @returns {Promise<Buffer>} the PDF file
+ */
+async function generatePDF(doc) {
+  const f = resolveFormatting(doc.formatting);
+  const faces = [await loadFace(f.font, false), await loadFace(f.font, true)];
+  const measure = (text, font, size, bold) => faces[bold ? 1 : 0].width(text, size);
+  const bodyLine = lineHeight(f.font, f.fontSize) * f.lineSpacing;
+  const pages = [];
+
+  const newPage = () => {
+    pages.push({ ops: [], links: [] });
+    return pages.length;
+  };
+  // Text at x with the top of its line at top, both from the page's top left
+  const drawText = (page, x, top, text, size, bold = false, gray = 0) => {
+    if (!text) return;
+    const y = f.pageHeight - top - size * BASELINE;
+    const colour = gray ? `${num(gray)} g ` : '';
+    pages[page - 1].ops.push(`BT ${colour}/F${bold ? 2 : 1} ${num(size)} Tf ${num(x)} ${num(y)} Td ${faces[bold ? 1 : 0].encode(text)} Tj ET${gray ? ' 0 g' : ''}`);
+  };
+  const drawRect = (page, x, top, width, height, fill) => {
+    pages[page - 1].ops.push(`${fill ? `${fill} rg ` : ''}0.5 w ${num(x)} ${num(f.pageHeight - top - height)} ${num(width)} ${num(height)} re ${fill ? 'f 0 g' : 'S'}`);
+  };
+  const width = (text, size, bold) => faces[bold ? 1 : 0].width(text, size);
+  const wrap = (text, maxWidth, size, bold) => {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && width(next, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
     }
-    .page-break {
-      page-break-before: always;
+    if (line) lines.push(line);
+    return lines;
+  };
+  const fit = (text, maxWidth, size, bold) => {
+    if (width(text, size, bold) <= maxWidth) return text;
+    let cut = text;
+    while (cut && width(`${cut}…`, size, bold) > maxWidth) cut = cut.slice(0, -1);
+    return `${cut.trimEnd()}…`;
+  };
+  const centred = (page, top, text, size, bold) => drawText(page, f.margins.left + (f.contentWidth - width(text, size, bold)) / 2, top, text, size, bold);
+
+  // Title page
+  newPage();
+  let top = f.margins.top + f.contentHeight * 0.25;
+  const titleSize = f.fontSize * 2;
+  for (const line of wrap(doc.title, f.contentWidth, titleSize, true)) {
+    centred(1, top, line, titleSize, true);
+    top += lineHeight(f.font, titleSize);
+  }
+  top += titleSize * 2;
+  const detailSize = f.fontSize * 1.2;
+  for (const [label, value] of doc.details) {
+    for (const line of wrap(`${label}: ${value}`, f.contentWidth, detailSize)) {
+      centred(1, top, line, detailSize);
+      top += lineHeight(f.font, detailSize) * 1.3;
     }
-    @media screen {
-      body { max-width: 21cm; margin: 2cm auto; padding: 2cm; }
-      .print-btn {
-        position: fixed;
-        top: 1cm;
-        right: 1cm;
-        padding: 0.5cm 1cm;
-        background: #4361ee;
-        color: #fff;
-        border: none;
-        border-radius: 4px;
-        cursor: pointer;
-        font-size: 14pt;
-        z-index: 1000;
+  }
+  centred(1, top + detailSize * 2, new Date(`${doc.date}T00:00:00Z`).toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }), detailSize);
+
+  // Contents: its length is known before the parts are laid out, so their pages are too
+  const contentsSize = f.fontSize * 1.3;
+  const contentsHeading = lineHeight(f.font, contentsSize) + f.fontSize;
+  const entryLine = lineHeight(f.font, f.fontSize) * 1.5;
+  const contentsSlots = [];
+  let contentsPage = 0;
+  let entryTop = Infinity;
+  for (let i = 0; i < doc.parts.length; i++) {
+    if (entryTop + entryLine > f.margins.top + f.contentHeight) {
+      contentsPage = newPage();
+      entryTop = f.margins.top;
+      if (!contentsSlots.length) {
+        drawText(contentsPage, f.margins.left, entryTop, 'Contents', contentsSize, true);
+        entryTop += contentsHeading;
       }
-      .print-btn:hover { background: #3451de; }
     }
-    @media print {
-      .print-btn { display: none; }
+    contentsSlots.push({ page: contentsPage, y: entryTop });
+    entryTop += entryLine;
+  }
+
+  // Parts, each from a new page
+  const drawLines = (lines, first) => {
+    for (const line of lines) {
+      const page = first + line.page - 1;
+      while (pages.length < page) newPage();
+      for (const fr of line.fragments) drawText(page, fr.x, line.y + (fr.dy || 0), fr.text, fr.size, fr.bold);
+      if (line.table) {
+        let x = line.table.x;
+        for (const w of line.table.widths) {
+          drawRect(page, x, line.y, w, line.height);
+          x += w;
+        }
+      }
     }
-  </style>
-</head>
-<body>
-  <button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
-
-  <div class="title-page">
-    <h1>${escapeHtml(title)}</h1>
-    <div class="meta">
-      ${piName ? `<div><strong>Principal Investigator:</strong> ${escapeHtml(piName)}</div>` : ''}
-      ${piInstitution ? `<div>${escapeHtml(piInstitution)}</div>` : ''}
-      ${funder ? `<div><strong>Funder:</strong> ${escapeHtml(funder)}${scheme ? ` — ${escapeHtml(scheme)}` : ''}</div>` : ''}
-      ${amount ? `<div><strong>Requested:</strong> £${escapeHtml(String(amount))}</div>` : ''}
-      ${duration ? `<div><strong>Duration:</strong> ${escapeHtml(String(duration))} months</div>` : ''}
-      <div style="margin-top:2cm">${now}</div>
-    </div>
-  </div>
-
-  ${sectionsHtml}
-  ${budgetHtml}
-  ${ganttHtml ? `<div class="section page-break"><h2>Work Plan (Gantt Chart)</h2>${ganttHtml}</div>` : ''}
-</body>
-</html>`;
-}
-
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
-module.exports = { generatePrintHTML };
+  };
+  for (const part of doc.parts) {
+    part.page = newPage();
+    const laid = layoutText(partMarkdown(part), doc.formatting, { textWidth: measure });
+    drawLines(laid.lines, part.page);
+    if (part.kind === 'workPlan') drawWorkPlan(part, laid.lines[laid.lines.length - 1]);
+  }
+
+  // A Gantt chart under the heading: one row per work package with its
+  // deliverable, and a bar across the months it runs
+  function drawWorkPlan(part, heading) {
+    const labelWidth = f.contentWidth * GANTT_LABEL_SHARE;
+    const monthWidth = (f.contentWidth - labelWidth) / part.months;
+    const step = [1, 2, 3, 6, 12].find(s => s * monthWidth >= width('00', f.fontSize * 0.8) + 4) || 12;
+    const rowHeader = bodyLine + 2 * CELL_PADDING;
+    let page = pages.length;
+    let y = heading.y + heading.height + f.fontSize;
+    const header = () => {
+      drawRect(page, f.margins.left, y, labelWidth, rowHeader);
+      drawRect(page, f.margins.left + labelWidth, y, f.contentWidth - labelWidth, rowHeader);
+      drawText(page, f.margins.left + CELL_PADDING, y + CELL_PADDING, 'Work package', f.fontSize, true);
+      for (let m = 1; m <= part.months; m += step) drawText(page, f.margins.left + labelWidth + (m - 1) * monthWidth + 2, y + CELL_PADDING, String(m), f.fontSize * 0.8, true);
+      y += rowHeader;
+    };
+    header();
+    part.workPackages.forEach((wp, i) => {
+      const name = wrap(wp.name || `WP${i + 1}`, labelWidth - 2 * CELL_PADDING, f.fontSize, true);
+      const deliverable = wp.deliverable ? wrap(`Deliverable: ${wp.deliverable}`, labelWidth - 2 * CELL_PADDING, f.fontSize * 0.9) : [];
+      const height = name.length * bodyLine + deliverable.length * bodyLine * 0.9 + 2 * CELL_PADDING;
+      if (y + height > f.margins.top + f.contentHeight) {
+        page = newPage();
+        y = f.margins.top;
+        header();
+      }
+      drawRect(page, f.margins.left, y, labelWidth, height);
+      drawRect(page, f.margins.left + labelWidth, y, f.contentWidth - labelWidth, height);
+      let lineTop = y + CELL_PADDING;
+      name.forEach(line => { drawText(page, f.margins.left + CELL_PADDING, lineTop, line, f.fontSize, true); lineTop += bodyLine; });
+      deliverable.forEach(line => { drawText(page, f.margins.left + CELL_PADDING, lineTop, line, f.fontSize * 0.9); lineTop += bodyLine * 0.9; });
+      const start = Math.min(Math.max(Number(wp.start) || 1, 1), part.months);
+      const end = Math.min(Math.max(Number(wp.end) || start, start), part.months);
+      drawRect(page, f.margins.left + labelWidth + (start - 1) * monthWidth, y + CELL_PADDING, (end - start + 1) * monthWidth, bodyLine * 0.8, '0.26 0.38 0.93');
+      y += height;
+    });
+  }
+
+  // The contents, now the parts' pages are known
+  const numberWidth = width(String(pages.length), f.fontSize) + 4;
+  const dot = width('.', f.fontSize);
+  doc.parts.forEach((part, i) => {
+    const { page, y } = contentsSlots[i];
+    const label = fit(`${part.number}. ${part.title}`, f.contentWidth - numberWidth - dot * 4, f.fontSize);
+    const labelWidth = width(label, f.fontSize);
+    const pageNumber = String(part.page);
+    const pageX = f.margins.left + f.contentWidth - width(pageNumber, f.fontSize);
+    drawText(page, f.margins.left, y, label, f.fontSize);
+    const dots = Math.floor((pageX - f.margins.left - labelWidth - dot * 2) / dot);
+    if (dots > 0) drawText(page, pageX - dot * (dots + 1), y, '.'.repeat(dots), f.fontSize, false, 0.5);
+    drawText(page, pageX, y, pageNumber, f.fontSize);
+    pages[page - 1].links.push({ rect: [f.margins.left, f.pageHeight - y - entryLine, f.margins.left + f.contentWidth, f.pageHeight - y], page: part.page });
+  });
+
+  // Running header and page numbers, on every page but the title
+  const smallSize = Math.max(8, f.fontSize * 0.8);
+  const headerTitle = fit(doc.title, f.contentWidth, smallSize);
+  for (let page = 2; page <= pages.length; page++) {
+    const headerTop = f.margins.top / 2 - smallSize;
+    drawText(page, f.margins.left, headerTop, headerTitle, smallSize, false, 0.35);
+    pages[page - 1].ops.push(`0.7 G 0.5 w ${num(f.margins.left)} ${num(f.pageHeight - headerTop - smallSize * 1.2)} m ${num(f.margins.left + f.contentWidth)} ${num(f.pageHeight - headerTop - smallSize * 1.2)} l S 0 G`);
+    const footer = `Page ${page} of ${pages.length}`;
+    drawText(page, f.margins.left + (f.contentWidth - width(footer, smallSize)) / 2, f.pageHeight - f.margins.bottom / 2 - smallSize / 2, footer, smallSize, false, 0.35);
+  }
+
+  // Objects
+  const pdf = createWriter();
+  const catalog = pdf.reserve();
+  const pageTree = pdf.reserve();
+  const pageRefs = pages.map(() => pdf.reserve());
+  const fonts = faces.map(face => face.write(pdf));
+  const destination = page => `[${ref(pageRefs[page - 1])} /XYZ 0 ${num(f.pageHeight)} null]`;
+  const resources = `<< /Font << /F1 ${ref(fonts[0])} /F2 ${ref(fonts[1])} >> >>`;
+  pages.forEach((page, i) => {
+    const contents = pdf.stream('', page.ops.join('\n'));
+    const links = page.links.map(link => pdf.add(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(num).join(' ')}] /Border [0 0 0] /Dest ${destination(link.page)} >>`));
+    pdf.set(pageRefs[i], `<< /Type /Page /Parent ${ref(pageTree)} /MediaBox [0 0 ${num(f.pageWidth)} ${num(f.pageHeight)}] /Resources ${resources} /Contents ${ref(contents)}${links.length ? ` /Annots [${links.map(ref).join(' ')}]` : ''} >>`);
+  });
+  pdf.set(pageTree, `<< /Type /Pages /Kids [${pageRefs.map(ref).join(' ')}] /Count ${pages.length} >>`);
+
+  let outlines = '';
+  if (doc.parts.length) {
+    const root = pdf.reserve();
+    const items = doc.parts.map(() => pdf.reserve());
+    doc.parts.forEach((part, i) => {
+      const siblings = `${i ? ` /Prev ${ref(items[i - 1])}` : ''}${i < items.length - 1 ? ` /Next ${ref(items[i + 1])}` : ''}`;
+      pdf.set(items[i], `<< /Title ${pdfText(`${part.number}. ${part.title}`)} /Parent ${ref(root)}${siblings} /Dest ${destination(part.page)} >>`);
+    });
+    pdf.set(root, `<< /Type /Outlines /First ${ref(items[0])} /Last ${ref(items[items.length - 1])} /Count ${items.length} >>`);
+    outlines = ` /Outlines ${ref(root)} /PageMode /UseOutlines`;
+  }
+  pdf.set(catalog, `<< /Type /Catalog /Pages ${ref(pageTree)}${outlines} /ViewerPreferences << /DisplayDocTitle true >> /Lang (en-GB) >>`);
+
+  const author = (doc.details.find(([label]) => label === 'Principal Investigator') || [])[1];
+  const info = pdf.add(`<< /Title ${pdfText(doc.title)}${author ? ` /Author ${pdfText(author)}` : ''} /Creator (BidWriter) /Producer (BidWriter) /CreationDate ${pdfDate(doc.date)} /ModDate ${pdfDate(doc.date)} >>`);
+  return pdf.toBuffer(catalog, info);
+}
+
+module.exports = { generatePDF, findFont };
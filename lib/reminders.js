@@ -0,0 +1,112 @@
+/**
+ * Deadline Reminders
+ * What the background scheduler tells people about: funder deadlines and
+ * internal milestones coming up or missed, workflow steps that have stalled,
+ * and compliance failures on proposals close to their deadline.
+ *
+ * Each reminder carries a key naming what it is about and when, so the
+ * scheduler can run as often as it likes without repeating itself: a milestone
+ * is mentioned once as each "due soon" threshold is crossed and once when it
+ * is missed, a stalled stage once per stalled period, and compliance failures
+ * again only when the set of failing checks changes.
+ */
+
+const { ROLES } = require('./auth');
+const { proposalEvents } = require('./calendar');
+const { PRECONDITIONS } = require('./workflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = { dueSoonDays: [7, 1], stalledAfterDays: 5, complianceWithinDays: 14 };
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Who a reminder is for
+ * @returns {Object} { team: owner and editors, approverRoles: [roles such as "research-office"] }
+ */
+function audience(by = [], extra = {}) {
+  return {
+    team: !!extra.team || by.some(who => ROLES.includes(who)),
+    approverRoles: [...new Set(by.filter(who => !ROLES.includes(who)))]
+  };
+}
+
+/**
+ * Reminders due for one proposal today
+ * @param {Object} context - { stage: current stage id, stages, transitions (from
+ *   the workflow), milestones: default milestones, funder: template or null,
+ *   settings: { dueSoonDays, stalledAfterDays, complianceWithinDays }, today: "YYYY-MM-DD" }
+ * @returns {Array} [{ key, kind, title, body, proposalId, audience: { team, approverRoles } }]
+ */
+function proposalReminders(proposal, { stage = 'draft', stages = [], transitions = [], milestones = [], funder = null, settings = {}, today = new Date().toISOString().slice(0, 10) } = {}) {
+  const { dueSoonDays, stalledAfterDays, complianceWithinDays } = { ...DEFAULTS, ...settings };
+  const current = stages.find(s => s.id === stage) || {};
+  if (current.final) return [];
+  const title = proposal.title || 'Untitled';
+  const waiting = transitions.filter(t => t.from === stage);
+  const reminders = [];
+
+  // Deadlines and milestones: the smallest threshold crossed, then once when missed
+  const thresholds = [...dueSoonDays].sort((a, b) => a - b);
+  for (const event of proposalEvents(proposal, { defaults: milestones, stages, stage })) {
+    if (event.done) continue;
+    const left = daysBetween(today, event.date);
+    const threshold = left >= 0 ? thresholds.find(t => left <= t) : 'missed';
+    if (threshold === undefined) continue;
+    const what = event.title.replace(`: ${title}`, '');
+    // A milestone completed by a workflow step is also for whoever takes that step
+    const step = event.stage ? waiting.find(t => t.to === event.stage) : null;
+    reminders.push({
+      key: `${event.uid}:${event.date}:${threshold}`,
+      kind: event.kind,
+      title: threshold === 'missed'
+        ? `${what} for "${title}" was due ${left === -1 ? 'yesterday' : `${-left} days ago`}`
+        : `${what} for "${title}" is ${left === 0 ? 'due today' : left === 1 ? 'due tomorrow' : `due in ${left} days`}`,
+      body: [event.description, `Due ${event.date}`].filter(Boolean).join('\n'),
+      proposalId: proposal.id,
+      audience: audience(step ? step.by : [], { team: true })
+    });
+  }
+
+  // A stage nobody has moved on from, repeated every stalledAfterDays
+  const since = ((proposal.workflow && proposal.workflow.changedAt) || proposal.createdAt || '').slice(0, 10);
+  if (stage !== 'draft' && since && waiting.length && stalledAfterDays > 0) {
+    const idle = daysBetween(since, today);
+    if (idle >= stalledAfterDays) {
+      const periods = Math.floor(idle / stalledAfterDays);
+      const approvals = (proposal.workflow && proposal.workflow.approvals) || [];
+      reminders.push({
+        key: `stalled:${proposal.id}:${stage}:${since}:${periods}`,
+        kind: 'stalled',
+        title: `"${title}" has been in ${current.label || stage} for ${idle} days`,
+        body: waiting.map(t => `${t.label || t.to}: ${approvals.filter(a => a.to === t.to).length} of ${t.approvals || 1} approvals`).join('\n'),
+        proposalId: proposal.id,
+        audience: audience(waiting.flatMap(t => t.by))
+      });
+    }
+  }
+
+  // Compliance failures while there is still time to fix them
+  const submittedIndex = stages.findIndex(s => s.id === 'submitted');
+  const beforeSubmission = submittedIndex < 0 || stages.findIndex(s => s.id === stage) < submittedIndex;
+  const left = proposal.deadline ? daysBetween(today, String(proposal.deadline).slice(0, 10)) : null;
+  if (funder && beforeSubmission && left !== null && left >= 0 && left <= complianceWithinDays) {
+    const result = PRECONDITIONS.compliancePasses.check({ proposal, funder });
+    if (!result.pass) {
+      reminders.push({
+        key: `compliance:${proposal.id}:${proposal.deadline}:${result.message}`,
+        kind: 'compliance',
+        title: `"${title}" fails compliance checks ${left === 0 ? 'on its deadline day' : `${left} day${left !== 1 ? 's' : ''} before its deadline`}`,
+        body: result.message,
+        proposalId: proposal.id,
+        audience: audience([], { team: true })
+      });
+    }
+  }
+  return reminders;
+}
+
+module.exports = { DEFAULTS, proposalReminders };
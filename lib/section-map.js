@@ -0,0 +1,178 @@
+/**
+ * Section Mapping
+ * Which parts of a proposal satisfy each section a funder requires. A
+ * proposal keeps the mapping in `sectionMap`, keyed by the scheme's section
+ * names:
+ *
+ *   "sectionMap": {
+ *     "Case for Support": { "sections": ["Case for Support", "Literature Review"] },
+ *     "Work Plan": { "sections": ["Methodology"] },
+ *     "CV": { "attachment": true }
+ *   }
+ *
+ * `sections` are editor sections (keys of proposal.sections), whose text is
+ * checked in that order; `attachment` means the requirement is met by a file
+ * rather than text. A section with no entry is unmapped. One editor section
+ * mapped to several requirements is ambiguous, since its words would count
+ * against each of them.
+ *
+ * New proposals get a suggested mapping, from the editor section names and
+ * the usual names funders give the same thing ("Justification of Resources"
+ * is the budget justification); each editor section is suggested for one
+ * requirement at most.
+ */
+
+// The editor's built-in sections, as keys of proposal.sections
+const EDITOR_SECTIONS = ['Case for Support', 'Methodology', 'Impact', 'Literature Review', 'Budget Justification', 'Ethics & Data Management'];
+
+// What funders call each editor section
+const SYNONYMS = {
+  'Case for Support': ['case for support', 'research plan', 'research proposal', 'scientific proposal', 'extended synopsis', 'excellence', 'project description', 'project vision', 'business need', 'proposal'],
+  'Methodology': ['methodology', 'methods', 'work plan', 'project plan', 'implementation', 'approach', 'project deliverables'],
+  'Impact': ['impact', 'pathways to impact', 'impact and benefits', 'dissemination', 'public engagement', 'market opportunity', 'business case'],
+  'Literature Review': ['literature review', 'state of the art', 'background'],
+  'Budget Justification': ['budget justification', 'justification of resources', 'budget and justification', 'budget table', 'budget', 'cost breakdown', 'costs and value for money', 'costs'],
+  'Ethics & Data Management': ['ethics and data management', 'data management plan', 'data management and sharing plan', 'data management', 'ethics self assessment', 'ethics']
+};
+
+// Requirements met by uploading a document
+const ATTACHMENT_PATTERN = /\b(cvs?|curriculum vitae|letters? of (support|commitment|collaboration)|ethics approval|publication list)\b/;
+
+function normalise(name) {
+  return String(name).toLowerCase().replace(/&/g, ' and ').replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function containsPhrase(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
+}
+
+// How well a requirement's name fits an editor section: 0 (not at all) to 4 (same name)
+function fit(requirement, editorSection) {
+  const r = normalise(requirement);
+  if (r === normalise(editorSection)) return 4;
+  const synonyms = SYNONYMS[editorSection] || [];
+  if (synonyms.includes(r)) return 3;
+  // Longer phrases are more telling: "data management plan" over "plan"
+  const contained = synonyms.filter(s => containsPhrase(r, s));
+  if (contained.length) return 1 + Math.min(1, Math.max(...contained.map(s => s.split(' ').length)) / 3);
+  return 0;
+}
+
+/**
+ * The editor sections a proposal can map from: the built-in ones and any
+ * others it has text for
+ */
+function editorSections(proposalSections = {}) {
+  return [...new Set([...EDITOR_SECTIONS, ...Object.keys(proposalSections || {})])];
+}
+
+/**
+ * Suggest a mapping for a scheme's sections
+ * @param {Array} schemeSections - scheme.sections from the funder template
+ * @param {Array} available - editor section names (see editorSections())
+ * @returns {Object} sectionMap; requirements with no likely match are left out
+ */
+function suggestSectionMap(schemeSections, available = EDITOR_SECTIONS) {
+  const map = {};
+  const candidates = [];
+  for (const { name } of schemeSections || []) {
+    if (ATTACHMENT_PATTERN.test(normalise(name))) {
+      map[name] = { attachment: true };
+      continue;
+    }
+    for (const editorSection of available) {
+      const score = fit(name, editorSection);
+      if (score) candidates.push({ name, editorSection, score });
+    }
+  }
+  // Best fits first; an editor section goes to one requirement only
+  const used = new Set();
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { name, editorSection } of candidates) {
+    if (map[name] || used.has(editorSection)) continue;
+    map[name] = { sections: [editorSection] };
+    used.add(editorSection);
+  }
+  return map;
+}
+
+/**
+ * Each required section with the text that satisfies it under a mapping
+ * @param {Array} schemeSections - scheme.sections
+ * @param {Object} sectionMap - proposal.sectionMap
+ * @param {Object} sections - proposal.sections
+ * @returns {Array} [{ name, sources, attachment, text, problem, sharedWith, missing }] in
+ *   the scheme's order. text joins the mapped sections (null when none has any);
+ *   problem is 'unmapped', 'ambiguous' (sharedWith lists the other requirements)
+ *   or null; missing lists mapped sections the proposal does not have
+ */
+function resolveSections(schemeSections, sectionMap = {}, sections = {}) {
+  sectionMap = sectionMap || {};
+  sections = sections || {};
+  const claims = {};
+  for (const [name, entry] of Object.entries(sectionMap)) {
+    for (const source of entry && Array.isArray(entry.sections) ? entry.sections : []) (claims[source] = claims[source] || []).push(name);
+  }
+  const known = editorSections(sections);
+
+  return (schemeSections || []).map(({ name }) => {
+    const entry = sectionMap[name] || {};
+    const sources = Array.isArray(entry.sections) ? entry.sections : [];
+    const attachment = !!entry.attachment;
+    const texts = sources.map(s => sections[s]).filter(t => t && t.trim());
+    const sharedWith = [...new Set(sources.flatMap(s => claims[s].filter(other => other !== name)))];
+    let problem = null;
+    if (!sources.length && !attachment) problem = 'unmapped';
+    else if (sharedWith.length) problem = 'ambiguous';
+    return {
+      name,
+      sources,
+      attachment,
+      text: texts.length ? texts.join('\n\n') : null,
+      problem,
+      sharedWith,
+      missing: sources.filter(s => !known.includes(s))
+    };
+  });
+}
+
+/**
+ * What is wrong with a mapping sent by a client or read from an imported file, as
+ * checked against the scheme it is for
+ * @returns {Array} [{ path, message }]; empty when the mapping can be used
+ */
+function sectionMapProblems(schemeSections, sectionMap) {
+  if (!sectionMap || typeof sectionMap !== 'object' || Array.isArray(sectionMap)) return [{ path: '', message: 'must be an object' }];
+  const required = new Set((schemeSections || []).map(s => s.name));
+  const problems = [];
+  for (const [name, entry] of Object.entries(sectionMap)) {
+    if (!required.has(name)) problems.push({ path: name, message: 'is not a section of the scheme' });
+    else if (!entry || typeof entry !== 'object') problems.push({ path: name, message: 'must be an object' });
+    else if (entry.attachment !== undefined && typeof entry.attachment !== 'boolean') problems.push({ path: `${name}.attachment`, message: 'must be true or false' });
+    else if (entry.sections !== undefined && !(Array.isArray(entry.sections) && entry.sections.every(s => typeof s === 'string' && s))) {
+      problems.push({ path: `${name}.sections`, message: 'must be a list of section names' });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Proposal text with markdown headings split into sections by heading, for
+ * text checked without a proposal behind it
+ */
+function sectionsFromText(text) {
+  const sections = {};
+  let current = null;
+  for (const line of String(text || '').split('\n')) {
+    const heading = line.match(/^#{1,3}\s*(?:\d+\.?\s*)?(.+?)\s*$/);
+    if (heading) {
+      current = heading[1];
+      sections[current] = '';
+    } else if (current) {
+      sections[current] += `${line}\n`;
+    }
+  }
+  return sections;
+}
+
+module.exports = { EDITOR_SECTIONS, editorSections, suggestSectionMap, resolveSections, sectionMapProblems, sectionsFromText };
@@ -0,0 +1,372 @@
+/**
+ * SQLite Storage Backend
+ * Proposals, snapshots, attachments, accounts, notifications, audit logs and
+ * funder template history live in one database file.
+ * The full JSON document is kept in a `data` column; the fields the dashboard lists,
+ * filters and sorts by, and who may open each proposal, are copied into
+ * indexed columns on every save.
+ * Requires the optional `better-sqlite3` package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { summarize, versionMeta, MAX_NOTIFICATIONS } = require('./storage');
+const { ROLES, normalizeEmail } = require('./auth');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS proposals (
+    id          TEXT PRIMARY KEY,
+    title       TEXT NOT NULL DEFAULT '',
+    funder      TEXT NOT NULL DEFAULT '',
+    scheme      TEXT NOT NULL DEFAULT '',
+    status      TEXT NOT NULL DEFAULT 'draft',
+    amount      REAL NOT NULL DEFAULT 0,
+    owner_id    TEXT,
+    created_at  TEXT,
+    updated_at  TEXT,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS proposals_updated ON proposals (updated_at DESC);
+  CREATE INDEX IF NOT EXISTS proposals_status ON proposals (status, updated_at DESC);
+  CREATE INDEX IF NOT EXISTS proposals_funder ON proposals (funder, updated_at DESC);
+
+  CREATE TABLE IF NOT EXISTS versions (
+    proposal_id TEXT NOT NULL REFERENCES proposals (id) ON DELETE CASCADE,
+    version_id  TEXT NOT NULL,
+    timestamp   TEXT NOT NULL,
+    label       TEXT NOT NULL DEFAULT '',
+    auto        INTEGER NOT NULL DEFAULT 0,
+    data        TEXT NOT NULL,
+    PRIMARY KEY (proposal_id, version_id)
+  );
+  CREATE INDEX IF NOT EXISTS versions_timestamp ON versions (proposal_id, timestamp DESC);
+
+  CREATE TABLE IF NOT EXISTS attachments (
+    proposal_id   TEXT NOT NULL REFERENCES proposals (id) ON DELETE CASCADE,
+    attachment_id TEXT NOT NULL,
+    data          BLOB NOT NULL,
+    PRIMARY KEY (proposal_id, attachment_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS proposal_access (
+    proposal_id TEXT NOT NULL REFERENCES proposals (id) ON DELETE CASCADE,
+    user_id     TEXT NOT NULL,
+    role        TEXT NOT NULL,
+    PRIMARY KEY (proposal_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS proposal_access_user ON proposal_access (user_id);
+
+  CREATE TABLE IF NOT EXISTS users (
+    id          TEXT PRIMARY KEY,
+    email       TEXT NOT NULL UNIQUE,
+    data        TEXT NOT NULL
+  );
+
+  -- Append-only: no foreign key, so the log outlives a deleted proposal
+  CREATE TABLE IF NOT EXISTS audit_log (
+    proposal_id TEXT NOT NULL,
+    seq         INTEGER NOT NULL,
+    at          TEXT NOT NULL,
+    data        TEXT NOT NULL,
+    PRIMARY KEY (proposal_id, seq)
+  );
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+
+  CREATE TABLE IF NOT EXISTS funder_history (
+    id          TEXT PRIMARY KEY,
+    funder_id   TEXT NOT NULL,
+    at          TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS funder_history_funder ON funder_history (funder_id, at);
+  CREATE TRIGGER IF NOT EXISTS funder_history_no_update BEFORE UPDATE ON funder_history
+    BEGIN SELECT RAISE(ABORT, 'The funder history is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS funder_history_no_delete BEFORE DELETE ON funder_history
+    BEGIN SELECT RAISE(ABORT, 'The funder history is append-only'); END;
+
+  CREATE TABLE IF NOT EXISTS notifications (
+    id          TEXT PRIMARY KEY,
+    user_id     TEXT NOT NULL,
+    key         TEXT NOT NULL,
+    created_at  TEXT NOT NULL,
+    read_at     TEXT,
+    data        TEXT NOT NULL,
+    UNIQUE (user_id, key)
+  );
+  CREATE INDEX IF NOT EXISTS notifications_user ON notifications (user_id, created_at DESC);
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id          TEXT PRIMARY KEY,
+    user_id     TEXT NOT NULL,
+    expires_at  TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+`;
+
+// Columns added after the first release, for databases created before them
+const UPGRADES = [
+  { table: 'proposals', column: 'owner_id', sql: 'ALTER TABLE proposals ADD COLUMN owner_id TEXT' }
+];
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  for (const { table, column, sql } of UPGRADES) {
+    const exists = db.prepare(`SELECT COUNT(*) AS n FROM pragma_table_info('${table}') WHERE name = ?`).get(column).n;
+    if (!exists && db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table' AND name = ?").get(table).n) db.exec(sql);
+  }
+  db.exec(SCHEMA);
+  db.exec('CREATE INDEX IF NOT EXISTS proposals_owner ON proposals (owner_id, updated_at DESC)');
+  return db;
+}
+
+/**
+ * @param {Object} options - { file: path to the database }
+ */
+function createSqliteStorage({ file }) {
+  const db = openDatabase(file);
+
+  const stmt = {
+    getProposal: db.prepare('SELECT data FROM proposals WHERE id = ?'),
+    upsertProposal: db.prepare(`
+      INSERT INTO proposals (id, title, funder, scheme, status, amount, owner_id, created_at, updated_at, data)
+      VALUES (@id, @title, @funder, @scheme, @status, @amount, @ownerId, @createdAt, @updatedAt, @data)
+      ON CONFLICT (id) DO UPDATE SET
+        title = excluded.title, funder = excluded.funder, scheme = excluded.scheme,
+        status = excluded.status, amount = excluded.amount, owner_id = excluded.owner_id,
+        created_at = excluded.created_at, updated_at = excluded.updated_at, data = excluded.data`),
+    clearAccess: db.prepare('DELETE FROM proposal_access WHERE proposal_id = ?'),
+    insertAccess: db.prepare('INSERT INTO proposal_access (proposal_id, user_id, role) VALUES (?, ?, ?)'),
+    deleteProposal: db.prepare('DELETE FROM proposals WHERE id = ?'),
+    listVersions: db.prepare('SELECT version_id, timestamp, label, auto FROM versions WHERE proposal_id = ? ORDER BY timestamp DESC'),
+    getVersion: db.prepare('SELECT data FROM versions WHERE proposal_id = ? AND version_id = ?'),
+    upsertVersion: db.prepare(`
+      INSERT OR REPLACE INTO versions (proposal_id, version_id, timestamp, label, auto, data)
+      VALUES (@proposalId, @versionId, @timestamp, @label, @auto, @data)`),
+    deleteVersion: db.prepare('DELETE FROM versions WHERE proposal_id = ? AND version_id = ?'),
+    upsertAttachment: db.prepare('INSERT OR REPLACE INTO attachments (proposal_id, attachment_id, data) VALUES (?, ?, ?)'),
+    getAttachment: db.prepare('SELECT data FROM attachments WHERE proposal_id = ? AND attachment_id = ?'),
+    deleteAttachment: db.prepare('DELETE FROM attachments WHERE proposal_id = ? AND attachment_id = ?'),
+    listUsers: db.prepare('SELECT data FROM users ORDER BY email'),
+    getUser: db.prepare('SELECT data FROM users WHERE id = ?'),
+    getUserByEmail: db.prepare('SELECT data FROM users WHERE email = ?'),
+    upsertUser: db.prepare(`
+      INSERT INTO users (id, email, data) VALUES (@id, @email, @data)
+      ON CONFLICT (id) DO UPDATE SET email = excluded.email, data = excluded.data`),
+    insertAudit: db.prepare('INSERT INTO audit_log (proposal_id, seq, at, data) VALUES (?, ?, ?, ?)'),
+    listAudit: db.prepare('SELECT data FROM audit_log WHERE proposal_id = ? ORDER BY seq'),
+    insertFunderHistory: db.prepare('INSERT INTO funder_history (id, funder_id, at, data) VALUES (?, ?, ?, ?)'),
+    listFunderHistory: db.prepare('SELECT data FROM funder_history WHERE funder_id = ? ORDER BY at, rowid'),
+    listAllFunderHistory: db.prepare('SELECT data FROM funder_history ORDER BY at, rowid'),
+    insertNotification: db.prepare(`
+      INSERT OR IGNORE INTO notifications (id, user_id, key, created_at, read_at, data)
+      VALUES (@id, @userId, @key, @createdAt, @readAt, @data)`),
+    pruneNotifications: db.prepare(`
+      DELETE FROM notifications WHERE user_id = @userId AND id NOT IN
+        (SELECT id FROM notifications WHERE user_id = @userId ORDER BY created_at DESC, rowid DESC LIMIT @keep)`),
+    listNotifications: db.prepare('SELECT data, read_at FROM notifications WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?'),
+    markRead: db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND id = ? AND read_at IS NULL'),
+    markAllRead: db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL'),
+    getSession: db.prepare('SELECT data FROM sessions WHERE id = ?'),
+    upsertSession: db.prepare('INSERT OR REPLACE INTO sessions (id, user_id, expires_at, data) VALUES (@id, @userId, @expiresAt, @data)'),
+    deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?')
+  };
+
+  const writeProposal = db.transaction(proposal => {
+    const s = summarize(proposal);
+    stmt.upsertProposal.run({
+      id: proposal.id,
+      title: proposal.title || '',
+      funder: s.funder,
+      scheme: s.scheme,
+      status: s.status,
+      amount: Number(s.amount) || 0,
+      ownerId: s.ownerId,
+      createdAt: proposal.createdAt || null,
+      updatedAt: s.updatedAt || null,
+      data: JSON.stringify(proposal)
+    });
+    stmt.clearAccess.run(proposal.id);
+    for (const [userId, role] of Object.entries(proposal.access || {})) {
+      if (ROLES.includes(role) && userId !== s.ownerId) stmt.insertAccess.run(proposal.id, userId, role);
+    }
+  });
+
+  return {
+    name: 'sqlite',
+    db,
+
+    async listProposals({ q, status, funder, userId, limit, offset } = {}) {
+      const where = [];
+      const params = {};
+      let role = 'NULL AS role', join = '';
+      if (userId) {
+        join = 'LEFT JOIN proposal_access a ON a.proposal_id = p.id AND a.user_id = @userId';
+        role = "CASE WHEN p.owner_id = @userId THEN 'owner' ELSE a.role END AS role";
+        where.push('(p.owner_id = @userId OR a.role IS NOT NULL)');
+        params.userId = userId;
+      }
+      if (status) { where.push('status = @status'); params.status = status; }
+      if (funder) { where.push('funder = @funder'); params.funder = funder; }
+      if (q && q.trim()) {
+        where.push("(title LIKE @q ESCAPE '\\' OR funder LIKE @q ESCAPE '\\' OR scheme LIKE @q ESCAPE '\\')");
+        params.q = `%${q.trim().replace(/[\\%_]/g, c => '\\' + c)}%`;
+      }
+      let sql = `SELECT id, title, funder, scheme, status, amount, owner_id, created_at, updated_at, ${role}
+        FROM proposals p ${join}
+        ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY updated_at DESC`;
+      if (limit) {
+        sql += ' LIMIT @limit OFFSET @offset';
+        params.limit = Number(limit);
+        params.offset = Math.max(0, Number(offset) || 0);
+      }
+      return db.prepare(sql).all(params).map(r => {
+        const summary = summarize({
+          id: r.id, title: r.title, funder: r.funder, scheme: r.scheme, status: r.status,
+          amount: r.amount, ownerId: r.owner_id, createdAt: r.created_at, updatedAt: r.updated_at
+        });
+        return userId ? { ...summary, role: r.role } : summary;
+      });
+    },
+
+    async getProposal(id) {
+      const row = stmt.getProposal.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async saveProposal(proposal) {
+      writeProposal(proposal);
+      return proposal;
+    },
+
+    async deleteProposal(id) {
+      return stmt.deleteProposal.run(id).changes > 0;
+    },
+
+    async listVersions(id) {
+      return stmt.listVersions.all(id).map(r => versionMeta({ versionId: r.version_id, timestamp: r.timestamp, label: r.label, auto: r.auto }));
+    },
+
+    async getVersion(id, versionId) {
+      const row = stmt.getVersion.get(id, versionId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async saveVersion(id, snapshot) {
+      stmt.upsertVersion.run({
+        proposalId: id,
+        versionId: snapshot.versionId,
+        timestamp: snapshot.timestamp,
+        label: snapshot.label || '',
+        auto: snapshot.auto ? 1 : 0,
+        data: JSON.stringify(snapshot)
+      });
+      return snapshot;
+    },
+
+    async deleteVersion(id, versionId) {
+      return stmt.deleteVersion.run(id, versionId).changes > 0;
+    },
+
+    async saveAttachment(id, attachmentId, buffer) {
+      stmt.upsertAttachment.run(id, attachmentId, buffer);
+      return attachmentId;
+    },
+
+    async getAttachment(id, attachmentId) {
+      const row = stmt.getAttachment.get(id, attachmentId);
+      return row ? row.data : null;
+    },
+
+    async deleteAttachment(id, attachmentId) {
+      return stmt.deleteAttachment.run(id, attachmentId).changes > 0;
+    },
+
+    async appendAudit(id, entry) {
+      stmt.insertAudit.run(id, entry.seq, entry.at, JSON.stringify(entry));
+      return entry;
+    },
+
+    async listAudit(id) {
+      return stmt.listAudit.all(id).map(r => JSON.parse(r.data));
+    },
+
+    async appendFunderHistory(funderId, entry) {
+      stmt.insertFunderHistory.run(entry.id, funderId, entry.at, JSON.stringify(entry));
+      return entry;
+    },
+
+    async listFunderHistory(funderId) {
+      const rows = funderId === undefined ? stmt.listAllFunderHistory.all() : stmt.listFunderHistory.all(funderId);
+      return rows.map(r => JSON.parse(r.data));
+    },
+
+    async listUsers() {
+      return stmt.listUsers.all().map(r => JSON.parse(r.data));
+    },
+
+    async getUser(id) {
+      const row = stmt.getUser.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async getUserByEmail(email) {
+      const row = stmt.getUserByEmail.get(normalizeEmail(email));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async saveUser(user) {
+      stmt.upsertUser.run({ id: user.id, email: normalizeEmail(user.email), data: JSON.stringify(user) });
+      return user;
+    },
+
+    async addNotification(notification) {
+      const { readAt, ...rest } = notification;
+      const added = stmt.insertNotification.run({ id: rest.id, userId: rest.userId, key: rest.key, createdAt: rest.createdAt, readAt: readAt || null, data: JSON.stringify(rest) }).changes > 0;
+      if (!added) return null;
+      stmt.pruneNotifications.run({ userId: rest.userId, keep: MAX_NOTIFICATIONS });
+      return notification;
+    },
+
+    async listNotifications(userId, { limit } = {}) {
+      return stmt.listNotifications.all(userId, limit ? Number(limit) : -1).map(r => ({ ...JSON.parse(r.data), readAt: r.read_at }));
+    },
+
+    async markNotificationsRead(userId, ids) {
+      const now = new Date().toISOString();
+      if (!ids) return stmt.markAllRead.run(now, userId).changes;
+      return db.transaction(() => ids.reduce((count, id) => count + stmt.markRead.run(now, userId, id).changes, 0))();
+    },
+
+    async getSession(id) {
+      const row = stmt.getSession.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async saveSession(session) {
+      stmt.upsertSession.run({ id: session.id, userId: session.userId, expiresAt: session.expiresAt, data: JSON.stringify(session) });
+      return session;
+    },
+
+    async deleteSession(id) {
+      return stmt.deleteSession.run(id).changes > 0;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,414 @@
+/**
+ * Proposal Storage
+ * Persistence for proposals, their version snapshots and user accounts
+ * behind one async interface, so server.js does not care where data lives.
+ *
+ *   STORAGE_BACKEND=json    one JSON file per proposal in proposals/, with its
+ *                           attached files in proposals/<id>/attachments/, per
+ *                           snapshot in versions/<id>/, per account in users/
+ *                           and per account's notifications in notifications/,
+ *                           and one JSON-lines audit log per proposal in
+ *                           audit/ and per funder template in funder-history/
+ *                           (default)
+ *   STORAGE_BACKEND=sqlite  a single SQLite database (SQLITE_PATH, default
+ *                           ./bidwriter.db) with indexed listing and search
+ *
+ * Every backend provides:
+ *   listProposals({ q, status, funder, userId, limit, offset }) → summaries, newest
+ *     first; with userId, only proposals that user can access, with their `role`
+ *   getProposal(id) → proposal or null
+ *   saveProposal(proposal) → proposal (insert or replace)
+ *   deleteProposal(id) → boolean (also deletes its snapshots and attachments)
+ *   saveAttachment(id, attachmentId, buffer) / getAttachment(id, attachmentId) →
+ *     Buffer or null / deleteAttachment(id, attachmentId) → boolean. The file
+ *     only; its description is kept on the proposal (see lib/attachments.js)
+ *   listVersions(id) → [{ versionId, timestamp, label, auto }], newest first
+ *   getVersion(id, versionId) → snapshot or null
+ *   saveVersion(id, snapshot) → snapshot
+ *   deleteVersion(id, versionId) → boolean
+ *   appendAudit(id, entry) → entry; listAudit(id) → entries, oldest first. The
+ *     audit log is append-only and outlives the proposal it describes
+ *   appendFunderHistory(funderId, entry) → entry; listFunderHistory(funderId) →
+ *     entries, oldest first (every funder's when funderId is omitted). Also
+ *     append-only, and kept when the template is deleted
+ *   listUsers() / getUser(id) / getUserByEmail(email) / saveUser(user)
+ *   addNotification(notification) → notification, or null if the user already
+ *     has one with the same key; listNotifications(userId, { limit }) → newest
+ *     first; markNotificationsRead(userId, ids) → number marked (all when ids is omitted)
+ *   getSession(id) / saveSession(session) / deleteSession(id)
+ *   close()
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { roleFor, normalizeEmail } = require('./auth');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Dashboard summary of a proposal
+ */
+function summarize(data) {
+  return {
+    id: data.id,
+    title: data.title || 'Untitled',
+    funder: data.funder || '',
+    scheme: data.scheme || '',
+    status: data.status || 'draft',
+    amount: data.amount || 0,
+    ownerId: data.ownerId || null,
+    updatedAt: data.updatedAt || data.createdAt,
+    createdAt: data.createdAt
+  };
+}
+
+function versionMeta(data) {
+  return { versionId: data.versionId, timestamp: data.timestamp, label: data.label || '', auto: !!data.auto };
+}
+
+/**
+ * Apply listProposals filters to cached entries (used by the JSON backend)
+ * @param {Array} entries - [{ summary, access }]
+ */
+function filterSummaries(entries, { q, status, funder, userId, limit, offset } = {}) {
+  const needle = (q || '').trim().toLowerCase();
+  let list = entries.map(({ summary, access }) => {
+    if (!userId) return summary;
+    const role = roleFor({ ownerId: summary.ownerId, access }, userId);
+    return role && { ...summary, role };
+  });
+  list = list.filter(s => s &&
+    (!status || s.status === status) &&
+    (!funder || s.funder === funder) &&
+    (!needle || [s.title, s.funder, s.scheme].some(v => (v || '').toLowerCase().includes(needle)))
+  );
+  list.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  const start = Math.max(0, Number(offset) || 0);
+  list = list.slice(start, limit ? start + Number(limit) : undefined);
+  return list;
+}
+
+// Notifications kept per account; older ones are dropped
+const MAX_NOTIFICATIONS = 200;
+
+// Ids become file names, so refuse anything that could leave the folder
+function safeId(id) {
+  return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
+
+/**
+ * JSON-file backend. Summaries are cached by file modification time, so the
+ * dashboard only re-reads proposals that changed since the last listing.
+ */
+function createJsonStorage({ proposalsDir, versionsDir, usersDir, sessionsDir, auditDir, notificationsDir, funderHistoryDir } = {}) {
+  proposalsDir = proposalsDir || path.join(ROOT_DIR, 'proposals');
+  versionsDir = versionsDir || path.join(ROOT_DIR, 'versions');
+  usersDir = usersDir || path.join(ROOT_DIR, 'users');
+  sessionsDir = sessionsDir || path.join(ROOT_DIR, 'sessions');
+  auditDir = auditDir || path.join(ROOT_DIR, 'audit');
+  notificationsDir = notificationsDir || path.join(ROOT_DIR, 'notifications');
+  funderHistoryDir = funderHistoryDir || path.join(ROOT_DIR, 'funder-history');
+  const summaryCache = new Map();   // file → { mtimeMs, summary, access }
+  const notificationWrites = new Map();   // userId → tail of its pending writes
+
+  const proposalFile = id => path.join(proposalsDir, `${id}.json`);
+  const versionFile = (id, versionId) => path.join(versionsDir, id, `${versionId}.json`);
+  const attachmentsDir = id => path.join(proposalsDir, id, 'attachments');
+
+  async function readJsonLines(file) {
+    try {
+      return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Read-modify-write of one account's notifications file, one at a time
+  function updateNotifications(userId, fn) {
+    if (!safeId(userId)) return Promise.reject(new Error('Invalid user id'));
+    const file = path.join(notificationsDir, `${userId}.json`);
+    const run = (notificationWrites.get(userId) || Promise.resolve()).then(async () => {
+      const list = (await readJson(file)) || [];
+      const { result, changed } = fn(list);
+      if (changed) {
+        await fs.mkdir(notificationsDir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify(list.slice(-MAX_NOTIFICATIONS), null, 2), { mode: 0o600 });
+      }
+      return result;
+    });
+    const tail = run.catch(() => {});
+    notificationWrites.set(userId, tail);
+    tail.then(() => { if (notificationWrites.get(userId) === tail) notificationWrites.delete(userId); });
+    return run;
+  }
+
+  return {
+    name: 'json',
+
+    async listProposals(filters) {
+      await fs.mkdir(proposalsDir, { recursive: true });
+      const files = (await fs.readdir(proposalsDir)).filter(f => f.endsWith('.json'));
+      const entries = [];
+      for (const file of files) {
+        const full = path.join(proposalsDir, file);
+        try {
+          const { mtimeMs } = await fs.stat(full);
+          let cached = summaryCache.get(full);
+          if (!cached || cached.mtimeMs !== mtimeMs) {
+            const data = JSON.parse(await fs.readFile(full, 'utf8'));
+            cached = { mtimeMs, summary: summarize(data), access: data.access || {} };
+            summaryCache.set(full, cached);
+          }
+          entries.push(cached);
+        } catch (e) { /* skip corrupt */ }
+      }
+      for (const full of summaryCache.keys()) {
+        if (!files.includes(path.basename(full))) summaryCache.delete(full);
+      }
+      return filterSummaries(entries, filters);
+    },
+
+    async getProposal(id) {
+      if (!safeId(id)) return null;
+      return readJson(proposalFile(id));
+    },
+
+    async saveProposal(proposal) {
+      if (!safeId(proposal.id)) throw new Error('Invalid proposal id');
+      await fs.mkdir(proposalsDir, { recursive: true });
+      await fs.writeFile(proposalFile(proposal.id), JSON.stringify(proposal, null, 2));
+      return proposal;
+    },
+
+    async deleteProposal(id) {
+      if (!safeId(id)) return false;
+      try {
+        await fs.unlink(proposalFile(id));
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+      summaryCache.delete(proposalFile(id));
+      await fs.rm(path.join(versionsDir, id), { recursive: true, force: true });
+      await fs.rm(path.join(proposalsDir, id), { recursive: true, force: true });
+      return true;
+    },
+
+    async saveAttachment(id, attachmentId, buffer) {
+      if (!safeId(id) || !safeId(attachmentId)) throw new Error('Invalid attachment id');
+      await fs.mkdir(attachmentsDir(id), { recursive: true });
+      await fs.writeFile(path.join(attachmentsDir(id), attachmentId), buffer);
+      return attachmentId;
+    },
+
+    async getAttachment(id, attachmentId) {
+      if (!safeId(id) || !safeId(attachmentId)) return null;
+      try {
+        return await fs.readFile(path.join(attachmentsDir(id), attachmentId));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async deleteAttachment(id, attachmentId) {
+      if (!safeId(id) || !safeId(attachmentId)) return false;
+      try {
+        await fs.unlink(path.join(attachmentsDir(id), attachmentId));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async listVersions(id) {
+      if (!safeId(id)) return [];
+      let files;
+      try {
+        files = await fs.readdir(path.join(versionsDir, id));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const versions = [];
+      for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          versions.push(versionMeta(JSON.parse(await fs.readFile(path.join(versionsDir, id, file), 'utf8'))));
+        } catch (e) { /* skip */ }
+      }
+      versions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      return versions;
+    },
+
+    async getVersion(id, versionId) {
+      if (!safeId(id) || !safeId(versionId)) return null;
+      return readJson(versionFile(id, versionId));
+    },
+
+    async saveVersion(id, snapshot) {
+      if (!safeId(id) || !safeId(snapshot.versionId)) throw new Error('Invalid version id');
+      await fs.mkdir(path.join(versionsDir, id), { recursive: true });
+      await fs.writeFile(versionFile(id, snapshot.versionId), JSON.stringify(snapshot, null, 2));
+      return snapshot;
+    },
+
+    async deleteVersion(id, versionId) {
+      if (!safeId(id) || !safeId(versionId)) return false;
+      try {
+        await fs.unlink(versionFile(id, versionId));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async appendAudit(id, entry) {
+      if (!safeId(id)) throw new Error('Invalid proposal id');
+      await fs.mkdir(auditDir, { recursive: true });
+      await fs.appendFile(path.join(auditDir, `${id}.jsonl`), JSON.stringify(entry) + '\n');
+      return entry;
+    },
+
+    async listAudit(id) {
+      if (!safeId(id)) return [];
+      return readJsonLines(path.join(auditDir, `${id}.jsonl`));
+    },
+
+    async appendFunderHistory(funderId, entry) {
+      if (!safeId(funderId)) throw new Error('Invalid funder id');
+      await fs.mkdir(funderHistoryDir, { recursive: true });
+      await fs.appendFile(path.join(funderHistoryDir, `${funderId}.jsonl`), JSON.stringify(entry) + '\n');
+      return entry;
+    },
+
+    async listFunderHistory(funderId) {
+      if (funderId !== undefined) return safeId(funderId) ? readJsonLines(path.join(funderHistoryDir, `${funderId}.jsonl`)) : [];
+      let files;
+      try {
+        files = await fs.readdir(funderHistoryDir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const entries = [];
+      for (const file of files.filter(f => f.endsWith('.jsonl'))) entries.push(...await readJsonLines(path.join(funderHistoryDir, file)));
+      return entries.sort((a, b) => a.at.localeCompare(b.at));
+    },
+
+    async listUsers() {
+      let files;
+      try {
+        files = await fs.readdir(usersDir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const users = [];
+      for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          users.push(JSON.parse(await fs.readFile(path.join(usersDir, file), 'utf8')));
+        } catch (e) { /* skip corrupt */ }
+      }
+      return users;
+    },
+
+    async getUser(id) {
+      if (!safeId(id)) return null;
+      return readJson(path.join(usersDir, `${id}.json`));
+    },
+
+    async getUserByEmail(email) {
+      const wanted = normalizeEmail(email);
+      return (await this.listUsers()).find(u => u.email === wanted) || null;
+    },
+
+    async saveUser(user) {
+      if (!safeId(user.id)) throw new Error('Invalid user id');
+      await fs.mkdir(usersDir, { recursive: true });
+      await fs.writeFile(path.join(usersDir, `${user.id}.json`), JSON.stringify(user, null, 2), { mode: 0o600 });
+      return user;
+    },
+
+    async addNotification(notification) {
+      return updateNotifications(notification.userId, list => {
+        if (list.some(n => n.key === notification.key)) return { result: null, changed: false };
+        list.push(notification);
+        return { result: notification, changed: true };
+      });
+    },
+
+    async listNotifications(userId, { limit } = {}) {
+      if (!safeId(userId)) return [];
+      const list = ((await readJson(path.join(notificationsDir, `${userId}.json`))) || []).reverse();
+      return limit ? list.slice(0, Number(limit)) : list;
+    },
+
+    async markNotificationsRead(userId, ids) {
+      const now = new Date().toISOString();
+      return updateNotifications(userId, list => {
+        let count = 0;
+        for (const n of list) {
+          if (!n.readAt && (!ids || ids.includes(n.id))) {
+            n.readAt = now;
+            count++;
+          }
+        }
+        return { result: count, changed: count > 0 };
+      });
+    },
+
+    async getSession(id) {
+      if (!safeId(id)) return null;
+      return readJson(path.join(sessionsDir, `${id}.json`));
+    },
+
+    async saveSession(session) {
+      await fs.mkdir(sessionsDir, { recursive: true });
+      await fs.writeFile(path.join(sessionsDir, `${session.id}.json`), JSON.stringify(session), { mode: 0o600 });
+      return session;
+    },
+
+    async deleteSession(id) {
+      if (!safeId(id)) return false;
+      try {
+        await fs.unlink(path.join(sessionsDir, `${id}.json`));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Create the configured storage backend
+ * @param {Object} options - { backend: 'json'|'sqlite', proposalsDir, versionsDir, auditDir, notificationsDir, funderHistoryDir, sqlitePath }
+ */
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'json';
+  if (backend === 'json') return createJsonStorage(options);
+  if (backend === 'sqlite') {
+    const { createSqliteStorage } = require('./storage-sqlite');
+    return createSqliteStorage({ file: options.sqlitePath || process.env.SQLITE_PATH || path.join(ROOT_DIR, 'bidwriter.db') });
+  }
+  throw new Error(`Unknown storage backend "${backend}" (expected json or sqlite)`);
+}
+
+module.exports = { createStorage, createJsonStorage, summarize, versionMeta, MAX_NOTIFICATIONS };
@@ -0,0 +1,104 @@
+/**
+ * Suggested Edits (tracked changes)
+ * A suggestion replaces one passage of a section (empty for a pure
+ * insertion) with new text, and waits for an editor to accept or reject it.
+ * Suggestions are made by diffing an edited copy of a section against the
+ * text it started from, so a draft written in suggestion mode and the output
+ * of Polish both become a set of independent changes. Their anchors move
+ * with the text exactly like comment anchors.
+ */
+
+const crypto = require('crypto');
+const { diffText } = require('./diff');
+const { textOp, moveAnchors } = require('./comments');
+
+const SOURCES = ['edit', 'polish'];
+
+/**
+ * Group a word-level diff into replacements of passages of `base`
+ * @returns {Array} [{ start, end, original, text }]
+ */
+function changesBetween(base, text) {
+  const diff = diffText(base, text);
+  const changes = [];
+  let pos = 0, current = null;
+  for (let i = 0; i < diff.length; i++) {
+    const { type, text: part } = diff[i];
+    if (type === 'equal') {
+      // Changes either side of a single space read as one edit
+      if (current && diff[i + 1] && /^\s$/.test(part)) {
+        current.original += part;
+        current.text += part;
+        pos += part.length;
+        continue;
+      }
+      if (current) changes.push({ ...current, end: pos });
+      current = null;
+      pos += part.length;
+    } else {
+      if (!current) current = { start: pos, original: '', text: '' };
+      if (type === 'delete') {
+        current.original += part;
+        pos += part.length;
+      } else {
+        current.text += part;
+      }
+    }
+  }
+  if (current) changes.push({ ...current, end: pos });
+  return changes;
+}
+
+function applies(suggestion, text) {
+  const { start, end, quote, detached } = suggestion.anchor;
+  return !detached && typeof text === 'string' && text.slice(start, end) === quote;
+}
+
+/**
+ * Turn an edited copy of a section into suggestions against its current text
+ * @param {Object} options - { section, base, current, text, author, source }
+ *   where `base` is the text the edit started from and `current` the text now
+ * @returns {Object} { created, skipped } — skipped counts changes to text that
+ *   has since been edited by someone else
+ */
+function createSuggestions({ section, base, current, text, author, source }) {
+  const now = new Date().toISOString();
+  let created = changesBetween(base, text).map(change => ({
+    id: crypto.randomUUID(),
+    section,
+    anchor: { start: change.start, end: change.end, quote: change.original },
+    text: change.text,
+    authorId: author.id,
+    authorName: author.name,
+    source: SOURCES.includes(source) ? source : 'edit',
+    createdAt: now
+  }));
+  if (base !== current) created = moveAnchors(created, section, textOp(base, current));
+  const usable = created.filter(s => applies(s, current));
+  return { created: usable, skipped: created.length - usable.length };
+}
+
+/**
+ * Apply one suggestion to a proposal
+ * @returns {Object|null} { section, text, suggestions, comments } with the
+ *   new section text and every other anchor moved, or null if the suggestion
+ *   is unknown or its passage has changed since it was made
+ */
+function acceptSuggestion(proposal, id) {
+  const list = proposal.suggestions || [];
+  const suggestion = list.find(s => s.id === id);
+  const current = (proposal.sections || {})[suggestion && suggestion.section];
+  if (!suggestion || !applies(suggestion, current)) return null;
+
+  const { start, end } = suggestion.anchor;
+  const op = [start, -(end - start), suggestion.text, current.length - end].filter(c => c !== 0 && c !== '');
+  const rest = list.filter(s => s !== suggestion);
+  return {
+    section: suggestion.section,
+    text: current.slice(0, start) + suggestion.text + current.slice(end),
+    suggestions: moveAnchors(rest, suggestion.section, op),
+    comments: moveAnchors(proposal.comments, suggestion.section, op)
+  };
+}
+
+module.exports = { changesBetween, createSuggestions, acceptSuggestion };
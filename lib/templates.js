@@ -3,6 +3,13 @@
  * Validates proposals against funder requirements.
  */
 
+const { checkEligibility } = require('./eligibility');
+const { layoutText } = require('./layout');
+const { runRules } = require('./compliance-rules');
+const { calculateBudget } = require('./budget-calc');
+const { editorSections, suggestSectionMap, resolveSections, sectionsFromText } = require('./section-map');
+const { checkAttachments } = require('./attachments');
+
 /**
  * Count words in a string
  */
@@ -12,23 +19,43 @@ function countWords(text) {
 }
 
 /**
- * Estimate pages (assuming ~300 words/page for academic text)
+ * Pages the text fills, to one decimal place, laid out in the scheme's
+ * formatting (see lib/layout.js)
+ * @param {string} text - markdown
+ * @param {Object} formatting - scheme.formatting; defaults to 11pt Arial, 2 cm margins
  */
-function estimatePages(text) {
-  return Math.ceil(countWords(text) / 300);
+function estimatePages(text, formatting) {
+  return layoutText(text, formatting).pages;
+}
+
+// "11pt Times New Roman, 1.5–2 cm margins"
+function describeFormatting(formatting = {}) {
+  const { font = 'Arial', fontSize = 11, margins = 2, lineSpacing = 1 } = formatting;
+  const sides = typeof margins === 'number' ? [margins] : [...new Set(Object.values(margins))].sort((a, b) => a - b);
+  const marginText = sides.length > 1 ? `${sides[0]}–${sides[sides.length - 1]}` : sides[0] ?? 2;
+  return `${fontSize}pt ${font}, ${marginText} cm margins${lineSpacing !== 1 ? `, ${lineSpacing} line spacing` : ''}`;
 }
 
 /**
  * Run compliance checks against funder requirements
  * @param {string} proposalText - Full proposal text (can include section markers)
  * @param {Object} sections - Map of section name → text content
- * @param {Object} funderData - Full funder template
+ * @param {Object} funderData - Full funder template, or as resolved for a
+ *   proposal's pinned version by resolveVersion() in lib/funders.js
  * @param {number} schemeIndex - Index of selected scheme
  * @param {number} budget - Total budget amount
  * @param {number} duration - Project duration in months
+ * @param {Object} options - { applicant, startDate, deadline } for checking the
+ *   scheme's eligibilityRules (see lib/eligibility.js); budgetData (the
+ *   proposal's budget lines) for the template's budget rules; sectionMap (the
+ *   proposal's, see lib/section-map.js) for which text meets each required
+ *   section. Without a mapping one is suggested from the section names, or
+ *   from the markdown headings of proposalText when there are no sections.
+ *   attachments (the proposal's, see lib/attachments.js) are the files for
+ *   sections met by an attachment, and deadline also dates letters.
  * @returns {Object} Check results with pass/warn/fail statuses
  */
-function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0, budget = 0, duration = 0) {
+function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0, budget = 0, duration = 0, options = {}) {
   const results = [];
   const scheme = funderData.schemes && funderData.schemes[schemeIndex];
 
@@ -44,6 +71,23 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
     };
   }
 
+  // ── Template Version ──
+  if (funderData.missingVersion) {
+    results.push({
+      check: 'Template Version',
+      status: 'warn',
+      message: `The ${funderData.name} template version "${funderData.missingVersion}" this proposal was started under no longer exists; checked against ${funderData.version.label}.`,
+      advice: 'Confirm these are the rules for your call and update the proposal to them.'
+    });
+  } else if (funderData.newerVersion) {
+    results.push({
+      check: 'Template Version',
+      status: 'warn',
+      message: `Checked against ${funderData.version.label}; ${funderData.name} has since published ${funderData.newerVersion.label}.`,
+      advice: 'If you are applying to the newer call, move the proposal to its rules.'
+    });
+  }
+
   // ── Budget Limits ──
   if (scheme.maxAmount) {
     const budgetNum = parseFloat(budget) || 0;
@@ -120,9 +164,44 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
   }
 
   // ── Section Checks ──
+  const fromText = !sections || !Object.keys(sections).length;
+  if (fromText) sections = sectionsFromText(proposalText);
+  const sectionMap = options.sectionMap || suggestSectionMap(scheme.sections, editorSections(sections));
+  const resolved = resolveSections(scheme.sections, sectionMap, sections);
+
+  // A proposal saved before it had a mapping
+  if (!options.sectionMap && !fromText && (scheme.sections || []).length) {
+    results.push({
+      check: 'Section Mapping',
+      status: 'warn',
+      message: 'Required sections were matched to the proposal by name.',
+      advice: 'Confirm which part of the proposal covers each required section under Section Mapping on the Compliance tab.'
+    });
+  }
+
   if (scheme.sections) {
-    for (const reqSection of scheme.sections) {
-      const sectionText = findSection(sections, proposalText, reqSection.name);
+    scheme.sections.forEach((reqSection, i) => {
+      const { text: sectionText, problem, sharedWith, attachment } = resolved[i];
+
+      if (problem === 'unmapped') {
+        results.push({
+          check: `Section: ${reqSection.name}`,
+          status: reqSection.required ? 'fail' : 'warn',
+          message: `${reqSection.required ? 'Required section' : 'Section'} "${reqSection.name}" is not mapped to any part of the proposal.`,
+          advice: 'Choose the editor section(s) or attachment that cover it under Section Mapping on the Compliance tab.'
+        });
+        return;
+      }
+      if (problem === 'ambiguous') {
+        results.push({
+          check: `Section: ${reqSection.name} (Mapping)`,
+          status: 'warn',
+          message: `"${reqSection.name}" shares its text with ${sharedWith.map(n => `"${n}"`).join(', ')}, so the same words count against each.`,
+          advice: 'Give each required section its own editor section under Section Mapping on the Compliance tab.'
+        });
+      }
+      // Attachments are listed together below
+      if (attachment && !sectionText) return;
 
       // Required section present?
       if (reqSection.required) {
@@ -133,7 +212,7 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
             message: `Required section "${reqSection.name}" is missing or too short.`,
             advice: `Add a substantive "${reqSection.name}" section to your proposal.`
           });
-          continue;
+          return;
         } else {
           results.push({
             check: `Section: ${reqSection.name} (Present)`,
@@ -171,23 +250,36 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
 
       // Page limit check
       if (reqSection.maxPages && sectionText) {
-        const pages = estimatePages(sectionText);
-        if (pages > reqSection.maxPages) {
+        const layout = layoutText(sectionText, scheme.formatting, { maxPages: reqSection.maxPages });
+        // Without the funder's formatting the count is only an estimate
+        const setIn = scheme.formatting
+          ? describeFormatting(scheme.formatting)
+          : `${describeFormatting()} (an estimate: the template does not give the funder's formatting)`;
+        if (layout.overflow) {
+          const { page, line, text } = layout.overflow;
+          const start = text.length > 60 ? `${text.slice(0, 60)}…` : text;
           results.push({
             check: `Section: ${reqSection.name} (Page Limit)`,
             status: 'fail',
-            message: `"${reqSection.name}" is approximately ${pages} pages (limit: ${reqSection.maxPages}).`,
-            advice: `Estimated at ~300 words/page. Reduce content to fit within ${reqSection.maxPages} page(s).`
+            message: `"${reqSection.name}" runs to ${layout.pages.toFixed(1)} pages in ${setIn} (limit: ${reqSection.maxPages}).`,
+            advice: `Text overflows the limit at page ${page}, line ${line} ("${start}"). Cut from there on, or tighten tables and lists.`
+          });
+        } else if (layout.pages > reqSection.maxPages * 0.95) {
+          results.push({
+            check: `Section: ${reqSection.name} (Page Limit)`,
+            status: 'warn',
+            message: `"${reqSection.name}" fills ${layout.pages.toFixed(1)} of ${reqSection.maxPages} page(s) in ${setIn}.`,
+            advice: 'Close to the page limit. Layout in your word processor can differ slightly, so leave some room.'
           });
         } else {
           results.push({
             check: `Section: ${reqSection.name} (Page Limit)`,
             status: 'pass',
-            message: `"${reqSection.name}" fits within ${reqSection.maxPages} page(s).`
+            message: `"${reqSection.name}" fills ${layout.pages.toFixed(1)} of ${reqSection.maxPages} page(s) in ${setIn}.`
           });
         }
       }
-    }
+    });
   }
 
   // ── Overall text checks ──
@@ -229,8 +321,19 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
     }
   }
 
-  // ── Eligibility Note ──
-  if (scheme.eligibility) {
+  // ── Template Rules ── (see lib/compliance-rules.js)
+  const rules = [...(funderData.rules || []), ...(scheme.rules || [])];
+  if (rules.length) {
+    results.push(...runRules(rules, {
+      text: name => (name ? (resolved.find(r => r.name === name) || {}).text || sections[name] || null : fullText),
+      budget: options.budgetData ? calculateBudget(options.budgetData) : null
+    }));
+  }
+
+  // ── Eligibility ──
+  if (scheme.eligibilityRules) {
+    results.push(...checkEligibility(scheme.eligibilityRules, options.applicant, { startDate: options.startDate, duration, deadline: options.deadline }));
+  } else if (scheme.eligibility) {
     results.push({
       check: 'Eligibility',
       status: 'warn',
@@ -239,22 +342,8 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
     });
   }
 
-  // ── Required Attachments ──
-  if (scheme.sections) {
-    const attachmentSections = scheme.sections.filter(s =>
-      ['CV', 'Letter of Support', 'Ethics Approval', 'Data Management Plan'].some(a =>
-        s.name.toLowerCase().includes(a.toLowerCase())
-      )
-    );
-    if (attachmentSections.length > 0) {
-      results.push({
-        check: 'Required Attachments',
-        status: 'warn',
-        message: `Don't forget: ${attachmentSections.map(s => s.name).join(', ')}`,
-        advice: 'Ensure all required attachments are prepared before submission.'
-      });
-    }
-  }
+  // ── Attachments ──
+  results.push(...checkAttachments(scheme.sections, resolved, options.attachments, { deadline: options.deadline }));
 
   // Calculate overall status
   const hasFailures = results.some(r => r.status === 'fail');
@@ -264,34 +353,4 @@ function runComplianceChecks(proposalText, sections, funderData, schemeIndex = 0
   return { overall, results };
 }
 
-/**
- * Try to find a section's text from sections map or by parsing the full text
- */
-function findSection(sections, fullText, sectionName) {
-  // First check the sections map
-  if (sections) {
-    // Direct match
-    if (sections[sectionName]) return sections[sectionName];
-    // Case-insensitive match
-    const key = Object.keys(sections).find(k =>
-      k.toLowerCase().includes(sectionName.toLowerCase()) ||
-      sectionName.toLowerCase().includes(k.toLowerCase())
-    );
-    if (key) return sections[key];
-  }
-
-  // Try to extract from full text using heading patterns
-  if (fullText) {
-    const escapedName = sectionName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const pattern = new RegExp(
-      `(?:^|\\n)#+\\s*(?:\\d+\\.?\\s*)?${escapedName}[\\s\\S]*?(?=\\n#+\\s|$)`,
-      'i'
-    );
-    const match = fullText.match(pattern);
-    if (match) return match[0];
-  }
-
-  return null;
-}
-
 module.exports = { runComplianceChecks, countWords, estimatePages };
@@ -0,0 +1,263 @@
+/**
+ * TrueType Fonts
+ * Reads what a PDF needs from a TrueType (.ttf) file to embed it: glyphs for
+ * characters, advance widths, the metrics for the font descriptor, and a
+ * subset holding only the glyphs a document uses.
+ *
+ * The subset keeps every glyph's id (unused glyphs are left empty), so text can
+ * be written as glyph ids and shown through an identity mapping. Fonts with
+ * PostScript outlines (.otf), collections (.ttc) and fonts whose licence
+ * forbids embedding are refused.
+ */
+
+const TABLES_KEPT = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+function readTables(buffer) {
+  const tables = {};
+  const count = buffer.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const at = 12 + i * 16;
+    if (at + 16 > buffer.length) return null;
+    const tag = buffer.toString('latin1', at, at + 4);
+    const offset = buffer.readUInt32BE(at + 8);
+    const length = buffer.readUInt32BE(at + 12);
+    if (offset + length > buffer.length) return null;
+    tables[tag] = buffer.subarray(offset, offset + length);
+  }
+  return tables;
+}
+
+// The PostScript name (name id 6), from a Windows or Mac record
+function postScriptName(name) {
+  if (!name) return null;
+  const count = name.readUInt16BE(2);
+  const strings = name.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const at = 6 + i * 12;
+    const platform = name.readUInt16BE(at);
+    if (name.readUInt16BE(at + 6) !== 6) continue;
+    const start = strings + name.readUInt16BE(at + 10);
+    const raw = name.subarray(start, start + name.readUInt16BE(at + 8));
+    if ((platform === 3 || platform === 0) && raw.length % 2 === 0) return Buffer.from(raw).swap16().toString('utf16le');
+    if (platform === 1) return raw.toString('latin1');
+  }
+  return null;
+}
+
+// Character → glyph id, from a Unicode cmap subtable (format 4 or 12)
+function readCmap(cmap) {
+  const map = new Map();
+  if (!cmap) return map;
+  const records = [];
+  for (let i = 0; i < cmap.readUInt16BE(2); i++) {
+    const at = 4 + i * 8;
+    records.push({ platform: cmap.readUInt16BE(at), encoding: cmap.readUInt16BE(at + 2), offset: cmap.readUInt32BE(at + 4) });
+  }
+  const rank = r => (r.platform === 3 && r.encoding === 10 ? 0 : r.platform === 0 ? 1 : r.platform === 3 && r.encoding === 1 ? 2 : 9);
+  const best = records.filter(r => rank(r) < 9 && [4, 12].includes(cmap.readUInt16BE(r.offset))).sort((a, b) => rank(a) - rank(b))[0];
+  if (!best) return map;
+  const t = best.offset;
+
+  if (cmap.readUInt16BE(t) === 12) {
+    const groups = cmap.readUInt32BE(t + 12);
+    for (let g = 0; g < groups; g++) {
+      const at = t + 16 + g * 12;
+      const start = cmap.readUInt32BE(at);
+      const end = cmap.readUInt32BE(at + 4);
+      const glyph = cmap.readUInt32BE(at + 8);
+      for (let c = start; c <= end && c - start < 0x10000; c++) map.set(c, glyph + c - start);
+    }
+    return map;
+  }
+
+  const segments = cmap.readUInt16BE(t + 6) / 2;
+  const ends = t + 14;
+  const starts = ends + segments * 2 + 2;
+  const deltas = starts + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+  for (let s = 0; s < segments; s++) {
+    const start = cmap.readUInt16BE(starts + s * 2);
+    const end = cmap.readUInt16BE(ends + s * 2);
+    const delta = cmap.readInt16BE(deltas + s * 2);
+    const rangeOffset = cmap.readUInt16BE(rangeOffsets + s * 2);
+    for (let c = start; c <= end && c !== 0xffff; c++) {
+      let glyph;
+      if (rangeOffset) {
+        const at = rangeOffsets + s * 2 + rangeOffset + (c - start) * 2;
+        if (at + 2 > cmap.length) continue;
+        glyph = cmap.readUInt16BE(at);
+        if (glyph) glyph = (glyph + delta) & 0xffff;
+      } else {
+        glyph = (c + delta) & 0xffff;
+      }
+      if (glyph) map.set(c, glyph);
+    }
+  }
+  return map;
+}
+
+/**
+ * Read a TrueType font
+ * @param {Buffer} buffer - the .ttf file
+ * @returns {Object|null} { name, unitsPerEm, ascent, descent, capHeight, bbox, italicAngle,
+ *   fixedPitch, numGlyphs, glyphFor(codePoint), advance(glyph), subset(glyphs) }, or null
+ *   when the file is not a TrueType font that may be embedded
+ */
+function readFont(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const version = buffer.readUInt32BE(0);
+  if (version !== 0x00010000 && buffer.toString('latin1', 0, 4) !== 'true') return null;
+  const tables = readTables(buffer);
+  if (!tables || !['head', 'hhea', 'hmtx', 'maxp', 'loca', 'glyf'].every(t => tables[t])) return null;
+  const { head, hhea, hmtx, maxp, loca, glyf } = tables;
+  const os2 = tables['OS/2'];
+
+  // fsType 2: restricted licence, the font must not be embedded
+  if (os2 && (os2.readUInt16BE(8) & 0x000f) === 0x0002) return null;
+
+  const unitsPerEm = head.readUInt16BE(18);
+  const longLoca = head.readInt16BE(50) === 1;
+  const numGlyphs = maxp.readUInt16BE(4);
+  const metricsCount = hhea.readUInt16BE(34);
+  const scale = 1000 / unitsPerEm;
+  const cmap = readCmap(tables.cmap);
+
+  const glyphRange = glyph => {
+    const start = longLoca ? loca.readUInt32BE(glyph * 4) : loca.readUInt16BE(glyph * 2) * 2;
+    const end = longLoca ? loca.readUInt32BE(glyph * 4 + 4) : loca.readUInt16BE(glyph * 2 + 2) * 2;
+    return [start, end];
+  };
+
+  // Glyphs a composite glyph is built from
+  const components = glyph => {
+    const [start, end] = glyphRange(glyph);
+    if (end - start < 10 || glyf.readInt16BE(start) >= 0) return [];
+    const found = [];
+    let at = start + 10;
+    let flags;
+    do {
+      flags = glyf.readUInt16BE(at);
+      found.push(glyf.readUInt16BE(at + 2));
+      at += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+      if (flags & WE_HAVE_A_SCALE) at += 2;
+      else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) at += 4;
+      else if (flags & WE_HAVE_A_TWO_BY_TWO) at += 8;
+    } while (flags & MORE_COMPONENTS && at < end);
+    return found;
+  };
+
+  const typoAscent = os2 && os2.length >= 72 ? os2.readInt16BE(68) : hhea.readInt16BE(4);
+  const typoDescent = os2 && os2.length >= 72 ? os2.readInt16BE(70) : hhea.readInt16BE(6);
+  const post = tables.post;
+
+  return {
+    name: (postScriptName(tables.name) || 'Embedded').replace(/[^\x21-\x7e]|[()<>[\]{}/%#]/g, ''),
+    unitsPerEm,
+    // In 1/1000 em, as a PDF font descriptor wants them
+    ascent: Math.round(typoAscent * scale),
+    descent: Math.round(typoDescent * scale),
+    capHeight: Math.round((os2 && os2.readUInt16BE(0) >= 2 && os2.length >= 90 ? os2.readInt16BE(88) : typoAscent * 0.7) * scale),
+    bbox: [36, 38, 40, 42].map(at => Math.round(head.readInt16BE(at) * scale)),
+    italicAngle: post ? post.readInt32BE(4) / 65536 : 0,
+    fixedPitch: post ? post.readUInt32BE(12) !== 0 : false,
+    numGlyphs,
+
+    /** Glyph id for a Unicode code point; 0 (the missing glyph) when the font has none */
+    glyphFor(codePoint) {
+      return cmap.get(codePoint) || 0;
+    },
+
+    /** Advance width of a glyph in 1/1000 em */
+    advance(glyph) {
+      const i = Math.min(glyph, metricsCount - 1);
+      return hmtx.readUInt16BE(i * 4) * scale;
+    },
+
+    /**
+     * The font with only the given glyphs (and the glyphs they are built from)
+     * @param {Iterable} glyphs - glyph ids
+     * @returns {Buffer} a TrueType file
+     */
+    subset(glyphs) {
+      const keep = new Set([0, ...glyphs]);
+      for (const glyph of [...keep]) {
+        const queue = [glyph];
+        while (queue.length) {
+          for (const part of components(queue.pop())) {
+            if (!keep.has(part) && part < numGlyphs) { keep.add(part); queue.push(part); }
+          }
+        }
+      }
+      const pieces = [];
+      const offsets = Buffer.alloc((numGlyphs + 1) * 4);
+      let size = 0;
+      for (let g = 0; g < numGlyphs; g++) {
+        offsets.writeUInt32BE(size, g * 4);
+        if (!keep.has(g)) continue;
+        const [start, end] = glyphRange(g);
+        const data = glyf.subarray(start, end);
+        const padded = Buffer.alloc((data.length + 3) & ~3);
+        data.copy(padded);
+        pieces.push(padded);
+        size += padded.length;
+      }
+      offsets.writeUInt32BE(size, numGlyphs * 4);
+
+      const newHead = Buffer.from(head);
+      newHead.writeUInt32BE(0, 8);
+      newHead.writeInt16BE(1, 50);
+      const out = {};
+      for (const tag of TABLES_KEPT) if (tables[tag]) out[tag] = tables[tag];
+      Object.assign(out, { head: newHead, loca: offsets, glyf: Buffer.concat(pieces) });
+      return writeFont(out);
+    }
+  };
+}
+
+function checksum(data) {
+  const padded = data.length % 4 ? Buffer.concat([data, Buffer.alloc(4 - (data.length % 4))]) : data;
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  return sum;
+}
+
+// Tables → a TrueType file
+function writeFont(tables) {
+  const tags = Object.keys(tables).sort();
+  const power = 2 ** Math.floor(Math.log2(tags.length));
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(tags.length, 4);
+  header.writeUInt16BE(power * 16, 6);
+  header.writeUInt16BE(Math.log2(power), 8);
+  header.writeUInt16BE(tags.length * 16 - power * 16, 10);
+  const bodies = [];
+  let offset = header.length;
+  let headAt = -1;
+  tags.forEach((tag, i) => {
+    const data = tables[tag];
+    const at = 12 + i * 16;
+    header.write(tag, at, 4, 'latin1');
+    header.writeUInt32BE(checksum(data), at + 4);
+    header.writeUInt32BE(offset, at + 8);
+    header.writeUInt32BE(data.length, at + 12);
+    if (tag === 'head') headAt = offset;
+    const padded = Buffer.alloc((data.length + 3) & ~3);
+    data.copy(padded);
+    bodies.push(padded);
+    offset += padded.length;
+  });
+  const font = Buffer.concat([header, ...bodies]);
+  // head's checkSumAdjustment makes the whole file sum to a fixed number
+  if (headAt !== -1) font.writeUInt32BE((0xb1b0afba - checksum(font)) >>> 0, headAt + 8);
+  return font;
+}
+
+module.exports = { readFont };
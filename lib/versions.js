@@ -0,0 +1,96 @@
+/**
+ * Version Snapshot Policy
+ * Decides when a proposal update deserves an automatic snapshot, and which
+ * old snapshots can be thinned out by the retention policy.
+ */
+
+const { countWords } = require('./templates');
+const { diffSections } = require('./diff');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const SNAPSHOT_POLICY = {
+  intervalMinutes: Number(process.env.SNAPSHOT_INTERVAL_MINUTES || 15),  // periodic snapshot while editing
+  largeEditWords: Number(process.env.SNAPSHOT_LARGE_EDIT_WORDS || 200),  // words changed in one section
+  largeEditRatio: Number(process.env.SNAPSHOT_LARGE_EDIT_RATIO || 0.3),  // or share of the section changed
+  minGapMinutes: Number(process.env.SNAPSHOT_MIN_GAP_MINUTES || 2)       // never closer together than this
+};
+
+const RETENTION_POLICY = {
+  keepAllHours: Number(process.env.VERSIONS_KEEP_ALL_HOURS || 24),  // keep every snapshot this recent
+  hourlyDays: Number(process.env.VERSIONS_HOURLY_DAYS || 7),        // then one per hour up to this age
+  dailyDays: Number(process.env.VERSIONS_DAILY_DAYS || 0)           // then one per day (0 = forever)
+};
+
+/**
+ * Decide whether a PUT should snapshot the state it is about to replace
+ * @param {Object} existing - Proposal as stored
+ * @param {Object} incoming - Fields being written
+ * @param {Object} opts - { reason: client hint e.g. 'ai-generation', lastSnapshotAt: ISO string }
+ * @returns {string|null} Snapshot label, or null for no snapshot
+ */
+function snapshotReason(existing, incoming, opts = {}) {
+  const { reason, lastSnapshotAt, now = Date.now(), policy = SNAPSHOT_POLICY } = opts;
+  const sinceLast = lastSnapshotAt ? now - new Date(lastSnapshotAt).getTime() : Infinity;
+  if (sinceLast < policy.minGapMinutes * 60 * 1000) return null;
+
+  if (reason === 'ai-generation') return 'Auto: before AI generation';
+
+  // Words inserted or deleted by the word diff, so a rewrite of the same
+  // length counts as much as adding or removing that much text
+  const before = existing.sections || {};
+  for (const { key, status, inserted, deleted } of diffSections(before, incoming.sections || before)) {
+    if (status === 'unchanged') continue;
+    const oldWords = countWords(before[key]);
+    const changed = Math.max(inserted, deleted);
+    if (changed >= policy.largeEditWords || (oldWords >= 50 && changed / oldWords >= policy.largeEditRatio)) {
+      return `Auto: before large edit to ${key}`;
+    }
+  }
+
+  const hasChanges = Object.keys(incoming).some(k =>
+    !['updatedAt', 'createdAt', 'id', 'revision'].includes(k) && JSON.stringify(incoming[k]) !== JSON.stringify(existing[k])
+  );
+  if (hasChanges && sinceLast >= policy.intervalMinutes * 60 * 1000) return 'Auto: periodic';
+
+  return null;
+}
+
+// Labels automatic snapshots were given before they carried an `auto` flag
+const AUTO_LABEL_PREFIXES = ['Auto:', 'Auto-save before'];
+
+function isAutomatic(version) {
+  return Boolean(version.auto) || AUTO_LABEL_PREFIXES.some(prefix => (version.label || '').startsWith(prefix));
+}
+
+/**
+ * Apply the retention policy to a proposal's snapshots
+ * Labelled (manual) snapshots are always kept. Automatic and unlabelled ones
+ * are kept in full for `keepAllHours`, then thinned to the newest per hour,
+ * then to the newest per day.
+ * @param {Array} versions - [{versionId, timestamp, label, auto}]
+ * @returns {Array} versionIds to delete
+ */
+function selectExpired(versions, now = Date.now(), policy = RETENTION_POLICY) {
+  const sorted = [...versions].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const seenBuckets = new Set();
+  const expired = [];
+
+  for (const v of sorted) {
+    const ts = new Date(v.timestamp).getTime();
+    const age = now - ts;
+    if (v.label && !isAutomatic(v)) continue;
+    if (age < policy.keepAllHours * HOUR) continue;
+
+    let bucket;
+    if (age < policy.hourlyDays * DAY) bucket = `h${Math.floor(ts / HOUR)}`;
+    else if (!policy.dailyDays || age < policy.dailyDays * DAY) bucket = `d${Math.floor(ts / DAY)}`;
+
+    if (bucket && !seenBuckets.has(bucket)) seenBuckets.add(bucket);
+    else expired.push(v.versionId);
+  }
+  return expired;
+}
+
+module.exports = { snapshotReason, selectExpired, SNAPSHOT_POLICY, RETENTION_POLICY };
@@ -0,0 +1,298 @@
+/**
+ * Proposal Workflow
+ * The research-office lifecycle a proposal moves through — draft, internal
+ * review, costing approval, head-of-department sign-off, submission and
+ * outcome — read from data/workflow.json (or WORKFLOW_FILE). Each transition
+ * names who may make it (proposal roles such as "editor", or approver roles
+ * such as "research-office" that an administrator gives to accounts), how
+ * many of them must approve, and the preconditions that must hold. The
+ * default internal milestones for a proposal (days before its funder
+ * deadline, and the stage that completes each) and when reminders go out
+ * are defined there too.
+ *
+ * Every approval and stage change goes into an append-only audit log. Each
+ * entry carries the hash of the one before it, so an entry edited or removed
+ * behind the application's back breaks the chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROLES, hasRole } = require('./auth');
+const { runComplianceChecks } = require('./templates');
+const { calculateBudget } = require('./budget-calc');
+
+const CONFIG_FILE = process.env.WORKFLOW_FILE || path.join(__dirname, '..', 'data', 'workflow.json');
+const MAX_NOTE = 2000;
+
+// Statuses used before the workflow existed
+const LEGACY_STAGES = { 'in-progress': 'draft', complete: 'draft' };
+
+/**
+ * Checks a transition can require. Each receives { proposal, funder } (the
+ * funder template, or null) and returns { pass, message }.
+ */
+const PRECONDITIONS = {
+  hasFunder: {
+    label: 'Funder and scheme chosen',
+    check({ proposal, funder }) {
+      if (!funder) return { pass: false, message: 'Choose a funder for this proposal' };
+      if (!proposal.scheme) return { pass: false, message: 'Choose a scheme for this proposal' };
+      return { pass: true, message: `${funder.name} — ${proposal.scheme}` };
+    }
+  },
+  budgetCalculated: {
+    label: 'Budget calculated',
+    check({ proposal }) {
+      const { summary } = calculateBudget(proposal.budget || {});
+      if (!(summary.fullEconomicCost > 0)) return { pass: false, message: 'The budget has no costs yet' };
+      // The requested amount is set by Calculate, so a mismatch means the budget changed since
+      if (Math.round((Number(proposal.amount) || 0) * 100) !== Math.round(summary.funderContribution * 100)) {
+        return { pass: false, message: `The requested £${(Number(proposal.amount) || 0).toLocaleString()} does not match the budget's £${summary.funderContribution.toLocaleString()}; recalculate the budget` };
+      }
+      return { pass: true, message: `£${summary.funderContribution.toLocaleString()} requested` };
+    }
+  },
+  compliancePasses: {
+    label: 'Compliance check has no failures',
+    check({ proposal, funder }) {
+      if (!funder) return { pass: false, message: 'No funder template to check against' };
+      const sections = proposal.sections || {};
+      const index = Math.max(0, (funder.schemes || []).findIndex(s => s.name === proposal.scheme));
+      const { results } = runComplianceChecks(Object.values(sections).join('\n\n'), sections, funder, index, proposal.amount || 0, proposal.duration || 0, {
+        applicant: proposal.applicant, startDate: (proposal.overview || {}).startDate, deadline: proposal.deadline, budgetData: proposal.budget, sectionMap: proposal.sectionMap,
+        attachments: proposal.attachments
+      });
+      const failures = results.filter(r => r.status === 'fail');
+      if (failures.length) return { pass: false, message: `Failing: ${failures.map(r => r.check).join(', ')}` };
+      return { pass: true, message: 'No failures' };
+    }
+  },
+  noOpenSuggestions: {
+    label: 'No pending suggested edits',
+    check({ proposal }) {
+      const open = (proposal.suggestions || []).length;
+      return open ? { pass: false, message: `${open} suggested edit${open !== 1 ? 's' : ''} to accept or reject` } : { pass: true, message: 'None pending' };
+    }
+  },
+  noOpenComments: {
+    label: 'All comments resolved',
+    check({ proposal }) {
+      const open = (proposal.comments || []).filter(c => !c.resolved).length;
+      return open ? { pass: false, message: `${open} open comment thread${open !== 1 ? 's' : ''}` } : { pass: true, message: 'All resolved' };
+    }
+  }
+};
+
+/**
+ * Read and check a workflow definition
+ * @throws {Error} describing the first problem found
+ */
+function loadConfig(file = CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const stages = config.stages || [];
+  const approverRoles = config.approverRoles || {};
+  const stageIds = new Set(stages.map(s => s.id));
+  if (!stageIds.has('draft')) throw new Error(`${file}: the workflow needs a "draft" stage`);
+  for (const t of config.transitions || []) {
+    const name = `${file}: transition ${t.from} → ${t.to}`;
+    if (!stageIds.has(t.from) || !stageIds.has(t.to)) throw new Error(`${name} refers to an unknown stage`);
+    for (const who of t.by || []) {
+      if (!ROLES.includes(who) && !approverRoles[who]) throw new Error(`${name}: unknown role "${who}"`);
+    }
+    if (!(t.by || []).length) throw new Error(`${name} needs at least one role in "by"`);
+    for (const id of t.preconditions || []) {
+      if (!PRECONDITIONS[id]) throw new Error(`${name}: unknown precondition "${id}"`);
+    }
+  }
+  for (const m of config.milestones || []) {
+    if (!m.label) throw new Error(`${file}: every milestone needs a label`);
+    if (!Number.isInteger(m.daysBefore) || m.daysBefore < 0) throw new Error(`${file}: milestone "${m.label}" needs a whole number of daysBefore`);
+    if (m.stage && !stageIds.has(m.stage)) throw new Error(`${file}: milestone "${m.label}" refers to an unknown stage`);
+  }
+  const reminders = config.reminders || {};
+  for (const field of ['stalledAfterDays', 'complianceWithinDays']) {
+    if (reminders[field] !== undefined && !(Number.isInteger(reminders[field]) && reminders[field] >= 0)) throw new Error(`${file}: reminders.${field} must be a whole number of days`);
+  }
+  if (reminders.dueSoonDays !== undefined && !(Array.isArray(reminders.dueSoonDays) && reminders.dueSoonDays.every(d => Number.isInteger(d) && d >= 0))) {
+    throw new Error(`${file}: reminders.dueSoonDays must be a list of whole numbers of days`);
+  }
+  return { stages, approverRoles, transitions: config.transitions || [], milestones: config.milestones || [], reminders };
+}
+
+const config = loadConfig();
+
+/**
+ * A proposal's current stage id
+ */
+function stageOf(proposal) {
+  const status = (proposal && proposal.status) || 'draft';
+  return LEGACY_STAGES[status] || status;
+}
+
+function stageLabel(id) {
+  const stage = config.stages.find(s => s.id === id);
+  return stage ? stage.label : id;
+}
+
+/**
+ * The workflow definition as sent to the browser
+ */
+function describe() {
+  return {
+    stages: config.stages,
+    approverRoles: config.approverRoles,
+    milestones: config.milestones,
+    reminders: config.reminders,
+    transitions: config.transitions.map(t => ({
+      ...t,
+      approvals: t.approvals || 1,
+      preconditions: (t.preconditions || []).map(id => ({ id, label: PRECONDITIONS[id].label }))
+    }))
+  };
+}
+
+/**
+ * The role in `by` a user would act as on a transition, or null if none
+ * @param {string|null} role - the user's role on the proposal
+ */
+function actingRole(transition, user, role) {
+  for (const who of transition.by) {
+    if (ROLES.includes(who) ? role && hasRole(role, who) : (user.workflowRoles || []).includes(who)) return who;
+  }
+  return null;
+}
+
+/**
+ * Approvers a proposal is waiting on can read and comment on it without it
+ * being shared with them
+ * @returns {string|null} 'commenter' or null
+ */
+function reviewerRole(proposal, user) {
+  if (!proposal || !user || !(user.workflowRoles || []).length) return null;
+  const stage = stageOf(proposal);
+  const waiting = config.transitions.some(t => t.from === stage && t.by.some(who => user.workflowRoles.includes(who)));
+  return waiting ? 'commenter' : null;
+}
+
+/**
+ * Stages whose proposals wait on any of these approver roles
+ */
+function stagesAwaiting(workflowRoles = []) {
+  const stages = config.transitions.filter(t => t.by.some(who => workflowRoles.includes(who))).map(t => t.from);
+  return [...new Set(stages)];
+}
+
+/**
+ * Where a proposal is and what the user can do next
+ * @returns {Object} { stage, label, final, changedAt, transitions: [{ to,
+ *   toLabel, label, by, noteRequired, allowed, actingAs, approvals: { required,
+ *   given, mine }, checks: [{ id, label, pass, message }], ready }] }
+ */
+function status(proposal, { user, role, funder }) {
+  const stage = stageOf(proposal);
+  const current = config.stages.find(s => s.id === stage) || {};
+  const approvals = (proposal.workflow && proposal.workflow.approvals) || [];
+  const transitions = config.transitions.filter(t => t.from === stage).map(t => {
+    const given = approvals.filter(a => a.to === t.to);
+    const checks = (t.preconditions || []).map(id => ({ id, label: PRECONDITIONS[id].label, ...PRECONDITIONS[id].check({ proposal, funder }) }));
+    const actingAs = actingRole(t, user, role);
+    return {
+      to: t.to,
+      toLabel: stageLabel(t.to),
+      label: t.label || `Move to ${stageLabel(t.to)}`,
+      by: t.by,
+      noteRequired: !!t.noteRequired,
+      allowed: !!actingAs,
+      actingAs,
+      approvals: { required: t.approvals || 1, given, mine: given.some(a => a.userId === user.id) },
+      checks,
+      ready: checks.every(c => c.pass)
+    };
+  });
+  return { stage, label: current.label || stage, final: !!current.final, changedAt: (proposal.workflow && proposal.workflow.changedAt) || null, transitions };
+}
+
+/**
+ * Approve a move to another stage. Once enough approvers agree (and the
+ * preconditions hold) the proposal moves.
+ * @returns {Object} { proposal, moved, entry } — the updated proposal and the
+ *   audit fields to record (the server adds who and when)
+ * @throws {Error} with an HTTP status when the move is not possible
+ */
+function advance(proposal, { to, note, user, role, funder }) {
+  const fail = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+  const from = stageOf(proposal);
+  const transition = config.transitions.find(t => t.from === from && t.to === to);
+  if (!transition) throw fail(400, `A proposal in ${stageLabel(from)} cannot move to ${stageLabel(to)}`);
+  const actingAs = actingRole(transition, user, role);
+  if (!actingAs) throw fail(403, `This needs ${transition.by.map(who => config.approverRoles[who] || who).join(' or ')}`);
+  note = typeof note === 'string' ? note.trim().slice(0, MAX_NOTE) : '';
+  if (transition.noteRequired && !note) throw fail(400, 'Add a note explaining this decision');
+
+  const checks = (transition.preconditions || []).map(id => ({ id, label: PRECONDITIONS[id].label, ...PRECONDITIONS[id].check({ proposal, funder }) }));
+  if (checks.some(c => !c.pass)) throw fail(409, 'Preconditions are not met', { checks });
+
+  const approvals = ((proposal.workflow && proposal.workflow.approvals) || []).filter(a => a.to === to);
+  if (approvals.some(a => a.userId === user.id)) throw fail(409, 'You have already approved this');
+
+  const now = new Date().toISOString();
+  const approval = { to, userId: user.id, name: user.name, actingAs, note, at: now };
+  const required = transition.approvals || 1;
+  const moved = approvals.length + 1 >= required;
+  const entry = { action: moved ? 'transition' : 'approval', from, to, actingAs, note, approvals: approvals.length + 1, required };
+  if (moved) {
+    entry.approvedBy = [...approvals, approval].map(a => a.name);
+    return {
+      proposal: { ...proposal, status: to, workflow: { approvals: [], changedAt: now, changedBy: user.id } },
+      moved,
+      entry
+    };
+  }
+  return {
+    proposal: { ...proposal, workflow: { ...(proposal.workflow || {}), approvals: [...((proposal.workflow && proposal.workflow.approvals) || []), approval] } },
+    moved,
+    entry
+  };
+}
+
+function entryHash(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+/**
+ * Complete an audit entry so it chains onto the log
+ * @param {Object|null} previous - the last entry in the proposal's log
+ */
+function auditEntry(proposalId, previous, fields) {
+  const entry = {
+    seq: previous ? previous.seq + 1 : 1,
+    proposalId,
+    at: new Date().toISOString(),
+    ...fields,
+    prevHash: previous ? previous.hash : null
+  };
+  entry.hash = entryHash(entry);
+  return entry;
+}
+
+/**
+ * Check a log's hash chain
+ * @returns {Object} { intact, brokenAt } — brokenAt is the seq of the first bad entry
+ */
+function verifyAudit(entries) {
+  let previous = null;
+  for (const entry of entries) {
+    if (entry.prevHash !== (previous ? previous.hash : null) || entry.hash !== entryHash(entry) || entry.seq !== (previous ? previous.seq + 1 : 1)) {
+      return { intact: false, brokenAt: entry.seq };
+    }
+    previous = entry;
+  }
+  return { intact: true, brokenAt: null };
+}
+
+module.exports = {
+  PRECONDITIONS, loadConfig, stageOf, stageLabel, describe, reviewerRole, stagesAwaiting,
+  status, advance, auditEntry, verifyAudit
+};
@@ -0,0 +1,150 @@
+/**
+ * ZIP Archives
+ * Just enough of the ZIP format to read and write Office documents (a .docx
+ * is a ZIP of XML parts). Entries may be stored or deflated; ZIP64,
+ * encryption and multi-disk archives are not supported.
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const UTF8_NAMES = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// The end record is 22 bytes plus a comment of up to 64 KB
+function findEnd(buffer) {
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  return -1;
+}
+
+/**
+ * The entries of an archive
+ * @param {Buffer} buffer
+ * @returns {Array|null} [{ name, method, compressedSize, size, offset }], or null
+ *   when the buffer is not a ZIP archive
+ */
+function listEntries(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) return null;
+  const end = findEnd(buffer);
+  if (end === -1) return null;
+  const count = buffer.readUInt16LE(end + 10);
+  let at = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > buffer.length || buffer.readUInt32LE(at) !== CENTRAL_DIRECTORY_ENTRY) return null;
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const extraLength = buffer.readUInt16LE(at + 30);
+    const commentLength = buffer.readUInt16LE(at + 32);
+    entries.push({
+      name: buffer.toString('utf8', at + 46, at + 46 + nameLength),
+      method: buffer.readUInt16LE(at + 10),
+      compressedSize: buffer.readUInt32LE(at + 20),
+      size: buffer.readUInt32LE(at + 24),
+      offset: buffer.readUInt32LE(at + 42)
+    });
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * One file from an archive
+ * @returns {Buffer|null} its contents, or null when there is no such entry or
+ *   it cannot be read
+ */
+function readEntry(buffer, name) {
+  const entry = (listEntries(buffer) || []).find(e => e.name === name);
+  if (!entry || buffer.readUInt32LE(entry.offset) !== LOCAL_FILE_HEADER) return null;
+  const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  try {
+    if (entry.method === 0) return Buffer.from(data);
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+  } catch (err) { /* corrupt entry */ }
+  return null;
+}
+
+// A date as MS-DOS packs it: [time, date]
+function dosDateTime(date) {
+  return [
+    (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    ((Math.max(date.getUTCFullYear(), 1980) - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  ];
+}
+
+/**
+ * Write an archive
+ * @param {Array} files - [{ name, data }], data a Buffer or string, in order
+ * @param {Object} options - { date } for every entry's modified time, so the same
+ *   files give the same archive (default now)
+ * @returns {Buffer}
+ */
+function writeZip(files, { date = new Date() } = {}) {
+  const [time, day] = dosDateTime(date);
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const name = Buffer.from(file.name, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, stored);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(UTF8_NAMES, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(day, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(stored.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+    offset += local.length + name.length + stored.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { listEntries, readEntry, writeZip };
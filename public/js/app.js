@@ -6,13 +6,29 @@
 // ─── State ──────────────────────────────────────────────────
 
 const state = {
+  user: null,           // signed-in account
+  signupOpen: false,
+  funderEditorRoles: [], // approver roles that may edit funder templates
+  role: null,           // our role on currentProposal: owner, editor, commenter or viewer
   proposals: [],
   funders: [],
+  careerStages: [],     // [{ id, label }] for matching and eligibility
+  workflow: null,       // stages and transitions from data/workflow.json
   currentProposal: null,
   currentFunder: null,
   selectedPapers: [],
   autoSaveTimer: null,
-  unsavedChanges: false
+  unsavedChanges: false,
+  aiGenerated: false,
+  collab: null,         // live editing session for the open proposal
+  baseProposal: null,   // last copy agreed with the server, for three-way merges
+  conflictOpen: false,
+  commentDraft: null,   // { section, start, end, quote } while writing a new comment
+  showResolved: false,
+  suggesting: null,     // { section, base } while drafting suggested edits
+  proposalFunder: null, // the open proposal's funder template, at its pinned version
+  proposalFunderFor: null,
+  sectionTabs: []       // [{ key, title, source, requirement, custom }] in the editor's tabs
 };
 
 // ─── Settings (localStorage) ────────────────────────────────
@@ -42,11 +58,15 @@ function getApiKey() {
 }
 
 function aiHeaders() {
-  return {
+  const headers = {
     'Content-Type': 'application/json',
     'x-ai-provider': getProvider(),
     'x-ai-key': getApiKey()
   };
+  // Generation from the editor needs editor access to the open proposal
+  const open = location.hash.match(/^#\/proposal\/([\w-]+)/);
+  if (open) headers['x-proposal-id'] = open[1];
+  return headers;
 }
 
 function updateProviderDisplay() {
@@ -80,6 +100,12 @@ function route() {
   // Update nav
   document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
   const parts = hash.split('/').filter(Boolean);
+  if (state.collab && !(parts[0] === 'proposal' && parts[1] === state.collab.proposalId)) stopCollab();
+
+  if (!state.user) {
+    renderLogin(app);
+    return;
+  }
 
   if (hash === '/' || hash === '') {
     document.querySelector('[data-route="dashboard"]')?.classList.add('active');
@@ -87,6 +113,12 @@ function route() {
   } else if (hash === '/templates') {
     document.querySelector('[data-route="templates"]')?.classList.add('active');
     renderTemplates(app);
+  } else if (hash === '/calendar') {
+    document.querySelector('[data-route="calendar"]')?.classList.add('active');
+    renderCalendar(app);
+  } else if (hash === '/analytics') {
+    document.querySelector('[data-route="analytics"]')?.classList.add('active');
+    renderAnalytics(app);
   } else if (hash === '/settings') {
     document.querySelector('[data-route="settings"]')?.classList.add('active');
     renderSettings(app);
@@ -114,11 +146,7 @@ window.addEventListener('hashchange', route);
 
 async function init() {
   updateProviderDisplay();
-  // Load funders
-  try {
-    const resp = await fetch('/api/funders');
-    state.funders = await resp.json();
-  } catch (e) { console.error('Failed to load funders:', e); }
+  await loadAccount();
 
   // Sidebar toggle
   document.getElementById('sidebarToggle').addEventListener('click', () => {
@@ -142,9 +170,148 @@ async function init() {
 
 document.addEventListener('DOMContentLoaded', init);
 
+async function loadFunders() {
+  try {
+    const resp = await fetch('/api/funders');
+    if (resp.ok) state.funders = await resp.json();
+  } catch (e) { console.error('Failed to load funders:', e); }
+}
+
+async function loadCareerStages() {
+  try {
+    const resp = await fetch('/api/match/career-stages');
+    if (resp.ok) state.careerStages = await resp.json();
+  } catch (e) { console.error('Failed to load career stages:', e); }
+}
+
+async function loadWorkflow() {
+  try {
+    const resp = await fetch('/api/workflow');
+    if (resp.ok) state.workflow = await resp.json();
+  } catch (e) { console.error('Failed to load workflow:', e); }
+}
+
+// ─── Accounts ───────────────────────────────────────────────
+
+// Any 401 means the session has ended; fall back to the sign-in screen
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+  const resp = await nativeFetch(...args);
+  if (resp.status === 401 && state.user) {
+    signedOut();
+    toast('Your session has ended — please sign in again', 'error');
+  }
+  return resp;
+};
+
+async function loadAccount() {
+  try {
+    const data = await (await fetch('/api/auth/me')).json();
+    state.user = data.user;
+    state.signupOpen = data.signupOpen;
+    state.emailEnabled = data.emailEnabled;
+    state.funderEditorRoles = data.funderEditorRoles || [];
+  } catch (e) { state.user = null; }
+  updateUserDisplay();
+  if (state.user) await Promise.all([loadFunders(), loadWorkflow(), loadCareerStages()]);
+}
+
+function signedOut() {
+  state.user = null;
+  state.currentProposal = null;
+  state.unsavedChanges = false;
+  stopCollab();
+  if (state.autoSaveTimer) clearInterval(state.autoSaveTimer);
+  updateUserDisplay();
+  route();
+}
+
+// The bell's unread count, refreshed while signed in
+let notificationTimer = null;
+function pollNotifications() {
+  clearInterval(notificationTimer);
+  notificationTimer = null;
+  if (!state.user) return;
+  refreshBell();
+  notificationTimer = setInterval(refreshBell, 2 * 60 * 1000);
+}
+
+function updateUserDisplay() {
+  const el = document.getElementById('sidebarUser');
+  if (!el) return;
+  el.innerHTML = state.user ? `
+    <span class="user-name" title="${escapeHtml(state.user.email)}">👤 ${escapeHtml(state.user.name)}</span>
+    <button class="notification-bell" onclick="showNotifications()" title="Notifications">🔔<span class="bell-count" id="bellCount"></span></button>
+    <button class="btn btn-xs" onclick="signOut()">Sign out</button>
+  ` : '';
+  pollNotifications();
+}
+
+function renderLogin(app, mode = 'signin') {
+  const register = mode === 'register';
+  app.innerHTML = `
+    <div class="auth-card card">
+      <h2 style="color:var(--text-bright);margin-bottom:4px">${register ? 'Create your account' : 'Sign in to BidWriter'}</h2>
+      <p style="font-size:13px;color:var(--text-dim);margin-bottom:20px">Proposals are private to you and the people you share them with.</p>
+      <form id="authForm">
+        ${register ? `
+          <div class="form-group">
+            <label class="form-label">Name</label>
+            <input class="form-input" name="name" autocomplete="name" required>
+          </div>
+        ` : ''}
+        <div class="form-group">
+          <label class="form-label">Email</label>
+          <input class="form-input" name="email" type="email" autocomplete="email" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Password</label>
+          <input class="form-input" name="password" type="password" autocomplete="${register ? 'new-password' : 'current-password'}" minlength="${register ? 8 : 1}" required>
+          ${register ? '<div class="form-hint">At least 8 characters</div>' : ''}
+        </div>
+        <button class="btn btn-primary" type="submit" style="width:100%">${register ? 'Create Account' : 'Sign In'}</button>
+      </form>
+      ${state.signupOpen ? `
+        <p style="font-size:13px;color:var(--text-dim);margin-top:16px;text-align:center">
+          ${register ? 'Already have an account?' : 'New to BidWriter?'}
+          <a href="#" onclick="event.preventDefault();renderLogin(document.getElementById('app'),'${register ? 'signin' : 'register'}')">${register ? 'Sign in' : 'Create an account'}</a>
+        </p>
+      ` : ''}
+    </div>
+  `;
+
+  document.getElementById('authForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = Object.fromEntries(new FormData(e.target));
+    try {
+      const resp = await fetch(register ? '/api/auth/register' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error);
+      state.user = data;
+      updateUserDisplay();
+      await Promise.all([loadFunders(), loadWorkflow(), loadCareerStages()]);
+      route();
+    } catch (err) { toast(err.message, 'error'); }
+  });
+}
+
+window.renderLogin = renderLogin;
+
+window.signOut = async function() {
+  if (state.unsavedChanges && state.currentProposal) await saveProposal();
+  try { await fetch('/api/auth/logout', { method: 'POST' }); } catch (e) { /* signed out locally anyway */ }
+  signedOut();
+};
+
 // ─── Dashboard ──────────────────────────────────────────────
 
 async function renderDashboard(app) {
+  dashboardFilter.q = '';
+  dashboardFilter.status = '';
   try {
     const resp = await fetch('/api/proposals');
     state.proposals = await resp.json();
@@ -161,14 +328,12 @@ async function renderDashboard(app) {
         <a href="#/new" class="btn btn-primary">+ New Proposal</a>
       </div>
     </div>
+    <div id="pendingApprovals"></div>
     <div class="filter-bar">
       <input type="text" class="search-input" placeholder="Search proposals..." oninput="filterProposals(this.value)">
       <select class="filter-select" onchange="filterByStatus(this.value)">
-        <option value="">All Status</option>
-        <option value="draft">Draft</option>
-        <option value="in-progress">In Progress</option>
-        <option value="complete">Complete</option>
-        <option value="submitted">Submitted</option>
+        <option value="">All Stages</option>
+        ${workflowStages().map(s => `<option value="${s.id}">${escapeHtml(s.label)}</option>`).join('')}
       </select>
     </div>
     <div class="proposals-grid" id="proposalsGrid">
@@ -182,22 +347,32 @@ async function renderDashboard(app) {
       ` : state.proposals.map(p => proposalCard(p)).join('')}
     </div>
   `;
+  if ((state.user.workflowRoles || []).length) renderPendingApprovals();
+}
+
+// Proposals waiting on one of our approver roles, which need not be shared with us
+async function renderPendingApprovals() {
+  try {
+    const resp = await fetch('/api/workflow/pending');
+    const pending = await resp.json();
+    const el = document.getElementById('pendingApprovals');
+    if (!el || !resp.ok || pending.length === 0) return;
+    el.innerHTML = `
+      <h3 class="pending-title">🚦 Awaiting your approval (${pending.length})</h3>
+      <div class="proposals-grid">${pending.map(p => proposalCard({ ...p, role: p.ownerId === state.user.id ? 'owner' : 'approver' })).join('')}</div>
+    `;
+  } catch (e) { /* the main list still works */ }
 }
 
 function proposalCard(p) {
-  const statusMap = {
-    'draft': 'badge-draft', 'in-progress': 'badge-progress',
-    'complete': 'badge-complete', 'submitted': 'badge-submitted'
-  };
-  const badgeClass = statusMap[p.status] || 'badge-draft';
-  const statusLabel = (p.status || 'draft').replace('-', ' ');
+  const stage = stageOf(p);
   const date = p.updatedAt ? new Date(p.updatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '';
 
   return `
     <div class="proposal-card" onclick="location.hash='#/proposal/${p.id}'">
       <div class="proposal-actions">
         <button class="btn btn-xs" onclick="event.stopPropagation();duplicateProposal('${p.id}')" title="Duplicate">📋</button>
-        <button class="btn btn-xs btn-danger" onclick="event.stopPropagation();deleteProposal('${p.id}')" title="Delete">🗑</button>
+        ${!p.role || p.role === 'owner' ? `<button class="btn btn-xs btn-danger" onclick="event.stopPropagation();deleteProposal('${p.id}')" title="Delete">🗑</button>` : ''}
       </div>
       <div class="proposal-title">${escapeHtml(p.title || 'Untitled')}</div>
       <div class="proposal-meta">
@@ -205,30 +380,39 @@ function proposalCard(p) {
         <span>📅 ${date}</span>
         ${p.amount ? `<span>💰 £${Number(p.amount).toLocaleString()}</span>` : ''}
       </div>
-      <span class="badge ${badgeClass}">${statusLabel}</span>
+      <span class="badge ${stageBadge(stage)}">${escapeHtml(stageLabel(stage))}</span>
+      ${p.role && p.role !== 'owner' ? `<span class="badge badge-shared">shared · ${p.role}</span>` : ''}
     </div>
   `;
 }
 
-window.filterProposals = function(query) {
+// Search and status filtering run on the server so large proposal lists stay fast
+const dashboardFilter = { q: '', status: '', timer: null };
+
+async function refreshProposalGrid() {
   const grid = document.getElementById('proposalsGrid');
-  const q = query.toLowerCase();
-  const filtered = state.proposals.filter(p =>
-    (p.title || '').toLowerCase().includes(q) || (p.funder || '').toLowerCase().includes(q)
-  );
-  if (filtered.length === 0) {
-    grid.innerHTML = '<div class="empty-state" style="grid-column:1/-1"><p>No matching proposals</p></div>';
-  } else {
-    grid.innerHTML = filtered.map(p => proposalCard(p)).join('');
-  }
+  const params = new URLSearchParams();
+  if (dashboardFilter.q) params.set('q', dashboardFilter.q);
+  if (dashboardFilter.status) params.set('status', dashboardFilter.status);
+  try {
+    const resp = await fetch(`/api/proposals?${params}`);
+    const filtered = await resp.json();
+    if (!grid) return;
+    grid.innerHTML = filtered.length === 0
+      ? '<div class="empty-state" style="grid-column:1/-1"><p>No matching proposals</p></div>'
+      : filtered.map(p => proposalCard(p)).join('');
+  } catch (e) { toast('Failed to filter proposals', 'error'); }
+}
+
+window.filterProposals = function(query) {
+  dashboardFilter.q = query.trim();
+  clearTimeout(dashboardFilter.timer);
+  dashboardFilter.timer = setTimeout(refreshProposalGrid, 200);
 };
 
 window.filterByStatus = function(status) {
-  const grid = document.getElementById('proposalsGrid');
-  const filtered = status ? state.proposals.filter(p => p.status === status) : state.proposals;
-  grid.innerHTML = filtered.length === 0
-    ? '<div class="empty-state" style="grid-column:1/-1"><p>No proposals with this status</p></div>'
-    : filtered.map(p => proposalCard(p)).join('');
+  dashboardFilter.status = status;
+  refreshProposalGrid();
 };
 
 window.duplicateProposal = async function(id) {
@@ -278,6 +462,38 @@ async function createNewProposal(app) {
         <label class="form-label">Project Title</label>
         <input class="form-input" id="newTitle" placeholder="Enter your project title">
       </div>
+      <div class="form-group">
+        <label class="form-label">Research Area</label>
+        <input class="form-input" id="newResearchArea" placeholder="e.g. Machine learning for medical imaging">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Research Question</label>
+        <textarea class="form-textarea" id="newResearchQuestion" style="min-height:70px" placeholder="What will the project find out?"></textarea>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Requested Amount (£)</label>
+          <input class="form-input" id="newAmount" type="number" placeholder="e.g. 500000">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Duration (months)</label>
+          <input class="form-input" id="newDuration" type="number" placeholder="e.g. 36">
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">PI Career Stage</label>
+          <select class="form-select" id="newCareerStage">
+            <option value="">Not specified</option>
+            ${state.careerStages.map(c => `<option value="${c.id}">${escapeHtml(c.label)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group" style="display:flex;flex-direction:column;justify-content:flex-end">
+          <button class="btn" onclick="findSchemes()">🔎 Find matching schemes</button>
+          <label class="form-hint" style="margin-top:6px"><input type="checkbox" id="newRerank"> Re-rank the best matches with AI</label>
+        </div>
+      </div>
+      <div id="matchResults"></div>
       <div class="form-row">
         <div class="form-group">
           <label class="form-label">Funder</label>
@@ -288,18 +504,13 @@ async function createNewProposal(app) {
         </div>
         <div class="form-group">
           <label class="form-label">Scheme</label>
-          <select class="form-select" id="newScheme"><option value="">Select funder first</option></select>
+          <select class="form-select" id="newScheme" onchange="suggestDeadline()"><option value="">Select funder first</option></select>
         </div>
       </div>
-      <div class="form-row">
-        <div class="form-group">
-          <label class="form-label">Requested Amount (£)</label>
-          <input class="form-input" id="newAmount" type="number" placeholder="e.g. 500000">
-        </div>
-        <div class="form-group">
-          <label class="form-label">Duration (months)</label>
-          <input class="form-input" id="newDuration" type="number" placeholder="e.g. 36">
-        </div>
+      <div class="form-group">
+        <label class="form-label">Funder Deadline</label>
+        <input class="form-input" id="newDeadline" type="date">
+        <div class="form-hint" id="newDeadlineHint">Internal milestones such as costing and sign-off are worked back from this date</div>
       </div>
       <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:24px">
         <a href="#/" class="btn">Cancel</a>
@@ -319,18 +530,99 @@ window.updateSchemes = async function() {
   try {
     const resp = await fetch(`/api/funders/${funderId}`);
     const funder = await resp.json();
+    state.newFunder = funder;
     schemeSelect.innerHTML = (funder.schemes || []).map((s, i) =>
       `<option value="${i}">${escapeHtml(s.name)}</option>`
     ).join('');
+    suggestDeadline();
   } catch (e) { schemeSelect.innerHTML = '<option value="">Error loading schemes</option>'; }
 };
 
+// Rank every scheme against the idea so far; works offline, with AI only if asked
+window.findSchemes = async function() {
+  const idea = {
+    researchArea: document.getElementById('newResearchArea').value.trim(),
+    researchQuestion: document.getElementById('newResearchQuestion').value.trim(),
+    amount: Number(document.getElementById('newAmount').value) || 0,
+    duration: Number(document.getElementById('newDuration').value) || 0,
+    careerStage: document.getElementById('newCareerStage').value,
+    rerank: document.getElementById('newRerank').checked
+  };
+  if (!idea.researchArea && !idea.researchQuestion) return toast('Describe the research area or question first', 'warning');
+  const el = document.getElementById('matchResults');
+  el.innerHTML = '<div class="loading-screen" style="height:80px"><div class="spinner"></div></div>';
+  try {
+    const resp = await fetch('/api/match', { method: 'POST', headers: aiHeaders(), body: JSON.stringify(idea) });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    state.matches = data;
+    renderMatches(false);
+    if (data.ai.error) toast(`AI re-ranking unavailable: ${data.ai.error}`, 'warning');
+  } catch (e) {
+    el.innerHTML = '';
+    toast('Matching failed: ' + e.message, 'error');
+  }
+};
+
+function renderMatches(showAll) {
+  const { matches, ai } = state.matches;
+  const eligible = matches.filter(m => m.eligible);
+  const shown = showAll ? matches : eligible.slice(0, 10);
+  document.getElementById('matchResults').innerHTML = `
+    <div class="form-group">
+      <label class="form-label">Matching schemes${ai.used ? ' (re-ranked with AI)' : ''}</label>
+      ${shown.length ? shown.map(m => `
+        <div class="compliance-item">
+          <div class="compliance-icon ${m.eligible ? 'pass' : 'fail'}">${m.eligible ? '✓' : '✗'}</div>
+          <div class="compliance-content">
+            <div class="compliance-check">${escapeHtml(m.funderName)} — ${escapeHtml(m.scheme)} <span class="badge badge-draft" title="Topical fit">${m.score}% fit</span></div>
+            ${m.aiReason ? `<div class="compliance-advice">${escapeHtml(m.aiReason)}</div>` : ''}
+            ${m.reasons.map(r => `<div class="compliance-message">${escapeHtml(r)}</div>`).join('')}
+            ${m.checks.filter(c => c.status === 'unknown').map(c => `<div class="compliance-message">Check ${escapeHtml(c.check.toLowerCase())}: ${escapeHtml(c.message)}</div>`).join('')}
+          </div>
+          <button class="btn btn-xs" onclick="useMatch('${m.funderId}', ${matches.indexOf(m)})">Use</button>
+        </div>
+      `).join('') : '<div class="form-hint">No scheme fits these limits; show all to see why.</div>'}
+      ${showAll ? '' : `<a href="javascript:void(0)" class="form-hint" onclick="renderMatches(true)">Show all ${matches.length} schemes, including ${matches.length - eligible.length} that do not fit</a>`}
+    </div>
+  `;
+}
+window.renderMatches = renderMatches;
+
+window.useMatch = async function(funderId, index) {
+  document.getElementById('newFunder').value = funderId;
+  await updateSchemes();
+  const scheme = state.matches.matches[index].scheme;
+  const select = document.getElementById('newScheme');
+  const option = [...select.options].find(o => o.textContent === scheme);
+  if (option) select.value = option.value;
+  suggestDeadline();
+  select.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+// Fill in the closing date of the scheme's next call, unless a deadline was typed
+window.suggestDeadline = function() {
+  const scheme = (state.newFunder?.schemes || [])[document.getElementById('newScheme').value];
+  const call = nextCall(scheme);
+  const input = document.getElementById('newDeadline');
+  const hint = document.getElementById('newDeadlineHint');
+  if (!input.value || input.dataset.suggested === input.value) {
+    input.value = call ? call.closes : '';
+    input.dataset.suggested = input.value;
+  }
+  if (call) hint.textContent = `${call.name || 'The next call'} closes ${formatDay(call.closes)}`;
+};
+
 window.doCreateProposal = async function() {
   const title = document.getElementById('newTitle').value.trim() || 'Untitled Proposal';
   const funderId = document.getElementById('newFunder').value;
   const scheme = document.getElementById('newScheme').selectedOptions[0]?.textContent || '';
   const amount = document.getElementById('newAmount').value;
   const duration = document.getElementById('newDuration').value;
+  const deadline = document.getElementById('newDeadline').value;
+  const researchArea = document.getElementById('newResearchArea').value.trim();
+  const researchQuestion = document.getElementById('newResearchQuestion').value.trim();
+  const careerStage = document.getElementById('newCareerStage').value;
 
   try {
     const resp = await fetch('/api/proposals', {
@@ -338,8 +630,9 @@ window.doCreateProposal = async function() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         title, funder: funderId, funderName: state.funders.find(f => f.id === funderId)?.name || '',
-        scheme, amount: Number(amount) || 0, duration: Number(duration) || 0,
-        status: 'draft', sections: {}, overview: {}, budget: null, gantt: { workPackages: [] },
+        scheme, amount: Number(amount) || 0, duration: Number(duration) || 0, deadline,
+        status: 'draft', sections: {}, overview: { researchArea, researchQuestion }, applicant: careerStage ? { careerStage } : {},
+        budget: null, gantt: { workPackages: [] },
         notes: {}, literature: { papers: [], review: '' }
       })
     });
@@ -356,8 +649,12 @@ async function loadAndRenderEditor(app, id) {
     const resp = await fetch(`/api/proposals/${id}`);
     if (!resp.ok) throw new Error('Not found');
     state.currentProposal = await resp.json();
+    state.role = resp.headers.get('X-Access-Role') || 'owner';
+    state.baseProposal = structuredClone(state.currentProposal);
+    await loadProposalScheme();
     renderEditor(app);
     startAutoSave();
+    startCollab(id);
   } catch (e) {
     app.innerHTML = '<div class="empty-state"><div class="icon">❌</div><h3>Proposal not found</h3><a href="#/" class="btn">Back to Dashboard</a></div>';
   }
@@ -365,51 +662,54 @@ async function loadAndRenderEditor(app, id) {
 
 function renderEditor(app) {
   const p = state.currentProposal;
-  const statusOptions = ['draft', 'in-progress', 'complete', 'submitted'];
 
   app.innerHTML = `
     <div class="editor-header">
       <input class="editor-title-input" value="${escapeHtml(p.title || '')}" placeholder="Proposal title..." oninput="state.currentProposal.title=this.value;state.unsavedChanges=true">
       <div class="editor-actions">
-        <button class="btn btn-sm" onclick="saveVersion()">📸 Snapshot</button>
+        <button class="btn btn-sm" onclick="showSharing()">👥 Share</button>
+        ${canEdit() ? '<button class="btn btn-sm" onclick="saveVersion()">📸 Snapshot</button>' : ''}
         <button class="btn btn-sm" onclick="showVersions()">🕐 History</button>
         <button class="btn btn-sm" onclick="exportProposalJSON()">📤 Export</button>
-        <button class="btn btn-sm btn-primary" onclick="saveProposal()">💾 Save</button>
+        ${canEdit() ? '<button class="btn btn-sm btn-primary" onclick="saveProposal()">💾 Save</button>' : ''}
       </div>
     </div>
     <div class="editor-meta">
       <span>📋 ${escapeHtml(p.funderName || p.funder || 'No funder')}</span>
       <span>📐 ${escapeHtml(p.scheme || 'No scheme')}</span>
-      <select class="filter-select" style="padding:4px 28px 4px 8px;font-size:11px" onchange="state.currentProposal.status=this.value;state.unsavedChanges=true">
-        ${statusOptions.map(s => `<option value="${s}" ${p.status === s ? 'selected' : ''}>${s.replace('-', ' ')}</option>`).join('')}
-      </select>
+      <button class="badge stage-button ${stageBadge(stageOf(p))}" id="stageBadge" onclick="showWorkflow()" title="Workflow and audit trail">🚦 ${escapeHtml(stageLabel(stageOf(p)))}</button>
+      ${canEdit() ? '' : `<span class="badge badge-shared">${state.role} · read only</span>`}
       <span id="autoSaveStatus" style="font-size:11px;color:var(--text-dim)"></span>
+      <span id="collabPeers" class="collab-peers"></span>
     </div>
-    <div class="tabs" id="editorTabs">
-      <button class="tab active" data-tab="overview">Overview</button>
-      <button class="tab" data-tab="case">Case for Support</button>
-      <button class="tab" data-tab="methodology">Methodology</button>
-      <button class="tab" data-tab="impact">Impact</button>
-      <button class="tab" data-tab="literature">Literature</button>
-      <button class="tab" data-tab="budget">Budget</button>
-      <button class="tab" data-tab="gantt">Gantt</button>
-      <button class="tab" data-tab="ethics">Ethics & Data</button>
-      <button class="tab" data-tab="compliance">Compliance</button>
-      <button class="tab" data-tab="export">Export</button>
-    </div>
+    <div class="tabs" id="editorTabs"></div>
     <div id="tabContent"></div>
   `;
 
-  // Tab switching
-  document.querySelectorAll('#editorTabs .tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      document.querySelectorAll('#editorTabs .tab').forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      renderTab(tab.dataset.tab);
-    });
-  });
-
+  renderEditorTabs('overview');
+  loadProposalScheme();
   renderTab('overview');
+  if (!canEdit()) lockFields(document.querySelector('.editor-header'));
+}
+
+function canEdit() {
+  return state.role === 'owner' || state.role === 'editor';
+}
+
+function canComment() {
+  return canEdit() || state.role === 'commenter';
+}
+
+// Read-only view for viewers and commenters: fields locked, writing actions disabled.
+// The comment margin stays usable; it checks canComment() itself.
+function lockFields(container) {
+  if (!container) return;
+  const locked = el => !el.closest('.comment-margin');
+  container.querySelectorAll('input, textarea').forEach(el => { if (locked(el)) el.readOnly = true; });
+  container.querySelectorAll('select, input[type=checkbox]').forEach(el => { if (locked(el)) el.disabled = true; });
+  container.querySelectorAll('button[onclick]').forEach(el => {
+    if (/^(generate|polish|add|remove|findGaps)/.test(el.getAttribute('onclick'))) el.disabled = true;
+  });
 }
 
 function renderTab(tabName) {
@@ -421,16 +721,18 @@ function renderTab(tabName) {
 
   switch (tabName) {
     case 'overview': renderOverviewTab(container, p); break;
-    case 'case': renderSectionTab(container, p, 'Case for Support', 'case'); break;
-    case 'methodology': renderMethodologyTab(container, p); break;
-    case 'impact': renderImpactTab(container, p); break;
     case 'literature': renderLiteratureTab(container, p); break;
     case 'budget': renderBudgetTab(container, p); break;
     case 'gantt': renderGanttTab(container, p); break;
-    case 'ethics': renderEthicsTab(container, p); break;
     case 'compliance': renderComplianceTab(container, p); break;
+    case 'outcome': renderOutcomeTab(container, p); break;
     case 'export': renderExportTab(container, p); break;
+    default: {
+      const tab = state.sectionTabs.find(t => t.key === tabName);
+      if (tab) renderSectionTab(container, p, tab);
+    }
   }
+  if (!canEdit()) lockFields(container);
 }
 
 // ─── Overview Tab ───────────────────────────────────────────
@@ -486,21 +788,319 @@ function renderOverviewTab(container, p) {
         <textarea class="form-textarea" rows="3" oninput="state.currentProposal.overview.coInvestigators=this.value;state.unsavedChanges=true" placeholder="Dr. John Doe — University of Oxford">${escapeHtml(o.coInvestigators || '')}</textarea>
       </div>
     </div>
+    <div class="card" style="margin-top:16px">${applicantCard(p)}</div>
+    <div class="card" style="margin-top:16px" id="deadlineCard">${deadlineCard(p)}</div>
     <div class="card" style="margin-top:16px">
       <h3 style="color:var(--text-bright);margin-bottom:12px">📝 Notes</h3>
       <textarea class="form-textarea" rows="4" oninput="state.currentProposal.notes.overview=this.value;state.unsavedChanges=true" placeholder="Add notes about this proposal...">${escapeHtml((p.notes || {}).overview || '')}</textarea>
     </div>
   `;
+  showCallHint();
+}
+
+// Facts about the applicant that schemes' eligibility rules are checked against
+function applicantCard(p) {
+  const a = p.applicant || {};
+  const field = (name, label, type = 'text', placeholder = '') => `
+    <div class="form-group">
+      <label class="form-label">${label}</label>
+      <input class="form-input" type="${type}" value="${escapeHtml(a[name] || '')}" placeholder="${placeholder}" onchange="setApplicant('${name}',this.value)">
+    </div>`;
+  return `
+    <h3 style="color:var(--text-bright);margin-bottom:4px">🪪 Applicant</h3>
+    <p class="form-hint" style="margin-bottom:12px">Used to check the scheme's eligibility rules in the compliance check</p>
+    <div class="form-row-3">
+      <div class="form-group">
+        <label class="form-label">Career stage</label>
+        <select class="form-select" onchange="setApplicant('careerStage',this.value)">
+          <option value="">Not specified</option>
+          ${state.careerStages.map(c => `<option value="${c.id}" ${a.careerStage === c.id ? 'selected' : ''}>${escapeHtml(c.label)}</option>`).join('')}
+        </select>
+      </div>
+      ${field('phdDate', 'PhD awarded', 'date')}
+      ${field('appointmentDate', 'First academic appointment', 'date')}
+    </div>
+    <div class="form-row-3">
+      ${field('institutionCountry', 'Institution country', 'text', 'e.g. GB')}
+      <div class="form-group">
+        <label class="form-label">Contract ends</label>
+        <input class="form-input" type="date" value="${escapeHtml(a.contractEnd || '')}" ${a.permanentContract ? 'disabled' : ''} onchange="setApplicant('contractEnd',this.value)">
+        <label class="form-hint"><input type="checkbox" style="width:auto" ${a.permanentContract ? 'checked' : ''} onchange="setApplicant('permanentContract',this.checked)"> Permanent contract</label>
+      </div>
+      ${field('businessPartner', 'Business partner', 'text', 'If the scheme needs one')}
+    </div>
+  `;
+}
+
+window.setApplicant = function(field, value) {
+  const p = state.currentProposal;
+  p.applicant = { ...p.applicant };
+  if (field === 'institutionCountry') value = value.trim().toUpperCase();
+  if (value === '' || value === false) delete p.applicant[field]; else p.applicant[field] = typeof value === 'string' ? value.trim() : value;
+  state.unsavedChanges = true;
+  if (field === 'permanentContract') renderTab('overview');
+};
+
+// The funder deadline and the internal milestones worked back from it
+function deadlineCard(p) {
+  const milestones = proposalMilestones(p);
+  return `
+    <h3 style="color:var(--text-bright);margin-bottom:12px">📅 Deadline & Milestones</h3>
+    <div class="form-row">
+      <div class="form-group">
+        <label class="form-label">Funder Deadline</label>
+        <input class="form-input" type="date" value="${escapeHtml(p.deadline || '')}" onchange="setDeadline(this.value)">
+        <div class="form-hint" id="callHint"></div>
+      </div>
+      <div class="form-group"></div>
+    </div>
+    <div style="display:flex;justify-content:space-between;align-items:center;margin:8px 0">
+      <label class="form-label" style="margin:0">Internal Milestones</label>
+      <div style="display:flex;gap:6px">
+        ${Array.isArray(p.milestones) ? '<button class="btn btn-xs" onclick="resetMilestones()">Use defaults</button>' : ''}
+        <button class="btn btn-xs" onclick="addMilestone()">+ Add</button>
+      </div>
+    </div>
+    <table class="budget-table">
+      <thead><tr><th>Milestone</th><th style="width:110px">Days before</th><th style="width:150px">Or on date</th><th style="width:190px">Done at stage</th><th style="width:110px">Due</th><th style="width:40px"></th></tr></thead>
+      <tbody>
+        ${milestones.map((m, i) => `
+          <tr>
+            <td><input value="${escapeHtml(m.label || '')}" onchange="updateMilestone(${i},'label',this.value)"></td>
+            <td><input type="number" min="0" value="${m.date ? '' : escapeHtml(String(m.daysBefore ?? ''))}" onchange="updateMilestone(${i},'daysBefore',this.value)"></td>
+            <td><input type="date" value="${escapeHtml(m.date || '')}" onchange="updateMilestone(${i},'date',this.value)"></td>
+            <td><select onchange="updateMilestone(${i},'stage',this.value)">
+              <option value="">—</option>
+              ${workflowStages().filter(s => !s.final).map(s => `<option value="${s.id}" ${m.stage === s.id ? 'selected' : ''}>${escapeHtml(s.label)}</option>`).join('')}
+            </select></td>
+            <td>${milestoneDue(p, m) ? formatDay(milestoneDue(p, m)) : '<span class="form-hint">needs deadline</span>'}</td>
+            <td><button class="btn btn-xs btn-danger" onclick="removeMilestone(${i})">×</button></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <p class="form-hint">Milestones appear on the Calendar and in its feed. One tied to a stage is marked done once the workflow reaches it.</p>
+  `;
+}
+
+function renderDeadlineCard() {
+  const el = document.getElementById('deadlineCard');
+  if (!el) return;
+  el.innerHTML = deadlineCard(state.currentProposal);
+  if (!canEdit()) lockFields(el);
+  showCallHint();
+}
+
+// Offer the closing date of the next call for the proposal's scheme
+async function showCallHint() {
+  const p = state.currentProposal;
+  if (!p.funder) return;
+  try {
+    const resp = await fetch(`/api/funders/${p.funder}`);
+    const funder = await resp.json();
+    const call = nextCall((funder.schemes || []).find(s => s.name === p.scheme));
+    const el = document.getElementById('callHint');
+    if (!el || !call) return;
+    el.innerHTML = `${escapeHtml(call.name || 'The next call')} closes ${formatDay(call.closes)}` +
+      (call.closes !== p.deadline && canEdit() ? ` · <a href="javascript:void(0)" onclick="setDeadline('${call.closes}')">Use this date</a>` : '');
+  } catch (e) { /* the hint is optional */ }
+}
+
+// The proposal's funder template, with the schemes of the version it is
+// pinned to; null when it has no funder
+async function fetchProposalFunder(p) {
+  if (!p.funder) return null;
+  const resp = await fetch(`/api/proposals/${p.id}/funder`);
+  return resp.ok ? resp.json() : null;
+}
+
+// Proposals without their own milestones use the workflow's defaults
+function proposalMilestones(p) {
+  return Array.isArray(p.milestones) ? p.milestones : ((state.workflow && state.workflow.milestones) || []).map((m, i) => ({ id: `default-${i}`, ...m }));
+}
+
+function milestoneDue(p, m) {
+  if (m.date) return m.date;
+  if (!p.deadline || m.daysBefore === '' || m.daysBefore == null) return null;
+  return addDays(p.deadline, -Number(m.daysBefore));
+}
+
+// Copy the defaults into the proposal before its milestones are changed
+function ownMilestones() {
+  const p = state.currentProposal;
+  if (!Array.isArray(p.milestones)) p.milestones = proposalMilestones(p).map(m => ({ ...m, id: milestoneId() }));
+  return p.milestones;
+}
+
+function milestoneId() {
+  return `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+window.setDeadline = function(value) {
+  state.currentProposal.deadline = value;
+  state.unsavedChanges = true;
+  renderDeadlineCard();
+};
+
+window.addMilestone = function() {
+  ownMilestones().push({ id: milestoneId(), label: '', daysBefore: 3, stage: '' });
+  state.unsavedChanges = true;
+  renderDeadlineCard();
+};
+
+window.removeMilestone = function(idx) {
+  ownMilestones().splice(idx, 1);
+  state.unsavedChanges = true;
+  renderDeadlineCard();
+};
+
+window.updateMilestone = function(idx, field, value) {
+  const m = ownMilestones()[idx];
+  if (!m) return;
+  if (field === 'daysBefore') {
+    m.daysBefore = value === '' ? '' : Math.max(0, Math.round(Number(value)));
+    if (value !== '') m.date = '';
+  } else {
+    m[field] = value;
+    if (field === 'date' && value) m.daysBefore = '';
+  }
+  state.unsavedChanges = true;
+  renderDeadlineCard();
+};
+
+window.resetMilestones = function() {
+  state.currentProposal.milestones = null;
+  state.unsavedChanges = true;
+  renderDeadlineCard();
+};
+
+// ─── Section Tabs ───────────────────────────────────────────
+// One tab per section the proposal's scheme requires, editing the editor
+// section it is mapped to (sectionMap) or, until it is mapped, one of its own
+// name; then tabs for the proposal's other sections, including ones the
+// author adds. Without a scheme the editor's usual sections are offered.
+
+const DEFAULT_SECTION_TABS = ['Case for Support', 'Methodology', 'Impact', 'Ethics & Data Management'];
+
+// Sections written on tool tabs of their own
+const TOOL_TAB_SECTIONS = ['Literature Review', 'Budget Justification'];
+
+const TOOL_TABS = [['literature', 'Literature'], ['budget', 'Budget'], ['gantt', 'Gantt'], ['compliance', 'Compliance'], ['outcome', 'Outcome'], ['export', 'Export']];
+
+// Generators for particular editor sections; any other section is written by
+// the proposal generator, asked for that section alone
+const SECTION_GENERATORS = {
+  'Methodology': {
+    endpoint: '/api/generate/methodology',
+    body: (p, o) => ({ formData: { title: p.title, researchArea: o.researchArea, researchQuestion: o.researchQuestion, methodology: p.sections['Methodology'] || o.methodology || '', duration: p.duration } })
+  },
+  'Impact': {
+    endpoint: '/api/generate/impact',
+    fields: [
+      { id: 'researchSummary', label: 'Research Summary (for impact generation)', placeholder: 'Brief summary of your research...', value: o => o.researchQuestion },
+      { id: 'beneficiaries', label: 'Target Beneficiaries (comma-separated)', placeholder: 'NHS, policymakers, patients, industry' }
+    ],
+    body: (p, o, fields) => ({ formData: { researchSummary: fields.researchSummary, beneficiaries: fields.beneficiaries.split(',').map(s => s.trim()).filter(Boolean) } })
+  },
+  'Ethics & Data Management': {
+    endpoint: '/api/generate/ethics',
+    fields: [{ id: 'participants', label: 'Participants / Subjects', placeholder: 'Human participants, animal subjects, sensitive data...', value: o => o.participants }],
+    body: (p, o, fields) => ({ formData: { title: p.title, researchArea: o.researchArea, methodology: p.sections['Methodology'] || '', participants: fields.participants } })
+  }
+};
+
+// The proposal, funder and template version state.proposalFunder was loaded for
+function proposalFunderKey(p) {
+  return `${p.id}:${p.funder || ''}:${p.funderVersion || ''}`;
+}
+
+// The open proposal's scheme, from its pinned funder template
+function proposalScheme() {
+  const f = state.proposalFunder;
+  return (f && (f.schemes || []).find(s => s.name === state.currentProposal.scheme)) || null;
+}
+
+// Load the funder template when the proposal has moved to another one, and
+// rebuild the tabs from its scheme
+async function loadProposalScheme() {
+  const p = state.currentProposal;
+  if (state.proposalFunderFor === proposalFunderKey(p)) return;
+  try { state.proposalFunder = await fetchProposalFunder(p); } catch (e) { state.proposalFunder = null; }
+  state.proposalFunderFor = proposalFunderKey(p);
+  if (state.currentProposal !== p) return;
+  refreshEditorTabs();
+  renderAttachments();
+}
+
+function mappedSources(requirement) {
+  const entry = (state.currentProposal.sectionMap || {})[requirement];
+  return (entry && entry.sections) || [];
+}
+
+function buildSectionTabs(p) {
+  const scheme = proposalScheme();
+  const tabs = [];
+  if (scheme && (scheme.sections || []).length) {
+    for (const requirement of scheme.sections) {
+      const entry = (p.sectionMap || {})[requirement.name] || {};
+      if (entry.attachment) continue;
+      tabs.push({ title: requirement.name, source: (entry.sections || [])[0] || requirement.name, requirement });
+    }
+  } else {
+    tabs.push(...DEFAULT_SECTION_TABS.map(name => ({ title: name, source: name })));
+  }
+  const shown = new Set([...tabs.map(t => t.source), ...TOOL_TAB_SECTIONS]);
+  for (const name of Object.keys(p.sections || {})) {
+    if (!shown.has(name)) tabs.push({ title: name, source: name, custom: true });
+  }
+  return tabs.map((t, i) => ({ ...t, key: `s${i}` }));
+}
+
+function sectionTab(key) {
+  return state.sectionTabs.find(t => t.key === key);
+}
+
+function renderEditorTabs(active) {
+  state.sectionTabs = buildSectionTabs(state.currentProposal);
+  const el = document.getElementById('editorTabs');
+  if (!el) return;
+  const tab = (key, label, title) => `<button class="tab${key === active ? ' active' : ''}" data-tab="${key}"${title ? ` title="${escapeHtml(title)}"` : ''}>${label}</button>`;
+  el.innerHTML = [
+    tab('overview', 'Overview'),
+    ...state.sectionTabs.map(t => tab(t.key, escapeHtml(t.title), t.requirement ? (t.requirement.required ? 'Required by the funder' : 'Optional') : '')),
+    canEdit() ? '<button class="tab tab-add" onclick="addCustomSection()" title="Add a section of your own">＋</button>' : '',
+    ...TOOL_TABS.map(([key, label]) => tab(key, label))
+  ].join('');
+  el.querySelectorAll('.tab[data-tab]').forEach(t => t.addEventListener('click', () => selectTab(t.dataset.tab)));
+}
+
+function selectTab(key) {
+  document.querySelectorAll('#editorTabs .tab').forEach(t => t.classList.toggle('active', t.dataset.tab === key));
+  renderTab(key);
 }
 
-// ─── Section Editor Tab (Case for Support, etc.) ─────────────
+// Rebuild the tabs after the scheme or mapping changed, staying on the open one
+function refreshEditorTabs() {
+  const active = document.querySelector('#editorTabs .tab.active')?.dataset.tab || 'overview';
+  const was = sectionTab(active);
+  renderEditorTabs(active);
+  if (!was) return;
+  const now = state.sectionTabs.find(t => t.title === was.title && t.source === was.source);
+  if (!now || now.key !== was.key) selectTab(now ? now.key : 'overview');
+}
 
-function renderSectionTab(container, p, sectionName, key) {
+function renderSectionTab(container, p, tab) {
+  const { key, source, requirement } = tab;
+  const generator = SECTION_GENERATORS[source];
+  // Notes were kept under 'case' when Case for Support had a fixed tab
+  if (p.notes.case !== undefined && p.notes['Case for Support'] === undefined) p.notes['Case for Support'] = p.notes.case;
   container.innerHTML = `
+    <div class="section-with-comments">
     <div class="card">
       <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px">
-        <h3 style="color:var(--text-bright)">${sectionName}</h3>
+        <h3 style="color:var(--text-bright)">${escapeHtml(tab.title)}${requirement && requirement.required ? ' <span style="color:var(--red)">*</span>' : ''}</h3>
         <div style="display:flex;gap:8px">
+          ${tab.custom ? `<button class="btn btn-sm" onclick="removeCustomSection('${key}')">🗑️ Remove</button>` : ''}
           <select class="filter-select" id="polishMode" style="padding:6px 28px 6px 10px;font-size:12px">
             <option value="academic">Academic Tone</option>
             <option value="clarity">Improve Clarity</option>
@@ -509,53 +1109,134 @@ function renderSectionTab(container, p, sectionName, key) {
             <option value="rewrite">Full Rewrite</option>
           </select>
           <button class="btn btn-sm" onclick="polishSection('${key}')">✨ Polish</button>
+          ${canComment() ? `<button class="btn btn-sm" onclick="startSuggesting('${key}')">✍️ Suggest</button>` : ''}
           <button class="btn btn-sm btn-primary" onclick="generateSection('${key}')">🤖 Generate</button>
         </div>
       </div>
-      <textarea class="form-textarea" id="sectionText_${key}" rows="20" style="min-height:400px;font-size:14px;line-height:1.8"
-        oninput="state.currentProposal.sections['${sectionName}']=this.value;state.unsavedChanges=true"
-        placeholder="Write your ${sectionName.toLowerCase()} here, or use AI to generate it...">${escapeHtml(p.sections[sectionName] || '')}</textarea>
-      <div class="form-hint" id="wordCount_${key}"></div>
+      ${requirement && requirement.notes ? `<div class="section-guidance">📋 ${escapeHtml(requirement.notes)}</div>` : ''}
+      ${source !== tab.title ? `<p class="form-hint" style="margin-bottom:12px">Written as “${escapeHtml(source)}”; change this under Section Mapping on the Compliance tab.</p>` : ''}
+      ${(generator && generator.fields || []).map(f => `
+        <div class="form-group">
+          <label class="form-label">${f.label}</label>
+          <input class="form-input" id="genField_${key}_${f.id}" placeholder="${f.placeholder}" value="${escapeHtml((f.value && f.value(p.overview)) || '')}">
+        </div>
+      `).join('')}
+      <div class="suggest-bar" id="suggestBar_${key}" style="display:none">
+        <span>✍️ Suggesting — your edits will be sent as suggestions for an editor to accept</span>
+        <button class="btn btn-xs" onclick="stopSuggesting('${key}')">Cancel</button>
+        <button class="btn btn-xs btn-primary" onclick="submitSuggestions('${key}')">Submit suggestions</button>
+      </div>
+      <textarea class="form-textarea" id="sectionText_${key}" data-section="${escapeHtml(source)}" rows="20" style="min-height:400px;font-size:14px;line-height:1.8"
+        oninput="editSectionTab('${key}', this.value)"
+        placeholder="Write your ${escapeHtml(tab.title.toLowerCase())} here, or use AI to generate it...">${escapeHtml(p.sections[source] || '')}</textarea>
+      <div class="section-budget" id="sectionBudget_${key}"></div>
       <div id="streamOutput_${key}" class="stream-output" style="display:none;margin-top:16px"></div>
     </div>
+    <aside class="comment-margin" id="commentMargin" data-section="${escapeHtml(source)}"></aside>
+    </div>
     <div class="card" style="margin-top:16px">
       <h3 style="color:var(--text-bright);margin-bottom:12px">📝 Section Notes</h3>
-      <textarea class="form-textarea" rows="3" oninput="state.currentProposal.notes['${key}']=this.value;state.unsavedChanges=true">${escapeHtml((p.notes || {})[key] || '')}</textarea>
+      <textarea class="form-textarea" rows="3" oninput="setSectionNote('${key}', this.value)">${escapeHtml(p.notes[source] || '')}</textarea>
     </div>
   `;
 
-  // Word count
-  updateWordCount(key, sectionName);
-  document.getElementById(`sectionText_${key}`).addEventListener('input', () => updateWordCount(key, sectionName));
+  state.suggesting = null;
+  renderCommentMargin();
+  updateSectionBudget(key);
+}
+
+window.editSectionTab = function(key, text) {
+  if (!state.suggesting) writeSectionTab(key, text);
+  else updateSectionBudget(key);
+};
+
+function writeSectionTab(key, text) {
+  const tab = sectionTab(key);
+  if (!tab) return;
+  const p = state.currentProposal;
+  p.sections[tab.source] = text;
+  if (tab.source === 'Literature Review' && p.literature) p.literature.review = text;
+  // Writing in an unmapped requirement's tab maps it to what was written
+  if (tab.requirement && !mappedSources(tab.requirement.name).length) {
+    p.sectionMap = { ...(p.sectionMap || {}), [tab.requirement.name]: { sections: [tab.source] } };
+  }
+  state.unsavedChanges = true;
+  updateSectionBudget(key);
+}
+
+window.setSectionNote = function(key, text) {
+  state.currentProposal.notes[sectionTab(key).source] = text;
+  state.unsavedChanges = true;
+};
+
+function countWords(text) {
+  return text.trim() ? text.trim().split(/\s+/).length : 0;
+}
+
+function budgetBar(label, used) {
+  const level = used > 1 ? 'over' : used > 0.95 ? 'near' : '';
+  return `
+    <div class="section-budget-row">
+      <div class="progress-bar"><div class="fill ${level}" style="width:${Math.min(100, used * 100)}%"></div></div>
+      <span>${label}</span>
+    </div>
+  `;
 }
 
-function updateWordCount(key, sectionName) {
-  const text = document.getElementById(`sectionText_${key}`)?.value || '';
-  const words = text.trim() ? text.trim().split(/\s+/).length : 0;
-  const el = document.getElementById(`wordCount_${key}`);
-  if (el) el.textContent = `${words} words`;
+// Words and pages against the scheme's limits, counting all the text mapped
+// to the requirement as the compliance check does; pages are laid out in the
+// scheme's font and margins
+function updateSectionBudget(key) {
+  const tab = sectionTab(key);
+  const el = document.getElementById(`sectionBudget_${key}`);
+  if (!tab || !el) return;
+  const p = state.currentProposal;
+  const own = document.getElementById(`sectionText_${key}`)?.value || '';
+  const sources = tab.requirement ? mappedSources(tab.requirement.name) : [];
+  const text = sources.length > 1
+    ? sources.map(s => (s === tab.source ? own : p.sections[s] || '')).filter(t => t.trim()).join('\n\n')
+    : own;
+  const words = countWords(text);
+  const r = tab.requirement || {};
+  const bars = [];
+  if (r.maxWords) bars.push(budgetBar(`${words} / ${r.maxWords} words`, words / r.maxWords));
+  if (r.maxPages) {
+    const formatting = (proposalScheme() || {}).formatting;
+    const { pages } = Layout.layoutText(text, formatting);
+    // Without the funder's formatting the count is an estimate
+    bars.push(budgetBar(`${formatting ? '' : '~'}${pages} / ${r.maxPages} page${r.maxPages !== 1 ? 's' : ''}`, pages / r.maxPages));
+  }
+  el.innerHTML = (bars.length ? bars.join('') : `<div class="form-hint">${words} words</div>`) +
+    (sources.length > 1 ? `<div class="form-hint">Counts ${escapeHtml(sources.join(' + '))} together</div>` : '');
 }
 
 window.generateSection = async function(key) {
-  const sectionMap = { case: 'Case for Support' };
-  const sectionName = sectionMap[key] || key;
+  const tab = sectionTab(key);
   const p = state.currentProposal;
   const o = p.overview || {};
-
-  const formData = {
-    title: p.title, researchArea: o.researchArea, amount: p.amount,
-    duration: p.duration, piName: o.piName, piInstitution: o.piInstitution,
-    researchQuestion: o.researchQuestion, methodology: o.methodology || '',
-    objectives: (o.objectives || '').split('\n').filter(Boolean),
-    outcomes: o.outcomes || '', scheme: p.scheme
-  };
-
-  let funderData = null;
-  if (p.funder) {
-    try {
-      const resp = await fetch(`/api/funders/${p.funder}`);
-      funderData = await resp.json();
-    } catch (e) {}
+  const generator = SECTION_GENERATORS[tab.source];
+  const funderData = state.proposalFunder;
+
+  let endpoint = '/api/generate/proposal';
+  let body;
+  if (generator) {
+    const fields = Object.fromEntries((generator.fields || []).map(f => [f.id, document.getElementById(`genField_${key}_${f.id}`).value]));
+    endpoint = generator.endpoint;
+    body = { ...generator.body(p, o, fields), funderData };
+  } else {
+    // Without a scheme, Case for Support is the whole proposal
+    const r = tab.requirement;
+    const section = r ? { name: r.name, notes: r.notes, maxWords: r.maxWords, maxPages: r.maxPages } : tab.custom ? { name: tab.title } : undefined;
+    body = {
+      formData: {
+        title: p.title, researchArea: o.researchArea, amount: p.amount,
+        duration: p.duration, piName: o.piName, piInstitution: o.piInstitution,
+        researchQuestion: o.researchQuestion, methodology: o.methodology || '',
+        objectives: (o.objectives || '').split('\n').filter(Boolean),
+        outcomes: o.outcomes || '', scheme: p.scheme, section
+      },
+      funderData
+    };
   }
 
   const output = document.getElementById(`streamOutput_${key}`);
@@ -563,23 +1244,20 @@ window.generateSection = async function(key) {
   output.innerHTML = '<span class="cursor-blink"></span>';
 
   try {
-    const resp = await fetch('/api/generate/proposal', {
+    const resp = await fetch(endpoint, {
       method: 'POST',
       headers: aiHeaders(),
-      body: JSON.stringify({ formData, funderData })
+      body: JSON.stringify(body)
     });
     await streamResponse(resp, output, (text) => {
-      document.getElementById(`sectionText_${key}`).value = text;
-      const sName = sectionMap[key] || key;
-      state.currentProposal.sections[sName] = text;
-      state.unsavedChanges = true;
-      updateWordCount(key, sName);
+      const el = document.getElementById(`sectionText_${key}`);
+      if (el) el.value = text;
+      writeSectionTab(key, text);
     });
   } catch (e) { toast('Generation failed: ' + e.message, 'error'); }
 };
 
 window.polishSection = async function(key) {
-  const sectionMap = { case: 'Case for Support' };
   const text = document.getElementById(`sectionText_${key}`).value;
   if (!text.trim()) return toast('Nothing to polish', 'warning');
 
@@ -588,135 +1266,48 @@ window.polishSection = async function(key) {
   output.style.display = 'block';
   output.innerHTML = '<span class="cursor-blink"></span>';
 
-  let funderData = null;
-  if (state.currentProposal.funder) {
-    try { funderData = await (await fetch(`/api/funders/${state.currentProposal.funder}`)).json(); } catch {}
-  }
-
   try {
     const resp = await fetch('/api/generate/polish', {
       method: 'POST',
       headers: aiHeaders(),
-      body: JSON.stringify({ text, mode, funderData })
+      body: JSON.stringify({ text, mode, funderData: state.proposalFunder })
     });
-    await streamResponse(resp, output);
+    const full = await streamResponse(resp, output);
+    // The polished text comes back as suggestions against what was sent
+    const polished = full.match(/##\s*Polished Text\s*\n([\s\S]*?)(?=\n##\s*Changes Made|$)/i);
+    if (polished && polished[1].trim()) await proposeSuggestions(sectionTab(key).source, text, polished[1].trim(), 'polish');
   } catch (e) { toast('Polish failed: ' + e.message, 'error'); }
 };
 
-// ─── Methodology Tab ────────────────────────────────────────
-
-function renderMethodologyTab(container, p) {
-  container.innerHTML = `
-    <div class="card">
-      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px">
-        <h3 style="color:var(--text-bright)">Methodology & Research Design</h3>
-        <button class="btn btn-sm btn-primary" onclick="generateMethodology()">🤖 Generate Methodology</button>
-      </div>
-      <textarea class="form-textarea" id="methodologyText" rows="20" style="min-height:400px;font-size:14px;line-height:1.8"
-        oninput="state.currentProposal.sections['Methodology']=this.value;state.unsavedChanges=true"
-        placeholder="Describe your research methodology...">${escapeHtml(p.sections['Methodology'] || '')}</textarea>
-      <div id="methodologyStream" class="stream-output" style="display:none;margin-top:16px"></div>
-    </div>
-  `;
-}
-
-window.generateMethodology = async function() {
+window.addCustomSection = function() {
+  const name = (prompt('Name of the new section:') || '').trim();
+  if (!name) return;
   const p = state.currentProposal;
-  const o = p.overview || {};
-  const output = document.getElementById('methodologyStream');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
-
-  let funderData = null;
-  if (p.funder) { try { funderData = await (await fetch(`/api/funders/${p.funder}`)).json(); } catch {} }
-
-  try {
-    const resp = await fetch('/api/generate/methodology', {
-      method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({
-        formData: { title: p.title, researchArea: o.researchArea, researchQuestion: o.researchQuestion, methodology: p.sections['Methodology'] || o.methodology || '', duration: p.duration },
-        funderData
-      })
-    });
-    await streamResponse(resp, output, (text) => {
-      document.getElementById('methodologyText').value = text;
-      state.currentProposal.sections['Methodology'] = text;
-      state.unsavedChanges = true;
-    });
-  } catch (e) { toast('Generation failed: ' + e.message, 'error'); }
-};
-
-// ─── Impact Tab ─────────────────────────────────────────────
-
-function renderImpactTab(container, p) {
-  container.innerHTML = `
-    <div class="card">
-      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px">
-        <h3 style="color:var(--text-bright)">Impact Statement</h3>
-        <div style="display:flex;gap:8px">
-          <button class="btn btn-sm" onclick="generatePlainSummary()">📖 Plain Summary</button>
-          <button class="btn btn-sm btn-primary" onclick="generateImpact()">🤖 Generate Impact</button>
-        </div>
-      </div>
-      <div class="form-group">
-        <label class="form-label">Research Summary (for impact generation)</label>
-        <textarea class="form-textarea" id="impactResearchSummary" rows="3" placeholder="Brief summary of your research...">${escapeHtml(p.overview?.researchQuestion || '')}</textarea>
-      </div>
-      <div class="form-group">
-        <label class="form-label">Target Beneficiaries (comma-separated)</label>
-        <input class="form-input" id="impactBeneficiaries" placeholder="NHS, policymakers, patients, industry">
-      </div>
-      <textarea class="form-textarea" id="impactText" rows="16" style="min-height:300px;font-size:14px;line-height:1.8"
-        oninput="state.currentProposal.sections['Impact']=this.value;state.unsavedChanges=true"
-        placeholder="Your impact statement...">${escapeHtml(p.sections['Impact'] || '')}</textarea>
-      <div id="impactStream" class="stream-output" style="display:none;margin-top:16px"></div>
-    </div>
-  `;
-}
-
-window.generateImpact = async function() {
-  const p = state.currentProposal;
-  const output = document.getElementById('impactStream');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
-
-  let funderData = null;
-  if (p.funder) { try { funderData = await (await fetch(`/api/funders/${p.funder}`)).json(); } catch {} }
-
-  const formData = {
-    researchSummary: document.getElementById('impactResearchSummary').value,
-    beneficiaries: document.getElementById('impactBeneficiaries').value.split(',').map(s => s.trim()).filter(Boolean)
-  };
-
-  try {
-    const resp = await fetch('/api/generate/impact', {
-      method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({ formData, funderData })
-    });
-    await streamResponse(resp, output, (text) => {
-      document.getElementById('impactText').value = text;
-      state.currentProposal.sections['Impact'] = text;
-      state.unsavedChanges = true;
-    });
-  } catch (e) { toast('Generation failed: ' + e.message, 'error'); }
+  if (p.sections[name] !== undefined || TOOL_TAB_SECTIONS.includes(name) || state.sectionTabs.some(t => t.title === name || t.source === name)) {
+    return toast('There is already a section with that name', 'warning');
+  }
+  p.sections[name] = '';
+  state.unsavedChanges = true;
+  renderEditorTabs();
+  selectTab(state.sectionTabs.find(t => t.source === name).key);
 };
 
-window.generatePlainSummary = async function() {
+window.removeCustomSection = function(key) {
+  const tab = sectionTab(key);
   const p = state.currentProposal;
-  const output = document.getElementById('impactStream');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
-
-  try {
-    const resp = await fetch('/api/generate/plain-summary', {
-      method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({ proposal: p })
-    });
-    await streamResponse(resp, output);
-  } catch (e) { toast('Generation failed: ' + e.message, 'error'); }
+  if (!confirm(`Remove the section "${tab.title}"${(p.sections[tab.source] || '').trim() ? ' and its text' : ''}?`)) return;
+  delete p.sections[tab.source];
+  delete p.notes[tab.source];
+  // Nor does it meet any requirement now
+  for (const [name, entry] of Object.entries(p.sectionMap || {})) {
+    if (!entry.sections || !entry.sections.includes(tab.source)) continue;
+    entry.sections = entry.sections.filter(s => s !== tab.source);
+    if (!entry.sections.length) delete entry.sections;
+    if (!Object.keys(entry).length) delete p.sectionMap[name];
+  }
+  state.unsavedChanges = true;
+  renderEditorTabs();
+  selectTab('overview');
 };
 
 // ─── Literature Tab ─────────────────────────────────────────
@@ -746,7 +1337,7 @@ function renderLiteratureTab(container, p) {
     </div>
     <div class="card" style="margin-top:16px">
       <h3 style="color:var(--text-bright);margin-bottom:12px">Literature Review</h3>
-      <textarea class="form-textarea" id="litReviewText" rows="16" style="min-height:300px;font-size:14px;line-height:1.8"
+      <textarea class="form-textarea" id="litReviewText" data-section="Literature Review" rows="16" style="min-height:300px;font-size:14px;line-height:1.8"
         oninput="state.currentProposal.literature.review=this.value;state.currentProposal.sections['Literature Review']=this.value;state.unsavedChanges=true"
         placeholder="Your literature review will appear here...">${escapeHtml(p.literature.review || p.sections['Literature Review'] || '')}</textarea>
       <div id="litStream" class="stream-output" style="display:none;margin-top:16px"></div>
@@ -1064,70 +1655,277 @@ window.removeWP = function(idx) {
   renderTab('gantt');
 };
 
-// ─── Ethics Tab ─────────────────────────────────────────────
+// ─── Compliance Tab ─────────────────────────────────────────
 
-function renderEthicsTab(container, p) {
+function renderComplianceTab(container, p) {
   container.innerHTML = `
     <div class="card">
       <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px">
-        <h3 style="color:var(--text-bright)">Ethics Statement & Data Management Plan</h3>
-        <button class="btn btn-sm btn-primary" onclick="generateEthics()">🤖 Generate</button>
+        <h3 style="color:var(--text-bright)">✅ Compliance Checker</h3>
+        <button class="btn btn-sm btn-primary" onclick="runCompliance()">Run Check</button>
       </div>
-      <div class="form-group">
-        <label class="form-label">Participants / Subjects</label>
-        <input class="form-input" id="ethicsParticipants" placeholder="Human participants, animal subjects, sensitive data..." value="${escapeHtml(p.overview?.participants || '')}">
+      <p style="color:var(--text-dim);font-size:13px;margin-bottom:16px">Check your proposal against funder requirements for word counts, required sections, and budget limits.</p>
+      <div id="complianceVersion" class="form-hint" style="margin-bottom:16px"></div>
+      <div id="complianceResults">
+        <div class="empty-state" style="padding:40px"><p>Click "Run Check" to validate your proposal against ${escapeHtml(p.funderName || p.funder || 'the selected funder')}'s requirements.</p></div>
+      </div>
+    </div>
+    <div class="card" style="margin-top:16px">
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+        <h3 style="color:var(--text-bright)">🧭 Section Mapping</h3>
+        ${canEdit() ? '<button class="btn btn-sm" onclick="useSuggestedSectionMap()">Suggest from names</button>' : ''}
       </div>
-      <textarea class="form-textarea" id="ethicsText" rows="20" style="min-height:400px;font-size:14px;line-height:1.8"
-        oninput="state.currentProposal.sections['Ethics & Data Management']=this.value;state.unsavedChanges=true"
-        placeholder="Ethics statement and data management plan...">${escapeHtml(p.sections['Ethics & Data Management'] || '')}</textarea>
-      <div id="ethicsStream" class="stream-output" style="display:none;margin-top:16px"></div>
+      <p class="form-hint" style="margin-bottom:12px">Which part of the proposal meets each section the funder requires. The compliance check counts words and pages of the mapped text only.</p>
+      <div id="sectionMapTable"><div class="spinner"></div></div>
+    </div>
+    <div class="card" style="margin-top:16px">
+      <h3 style="color:var(--text-bright);margin-bottom:8px">📎 Attachments</h3>
+      <p class="form-hint" style="margin-bottom:12px">CVs, letters and approvals for the sections met by a file. The compliance check counts their pages and checks the dates on letters.</p>
+      <div id="attachmentList"></div>
     </div>
   `;
+  showTemplateVersion();
+  loadSectionMap();
+  renderAttachments();
+}
+
+// ─── Section Mapping ─── (see lib/section-map.js)
+
+let sectionMapView = null;
+
+async function loadSectionMap() {
+  const el = document.getElementById('sectionMapTable');
+  try {
+    const resp = await fetch(`/api/proposals/${state.currentProposal.id}/section-map`);
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    sectionMapView = data;
+    renderSectionMap();
+  } catch (e) {
+    if (el) el.innerHTML = `<p class="form-hint">${escapeHtml(e.message)}</p>`;
+  }
+}
+
+// The saved mapping, or the suggestion until one is saved
+function currentSectionMap() {
+  return state.currentProposal.sectionMap || sectionMapView.suggested;
+}
+
+function renderSectionMap() {
+  const el = document.getElementById('sectionMapTable');
+  if (!el || !sectionMapView) return;
+  const map = currentSectionMap();
+  const claims = {};
+  for (const [name, entry] of Object.entries(map)) for (const s of entry.sections || []) (claims[s] = claims[s] || []).push(name);
+  const sources = sectionMapView.editorSections;
+  el.innerHTML = `
+    ${state.currentProposal.sectionMap ? '' : '<p class="form-hint" style="margin-bottom:8px">Suggested from the section names; change anything and save to keep it.</p>'}
+    <table class="budget-table">
+      <thead><tr><th>Funder requires</th><th>Met by</th><th></th></tr></thead>
+      <tbody>
+        ${sectionMapView.sections.map((req, i) => {
+          const entry = map[req.name] || {};
+          const mapped = entry.sections || [];
+          const shared = [...new Set(mapped.flatMap(s => claims[s].filter(n => n !== req.name)))];
+          const status = !mapped.length && !entry.attachment
+            ? `<span class="badge badge-rejected">unmapped</span>`
+            : shared.length ? `<span class="badge badge-progress" title="Also mapped to ${escapeHtml(shared.join(', '))}">shared</span>` : '<span class="badge badge-complete">mapped</span>';
+          return `
+            <tr>
+              <td>${escapeHtml(req.name)}${req.required ? ' <span style="color:var(--red)">*</span>' : ''}</td>
+              <td style="display:flex;gap:10px;flex-wrap:wrap;font-size:12px">
+                ${sources.map((s, j) => `<label><input type="checkbox" style="width:auto" ${mapped.includes(s) ? 'checked' : ''} onchange="setSectionSource(${i},${j},this.checked)"> ${escapeHtml(s)}</label>`).join('')}
+                <label><input type="checkbox" style="width:auto" ${entry.attachment ? 'checked' : ''} onchange="setSectionSource(${i},'attachment',this.checked)"> 📎 Attachment</label>
+              </td>
+              <td>${status}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+  if (!canEdit()) lockFields(el);
 }
 
-window.generateEthics = async function() {
+// source is an index into the editor sections, or 'attachment'
+window.setSectionSource = function(i, source, checked) {
   const p = state.currentProposal;
-  const o = p.overview || {};
-  const output = document.getElementById('ethicsStream');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
+  const map = structuredClone(currentSectionMap());
+  const name = sectionMapView.sections[i].name;
+  const entry = map[name] || {};
+  if (source === 'attachment') {
+    if (checked) entry.attachment = true; else delete entry.attachment;
+  } else {
+    const section = sectionMapView.editorSections[source];
+    // Kept in the editor's order, which is the order the text is joined in
+    entry.sections = sectionMapView.editorSections.filter(s => (s === section ? checked : (entry.sections || []).includes(s)));
+    if (!entry.sections.length) delete entry.sections;
+  }
+  if (Object.keys(entry).length) map[name] = entry; else delete map[name];
+  p.sectionMap = map;
+  state.unsavedChanges = true;
+  renderSectionMap();
+  refreshEditorTabs();
+  renderAttachments();
+};
+
+window.useSuggestedSectionMap = function() {
+  if (!sectionMapView) return;
+  if (state.currentProposal.sectionMap && !confirm('Replace the current mapping with one suggested from the section names?')) return;
+  state.currentProposal.sectionMap = structuredClone(sectionMapView.suggested);
+  state.unsavedChanges = true;
+  renderSectionMap();
+  refreshEditorTabs();
+  renderAttachments();
+};
+
+// ─── Attachments ─── (see lib/attachments.js)
+
+const ATTACHMENT_ACCEPT = '.pdf,.docx,.png,.jpg,.jpeg,application/pdf,image/png,image/jpeg';
+
+function attachmentRow(f) {
+  const p = state.currentProposal;
+  const details = [
+    f.pages != null ? `${f.pages} page${f.pages !== 1 ? 's' : ''}` : 'pages not counted',
+    f.dated ? `dated ${formatDay(f.dated)}` : '',
+    `${Math.max(1, Math.round(f.size / 1024))} KB`
+  ].filter(Boolean).join(' · ');
+  return `
+    <div class="attachment-row">
+      <a href="/api/proposals/${p.id}/attachments/${f.id}">📄 ${escapeHtml(f.name)}</a>
+      <span class="form-hint">${details}</span>
+      ${canEdit() ? `<button class="btn btn-xs" onclick="removeAttachment('${f.id}')">✕</button>` : ''}
+    </div>
+  `;
+}
+
+// Sections met by an attachment, with their files, then files for sections
+// the scheme no longer lists
+function renderAttachments() {
+  const el = document.getElementById('attachmentList');
+  if (!el) return;
+  const p = state.currentProposal;
+  const scheme = proposalScheme();
+  if (!scheme) {
+    el.innerHTML = '<p class="form-hint">Files are attached to the sections of the proposal\'s scheme; this proposal has none.</p>';
+    return;
+  }
+  const files = p.attachments || [];
+  const map = p.sectionMap || {};
+  const sections = scheme.sections || [];
+  const rows = sections.filter(s => (map[s.name] || {}).attachment || files.some(f => f.section === s.name));
+  const orphans = files.filter(f => !sections.some(s => s.name === f.section));
+  el.innerHTML = `
+    ${rows.length || orphans.length ? `
+      <table class="budget-table">
+        <thead><tr><th>Section</th><th>Files</th></tr></thead>
+        <tbody>
+          ${rows.map(s => {
+            const own = files.filter(f => f.section === s.name);
+            const limits = [s.maxPages && `up to ${s.maxPages} page${s.maxPages !== 1 ? 's' : ''}`, s.maxAgeMonths && `dated within ${s.maxAgeMonths} months`].filter(Boolean).join(', ');
+            return `
+              <tr>
+                <td>${escapeHtml(s.name)}${s.required ? ' <span style="color:var(--red)">*</span>' : ''}${limits ? `<div class="form-hint">${limits}</div>` : ''}</td>
+                <td>${own.map(attachmentRow).join('') || `<span class="badge ${s.required ? 'badge-rejected' : 'badge-progress'}">no file</span>`}</td>
+              </tr>
+            `;
+          }).join('')}
+          ${orphans.length ? `<tr><td>Not in the scheme</td><td>${orphans.map(attachmentRow).join('')}</td></tr>` : ''}
+        </tbody>
+      </table>
+    ` : '<p class="form-hint">No section is met by an attachment yet.</p>'}
+    ${canEdit() ? `
+      <div class="form-row-3" style="margin-top:16px">
+        <div class="form-group">
+          <label class="form-label">Section</label>
+          <select class="form-select" id="attachmentSection">
+            ${[...rows, ...sections.filter(s => !rows.includes(s))].map(s => `<option value="${escapeHtml(s.name)}">${escapeHtml(s.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Letter dated</label>
+          <input class="form-input" type="date" id="attachmentDated">
+        </div>
+        <div class="form-group">
+          <label class="form-label">File (PDF, Word, PNG or JPEG)</label>
+          <input class="form-input" type="file" id="attachmentFile" accept="${ATTACHMENT_ACCEPT}">
+        </div>
+      </div>
+      <button class="btn btn-sm btn-primary" onclick="uploadAttachment()">📎 Upload</button>
+    ` : ''}
+  `;
+}
 
+window.uploadAttachment = async function() {
+  const p = state.currentProposal;
+  const file = document.getElementById('attachmentFile').files[0];
+  if (!file) return toast('Choose a file to upload', 'warning');
+  const section = document.getElementById('attachmentSection').value;
+  const params = new URLSearchParams({ section, name: file.name });
+  const dated = document.getElementById('attachmentDated').value;
+  if (dated) params.set('dated', dated);
   try {
-    const resp = await fetch('/api/generate/ethics', {
+    const resp = await fetch(`/api/proposals/${p.id}/attachments?${params}`, {
       method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({
-        formData: {
-          title: p.title, researchArea: o.researchArea, methodology: p.sections['Methodology'] || '',
-          participants: document.getElementById('ethicsParticipants').value
-        }
-      })
-    });
-    await streamResponse(resp, output, (text) => {
-      document.getElementById('ethicsText').value = text;
-      state.currentProposal.sections['Ethics & Data Management'] = text;
-      state.unsavedChanges = true;
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file
     });
-  } catch (e) { toast('Generation failed: ' + e.message, 'error'); }
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    p.attachments = [...(p.attachments || []), data.attachment];
+    // The server maps an unmapped section to attachments; do the same here so
+    // the next save keeps it
+    const entry = (p.sectionMap || {})[section];
+    if (!entry || (!entry.attachment && !(entry.sections || []).length)) {
+      p.sectionMap = { ...(p.sectionMap || {}), [section]: { attachment: true } };
+      renderSectionMap();
+      refreshEditorTabs();
+    }
+    renderAttachments();
+    toast(`Attached ${data.attachment.name}`, 'success');
+  } catch (e) {
+    toast('Upload failed: ' + e.message, 'error');
+  }
 };
 
-// ─── Compliance Tab ─────────────────────────────────────────
+window.removeAttachment = async function(id) {
+  const p = state.currentProposal;
+  const file = (p.attachments || []).find(f => f.id === id);
+  if (!file || !confirm(`Delete ${file.name}?`)) return;
+  try {
+    const resp = await fetch(`/api/proposals/${p.id}/attachments/${id}`, { method: 'DELETE' });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    p.attachments = p.attachments.filter(f => f.id !== id);
+    renderAttachments();
+  } catch (e) {
+    toast('Delete failed: ' + e.message, 'error');
+  }
+};
 
-function renderComplianceTab(container, p) {
-  container.innerHTML = `
-    <div class="card">
-      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px">
-        <h3 style="color:var(--text-bright)">✅ Compliance Checker</h3>
-        <button class="btn btn-sm btn-primary" onclick="runCompliance()">Run Check</button>
-      </div>
-      <p style="color:var(--text-dim);font-size:13px;margin-bottom:16px">Check your proposal against funder requirements for word counts, required sections, and budget limits.</p>
-      <div id="complianceResults">
-        <div class="empty-state" style="padding:40px"><p>Click "Run Check" to validate your proposal against ${escapeHtml(p.funderName || p.funder || 'the selected funder')}'s requirements.</p></div>
-      </div>
-    </div>
-  `;
+// Which version of the funder's rules the proposal is checked against, with
+// a way to move it on when the funder has published newer ones
+async function showTemplateVersion() {
+  const el = document.getElementById('complianceVersion');
+  let funder = null;
+  try { funder = await fetchProposalFunder(state.currentProposal); } catch (e) { /* shown by the check itself */ }
+  if (!el || !funder || !funder.version || !funder.version.id) return;
+  const v = funder.version;
+  const dates = [v.effectiveFrom && `from ${formatDay(v.effectiveFrom)}`, v.effectiveTo && `to ${formatDay(v.effectiveTo)}`].filter(Boolean).join(' ');
+  const newer = funder.missingVersion ? funder.versions[0] : funder.newerVersion;
+  el.innerHTML = `Checked against ${escapeHtml(funder.name)} rules: <strong>${escapeHtml(v.label)}</strong>${dates ? ` (${dates})` : ''}` +
+    (newer && canEdit() ? ` · <a href="javascript:void(0)" onclick="useFunderVersion('${escapeHtml(newer.id)}')">Move to ${escapeHtml(newer.label)}</a>` : '');
 }
 
+window.useFunderVersion = async function(id) {
+  if (!confirm('Check this proposal against the newer rules from now on?')) return;
+  state.currentProposal.funderVersion = id;
+  state.unsavedChanges = true;
+  await saveProposal();
+  showTemplateVersion();
+  loadProposalScheme();
+  runCompliance();
+};
+
 window.runCompliance = async function() {
   const p = state.currentProposal;
   if (!p.funder) return toast('No funder selected', 'warning');
@@ -1143,8 +1941,10 @@ window.runCompliance = async function() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         proposalText, sections: p.sections || {},
-        funderId: p.funder, schemeIndex: 0,
-        budget: p.amount || 0, duration: p.duration || 0
+        funderId: p.funder, funderVersion: p.funderVersion, date: p.createdAt, scheme: p.scheme, schemeIndex: 0,
+        applicant: p.applicant || {}, startDate: (p.overview || {}).startDate, deadline: p.deadline,
+        budget: p.amount || 0, budgetData: p.budget, duration: p.duration || 0, sectionMap: p.sectionMap,
+        attachments: p.attachments
       })
     });
     const data = await resp.json();
@@ -1168,17 +1968,91 @@ window.runCompliance = async function() {
   } catch (e) { toast('Check failed: ' + e.message, 'error'); }
 };
 
+// ─── Outcome Tab ────────────────────────────────────────────
+
+function renderOutcomeTab(container, p) {
+  if (!p.outcome) p.outcome = { decisionDate: '', awardedAmount: '', panelScores: [], feedback: '' };
+  const o = p.outcome;
+  const stage = stageOf(p);
+  container.innerHTML = `
+    <div class="card">
+      <h3 style="color:var(--text-bright);margin-bottom:8px">🏆 Funding Outcome</h3>
+      <p style="color:var(--text-dim);font-size:13px;margin-bottom:16px">
+        Currently <span class="badge ${stageBadge(stage)}">${escapeHtml(stageLabel(stage))}</span>.
+        Record the award or rejection through the 🚦 workflow; the details below feed the Analytics page.
+      </p>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Decision Date</label>
+          <input class="form-input" type="date" value="${escapeHtml(o.decisionDate || '')}" oninput="state.currentProposal.outcome.decisionDate=this.value;state.unsavedChanges=true">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Awarded Amount (£)</label>
+          <input class="form-input" type="number" value="${escapeHtml(String(o.awardedAmount ?? ''))}" placeholder="${p.amount || ''}" oninput="state.currentProposal.outcome.awardedAmount=this.value===''?'':Number(this.value);state.unsavedChanges=true">
+          <div class="form-hint">Leave empty if the full £${Number(p.amount || 0).toLocaleString()} requested was awarded</div>
+        </div>
+      </div>
+      <div style="display:flex;justify-content:space-between;align-items:center;margin:8px 0">
+        <label class="form-label" style="margin:0">Panel Scores</label>
+        <button class="btn btn-xs" onclick="addPanelScore()">+ Add</button>
+      </div>
+      <table class="budget-table">
+        <thead><tr><th>Criterion / Panel</th><th style="width:100px">Score</th><th style="width:100px">Out of</th><th style="width:40px"></th></tr></thead>
+        <tbody>
+          ${(o.panelScores || []).map((row, i) => `
+            <tr>
+              <td><input value="${escapeHtml(row.criterion || '')}" oninput="updatePanelScore(${i},'criterion',this.value)"></td>
+              <td><input type="number" value="${escapeHtml(String(row.score ?? ''))}" oninput="updatePanelScore(${i},'score',this.value)"></td>
+              <td><input type="number" value="${escapeHtml(String(row.max ?? ''))}" oninput="updatePanelScore(${i},'max',this.value)"></td>
+              <td><button class="btn btn-xs btn-danger" onclick="removePanelScore(${i})">×</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="form-group" style="margin-top:16px">
+        <label class="form-label">Reviewer Feedback</label>
+        <textarea class="form-textarea" rows="8" oninput="state.currentProposal.outcome.feedback=this.value;state.unsavedChanges=true" placeholder="Paste the panel's and reviewers' comments...">${escapeHtml(o.feedback || '')}</textarea>
+      </div>
+    </div>
+  `;
+}
+
+window.addPanelScore = function() {
+  const o = state.currentProposal.outcome;
+  o.panelScores = [...(o.panelScores || []), { criterion: '', score: '', max: (o.panelScores || []).slice(-1)[0]?.max ?? 6 }];
+  state.unsavedChanges = true;
+  renderTab('outcome');
+};
+
+window.removePanelScore = function(idx) {
+  state.currentProposal.outcome.panelScores.splice(idx, 1);
+  state.unsavedChanges = true;
+  renderTab('outcome');
+};
+
+window.updatePanelScore = function(idx, field, value) {
+  const row = state.currentProposal.outcome.panelScores[idx];
+  if (!row) return;
+  row[field] = field === 'criterion' || value === '' ? value : Number(value);
+  state.unsavedChanges = true;
+};
+
 // ─── Export Tab ──────────────────────────────────────────────
 
 function renderExportTab(container, p) {
   container.innerHTML = `
     <div class="card">
       <h3 style="color:var(--text-bright);margin-bottom:16px">📤 Export Proposal</h3>
-      <div style="display:grid;grid-template-columns:1fr 1fr;gap:16px">
+      <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:16px">
         <div class="card" style="cursor:pointer" onclick="exportPDF()">
           <div style="font-size:32px;margin-bottom:8px">📄</div>
           <h4 style="color:var(--text-bright)">PDF Export</h4>
-          <p style="font-size:12px;color:var(--text-dim)">Academic-formatted PDF with title page, sections, and budget.</p>
+          <p style="font-size:12px;color:var(--text-dim)">In the funder's formatting, with title page, contents, page numbers, bookmarks, budget and Gantt chart.</p>
+        </div>
+        <div class="card" style="cursor:pointer" onclick="exportDOCX()">
+          <div style="font-size:32px;margin-bottom:8px">📝</div>
+          <h4 style="color:var(--text-bright)">Word Export</h4>
+          <p style="font-size:12px;color:var(--text-dim)">For co-authors and the research office. Heading styles, numbered sections, budget, Gantt table and references, in the funder's Word template if it has one.</p>
         </div>
         <div class="card" style="cursor:pointer" onclick="exportProposalJSON()">
           <div style="font-size:32px;margin-bottom:8px">📋</div>
@@ -1200,28 +2074,20 @@ function renderExportTab(container, p) {
   `;
 }
 
-window.exportPDF = async function() {
+// The server writes PDF and Word files from the saved proposal, so unsaved edits are saved first
+async function downloadExport(format, label) {
   const p = state.currentProposal;
-  try {
-    const resp = await fetch('/api/export/pdf', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        proposal: {
-          title: p.title, piName: p.overview?.piName, piInstitution: p.overview?.piInstitution,
-          funder: p.funderName || p.funder, scheme: p.scheme,
-          amount: p.amount, duration: p.duration,
-          sections: p.sections || {}, budget: p.budgetResult || null
-        }
-      })
-    });
-    const html = await resp.text();
-    const win = window.open('', '_blank');
-    win.document.write(html);
-    win.document.close();
-    toast('PDF export opened', 'success');
-  } catch (e) { toast('Export failed: ' + e.message, 'error'); }
-};
+  if (state.unsavedChanges && canEdit()) await saveProposal();
+  if (state.unsavedChanges) return toast('Save the proposal before exporting it', 'warning');
+  const a = document.createElement('a');
+  a.href = `/api/proposals/${p.id}/export/${format}`;
+  a.download = '';
+  a.click();
+  toast(`${label} downloading`, 'success');
+}
+
+window.exportPDF = () => downloadExport('pdf', 'PDF');
+window.exportDOCX = () => downloadExport('docx', 'Word document');
 
 window.exportProposalJSON = function() {
   const p = state.currentProposal;
@@ -1275,7 +2141,10 @@ async function renderTemplates(app) {
   app.innerHTML = `
     <div class="page-header">
       <h1>📋 Funder <span class="accent">Templates</span></h1>
-      <span style="font-size:13px;color:var(--text-dim)">${funders.length} funders available</span>
+      <div style="display:flex;gap:12px;align-items:center">
+        <span style="font-size:13px;color:var(--text-dim)">${funders.length} funders available</span>
+        ${canEditFunders() ? '<button class="btn btn-sm btn-primary" onclick="newFunder()">+ New funder</button>' : ''}
+      </div>
     </div>
     <div class="templates-grid">
       ${funders.map(f => `
@@ -1298,11 +2167,11 @@ window.showFunderDetail = async function(id) {
     const resp = await fetch(`/api/funders/${id}`);
     const f = await resp.json();
     document.getElementById('funderModal').innerHTML = `
-      <div class="modal-overlay" onclick="if(event.target===this)this.innerHTML=''">
+      <div class="modal-overlay" onclick="if(event.target===this)closeFunderModal()">
         <div class="modal">
           <div class="modal-title">${escapeHtml(f.fullName)}</div>
           <p style="color:var(--text-dim);margin-bottom:16px">${f.parent ? `Part of ${f.parent}` : 'Independent funder'}</p>
-          <h4 style="color:var(--accent);margin-bottom:12px">Available Schemes</h4>
+          <h4 style="color:var(--accent);margin-bottom:12px">Available Schemes${f.version?.label || f.version?.id ? ` <span style="font-size:12px;color:var(--text-dim);font-weight:normal">— ${escapeHtml(f.version.label || f.version.id)}${(f.previousVersions || []).length ? ` (earlier: ${f.previousVersions.map(v => escapeHtml(v.label || v.id)).join(', ')})` : ''}</span>` : ''}</h4>
           ${(f.schemes || []).map(s => `
             <div class="card" style="margin-bottom:12px">
               <div class="card-title">${escapeHtml(s.name)}</div>
@@ -1310,37 +2179,916 @@ window.showFunderDetail = async function(id) {
                 ${s.maxAmount ? `Up to £${s.maxAmount.toLocaleString()}` : ''} ${s.maxDuration ? `• Max ${s.maxDuration} months` : ''}
               </div>
               ${s.eligibility ? `<div style="font-size:12px;margin-bottom:8px"><strong>Eligibility:</strong> ${escapeHtml(s.eligibility)}</div>` : ''}
+              ${(s.calls || []).map(c => `<div style="font-size:12px;margin-bottom:4px">📅 <strong>${escapeHtml(c.name || 'Call')}:</strong> opens ${formatDay(c.opens)}, closes ${formatDay(c.closes)}${c.source ? ` (<a href="${escapeHtml(c.source)}" target="_blank" rel="noopener">source</a>)` : ''}</div>`).join('')}
               ${s.notes ? `<div style="font-size:12px;color:var(--accent);font-style:italic">${escapeHtml(s.notes)}</div>` : ''}
             </div>
           `).join('')}
           ${f.reviewCriteria ? `<h4 style="color:var(--accent);margin:16px 0 8px">Review Criteria</h4><ul style="font-size:13px;padding-left:20px">${f.reviewCriteria.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>` : ''}
+          ${canEditFunders() ? `<h4 style="color:var(--accent);margin:16px 0 8px">Word Template</h4><div id="wordTemplate"></div>` : ''}
           <div class="modal-actions">
-            <button class="btn" onclick="this.closest('.modal-overlay').innerHTML=''">Close</button>
+            ${canEditFunders() ? `
+              <button class="btn" onclick="showFunderHistory('${f.id}')">History</button>
+              <button class="btn" onclick="editFunder('${f.id}')">✏️ Edit</button>
+            ` : ''}
+            <button class="btn" onclick="closeFunderModal()">Close</button>
           </div>
         </div>
       </div>
     `;
+    if (canEditFunders()) renderWordTemplate(f.id);
   } catch (e) { toast('Failed to load funder details', 'error'); }
 };
 
-// ─── Settings Page ──────────────────────────────────────────
+// The .docx that Word exports of the funder's proposals start from
+async function renderWordTemplate(id) {
+  const el = document.getElementById('wordTemplate');
+  if (!el) return;
+  const resp = await fetch(`/api/funders/${id}/word-template`, { method: 'HEAD' });
+  el.innerHTML = `
+    <p class="form-hint">${resp.ok
+      ? `Word exports start from <a href="/api/funders/${id}/word-template">this template</a>, keeping its styles, page setup and headers.`
+      : 'Word exports use the scheme\'s formatting. Upload the funder\'s .docx template to use its styles instead.'}</p>
+    <div style="display:flex;gap:8px;align-items:center;margin-top:8px">
+      <input class="form-input" type="file" id="wordTemplateFile" accept=".docx,.dotx">
+      <button class="btn btn-sm btn-primary" onclick="uploadWordTemplate('${id}')">Upload</button>
+      ${resp.ok ? `<button class="btn btn-sm" onclick="removeWordTemplate('${id}')">Remove</button>` : ''}
+    </div>
+  `;
+}
 
-function renderSettings(app) {
-  const s = getSettings();
+window.uploadWordTemplate = async function(id) {
+  const file = document.getElementById('wordTemplateFile').files[0];
+  if (!file) return toast('Choose a .docx file to upload', 'warning');
+  try {
+    const resp = await fetch(`/api/funders/${id}/word-template`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    renderWordTemplate(id);
+    toast('Word template saved', 'success');
+  } catch (e) {
+    toast('Upload failed: ' + e.message, 'error');
+  }
+};
 
-  app.innerHTML = `
-    <div class="page-header">
-      <h1>⚙️ <span class="accent">Settings</span></h1>
-    </div>
-    <div class="settings-section">
-      <h2>AI Provider</h2>
-      <div class="provider-options">
-        <div class="provider-option ${s.provider === 'mikoshi' || !s.provider ? 'active' : ''}" onclick="setProvider('mikoshi')">
-          <div class="name">🤖 Mikoshi AI</div>
-          <div class="desc">Local Ollama model</div>
-          <div class="free-badge">Free</div>
+window.removeWordTemplate = async function(id) {
+  if (!confirm('Remove the Word template? Word exports will use the scheme\'s formatting.')) return;
+  try {
+    const resp = await fetch(`/api/funders/${id}/word-template`, { method: 'DELETE' });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    renderWordTemplate(id);
+  } catch (e) {
+    toast('Delete failed: ' + e.message, 'error');
+  }
+};
+
+window.closeFunderModal = function() {
+  funderEditor.template = null;
+  document.getElementById('funderModal').innerHTML = '';
+};
+
+// ─── Funder Template Editor ─────────────────────────────────
+
+// The template being edited; id is null for a new funder
+const funderEditor = { id: null, template: null, errors: [] };
+const COST_MODELS = { fEC: 'fEC (full economic costing)', full: 'Full costs', custom: 'Custom rate' };
+// The fonts lib/fonts.js has metrics for
+const PAGE_FONTS = ['Arial', 'Helvetica', 'Calibri', 'Times New Roman', 'Times', 'Georgia', 'Courier New'];
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+function canEditFunders() {
+  const u = state.user;
+  return !!u && (u.admin || (u.workflowRoles || []).some(r => state.funderEditorRoles.includes(r)));
+}
+
+window.newFunder = function() {
+  funderEditor.id = null;
+  funderEditor.template = { id: '', name: '', fullName: '', schemes: [{ name: '', sections: [] }] };
+  funderEditor.errors = [];
+  renderFunderEditor();
+};
+
+window.editFunder = async function(id) {
+  try {
+    const resp = await fetch(`/api/funders/${id}`);
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    funderEditor.id = id;
+    funderEditor.template = data;
+    funderEditor.errors = [];
+    renderFunderEditor();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+// Numbers from the form: blank removes the field
+function setNumberField(obj, field, value, integer) {
+  if (value === '' || value === null) delete obj[field];
+  else obj[field] = integer ? Math.round(Number(value)) : Number(value);
+}
+
+function setTextField(obj, field, value) {
+  value = value.trim();
+  if (value) obj[field] = value; else delete obj[field];
+}
+
+// Highlight a field the server rejected ("schemes[0].sections[1].maxWords")
+function fieldError(path) {
+  const error = funderEditor.errors.find(e => e.path === path || e.path.startsWith(`${path}.`) || e.path.startsWith(`${path}[`));
+  return error ? ' field-error' : '';
+}
+
+function numberInput(path, obj, field, handler, { min = 0, step = 'any', placeholder = '' } = {}) {
+  return `<input class="form-input${fieldError(path)}" type="number" min="${min}" step="${step}" placeholder="${placeholder}" value="${obj[field] ?? ''}" onchange="${handler}">`;
+}
+
+function schemeEditor(scheme, i) {
+  const at = `schemes[${i}]`;
+  return `
+    <div class="card scheme-editor">
+      <div style="display:flex;gap:8px;align-items:center;margin-bottom:12px">
+        <input class="form-input${fieldError(`${at}.name`)}" style="font-weight:600" placeholder="Scheme name" value="${escapeHtml(scheme.name || '')}" onchange="editScheme(${i},'name',this.value)">
+        <button class="btn btn-xs" title="Move up" onclick="moveScheme(${i},-1)" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button class="btn btn-xs" title="Move down" onclick="moveScheme(${i},1)" ${i === funderEditor.template.schemes.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="btn btn-xs btn-danger" onclick="removeScheme(${i})">Remove</button>
+      </div>
+      <div class="form-row-3">
+        <div class="form-group"><label class="form-label">Min amount (£)</label>${numberInput(`${at}.minAmount`, scheme, 'minAmount', `editScheme(${i},'minAmount',this.value)`)}</div>
+        <div class="form-group"><label class="form-label">Max amount (£)</label>${numberInput(`${at}.maxAmount`, scheme, 'maxAmount', `editScheme(${i},'maxAmount',this.value)`)}</div>
+        <div class="form-group"><label class="form-label">Cost model</label>
+          <select class="form-select${fieldError(`${at}.costModel`)}" onchange="editScheme(${i},'costModel',this.value)">
+            <option value="">—</option>
+            ${Object.entries(COST_MODELS).map(([id, label]) => `<option value="${id}" ${scheme.costModel === id ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
         </div>
-        <div class="provider-option ${s.provider === 'claude' ? 'active' : ''}" onclick="setProvider('claude')">
+      </div>
+      <div class="form-row-3">
+        <div class="form-group"><label class="form-label">Min duration (months)</label>${numberInput(`${at}.minDuration`, scheme, 'minDuration', `editScheme(${i},'minDuration',this.value)`, { min: 1, step: 1 })}</div>
+        <div class="form-group"><label class="form-label">Max duration (months)</label>${numberInput(`${at}.maxDuration`, scheme, 'maxDuration', `editScheme(${i},'maxDuration',this.value)`, { min: 1, step: 1 })}</div>
+        <div class="form-group">
+          ${scheme.costModel === 'custom'
+            ? `<label class="form-label">Funder pays (%)</label>${numberInput(`${at}.customRate`, scheme, 'customRate', `editScheme(${i},'customRate',this.value)`)}`
+            : `<label class="form-label">fEC rate (%)</label>${numberInput(`${at}.fecRate`, scheme, 'fecRate', `editScheme(${i},'fecRate',this.value)`, { placeholder: scheme.costModel === 'fEC' ? '80' : '' })}`}
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group"><label class="form-label">Overhead rate (%)</label>${numberInput(`${at}.overheadRate`, scheme, 'overheadRate', `editScheme(${i},'overheadRate',this.value)`)}</div>
+        <div class="form-group"><label class="form-label">Eligibility</label><input class="form-input${fieldError(`${at}.eligibility`)}" value="${escapeHtml(scheme.eligibility || '')}" onchange="editScheme(${i},'eligibility',this.value)"></div>
+      </div>
+      <div class="form-group"><label class="form-label">Notes</label><input class="form-input" value="${escapeHtml(scheme.notes || '')}" onchange="editScheme(${i},'notes',this.value)"></div>
+      ${eligibilityRulesEditor(scheme, i)}
+      ${formattingEditor(scheme, i)}
+      ${rulesEditor(scheme, `${at}.rules`, i, 'for this scheme, after the funder\'s')}
+
+      <div style="display:flex;justify-content:space-between;align-items:center;margin:8px 0">
+        <label class="form-label" style="margin:0">Sections</label>
+        <button class="btn btn-xs" onclick="addSchemeRow(${i},'sections')">+ Add section</button>
+      </div>
+      <table class="budget-table">
+        <thead><tr><th>Section</th><th style="width:100px">Max words</th><th style="width:90px">Max pages</th><th style="width:90px" title="Attached letters dated earlier than this before the deadline have expired">Letter age (months)</th><th style="width:80px">Required</th><th>Notes</th><th style="width:40px"></th></tr></thead>
+        <tbody>
+          ${(scheme.sections || []).map((sec, j) => `
+            <tr>
+              <td><input class="${fieldError(`${at}.sections[${j}].name`)}" value="${escapeHtml(sec.name || '')}" onchange="editSchemeRow(${i},'sections',${j},'name',this.value)"></td>
+              <td><input class="${fieldError(`${at}.sections[${j}].maxWords`)}" type="number" min="1" step="1" value="${sec.maxWords ?? ''}" onchange="editSchemeRow(${i},'sections',${j},'maxWords',this.value)"></td>
+              <td><input class="${fieldError(`${at}.sections[${j}].maxPages`)}" type="number" min="0" step="any" value="${sec.maxPages ?? ''}" onchange="editSchemeRow(${i},'sections',${j},'maxPages',this.value)"></td>
+              <td><input class="${fieldError(`${at}.sections[${j}].maxAgeMonths`)}" type="number" min="1" step="1" value="${sec.maxAgeMonths ?? ''}" onchange="editSchemeRow(${i},'sections',${j},'maxAgeMonths',this.value)"></td>
+              <td style="text-align:center"><input type="checkbox" style="width:auto" ${sec.required ? 'checked' : ''} onchange="editSchemeRow(${i},'sections',${j},'required',this.checked)"></td>
+              <td><input value="${escapeHtml(sec.notes || '')}" onchange="editSchemeRow(${i},'sections',${j},'notes',this.value)"></td>
+              <td><button class="btn btn-xs" onclick="removeSchemeRow(${i},'sections',${j})">✕</button></td>
+            </tr>
+          `).join('') || '<tr><td colspan="7" style="color:var(--text-dim)">No sections yet</td></tr>'}
+        </tbody>
+      </table>
+
+      <div style="display:flex;justify-content:space-between;align-items:center;margin:16px 0 8px">
+        <label class="form-label" style="margin:0">Calls</label>
+        <button class="btn btn-xs" onclick="addSchemeRow(${i},'calls')">+ Add call</button>
+      </div>
+      ${(scheme.calls || []).length ? `
+        <table class="budget-table">
+          <thead><tr><th>Call</th><th style="width:160px">Opens</th><th style="width:160px">Closes</th><th>Source</th><th style="width:40px"></th></tr></thead>
+          <tbody>
+            ${scheme.calls.map((c, j) => `
+              <tr class="${fieldError(`${at}.calls[${j}]`)}">
+                <td><input placeholder="e.g. 2026 round" value="${escapeHtml(c.name || '')}" onchange="editSchemeRow(${i},'calls',${j},'name',this.value)"></td>
+                <td><input type="date" value="${escapeHtml(c.opens || '')}" onchange="editSchemeRow(${i},'calls',${j},'opens',this.value)"></td>
+                <td><input type="date" value="${escapeHtml(c.closes || '')}" onchange="editSchemeRow(${i},'calls',${j},'closes',this.value)"></td>
+                <td><input type="url" placeholder="The funder's call page" value="${escapeHtml(c.source || '')}" onchange="editSchemeRow(${i},'calls',${j},'source',this.value)"></td>
+                <td><button class="btn btn-xs" onclick="removeSchemeRow(${i},'calls',${j})">✕</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="form-hint">No call dates. Add them, with the funder\'s call page as the source, to show this scheme on the Calendar.</p>'}
+    </div>
+  `;
+}
+
+function renderFunderEditor() {
+  const t = funderEditor.template;
+  const isNew = !funderEditor.id;
+  document.getElementById('funderModal').innerHTML = `
+    <div class="modal-overlay">
+      <div class="modal modal-wide funder-editor">
+        <div class="modal-title">${isNew ? 'New Funder' : `Edit ${escapeHtml(t.name)}`}</div>
+        ${funderEditor.errors.length ? `
+          <div class="funder-errors">
+            <strong>Please fix:</strong>
+            <ul>${funderEditor.errors.map(e => `<li><code>${escapeHtml(e.path || 'template')}</code> ${escapeHtml(e.message)}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
+        <div class="form-row-3">
+          <div class="form-group">
+            <label class="form-label">Id</label>
+            <input class="form-input${fieldError('id')}" value="${escapeHtml(t.id)}" placeholder="e.g. wolfson-foundation" ${isNew ? '' : 'disabled'} onchange="editFunderField('id',this.value)">
+            ${isNew ? '<div class="form-hint">Lower case letters, digits and hyphens; cannot be changed later</div>' : ''}
+          </div>
+          <div class="form-group"><label class="form-label">Short name</label><input class="form-input${fieldError('name')}" value="${escapeHtml(t.name)}" onchange="editFunderField('name',this.value)"></div>
+          <div class="form-group"><label class="form-label">Full name</label><input class="form-input${fieldError('fullName')}" value="${escapeHtml(t.fullName)}" onchange="editFunderField('fullName',this.value)"></div>
+        </div>
+        <div class="form-row">
+          <div class="form-group"><label class="form-label">Part of</label><input class="form-input" value="${escapeHtml(t.parent || '')}" placeholder="e.g. UKRI (blank if independent)" onchange="editFunderField('parent',this.value)"></div>
+          <div class="form-group"><label class="form-label">Website</label><input class="form-input${fieldError('website')}" value="${escapeHtml(t.website || '')}" placeholder="https://" onchange="editFunderField('website',this.value)"></div>
+        </div>
+        <div class="form-row">
+          <div class="form-group"><label class="form-label">Priorities (one per line)</label><textarea class="form-textarea" style="min-height:90px" onchange="editFunderList('priorities',this.value)">${escapeHtml((t.priorities || []).join('\n'))}</textarea></div>
+          <div class="form-group"><label class="form-label">Review criteria (one per line)</label><textarea class="form-textarea" style="min-height:90px" onchange="editFunderList('reviewCriteria',this.value)">${escapeHtml((t.reviewCriteria || []).join('\n'))}</textarea></div>
+        </div>
+        ${rulesEditor(t, 'rules', 'null', 'for every scheme')}
+
+        <div style="display:flex;justify-content:space-between;align-items:center;margin:8px 0 12px">
+          <h4 style="color:var(--accent);margin:0">Current rules</h4>
+          ${isNew ? '' : '<button class="btn btn-sm" onclick="startFunderVersion()">+ New version for the next call</button>'}
+        </div>
+        <div class="form-row">
+          <div class="form-group"><label class="form-label">Version id</label><input class="form-input${fieldError('version.id')}" value="${escapeHtml(t.version?.id || '')}" placeholder="e.g. 2026 or round-12" onchange="editFunderVersion('id',this.value)"></div>
+          <div class="form-group"><label class="form-label">Label</label><input class="form-input${fieldError('version.label')}" value="${escapeHtml(t.version?.label || '')}" placeholder="e.g. 2026 call" onchange="editFunderVersion('label',this.value)"></div>
+        </div>
+        <div class="form-row">
+          <div class="form-group"><label class="form-label">Effective from</label><input class="form-input${fieldError('version.effectiveFrom')}" type="date" value="${escapeHtml(t.version?.effectiveFrom || '')}" onchange="editFunderVersion('effectiveFrom',this.value)"></div>
+          <div class="form-group"><label class="form-label">Effective to</label><input class="form-input${fieldError('version.effectiveTo')}" type="date" value="${escapeHtml(t.version?.effectiveTo || '')}" onchange="editFunderVersion('effectiveTo',this.value)"></div>
+        </div>
+        <div class="form-hint" style="margin:-8px 0 12px">New proposals are pinned to the version in effect when they are created and keep its rules until moved on.</div>
+        ${(t.previousVersions || []).length ? `
+          <label class="form-label">Previous versions</label>
+          <div class="version-list" style="margin-bottom:16px">
+            ${t.previousVersions.map((v, i) => `
+              <div class="version-item${fieldError(`previousVersions[${i}]`)}">
+                <div>
+                  <div class="version-label">${escapeHtml(v.label || v.id)} <code>${escapeHtml(v.id)}</code></div>
+                  <div class="version-time">${[v.effectiveFrom && `from ${v.effectiveFrom}`, v.effectiveTo && `to ${v.effectiveTo}`].filter(Boolean).join(' ') || 'no dates'} · ${v.schemes.length} scheme${v.schemes.length !== 1 ? 's' : ''}</div>
+                </div>
+                <button class="btn btn-xs btn-danger" onclick="removeFunderVersion(${i})">Remove</button>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        <div style="display:flex;justify-content:space-between;align-items:center;margin:8px 0 12px">
+          <h4 style="color:var(--accent);margin:0">Schemes</h4>
+          <button class="btn btn-sm" onclick="addScheme()">+ Add scheme</button>
+        </div>
+        ${t.schemes.map(schemeEditor).join('')}
+
+        <div class="form-group" style="margin-top:16px">
+          <label class="form-label">What changed (optional)</label>
+          <input class="form-input" id="funderNote" placeholder="e.g. 2026 word limits">
+        </div>
+        <div class="modal-actions">
+          ${isNew ? '' : `<button class="btn btn-danger" style="margin-right:auto" onclick="deleteFunder('${t.id}')">Delete funder</button>`}
+          <button class="btn" onclick="${isNew ? 'closeFunderModal()' : `showFunderDetail('${t.id}')`}">Cancel</button>
+          <button class="btn btn-primary" onclick="saveFunder()">${isNew ? 'Create funder' : 'Save changes'}</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+window.editFunderField = function(field, value) {
+  if (field === 'id') value = value.trim().toLowerCase();
+  if (field === 'id' || field === 'name' || field === 'fullName') funderEditor.template[field] = value.trim();
+  else setTextField(funderEditor.template, field, value);
+};
+
+window.editFunderList = function(field, value) {
+  const items = value.split('\n').map(v => v.trim()).filter(Boolean);
+  if (items.length) funderEditor.template[field] = items; else delete funderEditor.template[field];
+};
+
+window.editFunderVersion = function(field, value) {
+  const t = funderEditor.template;
+  t.version = { ...t.version };
+  setTextField(t.version, field, value);
+  if (!Object.keys(t.version).length) delete t.version;
+};
+
+// Keep the current schemes as a previous version and carry a copy forward to
+// edit for the next call
+window.startFunderVersion = function() {
+  const t = funderEditor.template;
+  if (!t.version?.id) return toast('Give the current rules a version id first, so proposals started under them keep them', 'warning');
+  const id = (prompt('Version id for the new rules (e.g. 2027 or round-13):') || '').trim();
+  if (!id) return;
+  if (id === t.version.id || (t.previousVersions || []).some(v => v.id === id)) return toast(`There is already a version "${id}"`, 'warning');
+  t.previousVersions = [{ ...t.version, schemes: structuredClone(t.schemes) }, ...(t.previousVersions || [])];
+  t.version = { id };
+  renderFunderEditor();
+  toast('Set the dates for the new version, edit its schemes and save');
+};
+
+window.removeFunderVersion = function(i) {
+  const t = funderEditor.template;
+  if (!confirm(`Remove ${t.previousVersions[i].label || t.previousVersions[i].id}? Proposals pinned to it will be checked against the current rules.`)) return;
+  t.previousVersions.splice(i, 1);
+  if (!t.previousVersions.length) delete t.previousVersions;
+  renderFunderEditor();
+};
+
+// The checkable side of a scheme's eligibility; see lib/eligibility.js
+function eligibilityRulesEditor(scheme, i) {
+  const rules = scheme.eligibilityRules || {};
+  const at = `schemes[${i}].eligibilityRules`;
+  const years = (field, label) => `
+    <div class="form-group">
+      <label class="form-label">${label}</label>
+      <div style="display:flex;gap:6px">
+        ${numberInput(`${at}.${field}.min`, rules[field] || {}, 'min', `editSchemeRule(${i},'${field}',this.value,'min')`, { placeholder: 'min' })}
+        ${numberInput(`${at}.${field}.max`, rules[field] || {}, 'max', `editSchemeRule(${i},'${field}',this.value,'max')`, { placeholder: 'max' })}
+      </div>
+    </div>`;
+  return `
+    <label class="form-label">Eligibility rules <span class="form-hint">(checked against the applicant on each proposal; leave blank for no rule)</span></label>
+    <div class="form-row-3">
+      ${years('yearsSincePhd', 'Years since PhD')}
+      ${years('yearsSinceAppointment', 'Years since first appointment')}
+      <div class="form-group"><label class="form-label">Institution countries</label><input class="form-input${fieldError(`${at}.institutionCountries`)}" value="${escapeHtml((rules.institutionCountries || []).join(', '))}" placeholder="e.g. GB, IE" onchange="editSchemeRule(${i},'institutionCountries',this.value)"></div>
+    </div>
+    <div class="form-group" style="display:flex;gap:16px;flex-wrap:wrap;font-size:13px">
+      ${state.careerStages.map(c => `<label><input type="checkbox" style="width:auto" ${(rules.careerStages || []).includes(c.id) ? 'checked' : ''} onchange="editSchemeRule(${i},'careerStages',this.checked,'${c.id}')"> ${escapeHtml(c.label.split(' (')[0])}</label>`).join('')}
+      <label><input type="checkbox" style="width:auto" ${rules.contractCoversProject ? 'checked' : ''} onchange="editSchemeRule(${i},'contractCoversProject',this.checked)"> Contract must cover the project</label>
+      <label><input type="checkbox" style="width:auto" ${rules.businessPartnerRequired ? 'checked' : ''} onchange="editSchemeRule(${i},'businessPartnerRequired',this.checked)"> Business partner required</label>
+    </div>
+  `;
+}
+
+window.editSchemeRule = function(i, field, value, part) {
+  const scheme = funderEditor.template.schemes[i];
+  const rules = { ...scheme.eligibilityRules };
+  if (field === 'yearsSincePhd' || field === 'yearsSinceAppointment') {
+    rules[field] = { ...rules[field] };
+    setNumberField(rules[field], part, value);
+    if (!Object.keys(rules[field]).length) delete rules[field];
+  } else if (field === 'careerStages') {
+    // Kept in the order the stages are listed
+    const chosen = new Set(rules.careerStages || []);
+    if (value) chosen.add(part); else chosen.delete(part);
+    rules.careerStages = state.careerStages.map(c => c.id).filter(id => chosen.has(id));
+    if (!rules.careerStages.length) delete rules.careerStages;
+  } else if (field === 'institutionCountries') {
+    const codes = value.split(',').map(c => c.trim().toUpperCase()).filter(Boolean);
+    if (codes.length) rules.institutionCountries = [...new Set(codes)]; else delete rules.institutionCountries;
+  } else if (value) {
+    rules[field] = true;
+  } else {
+    delete rules[field];
+  }
+  if (Object.keys(rules).length) scheme.eligibilityRules = rules; else delete scheme.eligibilityRules;
+};
+
+// Extra compliance rules as JSON; the types are listed in lib/compliance-rules.js
+function rulesEditor(owner, path, i, scope) {
+  return `
+    <div class="form-group">
+      <label class="form-label">Compliance rules <span class="form-hint">(JSON, ${scope}; e.g. [{"type": "requiredKeywords", "keywords": ["Trusted Research"]}])</span></label>
+      <textarea class="form-textarea${fieldError(path)}" style="min-height:60px;font-family:monospace;font-size:12px" placeholder="[]" onchange="editComplianceRules(${i},this.value)">${escapeHtml(owner.rules ? JSON.stringify(owner.rules, null, 2) : '')}</textarea>
+    </div>
+  `;
+}
+
+// i is the scheme index, or null for the funder's own rules
+window.editComplianceRules = function(i, value) {
+  const owner = i === null ? funderEditor.template : funderEditor.template.schemes[i];
+  if (!value.trim()) { delete owner.rules; return; }
+  let rules;
+  try {
+    rules = JSON.parse(value);
+  } catch (e) {
+    return toast(`Compliance rules are not valid JSON: ${e.message}`, 'error');
+  }
+  if (!Array.isArray(rules)) return toast('Compliance rules should be a list: [ ... ]', 'error');
+  if (rules.length) owner.rules = rules; else delete owner.rules;
+};
+
+// Page set-up for checking page limits; see lib/layout.js
+function formattingEditor(scheme, i) {
+  const f = scheme.formatting || {};
+  const at = `schemes[${i}].formatting`;
+  const margins = typeof f.margins === 'object' ? f.margins : MARGIN_SIDES.reduce((m, side) => ({ ...m, [side]: f.margins }), {});
+  return `
+    <label class="form-label">Page formatting <span class="form-hint">(page limits are checked by laying the text out like this; blank gives an estimate in 11pt Arial, 2 cm margins)</span></label>
+    <div class="form-group"><label class="form-label">Source</label>
+      <input class="form-input${fieldError(`${at}.source`)}" type="url" placeholder="The funder's guidance on formatting" value="${escapeHtml(f.source || '')}" onchange="editSchemeFormatting(${i},'source',this.value)">
+    </div>
+    <div class="form-row-3">
+      <div class="form-group"><label class="form-label">Font</label>
+        <select class="form-select${fieldError(`${at}.font`)}" onchange="editSchemeFormatting(${i},'font',this.value)">
+          <option value="">—</option>
+          ${PAGE_FONTS.map(font => `<option ${f.font === font ? 'selected' : ''}>${font}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group"><label class="form-label">Font size (pt)</label>${numberInput(`${at}.fontSize`, f, 'fontSize', `editSchemeFormatting(${i},'fontSize',this.value)`, { min: 6, placeholder: '11' })}</div>
+      <div class="form-group"><label class="form-label">Line spacing</label>${numberInput(`${at}.lineSpacing`, f, 'lineSpacing', `editSchemeFormatting(${i},'lineSpacing',this.value)`, { min: 1, placeholder: '1' })}</div>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Margins (cm): top, right, bottom, left</label>
+      <div style="display:flex;gap:6px">
+        ${MARGIN_SIDES.map(side => numberInput(`${at}.margins`, margins, side, `editSchemeFormatting(${i},'margins',this.value,'${side}')`, { placeholder: side })).join('')}
+        <select class="form-select${fieldError(`${at}.paper`)}" style="max-width:100px" onchange="editSchemeFormatting(${i},'paper',this.value)">
+          ${['A4', 'Letter'].map(paper => `<option ${(f.paper || 'A4') === paper ? 'selected' : ''}>${paper}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+  `;
+}
+
+window.editSchemeFormatting = function(i, field, value, side) {
+  const scheme = funderEditor.template.schemes[i];
+  const f = { ...scheme.formatting };
+  if (field === 'margins') {
+    const margins = typeof f.margins === 'object' ? { ...f.margins } : MARGIN_SIDES.reduce((m, s) => (f.margins === undefined ? m : { ...m, [s]: f.margins }), {});
+    setNumberField(margins, side, value);
+    // One number when every side is the same
+    const values = MARGIN_SIDES.map(s => margins[s]);
+    if (!Object.keys(margins).length) delete f.margins;
+    else if (values.every(v => v !== undefined && v === values[0])) f.margins = values[0];
+    else f.margins = margins;
+  } else if (field === 'font' || field === 'source') {
+    setTextField(f, field, value);
+  } else if (field === 'paper') {
+    if (value === 'A4') delete f.paper; else f.paper = value;
+  } else {
+    setNumberField(f, field, value);
+  }
+  if (Object.keys(f).length) scheme.formatting = f; else delete scheme.formatting;
+};
+
+window.editScheme = function(i, field, value) {
+  const scheme = funderEditor.template.schemes[i];
+  if (field === 'name') scheme.name = value.trim();
+  else if (['eligibility', 'notes', 'costModel'].includes(field)) setTextField(scheme, field, value);
+  else setNumberField(scheme, field, value, field.endsWith('Duration'));
+  // The rate fields depend on the cost model
+  if (field === 'costModel') {
+    if (value === 'custom') delete scheme.fecRate; else delete scheme.customRate;
+    renderFunderEditor();
+  }
+};
+
+window.addScheme = function() {
+  funderEditor.template.schemes.push({ name: '', sections: [] });
+  renderFunderEditor();
+};
+
+window.removeScheme = function(i) {
+  const scheme = funderEditor.template.schemes[i];
+  if (scheme.name && !confirm(`Remove the scheme "${scheme.name}"? Proposals written for it will lose its requirements.`)) return;
+  funderEditor.template.schemes.splice(i, 1);
+  renderFunderEditor();
+};
+
+window.moveScheme = function(i, by) {
+  const schemes = funderEditor.template.schemes;
+  if (i + by < 0 || i + by >= schemes.length) return;
+  [schemes[i], schemes[i + by]] = [schemes[i + by], schemes[i]];
+  renderFunderEditor();
+};
+
+window.addSchemeRow = function(i, list) {
+  const scheme = funderEditor.template.schemes[i];
+  (scheme[list] = scheme[list] || []).push(list === 'sections' ? { name: '', required: true } : {});
+  renderFunderEditor();
+};
+
+window.removeSchemeRow = function(i, list, j) {
+  const scheme = funderEditor.template.schemes[i];
+  scheme[list].splice(j, 1);
+  if (list === 'calls' && !scheme.calls.length) delete scheme.calls;
+  renderFunderEditor();
+};
+
+window.editSchemeRow = function(i, list, j, field, value) {
+  const row = funderEditor.template.schemes[i][list][j];
+  if (field === 'required') row.required = value;
+  else if (field === 'maxWords' || field === 'maxPages' || field === 'maxAgeMonths') setNumberField(row, field, value, field !== 'maxPages');
+  else if (field === 'name' && list === 'sections') row.name = value.trim();
+  else setTextField(row, field, value);
+};
+
+window.saveFunder = async function() {
+  const t = funderEditor.template;
+  const note = document.getElementById('funderNote')?.value || '';
+  try {
+    const resp = funderEditor.id
+      ? await fetch(`/api/funders/${funderEditor.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ template: t, note }) })
+      : await fetch('/api/funders', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ template: t, note }) });
+    const data = await resp.json();
+    if (!resp.ok) {
+      funderEditor.errors = data.errors || [];
+      if (funderEditor.errors.length) renderFunderEditor();
+      throw new Error(data.errors ? 'The template has problems; see the list at the top' : data.error);
+    }
+    toast(funderEditor.id ? 'Funder saved' : 'Funder created', 'success');
+    await loadFunders();
+    await renderTemplates(document.getElementById('app'));
+    showFunderDetail(data.id);
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.deleteFunder = async function(id) {
+  const used = state.proposals.filter(p => p.funder === id).length;
+  if (!confirm(`Delete this funder?${used ? ` ${used} of your proposals use it and will lose their compliance checks.` : ''} It can be restored from its history.`)) return;
+  try {
+    const resp = await fetch(`/api/funders/${id}`, { method: 'DELETE' });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    toast('Funder deleted', 'success');
+    await loadFunders();
+    await renderTemplates(document.getElementById('app'));
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+const FUNDER_HISTORY_LABELS = { original: 'File before the first edit', created: 'Created', updated: 'Edited', deleted: 'Deleted', reverted: 'Restored' };
+
+window.showFunderHistory = async function(id) {
+  try {
+    const resp = await fetch(`/api/funders/${id}/history`);
+    const entries = await resp.json();
+    if (!resp.ok) throw new Error(entries.error);
+    document.getElementById('funderModal').innerHTML = `
+      <div class="modal-overlay" onclick="if(event.target===this)closeFunderModal()">
+        <div class="modal">
+          <div class="modal-title">📜 Template History</div>
+          ${entries.length ? `
+            <div class="version-list">
+              ${entries.map((e, i) => `
+                <div class="version-item">
+                  <div style="flex:1">
+                    <div><strong>${FUNDER_HISTORY_LABELS[e.action] || e.action}</strong>${e.userName ? ` by ${escapeHtml(e.userName)}` : ''} <span style="color:var(--text-dim);font-size:12px">${new Date(e.at).toLocaleString('en-GB')}</span></div>
+                    ${e.note ? `<div style="font-size:13px;font-style:italic">“${escapeHtml(e.note)}”</div>` : ''}
+                    ${e.action !== 'original' && e.changes.length ? `<div style="font-size:12px;color:var(--text-dim)">${e.changes.map(escapeHtml).join('; ')}</div>` : ''}
+                  </div>
+                  ${e.action !== 'deleted' && i > 0 ? `<button class="btn btn-xs" onclick="revertFunder('${id}','${e.id}')">Restore</button>` : ''}
+                </div>
+              `).join('')}
+            </div>
+          ` : '<p style="color:var(--text-dim)">No changes have been made in the app yet. Edits from here on are kept so they can be undone.</p>'}
+          <div class="modal-actions">
+            <button class="btn" onclick="closeFunderModal()">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.revertFunder = async function(id, entryId) {
+  if (!confirm('Put the template back as it was after this change? The current version stays in the history.')) return;
+  try {
+    const resp = await fetch(`/api/funders/${id}/history/${entryId}/revert`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    toast('Template restored', 'success');
+    await loadFunders();
+    await renderTemplates(document.getElementById('app'));
+    showFunderHistory(id);
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+// ─── Calendar Page ──────────────────────────────────────────
+
+const calendarView = { month: '', calls: true };
+const EVENT_ICONS = { deadline: '🎯', milestone: '📌', 'call-opens': '📣', 'call-closes': '⏳' };
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function formatDay(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+  return date ? new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { ...options, timeZone: 'UTC' }) : '';
+}
+
+function todayISO() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+// The scheme's next call still open (or yet to open), by closing date
+function nextCall(scheme) {
+  const today = todayISO();
+  return (scheme?.calls || []).filter(c => c.closes && c.closes >= today).sort((a, b) => a.closes.localeCompare(b.closes))[0] || null;
+}
+
+async function fetchCalendar(from, to) {
+  const params = new URLSearchParams({ from, to });
+  if (!calendarView.calls) params.set('calls', '0');
+  const resp = await fetch(`/api/calendar?${params}`);
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data.error);
+  return data;
+}
+
+function calendarChip(e) {
+  const open = e.proposalId ? ` onclick="location.hash='#/proposal/${e.proposalId}'"` : '';
+  return `<div class="calendar-event ${e.kind}${e.done ? ' done' : ''}${e.proposalId ? ' linked' : ''}" title="${escapeHtml(e.title)}${e.description ? `\n${escapeHtml(e.description)}` : ''}"${open}>${EVENT_ICONS[e.kind] || ''} ${escapeHtml(e.title)}</div>`;
+}
+
+async function renderCalendar(app) {
+  if (!calendarView.month) calendarView.month = todayISO().slice(0, 7);
+  const first = `${calendarView.month}-01`;
+  // Weeks start on Monday
+  const gridStart = addDays(first, -((new Date(`${first}T00:00:00Z`).getUTCDay() + 6) % 7));
+  const today = todayISO();
+  let month, upcoming;
+  try {
+    [month, upcoming] = await Promise.all([fetchCalendar(gridStart, addDays(gridStart, 41)), fetchCalendar(today, addDays(today, 60))]);
+  } catch (e) {
+    app.innerHTML = `<div class="empty-state"><div class="icon">📅</div><h3>Calendar unavailable</h3><p>${escapeHtml(e.message)}</p></div>`;
+    return;
+  }
+  const byDay = {};
+  for (const e of month.events) (byDay[e.date] = byDay[e.date] || []).push(e);
+  const days = Array.from({ length: 42 }, (_, i) => addDays(gridStart, i));
+  const pending = upcoming.events.filter(e => !e.done);
+
+  app.innerHTML = `
+    <div class="page-header">
+      <h1>📅 <span class="accent">Calendar</span></h1>
+      <div style="display:flex;gap:8px">
+        <a class="btn btn-sm" href="/api/calendar.ics${calendarView.calls ? '' : '?calls=0'}" download="bidwriter.ics">📥 Download .ics</a>
+        <button class="btn btn-sm btn-primary" onclick="showCalendarFeed()">🔗 Subscribe</button>
+      </div>
+    </div>
+    <div class="filter-bar">
+      <button class="btn btn-sm" onclick="moveCalendar(-1)">‹</button>
+      <strong class="calendar-month">${formatDay(first, { month: 'long', year: 'numeric' })}</strong>
+      <button class="btn btn-sm" onclick="moveCalendar(1)">›</button>
+      <button class="btn btn-sm" onclick="moveCalendar(0)">Today</button>
+      <label class="form-hint" style="margin-left:auto;display:flex;align-items:center;gap:6px">
+        <input type="checkbox" ${calendarView.calls ? 'checked' : ''} onchange="toggleCalendarCalls(this.checked)"> Show funder calls
+      </label>
+    </div>
+    <div class="calendar-layout">
+      <div class="calendar-grid">
+        ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => `<div class="calendar-weekday">${d}</div>`).join('')}
+        ${days.map(d => `
+          <div class="calendar-day${d.slice(0, 7) !== calendarView.month ? ' other-month' : ''}${d === today ? ' today' : ''}">
+            <div class="calendar-date">${Number(d.slice(8))}</div>
+            ${(byDay[d] || []).map(calendarChip).join('')}
+          </div>
+        `).join('')}
+      </div>
+      <div class="card calendar-agenda">
+        <h3 class="card-title">Next 60 days</h3>
+        ${pending.length === 0 ? '<p class="form-hint">Nothing due. Set a funder deadline on a proposal\'s Overview tab.</p>' : pending.map(e => `
+          <div class="agenda-item">
+            <div class="agenda-date">${formatDay(e.date, { weekday: 'short', day: 'numeric', month: 'short' })}</div>
+            ${calendarChip(e)}
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+window.moveCalendar = function(step) {
+  const [year, month] = (calendarView.month || todayISO().slice(0, 7)).split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1 + step, 1));
+  calendarView.month = step === 0 ? todayISO().slice(0, 7) : d.toISOString().slice(0, 7);
+  renderCalendar(document.getElementById('app'));
+};
+
+window.toggleCalendarCalls = function(on) {
+  calendarView.calls = on;
+  renderCalendar(document.getElementById('app'));
+};
+
+// The subscription link is secret and shown only when created
+window.showCalendarFeed = function(url) {
+  const feed = state.user.calendarFeed;
+  document.querySelector('.modal-overlay.calendar-feed')?.remove();
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay calendar-feed';
+  modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-title">Subscribe to your deadlines</div>
+      <p style="font-size:13px;color:var(--text-dim);margin-bottom:16px">
+        Add this link in Outlook (Add calendar → Subscribe from web), Thunderbird (New Calendar → On the Network)
+        or Google Calendar (From URL). It lists the deadlines and milestones of every proposal you can open and the funder call dates, and refreshes hourly.
+      </p>
+      ${url ? `
+        <div style="display:flex;gap:8px">
+          <input class="form-input" id="calendarFeedUrl" value="${escapeHtml(url)}" readonly style="flex:1" onclick="this.select()">
+          <button class="btn btn-sm" onclick="navigator.clipboard.writeText(document.getElementById('calendarFeedUrl').value).then(() => toast('Link copied', 'success'))">Copy</button>
+        </div>
+        <p class="form-hint">Keep this link private: anyone with it can read your calendar. It will not be shown again.</p>
+      ` : feed ? `
+        <p style="font-size:13px">A subscription link has been active since ${formatDay(feed.createdAt.slice(0, 10))}. Create a new link if you have lost it; the old one stops working.</p>
+      ` : ''}
+      <div class="modal-actions">
+        ${feed && !url ? '<button class="btn btn-danger" onclick="revokeCalendarFeed()">Turn off link</button>' : ''}
+        <button class="btn${url ? '' : ' btn-primary'}" onclick="createCalendarFeed()">${feed || url ? 'Create new link' : 'Create link'}</button>
+        <button class="btn" onclick="this.closest('.modal-overlay').remove()">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+};
+
+window.createCalendarFeed = async function() {
+  if (state.user.calendarFeed && !confirm('Create a new link? Calendars subscribed with the old link will stop updating.')) return;
+  try {
+    const resp = await fetch('/api/calendar/feed', { method: 'POST' });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    state.user.calendarFeed = { createdAt: data.createdAt };
+    showCalendarFeed(data.url);
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.revokeCalendarFeed = async function() {
+  if (!confirm('Turn off the subscription link? Subscribed calendars will stop updating.')) return;
+  try {
+    const resp = await fetch('/api/calendar/feed', { method: 'DELETE' });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    delete state.user.calendarFeed;
+    toast('Calendar link turned off', 'success');
+    showCalendarFeed();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+// ─── Analytics Page ─────────────────────────────────────────
+
+const analyticsFilter = { from: '', to: '' };
+
+// The current quarter and the seven before it, newest first
+function recentQuarters() {
+  const now = new Date();
+  let year = now.getFullYear(), q = Math.floor(now.getMonth() / 3) + 1;
+  const list = [];
+  for (let i = 0; i < 8; i++) {
+    const pad = n => String(n).padStart(2, '0');
+    const lastDay = new Date(year, q * 3, 0).getDate();
+    list.push({ label: `${year} Q${q}`, from: `${year}-${pad(q * 3 - 2)}-01`, to: `${year}-${pad(q * 3)}-${lastDay}` });
+    if (--q === 0) { q = 4; year--; }
+  }
+  return list;
+}
+
+function money(n) {
+  return `£${Math.round(Number(n) || 0).toLocaleString()}`;
+}
+
+function percent(n) {
+  return n === null || n === undefined ? '—' : `${n}%`;
+}
+
+// Horizontal bars; rows are [{ label, value, note }]
+function barChart(rows, format = money) {
+  const max = Math.max(1, ...rows.map(r => r.value));
+  return `
+    <div class="bar-chart">
+      ${rows.map(r => `
+        <div class="bar-row">
+          <div class="bar-label">${escapeHtml(r.label)}</div>
+          <div class="bar-track"><div class="bar-fill${r.muted ? ' muted' : ''}" style="width:${(r.value / max * 100).toFixed(1)}%"></div></div>
+          <div class="bar-value">${format(r.value)}${r.note ? ` <span class="form-hint">${escapeHtml(r.note)}</span>` : ''}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function statsTable(rows) {
+  if (rows.length === 0) return '<p class="form-hint">No submitted proposals in this period.</p>';
+  return `
+    <table class="budget-table analytics-table">
+      <thead><tr><th></th><th>Submitted</th><th>Decided</th><th>Awarded</th><th>Success</th><th>Requested</th><th>Awarded £</th><th>Avg score</th></tr></thead>
+      <tbody>
+        ${rows.map(r => `
+          <tr>
+            <td>${escapeHtml(r.label)}</td><td>${r.submitted}</td><td>${r.decided}</td><td>${r.awarded}</td>
+            <td>${percent(r.successRate)}</td><td>${money(r.requested)}</td><td>${money(r.awardedAmount)}</td><td>${percent(r.averageScore)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function renderAnalytics(app) {
+  const params = new URLSearchParams();
+  if (analyticsFilter.from) params.set('from', analyticsFilter.from);
+  if (analyticsFilter.to) params.set('to', analyticsFilter.to);
+  let data;
+  try {
+    const resp = await fetch(`/api/analytics?${params}`);
+    data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+  } catch (e) {
+    app.innerHTML = `<div class="empty-state"><div class="icon">📈</div><h3>Analytics unavailable</h3><p>${escapeHtml(e.message)}</p></div>`;
+    return;
+  }
+  const t = data.totals;
+  const quarters = recentQuarters();
+  const selected = quarters.find(q => q.from === analyticsFilter.from && q.to === analyticsFilter.to);
+  params.set('format', 'csv');
+
+  app.innerHTML = `
+    <div class="page-header">
+      <h1>📈 <span class="accent">Analytics</span></h1>
+      <a class="btn btn-sm" href="/api/analytics?${params}" download>📥 Download CSV</a>
+    </div>
+    <div class="filter-bar">
+      <select class="filter-select" onchange="setAnalyticsQuarter(this.value)">
+        <option value="">All time</option>
+        ${quarters.map((q, i) => `<option value="${i}" ${q === selected ? 'selected' : ''}>${q.label}</option>`).join('')}
+        ${analyticsFilter.from || analyticsFilter.to ? `<option value="custom" ${selected ? '' : 'selected'}>Custom dates</option>` : ''}
+      </select>
+      <input class="form-input" type="date" value="${analyticsFilter.from}" onchange="setAnalyticsRange('from', this.value)" style="max-width:170px">
+      <span style="color:var(--text-dim)">to</span>
+      <input class="form-input" type="date" value="${analyticsFilter.to}" onchange="setAnalyticsRange('to', this.value)" style="max-width:170px">
+    </div>
+    ${data.scope === 'mine' ? '<p class="form-hint" style="margin-bottom:16px">Showing the proposals you can open. Administrators, and approvers your administrator has given institution-wide analytics, see every proposal.</p>' : ''}
+    <div class="analytics-stats">
+      <div class="stat-card"><div class="stat-value">${t.submitted}</div><div class="stat-label">Submitted</div></div>
+      <div class="stat-card"><div class="stat-value">${t.awarded} / ${t.decided}</div><div class="stat-label">Awarded / decided</div></div>
+      <div class="stat-card"><div class="stat-value">${percent(t.successRate)}</div><div class="stat-label">Success rate</div></div>
+      <div class="stat-card"><div class="stat-value">${money(t.awardedAmount)}</div><div class="stat-label">Awarded of ${money(t.requested)} requested</div></div>
+      <div class="stat-card"><div class="stat-value">${data.timeToSubmission.medianDays ?? '—'}</div><div class="stat-label">Median days, draft to submission</div></div>
+      <div class="stat-card"><div class="stat-value">${percent(t.averageScore)}</div><div class="stat-label">Average panel score</div></div>
+    </div>
+    <div class="analytics-columns">
+      <div class="card">
+        <h3 class="card-title">Pipeline value</h3>
+        <p class="card-subtitle">Amount requested by proposals in each stage now</p>
+        ${barChart(data.pipeline.map(s => ({ label: s.label, value: s.value, note: `${s.proposals} proposal${s.proposals !== 1 ? 's' : ''}` })))}
+      </div>
+      <div class="card">
+        <h3 class="card-title">Requested vs awarded by quarter</h3>
+        <p class="card-subtitle">Requested by submission date, awarded by decision date</p>
+        ${data.quarters.length === 0 ? '<p class="form-hint">Nothing submitted or decided yet.</p>' : barChart(data.quarters.flatMap(q => [
+          { label: `${q.quarter} requested`, value: q.requested, muted: true, note: `${q.submitted} submitted` },
+          { label: `${q.quarter} awarded`, value: q.awardedAmount, note: `${q.awarded} of ${q.decided} decided` }
+        ]))}
+      </div>
+    </div>
+    <div class="card analytics-card">
+      <h3 class="card-title">By funder</h3>
+      ${statsTable(data.byFunder)}
+    </div>
+    <div class="card analytics-card">
+      <h3 class="card-title">By scheme</h3>
+      ${statsTable(data.byScheme)}
+    </div>
+  `;
+}
+
+window.setAnalyticsQuarter = function(value) {
+  if (value === 'custom') return;
+  const q = recentQuarters()[value];
+  analyticsFilter.from = q ? q.from : '';
+  analyticsFilter.to = q ? q.to : '';
+  renderAnalytics(document.getElementById('app'));
+};
+
+window.setAnalyticsRange = function(field, value) {
+  analyticsFilter[field] = value;
+  renderAnalytics(document.getElementById('app'));
+};
+
+// ─── Settings Page ──────────────────────────────────────────
+
+function renderSettings(app) {
+  const s = getSettings();
+  const u = state.user || {};
+
+  app.innerHTML = `
+    <div class="page-header">
+      <h1>⚙️ <span class="accent">Settings</span></h1>
+    </div>
+    <div class="settings-section">
+      <h2>AI Provider</h2>
+      <div class="provider-options">
+        <div class="provider-option ${s.provider === 'mikoshi' || !s.provider ? 'active' : ''}" onclick="setProvider('mikoshi')">
+          <div class="name">🤖 Mikoshi AI</div>
+          <div class="desc">Local Ollama model</div>
+          <div class="free-badge">Free</div>
+        </div>
+        <div class="provider-option ${s.provider === 'claude' ? 'active' : ''}" onclick="setProvider('claude')">
           <div class="name">🟣 Claude</div>
           <div class="desc">Anthropic API</div>
         </div>
@@ -1370,24 +3118,61 @@ function renderSettings(app) {
       <div class="form-row">
         <div class="form-group">
           <label class="form-label">Name</label>
-          <input class="form-input" value="${escapeHtml(s.userName || '')}" oninput="updateSetting('userName', this.value)">
+          <input class="form-input" value="${escapeHtml(u.name || '')}" onchange="updateProfile('name', this.value)">
         </div>
         <div class="form-group">
           <label class="form-label">Institution</label>
-          <input class="form-input" value="${escapeHtml(s.userInstitution || '')}" oninput="updateSetting('userInstitution', this.value)">
+          <input class="form-input" value="${escapeHtml(u.institution || '')}" onchange="updateProfile('institution', this.value)">
         </div>
       </div>
       <div class="form-row">
         <div class="form-group">
           <label class="form-label">Department</label>
-          <input class="form-input" value="${escapeHtml(s.userDepartment || '')}" oninput="updateSetting('userDepartment', this.value)">
+          <input class="form-input" value="${escapeHtml(u.department || '')}" onchange="updateProfile('department', this.value)">
         </div>
         <div class="form-group">
           <label class="form-label">ORCID</label>
-          <input class="form-input" value="${escapeHtml(s.userOrcid || '')}" oninput="updateSetting('userOrcid', this.value)" placeholder="0000-0000-0000-0000">
+          <input class="form-input" value="${escapeHtml(u.orcid || '')}" onchange="updateProfile('orcid', this.value)" placeholder="0000-0000-0000-0000">
+        </div>
+      </div>
+      <p class="form-hint">Signed in as ${escapeHtml(u.email || '')}</p>
+    </div>
+    <div class="settings-section">
+      <h2>Change Password</h2>
+      <div class="form-row">
+        <div class="form-group">
+          <label class="form-label">Current Password</label>
+          <input class="form-input" type="password" id="currentPassword" autocomplete="current-password">
+        </div>
+        <div class="form-group">
+          <label class="form-label">New Password</label>
+          <input class="form-input" type="password" id="newPassword" autocomplete="new-password" placeholder="At least 8 characters">
         </div>
       </div>
+      <button class="btn btn-sm" onclick="changePassword()">Update Password</button>
     </div>
+    <div class="settings-section">
+      <h2>Reminders</h2>
+      <p class="form-hint">The 🔔 bell lists deadlines and milestones coming up or missed, workflow steps waiting on you and compliance failures close to a deadline.</p>
+      <label style="display:flex;align-items:center;gap:8px;font-size:13px;margin-top:8px">
+        <input type="checkbox" ${u.emailReminders !== false ? 'checked' : ''} ${state.emailEnabled ? '' : 'disabled'} onchange="updateProfile('emailReminders', this.checked)">
+        Also email reminders to ${escapeHtml(u.email || '')}
+      </label>
+      ${state.emailEnabled ? '' : '<p class="form-hint">Email is not set up on this server, so reminders only appear in the app.</p>'}
+      ${u.admin ? `
+        <div style="display:flex;gap:8px;margin-top:12px">
+          <button class="btn btn-sm" onclick="runReminderCheck()">Check reminders now</button>
+          ${state.emailEnabled ? '<button class="btn btn-sm" onclick="sendTestEmail()">Send test email</button>' : ''}
+        </div>
+      ` : ''}
+    </div>
+    ${u.admin ? `
+      <div class="settings-section">
+        <h2>Approver Roles</h2>
+        <p class="form-hint">Approvers can open and sign off proposals waiting on their role without being sent a share.</p>
+        <div id="approverRoles"><div class="spinner"></div></div>
+      </div>
+    ` : ''}
     <div class="settings-section">
       <h2>About</h2>
       <p style="font-size:13px;color:var(--text-dim);line-height:1.8">
@@ -1397,8 +3182,52 @@ function renderSettings(app) {
       </p>
     </div>
   `;
+  if (u.admin) renderApproverRoles();
 }
 
+async function renderApproverRoles() {
+  const el = document.getElementById('approverRoles');
+  try {
+    const resp = await fetch('/api/admin/users');
+    const users = await resp.json();
+    if (!resp.ok) throw new Error(users.error);
+    const roles = Object.entries((state.workflow && state.workflow.approverRoles) || {});
+    el.innerHTML = `
+      <table class="budget-table">
+        <thead><tr><th>Account</th>${roles.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${users.map(u => `
+            <tr>
+              <td>${escapeHtml(u.name)} <span class="form-hint">${escapeHtml(u.email)}</span></td>
+              ${roles.map(([id]) => `
+                <td><input type="checkbox" data-role="${id}" ${(u.workflowRoles || []).includes(id) ? 'checked' : ''} onchange="setApproverRoles('${u.id}', this.closest('tr'))"></td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (e) { el.innerHTML = `<p class="form-hint">Failed to load accounts: ${escapeHtml(e.message)}</p>`; }
+}
+
+window.setApproverRoles = async function(userId, row) {
+  const workflowRoles = [...row.querySelectorAll('input[data-role]:checked')].map(el => el.dataset.role);
+  try {
+    const resp = await fetch(`/api/admin/users/${userId}/roles`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ workflowRoles })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    if (userId === state.user.id) state.user = data;
+    toast('Approver roles updated', 'success');
+  } catch (e) {
+    toast(e.message, 'error');
+    renderApproverRoles();
+  }
+};
+
 window.setProvider = function(provider) {
   const s = getSettings();
   s.provider = provider;
@@ -1419,6 +3248,57 @@ window.updateSetting = function(key, value) {
   saveSettings(s);
 };
 
+window.updateProfile = async function(field, value) {
+  try {
+    const resp = await fetch('/api/auth/me', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ [field]: value })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    state.user = data;
+    updateUserDisplay();
+    toast('Profile updated', 'success');
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.runReminderCheck = async function() {
+  try {
+    const resp = await fetch('/api/admin/reminders/run', { method: 'POST' });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    toast(`Checked ${data.proposals} proposals: ${data.notifications} new notification${data.notifications !== 1 ? 's' : ''}, ${data.emailed} emailed`, 'success');
+    refreshBell();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.sendTestEmail = async function() {
+  try {
+    const resp = await fetch('/api/admin/mail/test', { method: 'POST' });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    toast(`Test email sent to ${data.to}`, 'success');
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.changePassword = async function() {
+  const currentPassword = document.getElementById('currentPassword').value;
+  const newPassword = document.getElementById('newPassword').value;
+  try {
+    const resp = await fetch('/api/auth/password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    document.getElementById('currentPassword').value = '';
+    document.getElementById('newPassword').value = '';
+    toast('Password changed', 'success');
+  } catch (e) { toast(e.message, 'error'); }
+};
+
 // ─── AI Tool Pages ──────────────────────────────────────────
 
 function renderAITool(app, tool) {
@@ -1475,83 +3355,1121 @@ function renderAITool(app, tool) {
   }
 }
 
-window.runReviewer = async function() {
-  const text = document.getElementById('reviewerText').value;
-  if (!text.trim()) return toast('Enter proposal text', 'warning');
-  const output = document.getElementById('reviewerOutput');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
-
-  const funderId = document.getElementById('reviewerFunder').value;
-  let funderData = null;
-  if (funderId) { try { funderData = await (await fetch(`/api/funders/${funderId}`)).json(); } catch {} }
+window.runReviewer = async function() {
+  const text = document.getElementById('reviewerText').value;
+  if (!text.trim()) return toast('Enter proposal text', 'warning');
+  const output = document.getElementById('reviewerOutput');
+  output.style.display = 'block';
+  output.innerHTML = '<span class="cursor-blink"></span>';
+
+  const funderId = document.getElementById('reviewerFunder').value;
+  let funderData = null;
+  if (funderId) { try { funderData = await (await fetch(`/api/funders/${funderId}`)).json(); } catch {} }
+
+  try {
+    const resp = await fetch('/api/generate/reviewer-simulation', {
+      method: 'POST',
+      headers: aiHeaders(),
+      body: JSON.stringify({ proposal: { sections: { 'Full Text': text }, title: 'Proposal' }, funderData })
+    });
+    await streamResponse(resp, output);
+  } catch (e) { toast('Failed: ' + e.message, 'error'); }
+};
+
+window.runGapFinder = async function() {
+  const text = document.getElementById('gapsText').value;
+  if (!text.trim()) return toast('Enter literature review text', 'warning');
+  const output = document.getElementById('gapsOutput');
+  output.style.display = 'block';
+  output.innerHTML = '<span class="cursor-blink"></span>';
+
+  try {
+    const resp = await fetch('/api/generate/research-gaps', {
+      method: 'POST',
+      headers: aiHeaders(),
+      body: JSON.stringify({ text })
+    });
+    await streamResponse(resp, output);
+  } catch (e) { toast('Failed: ' + e.message, 'error'); }
+};
+
+window.runReviewerResponse = async function() {
+  const comments = document.getElementById('responseComments').value;
+  const context = document.getElementById('responseContext').value;
+  if (!comments.trim()) return toast('Enter reviewer comments', 'warning');
+  const output = document.getElementById('responseOutput');
+  output.style.display = 'block';
+  output.innerHTML = '<span class="cursor-blink"></span>';
+
+  try {
+    const resp = await fetch('/api/generate/reviewer-response', {
+      method: 'POST',
+      headers: aiHeaders(),
+      body: JSON.stringify({ reviewerComments: comments, proposalContext: context })
+    });
+    await streamResponse(resp, output);
+  } catch (e) { toast('Failed: ' + e.message, 'error'); }
+};
+
+// ─── Save / Auto-save / Versions ────────────────────────────
+
+async function saveProposal() {
+  const p = state.currentProposal;
+  if (!p || state.conflictOpen || !canEdit()) return;
+  try {
+    const headers = { 'Content-Type': 'application/json', 'If-Match': `"${p.revision || 0}"` };
+    // Lets the server snapshot the pre-generation text
+    if (state.aiGenerated) headers['X-Snapshot-Reason'] = 'ai-generation';
+    const resp = await fetch(`/api/proposals/${p.id}`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(p)
+    });
+    if (resp.status === 409) {
+      const { current } = await resp.json();
+      return resolveSaveConflict(p, current);
+    }
+    if (!resp.ok) throw new Error((await resp.json()).error || resp.statusText);
+    const updated = await resp.json();
+    adoptSavedProposal(updated);
+    state.unsavedChanges = false;
+    state.aiGenerated = false;
+    renderCommentMargin();
+    const el = document.getElementById('autoSaveStatus');
+    if (el) el.textContent = `Saved ${new Date().toLocaleTimeString()}`;
+    toast('Saved', 'success');
+  } catch (e) { toast('Save failed: ' + e.message, 'error'); }
+}
+
+window.saveProposal = saveProposal;
+
+// Take a proposal the server has just saved. While editing live the section
+// text belongs to the room: the text here (the room's, plus edits not yet
+// sent) is kept for sections that are still there, and sections new to this
+// copy arrive from the room as ops; everything else comes from the server.
+function adoptSavedProposal(updated) {
+  const p = state.currentProposal;
+  const c = state.collab;
+  state.baseProposal = structuredClone(updated);
+  if (!c || !c.ready || !p || p.id !== updated.id) {
+    state.currentProposal = updated;
+    return;
+  }
+  const sections = {};
+  for (const key of Object.keys(updated.sections || {})) {
+    if (typeof (p.sections || {})[key] === 'string') sections[key] = p.sections[key];
+  }
+  state.currentProposal = { ...updated, sections };
+  if (typeof sections['Literature Review'] === 'string' && updated.literature) {
+    state.currentProposal.literature = { ...updated.literature, review: sections['Literature Review'] };
+  }
+}
+
+// ─── Real-time Collaboration ────────────────────────────────
+// Section text is shared live through /api/proposals/:id/collab. Local edits
+// are picked up by diffing state.currentProposal.sections against the last
+// synced text, so typing, AI generation and restores all flow through the
+// same path. One op per section is in flight at a time; later edits are
+// buffered and composed until the server acknowledges it.
+//
+// Each section keeps the text at the last version the room sent (synced), the
+// op in flight (pending) and the edits since (buffer). After a dropped
+// connection or a failed send the client reconnects with the versions it had;
+// edits the room never acknowledged are transformed against what it applied
+// meanwhile and sent again.
+
+const COLLAB_RETRY_MS = 1000;
+
+function startCollab(proposalId, previous) {
+  stopCollab();
+  let url = `/api/proposals/${proposalId}/collab`;
+  if (previous) {
+    const since = Object.fromEntries(Object.entries(previous.docs).map(([key, doc]) => [key, doc.version]));
+    url += `?${new URLSearchParams({ room: previous.roomId || '', since: JSON.stringify(since) })}`;
+  }
+  const source = new EventSource(url);
+  const c = state.collab = { proposalId, source, clientId: null, roomId: null, docs: {}, previous: previous || null, peers: [], seq: previous ? previous.seq : 0, ready: false, presenceTimer: null };
+
+  source.onmessage = (e) => {
+    if (state.collab !== c) return;
+    const ev = JSON.parse(e.data);
+    if (ev.type === 'welcome') collabWelcome(c, ev);
+    else if (ev.type === 'op') collabRemoteOp(c, ev);
+    else if (ev.type === 'presence') { c.peers = ev.peers; renderCollabPeers(); }
+    else if (ev.type === 'saved') collabSaved(ev);
+    else if (ev.type === 'removed') collabRemoved(c, ev);
+    else if (ev.type === 'comments') setComments(ev.comments);
+    else if (ev.type === 'suggestions') setSuggestions(ev.suggestions);
+    else if (ev.type === 'workflow') workflowChanged(ev);
+  };
+  // Reconnect ourselves rather than letting EventSource do it, so the room
+  // hears which versions this copy had reached
+  source.onerror = () => {
+    if (state.collab !== c) return;
+    source.close();
+    c.ready = false;
+    clearTimeout(c.retry);
+    c.retry = setTimeout(() => { if (state.collab === c) collabReconnect(c); }, COLLAB_RETRY_MS);
+  };
+  c.tick = setInterval(() => collabTick(c), 400);
+}
+
+function stopCollab() {
+  const c = state.collab;
+  if (!c) return;
+  c.source.close();
+  clearInterval(c.tick);
+  clearTimeout(c.presenceTimer);
+  clearTimeout(c.retry);
+  state.collab = null;
+}
+
+// A session that never got its welcome hands on the one before it
+function collabReconnect(c) {
+  startCollab(c.proposalId, c.clientId ? c : c.previous);
+}
+
+function collabWelcome(c, ev) {
+  const previous = c.previous;
+  c.previous = null;
+  c.clientId = ev.clientId;
+  c.roomId = ev.room;
+  c.peers = ev.peers;
+  const p = state.currentProposal;
+  if (!p.sections) p.sections = {};
+
+  if (!previous) {
+    // A fresh start: adopt the room's text before sending anything
+    c.docs = {};
+    for (const [key, doc] of Object.entries(ev.sections)) {
+      c.docs[key] = { text: doc.text, synced: doc.text, version: doc.version, pending: null, buffer: null };
+      setLiveSection(key, doc.text);
+    }
+  } else {
+    c.docs = previous.docs;
+    // Edits made while disconnected
+    for (const key of Object.keys(p.sections)) collabCapture(c, key);
+    for (const [key, room] of Object.entries(ev.sections)) collabResync(c, key, room, previous);
+    // Sections the room does not have start again from nothing; collabTick
+    // sends what is here as a new section
+    for (const key of Object.keys(c.docs)) {
+      if (!ev.sections[key]) delete c.docs[key];
+    }
+  }
+  c.ready = true;
+  renderCollabPeers();
+}
+
+// Bring one section up to the room's version, keeping edits it never acknowledged
+function collabResync(c, key, room, previous) {
+  const doc = collabDoc(c, key);
+  if (previous.roomId === c.roomId && room.missed) {
+    // The same room: replay what it applied meanwhile, acknowledging our own op
+    for (const applied of room.missed) {
+      if (applied.clientId === previous.clientId) collabAck(doc, applied.op, applied.version);
+      else collabApplyRemote(key, doc, applied.op, applied.version);
+    }
+  }
+  if (doc.synced !== room.text) {
+    // A reopened room, or one that no longer holds the ops: take the
+    // difference as one op. An op the server accepted is already in its text.
+    if (doc.pending && doc.pendingAccepted) collabAck(doc, doc.pending, doc.version);
+    collabApplyRemote(key, doc, OT.fromDiff(doc.synced, room.text), room.version);
+  }
+  doc.version = room.version;
+  // Whatever is still unacknowledged is sent again against the room's version
+  if (doc.pending) {
+    doc.buffer = doc.buffer ? OT.compose(doc.pending, doc.buffer) : doc.pending;
+    doc.pending = null;
+  }
+}
+
+function collabDoc(c, key) {
+  if (!c.docs[key]) c.docs[key] = { text: '', synced: '', version: 0, pending: null, buffer: null };
+  return c.docs[key];
+}
+
+// Fold local edits to one section into its buffer
+function collabCapture(c, key) {
+  const text = (state.currentProposal.sections || {})[key];
+  if (typeof text !== 'string') return;
+  const doc = collabDoc(c, key);
+  if (text === doc.text) return;
+  const op = OT.fromDiff(doc.text, text);
+  doc.buffer = doc.buffer ? OT.compose(doc.buffer, op) : op;
+  doc.text = text;
+  shiftComments(key, op);
+}
+
+function collabTick(c) {
+  if (!c.ready || state.collab !== c || !state.currentProposal || !canEdit()) return;
+  for (const key of Object.keys(state.currentProposal.sections || {})) collabCapture(c, key);
+  for (const [key, doc] of Object.entries(c.docs)) {
+    if (!doc.pending && doc.buffer) collabSend(c, key, doc);
+  }
+}
+
+async function collabSend(c, section, doc) {
+  const op = doc.pending = doc.buffer;
+  doc.buffer = null;
+  doc.pendingAccepted = false;
+  try {
+    const resp = await fetch(`/api/proposals/${c.proposalId}/collab/ops`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: c.clientId, section, version: doc.version, op, seq: ++c.seq })
+    });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    // Applied, even if the acknowledgement on the stream goes missing
+    if (doc.pending === op) doc.pendingAccepted = true;
+  } catch (e) {
+    if (state.collab !== c) return;
+    toast('Live editing lost sync — reconnecting', 'error');
+    collabReconnect(c);
+  }
+}
+
+// Acknowledgement of our own op, as the room applied it
+function collabAck(doc, op, version) {
+  doc.synced = OT.apply(doc.synced, op);
+  doc.pending = null;
+  doc.pendingAccepted = false;
+  doc.version = version;
+}
+
+// A collaborator's op, made against the synced text, transformed past our own edits
+function collabApplyRemote(key, doc, op, version) {
+  doc.synced = OT.apply(doc.synced, op);
+  if (doc.pending) [doc.pending, op] = OT.transform(doc.pending, op);
+  if (doc.buffer) [doc.buffer, op] = OT.transform(doc.buffer, op);
+  doc.text = OT.apply(doc.text, op);
+  doc.version = version;
+  setLiveSection(key, doc.text, op);
+  shiftComments(key, op);
+}
+
+function collabRemoteOp(c, ev) {
+  const doc = collabDoc(c, ev.section);
+  if (ev.clientId === c.clientId) return collabAck(doc, ev.op, ev.version);
+  collabCapture(c, ev.section);
+  collabApplyRemote(ev.section, doc, ev.op, ev.version);
+}
+
+// Put section text into state and any open textarea, keeping the caret in place
+function setLiveSection(key, text, op) {
+  const p = state.currentProposal;
+  p.sections[key] = text;
+  if (key === 'Literature Review' && p.literature) p.literature.review = text;
+  const el = [...document.querySelectorAll('textarea[data-section]')].find(t => t.dataset.section === key);
+  // A draft of suggestions is left alone; the server rebases it when submitted
+  if (!el || el.value === text || (state.suggesting && state.suggesting.section === key)) return;
+  const focused = document.activeElement === el;
+  let start = el.selectionStart, end = el.selectionEnd;
+  if (op) { start = OT.transformIndex(start, op); end = OT.transformIndex(end, op); }
+  el.value = text;
+  if (focused) el.setSelectionRange(Math.min(start, text.length), Math.min(end, text.length));
+  if (el.id.startsWith('sectionText_')) updateSectionBudget(el.id.slice('sectionText_'.length));
+}
+
+// A section a restore removed; edits to it here go with it
+function collabRemoved(c, ev) {
+  delete c.docs[ev.section];
+  const p = state.currentProposal;
+  if (!p || !p.sections || !(ev.section in p.sections)) return;
+  delete p.sections[ev.section];
+  if (document.getElementById('editorTabs')) refreshEditorTabs();
+}
+
+// Keep the stored revision in step with saves made by the room
+function collabSaved(ev) {
+  const p = state.currentProposal;
+  if (!p) return;
+  // The server has moved comment and suggestion anchors onto the saved text
+  if (ev.suggestions) p.suggestions = ev.suggestions;
+  if (ev.comments) setComments(ev.comments);
+  if (p.revision !== ev.fromRevision) return;
+  p.revision = ev.revision;
+  p.updatedAt = ev.updatedAt;
+  if (state.baseProposal) {
+    state.baseProposal.revision = ev.revision;
+    state.baseProposal.sections = { ...(state.baseProposal.sections || {}), ...ev.sections };
+  }
+}
+
+function sendPresence(section, cursor) {
+  const c = state.collab;
+  if (!c || !c.ready) return;
+  clearTimeout(c.presenceTimer);
+  c.presenceTimer = setTimeout(() => {
+    fetch(`/api/proposals/${c.proposalId}/collab/presence`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: c.clientId, section, cursor })
+    }).catch(() => {});
+  }, 300);
+}
+
+function renderCollabPeers() {
+  const el = document.getElementById('collabPeers');
+  const c = state.collab;
+  if (!el || !c) return;
+  const others = c.peers.filter(peer => peer.id !== c.clientId);
+  el.innerHTML = others.map(peer => {
+    let where = 'viewing';
+    if (peer.section) {
+      const text = (c.docs[peer.section] || {}).text || '';
+      const line = peer.cursor === null ? null : text.slice(0, peer.cursor).split('\n').length;
+      where = `editing ${escapeHtml(peer.section)}${line ? ` (line ${line})` : ''}`;
+    }
+    return `<span class="collab-peer" style="--peer-color:${peer.color}" title="${escapeHtml(peer.name)} is ${where}">${escapeHtml(peer.name)} · ${where}</span>`;
+  }).join('');
+}
+
+['focusin', 'keyup', 'click'].forEach(type => document.addEventListener(type, (e) => {
+  const el = e.target;
+  if (el.matches && el.matches('textarea[data-section]')) sendPresence(el.dataset.section, el.selectionStart);
+}));
+document.addEventListener('focusout', (e) => {
+  if (e.target.matches && e.target.matches('textarea[data-section]')) sendPresence(null, null);
+});
+
+// ─── Comments ───────────────────────────────────────────────
+// Review threads anchored to a passage of a section. The server keeps the
+// anchors in step with saved text; between saves they are moved locally
+// through the same OT operations as the live text.
+
+function setComments(comments) {
+  if (!state.currentProposal) return;
+  state.currentProposal.comments = comments;
+  renderCommentMargin();
+}
+
+function shiftComments(section, op) {
+  const p = state.currentProposal || {};
+  let moved = false;
+  for (const c of [...(p.comments || []), ...(p.suggestions || [])]) {
+    if (c.section !== section || c.anchor.detached) continue;
+    [c.anchor.start, c.anchor.end] = OT.transformRange(c.anchor.start, c.anchor.end, op);
+    moved = true;
+  }
+  if (moved) renderCommentMargin();
+}
+
+function commentTextarea(section) {
+  return [...document.querySelectorAll('textarea[data-section]')].find(t => t.dataset.section === section);
+}
+
+function formatComment(text) {
+  return escapeHtml(text).replace(/(^|\s)(@[\w.+-]+(?:@[\w.-]+)?)/g, '$1<span class="mention">$2</span>').replace(/\n/g, '<br>');
+}
+
+function mentionsMe(c) {
+  const id = state.user && state.user.id;
+  return [c, ...(c.replies || [])].some(m => (m.mentions || []).includes(id));
+}
+
+function renderCommentMargin() {
+  const el = document.getElementById('commentMargin');
+  const p = state.currentProposal;
+  if (!el || !p) return;
+  const section = el.dataset.section;
+  // Don't wipe a reply that is being typed
+  if (el.contains(document.activeElement) && document.activeElement.tagName === 'TEXTAREA') return;
+
+  const all = (p.comments || []).filter(c => c.section === section);
+  const open = all.filter(c => !c.resolved);
+  const shown = (state.showResolved ? all : open).slice().sort((a, b) => a.anchor.start - b.anchor.start);
+  const draft = state.commentDraft && state.commentDraft.section === section ? state.commentDraft : null;
+  const text = p.sections[section] || '';
+  const time = iso => new Date(iso).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+  const pending = (p.suggestions || []).filter(x => x.section === section).sort((a, b) => a.anchor.start - b.anchor.start);
+
+  el.innerHTML = `
+    ${pending.length ? `
+      <div class="comment-margin-header">
+        <strong>✍️ ${pending.length} suggestion${pending.length !== 1 ? 's' : ''}</strong>
+        ${canEdit() && pending.length > 1 ? `<span>
+          <button class="btn btn-xs" onclick="rejectSuggestions('all')">Reject all</button>
+          <button class="btn btn-xs btn-primary" onclick="acceptSuggestions('all')">Accept all</button>
+        </span>` : ''}
+      </div>
+      ${pending.map(x => suggestionCard(x, text, time)).join('')}
+    ` : ''}
+    <div class="comment-margin-header">
+      <strong>💬 ${open.length} open</strong>
+      <label><input type="checkbox" ${state.showResolved ? 'checked' : ''} onchange="state.showResolved=this.checked;renderCommentMargin()"> resolved (${all.length - open.length})</label>
+    </div>
+    ${canComment() && !draft ? '<button class="btn btn-sm" style="width:100%" onclick="startComment()">💬 Comment on selection</button>' : ''}
+    ${draft ? `
+      <div class="comment-thread">
+        <div class="comment-quote">${escapeHtml(draft.quote)}</div>
+        <textarea class="form-textarea" id="newCommentText" rows="3" placeholder="Comment… mention co-authors with @name"></textarea>
+        <div class="comment-actions">
+          <button class="btn btn-xs" onclick="cancelComment()">Cancel</button>
+          <button class="btn btn-xs btn-primary" onclick="postComment()">Comment</button>
+        </div>
+      </div>
+    ` : ''}
+    ${shown.map(c => {
+      const live = !c.anchor.detached && text.slice(c.anchor.start, c.anchor.end);
+      const mayDelete = c.authorId === state.user.id || state.role === 'owner';
+      return `
+        <div class="comment-thread${c.resolved ? ' resolved' : ''}${mentionsMe(c) ? ' mentions-me' : ''}">
+          <div class="comment-quote${c.anchor.detached ? ' detached' : ''}" ${c.anchor.detached ? 'title="The commented text has been deleted"' : `onclick="focusAnchor('${c.id}')" title="Show in text"`}>${escapeHtml(live || c.anchor.quote)}</div>
+          ${[c, ...(c.replies || [])].map(m => `
+            <div class="comment-message">
+              <div class="comment-meta"><strong>${escapeHtml(m.authorName)}</strong> · ${time(m.createdAt)}</div>
+              <div>${formatComment(m.text)}</div>
+            </div>
+          `).join('')}
+          ${c.resolved ? `<div class="comment-meta">Resolved by ${escapeHtml(c.resolvedBy || '')}</div>` : ''}
+          ${canComment() ? `
+            ${c.resolved ? '' : `<textarea class="form-textarea comment-reply" id="reply_${c.id}" rows="1" placeholder="Reply…"></textarea>`}
+            <div class="comment-actions">
+              ${mayDelete ? `<button class="btn btn-xs" onclick="deleteComment('${c.id}')">Delete</button>` : ''}
+              <button class="btn btn-xs" onclick="toggleResolved('${c.id}', ${!c.resolved})">${c.resolved ? 'Reopen' : 'Resolve'}</button>
+              ${c.resolved ? '' : `<button class="btn btn-xs btn-primary" onclick="replyToComment('${c.id}')">Reply</button>`}
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }).join('')}
+    ${shown.length === 0 && !draft ? `<p class="form-hint">${canComment() ? 'Select text in the section and comment on it.' : 'No comments yet.'}</p>` : ''}
+  `;
+}
+
+window.startComment = function() {
+  const section = document.getElementById('commentMargin')?.dataset.section;
+  const el = commentTextarea(section);
+  if (!el || el.selectionStart === el.selectionEnd) return toast('Select some text to comment on', 'warning');
+  state.commentDraft = { section, start: el.selectionStart, end: el.selectionEnd, quote: el.value.slice(el.selectionStart, el.selectionEnd) };
+  renderCommentMargin();
+  document.getElementById('newCommentText')?.focus();
+};
+
+window.cancelComment = function() {
+  state.commentDraft = null;
+  document.activeElement?.blur();
+  renderCommentMargin();
+};
+
+async function commentRequest(path, method, body) {
+  const p = state.currentProposal;
+  const resp = await fetch(`/api/proposals/${p.id}/comments${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data.error);
+  // Pick up everyone's latest threads and anchors
+  const list = await (await fetch(`/api/proposals/${p.id}/comments`)).json();
+  if (Array.isArray(list)) state.currentProposal.comments = list;
+  return data;
+}
+
+window.postComment = async function() {
+  const text = document.getElementById('newCommentText')?.value || '';
+  if (!text.trim()) return;
+  try {
+    await commentRequest('', 'POST', { ...state.commentDraft, text });
+    state.commentDraft = null;
+    document.activeElement?.blur();
+    renderCommentMargin();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.replyToComment = async function(id) {
+  const text = document.getElementById(`reply_${id}`)?.value || '';
+  if (!text.trim()) return;
+  try {
+    await commentRequest(`/${id}/replies`, 'POST', { text });
+    document.activeElement?.blur();
+    renderCommentMargin();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.toggleResolved = async function(id, resolved) {
+  try {
+    await commentRequest(`/${id}`, 'PUT', { resolved });
+    renderCommentMargin();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.deleteComment = async function(id) {
+  if (!confirm('Delete this comment thread?')) return;
+  try {
+    await commentRequest(`/${id}`, 'DELETE');
+    renderCommentMargin();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+// Select the passage a comment thread or suggestion refers to
+window.focusAnchor = function(id) {
+  const p = state.currentProposal;
+  const c = [...(p.comments || []), ...(p.suggestions || [])].find(x => x.id === id);
+  const el = c && commentTextarea(c.section);
+  if (!el) return;
+  el.focus();
+  el.setSelectionRange(Math.min(c.anchor.start, el.value.length), Math.min(c.anchor.end, el.value.length));
+};
+
+// ─── Suggestions ────────────────────────────────────────────
+// Tracked changes. In suggestion mode the section textarea becomes a private
+// draft: live edits from others no longer land in it, and on submit the
+// server diffs the draft against the text it started from, rebases the
+// changes onto the current text and stores each one as a suggestion.
+
+function setSuggestions(suggestions) {
+  if (!state.currentProposal) return;
+  state.currentProposal.suggestions = suggestions;
+  renderCommentMargin();
+}
+
+function suggestionCard(x, text, time) {
+  const stale = x.anchor.detached || text.slice(x.anchor.start, x.anchor.end) !== x.anchor.quote;
+  const mine = x.authorId === state.user.id;
+  return `
+    <div class="comment-thread suggestion${stale ? ' resolved' : ''}">
+      <div class="comment-meta"><strong>${escapeHtml(x.authorName)}</strong> · ${time(x.createdAt)}${x.source === 'polish' ? ' · ✨ Polish' : ''}</div>
+      <div class="suggestion-change" ${stale ? '' : `onclick="focusAnchor('${x.id}')" title="Show in text"`}>${x.anchor.quote ? `<del class="diff-del">${escapeHtml(x.anchor.quote)}</del>` : ''}${x.text ? `<ins class="diff-ins">${escapeHtml(x.text)}</ins>` : ''}</div>
+      ${stale ? '<div class="comment-meta">The text has changed since this was suggested</div>' : ''}
+      <div class="comment-actions">
+        ${canEdit() || mine ? `<button class="btn btn-xs" onclick="rejectSuggestions(['${x.id}'])">${canEdit() ? 'Reject' : 'Withdraw'}</button>` : ''}
+        ${canEdit() && !stale ? `<button class="btn btn-xs btn-primary" onclick="acceptSuggestions(['${x.id}'])">Accept</button>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+function marginSuggestionIds() {
+  const section = document.getElementById('commentMargin')?.dataset.section;
+  return (state.currentProposal.suggestions || []).filter(x => x.section === section).map(x => x.id);
+}
+
+window.startSuggesting = function(key) {
+  const el = document.getElementById(`sectionText_${key}`);
+  if (!el) return;
+  state.suggesting = { section: el.dataset.section, base: el.value };
+  el.readOnly = false;
+  el.classList.add('suggesting');
+  document.getElementById(`suggestBar_${key}`).style.display = 'flex';
+  el.focus();
+};
+
+window.stopSuggesting = function(key) {
+  const el = document.getElementById(`sectionText_${key}`);
+  state.suggesting = null;
+  if (!el) return;
+  el.classList.remove('suggesting');
+  el.value = state.currentProposal.sections[el.dataset.section] || '';
+  if (!canEdit()) el.readOnly = true;
+  document.getElementById(`suggestBar_${key}`).style.display = 'none';
+  updateSectionBudget(key);
+};
+
+window.submitSuggestions = async function(key) {
+  const el = document.getElementById(`sectionText_${key}`);
+  const { section, base } = state.suggesting || {};
+  if (!el || !section) return;
+  if (el.value === base) return toast('No changes to suggest', 'warning');
+  if (await proposeSuggestions(section, base, el.value, 'edit')) stopSuggesting(key);
+};
+
+async function proposeSuggestions(section, base, text, source) {
+  const p = state.currentProposal;
+  try {
+    // The section must exist on the server to be suggested against
+    if (state.unsavedChanges && canEdit()) await saveProposal();
+    const resp = await fetch(`/api/proposals/${p.id}/suggestions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ section, base, text, source })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    const added = data.suggestions;
+    p.suggestions = [...(p.suggestions || []).filter(x => !added.some(n => n.id === x.id)), ...added];
+    renderCommentMargin();
+    toast(`${added.length} suggestion${added.length !== 1 ? 's' : ''} added${data.skipped ? ` (${data.skipped} skipped: the text had changed)` : ''}`, 'success');
+    return true;
+  } catch (e) {
+    toast('Suggestions failed: ' + e.message, 'error');
+    return false;
+  }
+}
+
+window.acceptSuggestions = async function(ids) {
+  const p = state.currentProposal;
+  if (ids === 'all') ids = marginSuggestionIds();
+  try {
+    if (state.unsavedChanges) await saveProposal();
+    const resp = await fetch(`/api/proposals/${p.id}/suggestions/accept`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    // While editing live the new text, anchors and revision arrive as events;
+    // otherwise take the saved proposal as it is
+    if (!(state.collab && state.collab.ready) && data.accepted.length) {
+      state.currentProposal = data.proposal;
+      state.baseProposal = structuredClone(data.proposal);
+      renderTab(document.querySelector('#editorTabs .tab.active').dataset.tab);
+    }
+    if (data.conflicts.length) toast(`${data.conflicts.length} suggestion${data.conflicts.length !== 1 ? 's' : ''} could not be applied because the text changed`, 'warning');
+    else toast(`Accepted ${data.accepted.length} suggestion${data.accepted.length !== 1 ? 's' : ''}`, 'success');
+  } catch (e) { toast(e.message, 'error'); }
+};
 
+window.rejectSuggestions = async function(ids) {
+  const p = state.currentProposal;
+  if (ids === 'all') {
+    ids = marginSuggestionIds();
+    if (!confirm(`Reject all ${ids.length} suggestions?`)) return;
+  }
   try {
-    const resp = await fetch('/api/generate/reviewer-simulation', {
+    const resp = await fetch(`/api/proposals/${p.id}/suggestions/reject`, {
       method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({ proposal: { sections: { 'Full Text': text }, title: 'Proposal' }, funderData })
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
     });
-    await streamResponse(resp, output);
-  } catch (e) { toast('Failed: ' + e.message, 'error'); }
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    p.suggestions = (p.suggestions || []).filter(x => !data.rejected.includes(x.id));
+    renderCommentMargin();
+  } catch (e) { toast(e.message, 'error'); }
 };
 
-window.runGapFinder = async function() {
-  const text = document.getElementById('gapsText').value;
-  if (!text.trim()) return toast('Enter literature review text', 'warning');
-  const output = document.getElementById('gapsOutput');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
+// ─── Workflow ───────────────────────────────────────────────
+// The stage is moved only by the server's approval workflow (data/workflow.json);
+// the editor shows it as a badge that opens the approvals and audit trail.
+
+const LEGACY_STAGES = { 'in-progress': 'draft', complete: 'draft' };
+const STAGE_BADGES = { draft: 'badge-draft', submitted: 'badge-submitted', awarded: 'badge-complete', rejected: 'badge-rejected' };
+
+function workflowStages() {
+  return (state.workflow && state.workflow.stages) || [{ id: 'draft', label: 'Draft' }];
+}
+
+function stageOf(p) {
+  const status = (p && p.status) || 'draft';
+  return LEGACY_STAGES[status] || status;
+}
+
+function stageLabel(id) {
+  const stage = workflowStages().find(s => s.id === id);
+  return stage ? stage.label : id;
+}
+
+function stageBadge(id) {
+  return STAGE_BADGES[id] || 'badge-progress';
+}
+
+function renderStageBadge() {
+  const el = document.getElementById('stageBadge');
+  const p = state.currentProposal;
+  if (!el || !p) return;
+  const stage = stageOf(p);
+  el.className = `badge stage-button ${stageBadge(stage)}`;
+  el.textContent = `🚦 ${stageLabel(stage)}`;
+}
+
+function auditLine(e) {
+  const what = {
+    created: `Created in ${stageLabel(e.to)}`,
+    approval: `Approved ${stageLabel(e.from)} → ${stageLabel(e.to)} (${e.approvals} of ${e.required})`,
+    transition: `Moved ${stageLabel(e.from)} → ${stageLabel(e.to)}`
+  }[e.action] || e.action;
+  const as = e.actingAs ? ` as ${escapeHtml((state.workflow.approverRoles || {})[e.actingAs] || e.actingAs)}` : '';
+  return `
+    <div class="version-item">
+      <div>
+        <div class="version-time">${escapeHtml(what)}</div>
+        <div class="version-label">${escapeHtml(e.userName || '')}${as} · ${new Date(e.at).toLocaleString('en-GB')}</div>
+        ${e.note ? `<div class="audit-note">${escapeHtml(e.note)}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
 
+window.showWorkflow = async function() {
+  const p = state.currentProposal;
+  if (!p) return;
   try {
-    const resp = await fetch('/api/generate/research-gaps', {
+    const [status, audit] = await Promise.all([
+      fetch(`/api/proposals/${p.id}/workflow`).then(r => r.json()),
+      fetch(`/api/proposals/${p.id}/audit`).then(r => r.json())
+    ]);
+    if (status.error || audit.error) throw new Error(status.error || audit.error);
+    p.status = status.stage;
+    renderStageBadge();
+    document.querySelector('.modal-overlay.workflow')?.remove();
+
+    const roleName = who => (state.workflow.approverRoles || {})[who] || who;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay workflow';
+    modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+    modal.innerHTML = `
+      <div class="modal" style="max-width:640px">
+        <div class="modal-title">Workflow · <span class="badge ${stageBadge(status.stage)}">${escapeHtml(status.label)}</span></div>
+        ${status.transitions.length === 0 ? '<p class="form-hint">This is a final stage.</p>' : ''}
+        ${status.transitions.map(t => `
+          <div class="workflow-step">
+            <div class="workflow-step-head">
+              <strong>${escapeHtml(t.label)}</strong>
+              <span class="form-hint">→ ${escapeHtml(t.toLabel)} · ${t.by.map(roleName).map(escapeHtml).join(' or ')}</span>
+            </div>
+            ${t.checks.map(c => `
+              <div class="compliance-item">
+                <div class="compliance-icon ${c.pass ? 'pass' : 'fail'}">${c.pass ? '✓' : '✗'}</div>
+                <div class="compliance-content">
+                  <div class="compliance-check">${escapeHtml(c.label)}</div>
+                  <div class="compliance-message">${escapeHtml(c.message)}</div>
+                </div>
+              </div>
+            `).join('')}
+            ${t.approvals.required > 1 || t.approvals.given.length ? `
+              <div class="form-hint">${t.approvals.given.length} of ${t.approvals.required} approvals${t.approvals.given.length ? ': ' + t.approvals.given.map(a => escapeHtml(a.name)).join(', ') : ''}</div>
+            ` : ''}
+            ${t.allowed && !t.approvals.mine ? `
+              <div style="display:flex;gap:8px;margin-top:8px">
+                <input class="form-input" id="workflowNote_${t.to}" placeholder="${t.noteRequired ? 'Reason (required)' : 'Note (optional)'}" style="flex:1">
+                <button class="btn btn-sm btn-primary" onclick="advanceWorkflow('${t.to}')" ${t.ready ? '' : 'disabled'}>${escapeHtml(t.label)}</button>
+              </div>
+            ` : t.approvals.mine ? '<div class="form-hint">You have approved this; waiting for others.</div>' : ''}
+          </div>
+        `).join('')}
+        <h4 style="margin:20px 0 8px">Audit trail
+          <span class="form-hint">${audit.intact ? '· verified' : `· ⚠ altered at entry ${audit.brokenAt}`}</span>
+        </h4>
+        <div class="version-list">
+          ${audit.entries.length === 0 ? '<p class="form-hint">No entries yet.</p>' : audit.entries.slice().reverse().map(auditLine).join('')}
+        </div>
+        <div class="modal-actions">
+          <button class="btn" onclick="this.closest('.modal-overlay').remove()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  } catch (e) { toast('Failed to load workflow: ' + e.message, 'error'); }
+};
+
+window.advanceWorkflow = async function(to) {
+  const p = state.currentProposal;
+  const note = document.getElementById(`workflowNote_${to}`)?.value || '';
+  // Preconditions are checked on the saved proposal
+  if (state.unsavedChanges && canEdit()) await saveProposal();
+  try {
+    const resp = await fetch(`/api/proposals/${p.id}/workflow`, {
       method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({ text })
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ to, note })
     });
-    await streamResponse(resp, output);
-  } catch (e) { toast('Failed: ' + e.message, 'error'); }
+    const data = await resp.json();
+    if (!resp.ok) {
+      const failing = (data.checks || []).filter(c => !c.pass).map(c => c.message);
+      throw new Error([data.error, ...failing].join(' — '));
+    }
+    p.status = data.stage;
+    renderStageBadge();
+    toast(data.moved ? `Moved to ${data.label}` : 'Approval recorded', 'success');
+    showWorkflow();
+  } catch (e) { toast(e.message, 'error'); }
 };
 
-window.runReviewerResponse = async function() {
-  const comments = document.getElementById('responseComments').value;
-  const context = document.getElementById('responseContext').value;
-  if (!comments.trim()) return toast('Enter reviewer comments', 'warning');
-  const output = document.getElementById('responseOutput');
-  output.style.display = 'block';
-  output.innerHTML = '<span class="cursor-blink"></span>';
+// Someone (possibly us, from another tab) approved or moved the proposal
+function workflowChanged(ev) {
+  const p = state.currentProposal;
+  if (!p) return;
+  const moved = stageOf(p) !== ev.status;
+  p.status = ev.status;
+  if (state.baseProposal) state.baseProposal.status = ev.status;
+  renderStageBadge();
+  if (moved && ev.userId !== state.user.id) toast(`${ev.userName} moved this proposal to ${stageLabel(ev.status)}`, 'info');
+  if (document.querySelector('.modal-overlay.workflow')) showWorkflow();
+}
+
+// ─── Notifications ──────────────────────────────────────────
 
+const NOTIFICATION_ICONS = { deadline: '🎯', milestone: '📌', stalled: '🚦', compliance: '⚠️' };
+
+async function refreshBell() {
   try {
-    const resp = await fetch('/api/generate/reviewer-response', {
+    const resp = await fetch('/api/notifications');
+    if (!resp.ok) return;
+    const data = await resp.json();
+    state.notifications = data;
+    const el = document.getElementById('bellCount');
+    if (el) el.textContent = data.unread ? (data.unread > 99 ? '99+' : data.unread) : '';
+  } catch (e) { /* try again next time */ }
+}
+
+window.showNotifications = async function() {
+  await refreshBell();
+  const { notifications = [], unread = 0 } = state.notifications || {};
+  document.querySelector('.modal-overlay.notifications')?.remove();
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay notifications';
+  modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-title">Notifications</div>
+      ${notifications.length === 0 ? '<p class="form-hint">Nothing yet. Reminders about deadlines, milestones and approvals will appear here.</p>' : `
+        <div class="version-list">
+          ${notifications.map(n => `
+            <div class="version-item notification-item${n.readAt ? '' : ' unread'}" onclick="openNotification('${n.id}')">
+              <div>
+                <div class="version-time">${NOTIFICATION_ICONS[n.kind] || '🔔'} ${escapeHtml(n.title)}</div>
+                ${n.body ? `<div class="version-label">${escapeHtml(n.body).replace(/\n/g, '<br>')}</div>` : ''}
+                <div class="version-label">${new Date(n.createdAt).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `}
+      <div class="modal-actions">
+        ${unread ? '<button class="btn" onclick="markNotificationsRead()">Mark all read</button>' : ''}
+        <button class="btn" onclick="this.closest('.modal-overlay').remove()">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+};
+
+window.markNotificationsRead = async function(ids) {
+  try {
+    const resp = await fetch('/api/notifications/read', {
       method: 'POST',
-      headers: aiHeaders(),
-      body: JSON.stringify({ reviewerComments: comments, proposalContext: context })
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(ids ? { ids } : {})
     });
-    await streamResponse(resp, output);
-  } catch (e) { toast('Failed: ' + e.message, 'error'); }
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    if (!ids) showNotifications(); else refreshBell();
+  } catch (e) { toast(e.message, 'error'); }
 };
 
-// ─── Save / Auto-save / Versions ────────────────────────────
+window.openNotification = function(id) {
+  const n = (state.notifications?.notifications || []).find(x => x.id === id);
+  if (!n) return;
+  if (!n.readAt) markNotificationsRead([id]);
+  if (n.proposalId) {
+    document.querySelector('.modal-overlay.notifications')?.remove();
+    location.hash = `#/proposal/${n.proposalId}`;
+  }
+};
 
-async function saveProposal() {
+// ─── Sharing ────────────────────────────────────────────────
+
+window.showSharing = async function() {
   const p = state.currentProposal;
   if (!p) return;
   try {
-    const resp = await fetch(`/api/proposals/${p.id}`, {
+    const resp = await fetch(`/api/proposals/${p.id}/access`);
+    const { role, members } = await resp.json();
+    const owner = role === 'owner';
+    document.querySelector('.modal-overlay.sharing')?.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay sharing';
+    modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+    modal.innerHTML = `
+      <div class="modal">
+        <div class="modal-title">Sharing</div>
+        <div class="version-list">
+          ${members.map(m => `
+            <div class="version-item">
+              <div>
+                <div class="version-time">${escapeHtml(m.name)}${m.userId === state.user.id ? ' (you)' : ''}</div>
+                <div class="version-label">${escapeHtml(m.email)} · ${m.role}</div>
+              </div>
+              ${m.role !== 'owner' && (owner || m.userId === state.user.id)
+                ? `<button class="btn btn-xs btn-danger" onclick="removeAccess('${m.userId}')">${m.userId === state.user.id ? 'Leave' : 'Remove'}</button>` : ''}
+            </div>
+          `).join('')}
+        </div>
+        ${owner ? `
+          <div style="display:flex;gap:8px;margin-top:16px">
+            <input class="form-input" id="shareEmail" type="email" placeholder="colleague@university.ac.uk" style="flex:1">
+            <select class="filter-select" id="shareRole">
+              <option value="editor">Editor</option>
+              <option value="commenter">Commenter</option>
+              <option value="viewer">Viewer</option>
+            </select>
+            <button class="btn btn-sm btn-primary" onclick="shareProposal()">Share</button>
+          </div>
+          <p class="form-hint">Editors can change everything except sharing; commenters and viewers can read.</p>
+        ` : ''}
+        <div class="modal-actions">
+          <button class="btn" onclick="this.closest('.modal-overlay').remove()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  } catch (e) { toast('Failed to load sharing', 'error'); }
+};
+
+window.shareProposal = async function() {
+  const p = state.currentProposal;
+  const email = document.getElementById('shareEmail').value.trim();
+  const role = document.getElementById('shareRole').value;
+  if (!email) return;
+  try {
+    const resp = await fetch(`/api/proposals/${p.id}/access`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(p)
+      body: JSON.stringify({ email, role })
     });
-    const updated = await resp.json();
-    state.currentProposal = updated;
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error);
+    toast(`Shared with ${data.name} as ${role}`, 'success');
+    showSharing();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+window.removeAccess = async function(userId) {
+  const p = state.currentProposal;
+  const leaving = userId === state.user.id;
+  if (leaving && !confirm('Leave this proposal? You will lose access to it.')) return;
+  try {
+    const resp = await fetch(`/api/proposals/${p.id}/access/${userId}`, { method: 'DELETE' });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    if (leaving) {
+      document.querySelector('.modal-overlay.sharing')?.remove();
+      location.hash = '#/';
+      return;
+    }
+    showSharing();
+  } catch (e) { toast(e.message, 'error'); }
+};
+
+// ─── Save Conflicts ─────────────────────────────────────────
+
+const MERGE_FIELDS = ['title', 'amount', 'duration', 'deadline', 'milestones', 'overview', 'budget', 'gantt', 'notes', 'literature', 'outcome'];
+
+function mergeParts(p) {
+  const sectionKeys = Object.keys(p.sections || {});
+  return [
+    ...sectionKeys.map(key => ({ kind: 'section', key, label: key })),
+    ...MERGE_FIELDS.map(key => ({ kind: 'field', key, label: key.charAt(0).toUpperCase() + key.slice(1) }))
+  ];
+}
+
+function partValue(p, part) {
+  return part.kind === 'section' ? (p.sections || {})[part.key] : p[part.key];
+}
+
+function setPartValue(p, part, value) {
+  if (part.kind === 'section') {
+    if (!p.sections) p.sections = {};
+    if (value === undefined) delete p.sections[part.key];
+    else p.sections[part.key] = value;
+  } else {
+    p[part.key] = value;
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Three-way merge of my unsaved copy against the server's newer copy. Parts
+// only one side touched merge automatically; parts both sides changed are
+// returned as conflicts for the user to pick.
+function mergeProposals(base, mine, theirs) {
+  const merged = structuredClone(theirs);
+  const seen = new Set();
+  const conflicts = [];
+  const autoMerged = [];
+  for (const part of [...mergeParts(mine), ...mergeParts(theirs), ...mergeParts(base)]) {
+    const id = `${part.kind}:${part.key}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const b = partValue(base, part), m = partValue(mine, part), t = partValue(theirs, part);
+    if (sameValue(m, t) || sameValue(m, b)) continue;
+    if (sameValue(t, b)) {
+      setPartValue(merged, part, structuredClone(m));
+      autoMerged.push(part.label);
+    } else {
+      conflicts.push({ ...part, mine: m, theirs: t });
+    }
+  }
+  return { merged, conflicts, autoMerged };
+}
+
+function conflictPreview(value) {
+  if (value === undefined || value === null || value === '') return '<span style="color:var(--text-dim)">(empty)</span>';
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return escapeHtml(text.length > 3000 ? text.slice(0, 3000) + '…' : text);
+}
+
+async function resolveSaveConflict(mine, theirs) {
+  const base = state.baseProposal || {};
+  const { merged, conflicts, autoMerged } = mergeProposals(base, mine, theirs);
+
+  if (conflicts.length === 0) {
+    state.currentProposal = merged;
+    state.baseProposal = structuredClone(theirs);
+    toast(`Merged with a co-author's changes${autoMerged.length ? ` (kept your edits to ${autoMerged.join(', ')})` : ''}`, 'info');
+    await saveProposal();
+    renderEditor(document.getElementById('app'));
+    return;
+  }
+
+  state.conflictOpen = true;
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal modal-wide">
+      <div class="modal-title">⚠ Someone Else Saved This Proposal</div>
+      <p style="font-size:13px;color:var(--text-dim);margin-bottom:16px">
+        ${escapeHtml(theirs.updatedAt ? `Saved ${new Date(theirs.updatedAt).toLocaleString()}. ` : '')}Both of you changed the parts below — choose which version to keep for each.
+        ${autoMerged.length ? `Your other edits (${escapeHtml(autoMerged.join(', '))}) merge cleanly.` : ''}
+      </p>
+      ${conflicts.map((c, i) => `
+        <h4 class="diff-section-title">${escapeHtml(c.label)}</h4>
+        <div class="diff-header">
+          <label><input type="radio" name="conflict_${i}" value="mine" checked> Keep mine</label>
+          <label><input type="radio" name="conflict_${i}" value="theirs"> Take theirs</label>
+        </div>
+        <div class="diff-grid">
+          <div class="diff-pane">${conflictPreview(c.mine)}</div>
+          <div class="diff-pane">${conflictPreview(c.theirs)}</div>
+        </div>
+      `).join('')}
+      <div class="modal-actions">
+        <button class="btn" id="conflictDiscard">Discard My Changes</button>
+        <button class="btn btn-primary" id="conflictApply">Apply Merge</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  const finish = async (result) => {
+    modal.remove();
+    state.conflictOpen = false;
+    state.currentProposal = result;
+    state.baseProposal = structuredClone(theirs);
+    renderEditor(document.getElementById('app'));
+  };
+  modal.querySelector('#conflictApply').onclick = async () => {
+    conflicts.forEach((c, i) => {
+      const choice = modal.querySelector(`input[name="conflict_${i}"]:checked`).value;
+      setPartValue(merged, c, structuredClone(choice === 'mine' ? c.mine : c.theirs));
+    });
+    await finish(merged);
+    await saveProposal();
+  };
+  modal.querySelector('#conflictDiscard').onclick = async () => {
+    if (!confirm('Discard your unsaved changes and load the latest saved version?')) return;
     state.unsavedChanges = false;
-    const el = document.getElementById('autoSaveStatus');
-    if (el) el.textContent = `Saved ${new Date().toLocaleTimeString()}`;
-    toast('Saved', 'success');
-  } catch (e) { toast('Save failed: ' + e.message, 'error'); }
+    await finish(structuredClone(theirs));
+    toast('Loaded the latest saved version', 'info');
+  };
 }
 
-window.saveProposal = saveProposal;
 
 function startAutoSave() {
   if (state.autoSaveTimer) clearInterval(state.autoSaveTimer);
@@ -1586,9 +4504,20 @@ window.showVersions = async function() {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
     modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+    const versionOptions = versions.map(v =>
+      `<option value="${v.versionId}">${new Date(v.timestamp).toLocaleString()}${v.label ? ` — ${escapeHtml(v.label)}` : ''}</option>`
+    ).join('');
     modal.innerHTML = `
       <div class="modal">
         <div class="modal-title">Version History</div>
+        ${versions.length > 0 ? `
+          <div style="display:flex;gap:8px;align-items:center;margin-bottom:12px;font-size:12px">
+            <select class="filter-select" id="diffFrom" style="flex:1;padding:6px 28px 6px 8px;font-size:11px">${versionOptions}</select>
+            <span>→</span>
+            <select class="filter-select" id="diffTo" style="flex:1;padding:6px 28px 6px 8px;font-size:11px"><option value="current">Current</option>${versionOptions}</select>
+            <button class="btn btn-xs" onclick="showVersionDiff('${p.id}',document.getElementById('diffFrom').value,document.getElementById('diffTo').value)">Compare</button>
+          </div>
+        ` : ''}
         <div class="version-list">
           ${versions.length === 0 ? '<p style="color:var(--text-dim);padding:12px">No versions yet. Click "Snapshot" to save one.</p>'
             : versions.map(v => `
@@ -1597,7 +4526,11 @@ window.showVersions = async function() {
                   <div class="version-time">${new Date(v.timestamp).toLocaleString()}</div>
                   ${v.label ? `<div class="version-label">${escapeHtml(v.label)}</div>` : ''}
                 </div>
-                <button class="btn btn-xs" onclick="restoreVersion('${p.id}','${v.versionId}');this.closest('.modal-overlay').remove()">Restore</button>
+                <div style="display:flex;gap:6px">
+                  <button class="btn btn-xs" onclick="showVersionDiff('${p.id}','${v.versionId}','current')">Diff</button>
+                  <button class="btn btn-xs" onclick="showPartialRestore('${p.id}','${v.versionId}')">Pick…</button>
+                  <button class="btn btn-xs" onclick="restoreVersion('${p.id}','${v.versionId}');this.closest('.modal-overlay').remove()">Restore</button>
+                </div>
               </div>
             `).join('')}
         </div>
@@ -1610,12 +4543,180 @@ window.showVersions = async function() {
   } catch (e) { toast('Failed to load versions', 'error'); }
 };
 
+window.showVersionDiff = async function(proposalId, from, to) {
+  if (from === to) return toast('Pick two different versions', 'warning');
+  try {
+    const resp = await fetch(`/api/proposals/${proposalId}/versions/${from}/diff/${to}`);
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    const diff = await resp.json();
+    const label = v => v.versionId === 'current' ? 'Current' : `${new Date(v.timestamp).toLocaleString()}${v.label ? ` — ${v.label}` : ''}`;
+    const sum = diff.summary;
+    const changedSections = diff.sections.filter(s => s.status !== 'unchanged');
+    const budgetItems = Object.entries(diff.budget.categories)
+      .flatMap(([cat, items]) => items.filter(i => i.status !== 'unchanged').map(i => ({ ...i, label: `${cat}: ${i.label}` })));
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+    modal.innerHTML = `
+      <div class="modal modal-wide">
+        <div class="modal-title">Compare Versions</div>
+        <div class="diff-header">
+          <div>${escapeHtml(label(diff.from))}</div>
+          <div>${escapeHtml(label(diff.to))}</div>
+        </div>
+        <p style="font-size:12px;color:var(--text-dim);margin-bottom:16px">
+          ${sum.sectionsChanged} section${sum.sectionsChanged !== 1 ? 's' : ''} changed
+          (<span class="diff-ins">+${sum.wordsInserted}</span> / <span class="diff-del">−${sum.wordsDeleted}</span> words) •
+          ${sum.overviewFieldsChanged} overview field${sum.overviewFieldsChanged !== 1 ? 's' : ''} •
+          ${sum.budgetItemsChanged} budget change${sum.budgetItemsChanged !== 1 ? 's' : ''} •
+          ${sum.workPackagesChanged} work package${sum.workPackagesChanged !== 1 ? 's' : ''}${sum.commentsChanged ? ` •
+          ${sum.commentsChanged} comment thread${sum.commentsChanged !== 1 ? 's' : ''}` : ''}
+        </p>
+        ${diff.meta.length || diff.overview.length ? `
+          <h4 class="diff-section-title">Details</h4>
+          ${diffFieldRows([...diff.meta, ...diff.overview])}
+        ` : ''}
+        ${changedSections.map(s => `
+          <h4 class="diff-section-title">${escapeHtml(s.key)} <span class="badge badge-draft">${s.status}</span>
+            <span style="font-size:11px;font-weight:400"><span class="diff-ins">+${s.inserted}</span> <span class="diff-del">−${s.deleted}</span></span>
+            ${from !== 'current' && to === 'current' && s.status !== 'added' ? `<button class="btn btn-xs" style="margin-left:auto" onclick="restoreVersionParts('${proposalId}','${from}',{sections:[${escapeHtml(JSON.stringify(s.key))}]})">Restore this section</button>` : ''}</h4>
+          <div class="diff-grid">
+            <div class="diff-pane">${s.changes.filter(c => c.type !== 'insert').map(c => c.type === 'delete' ? `<del class="diff-del">${escapeHtml(c.text)}</del>` : escapeHtml(c.text)).join('')}</div>
+            <div class="diff-pane">${s.changes.filter(c => c.type !== 'delete').map(c => c.type === 'insert' ? `<ins class="diff-ins">${escapeHtml(c.text)}</ins>` : escapeHtml(c.text)).join('')}</div>
+          </div>
+        `).join('')}
+        ${diff.budget.settings.length || budgetItems.length ? `
+          <h4 class="diff-section-title">Budget</h4>
+          ${diffFieldRows(diff.budget.settings)}
+          ${diffItemRows(budgetItems)}
+        ` : ''}
+        ${sum.workPackagesChanged ? `
+          <h4 class="diff-section-title">Gantt Work Packages</h4>
+          ${diffItemRows(diff.gantt.filter(i => i.status !== 'unchanged'))}
+        ` : ''}
+        ${sum.commentsChanged ? `
+          <h4 class="diff-section-title">Comments</h4>
+          ${diff.comments.map(c => `
+            <div class="diff-pane" style="margin-bottom:8px">
+              <span class="badge badge-draft">${c.status}${c.newReplies ? ` · ${c.newReplies} repl${c.newReplies !== 1 ? 'ies' : 'y'}` : ''}</span>
+              ${escapeHtml(c.section)}: “${escapeHtml(c.quote.slice(0, 80))}” — <strong>${escapeHtml(c.authorName)}</strong>: ${escapeHtml(c.text.slice(0, 120))}
+            </div>
+          `).join('')}
+        ` : ''}
+        ${changedSections.length + diff.meta.length + diff.overview.length + sum.budgetItemsChanged + sum.workPackagesChanged + (sum.commentsChanged || 0) === 0
+          ? '<p style="color:var(--text-dim);padding:12px">No differences.</p>' : ''}
+        <div class="modal-actions">
+          ${from !== 'current' && to === 'current' ? `<button class="btn" onclick="restoreVersion('${proposalId}','${from}');document.querySelectorAll('.modal-overlay').forEach(m=>m.remove())">Restore Older Version</button>` : ''}
+          <button class="btn" onclick="this.closest('.modal-overlay').remove()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  } catch (e) { toast('Compare failed: ' + e.message, 'error'); }
+};
+
+window.showPartialRestore = async function(proposalId, versionId) {
+  try {
+    const resp = await fetch(`/api/proposals/${proposalId}/versions/${versionId}`);
+    if (!resp.ok) throw new Error('Version not found');
+    const v = await resp.json();
+    const current = state.currentProposal || {};
+    // Only sections the snapshot has can be restored; the rest keep today's text
+    const keys = Object.keys(v.sections || {});
+    const wc = text => text && text.trim() ? text.trim().split(/\s+/).length : 0;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+    modal.innerHTML = `
+      <div class="modal">
+        <div class="modal-title">Restore Parts of Snapshot</div>
+        <p style="font-size:12px;color:var(--text-dim);margin-bottom:12px">
+          ${new Date(v.timestamp).toLocaleString()}${v.label ? ` — ${escapeHtml(v.label)}` : ''}.
+          Only the ticked parts are replaced; the current state is saved as a version first.
+        </p>
+        <div class="version-list" id="partialRestoreList">
+          ${keys.map(k => `
+            <label class="version-item" style="cursor:pointer">
+              <span><input type="checkbox" data-section="${escapeHtml(k)}"> ${escapeHtml(k)}</span>
+              <span class="version-time">${wc((v.sections || {})[k])} → ${wc((current.sections || {})[k])} words now</span>
+            </label>
+          `).join('')}
+          <label class="version-item" style="cursor:pointer"><span><input type="checkbox" data-part="overview"> Overview</span></label>
+          <label class="version-item" style="cursor:pointer"><span><input type="checkbox" data-part="budget"> Budget</span></label>
+          <label class="version-item" style="cursor:pointer"><span><input type="checkbox" data-part="gantt"> Gantt work packages</span>
+            <span class="version-time">${((v.gantt || {}).workPackages || []).length} WPs</span></label>
+        </div>
+        <div class="modal-actions">
+          <button class="btn" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+          <button class="btn btn-primary" id="partialRestoreBtn">Restore Selected</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.querySelector('#partialRestoreBtn').onclick = () => {
+      const parts = { sections: [] };
+      modal.querySelectorAll('#partialRestoreList input:checked').forEach(cb => {
+        if (cb.dataset.section !== undefined) parts.sections.push(cb.dataset.section);
+        else parts[cb.dataset.part] = true;
+      });
+      if (parts.sections.length === 0 && !parts.overview && !parts.budget && !parts.gantt) {
+        return toast('Select at least one part to restore', 'warning');
+      }
+      restoreVersionParts(proposalId, versionId, parts);
+    };
+  } catch (e) { toast('Failed to load version: ' + e.message, 'error'); }
+};
+
+window.restoreVersionParts = async function(proposalId, versionId, parts) {
+  const names = [...(parts.sections || []), ...['overview', 'budget', 'gantt'].filter(k => parts[k])];
+  if (!confirm(`Restore ${names.join(', ')} from this version? Current state will be saved as a version first.`)) return;
+  try {
+    const resp = await fetch(`/api/proposals/${proposalId}/versions/${versionId}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(parts)
+    });
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    adoptSavedProposal(await resp.json());
+    document.querySelectorAll('.modal-overlay').forEach(m => m.remove());
+    renderEditor(document.getElementById('app'));
+    toast('Restored selected parts', 'success');
+  } catch (e) { toast('Restore failed: ' + e.message, 'error'); }
+};
+
+function diffValue(v) {
+  if (v === null || v === undefined || v === '') return '<span style="color:var(--text-dim)">—</span>';
+  return escapeHtml(typeof v === 'object' ? JSON.stringify(v) : String(v));
+}
+
+function diffFieldRows(fields) {
+  return fields.map(f => `
+    <div class="diff-grid">
+      <div class="diff-pane"><strong>${escapeHtml(f.field)}:</strong> <del class="diff-del">${diffValue(f.before)}</del></div>
+      <div class="diff-pane"><strong>${escapeHtml(f.field)}:</strong> <ins class="diff-ins">${diffValue(f.after)}</ins></div>
+    </div>
+  `).join('');
+}
+
+function diffItemRows(items) {
+  return items.map(i => `
+    <div class="diff-grid">
+      <div class="diff-pane">${i.before ? `<strong>${escapeHtml(i.label)}</strong>${i.status === 'removed' ? ' <del class="diff-del">removed</del>' : ''}
+        ${i.fields.map(f => `<div>${escapeHtml(f.field)}: <del class="diff-del">${diffValue(f.before)}</del></div>`).join('')}` : ''}</div>
+      <div class="diff-pane">${i.after ? `<strong>${escapeHtml(i.label)}</strong>${i.status === 'added' ? ' <ins class="diff-ins">added</ins>' : ''}
+        ${i.fields.map(f => `<div>${escapeHtml(f.field)}: <ins class="diff-ins">${diffValue(f.after)}</ins></div>`).join('')}` : ''}</div>
+    </div>
+  `).join('');
+}
+
 window.restoreVersion = async function(proposalId, versionId) {
   if (!confirm('Restore this version? Current state will be saved as a version first.')) return;
   try {
     const resp = await fetch(`/api/proposals/${proposalId}/versions/${versionId}/restore`, { method: 'POST' });
-    const restored = await resp.json();
-    state.currentProposal = restored;
+    if (!resp.ok) throw new Error((await resp.json()).error);
+    adoptSavedProposal(await resp.json());
     renderEditor(document.getElementById('app'));
     toast('Version restored', 'success');
   } catch (e) { toast('Restore failed: ' + e.message, 'error'); }
@@ -1650,7 +4751,11 @@ async function streamResponse(resp, outputEl, onComplete) {
             toast(event.message, 'error');
           } else if (event.type === 'done') {
             outputEl.innerHTML = renderMarkdown(fullText);
-            if (onComplete) onComplete(fullText);
+            if (onComplete) {
+              // onComplete writes the generated text into the proposal
+              state.aiGenerated = true;
+              onComplete(fullText);
+            }
           }
         } catch (e) { /* skip */ }
       }
@@ -1660,6 +4765,7 @@ async function streamResponse(resp, outputEl, onComplete) {
   // Final cleanup
   outputEl.innerHTML = renderMarkdown(fullText);
   if (onComplete) onComplete(fullText);
+  return fullText;
 }
 
 // ─── Markdown Renderer (basic) ──────────────────────────────
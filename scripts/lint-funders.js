@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Check funder templates against data/funder.schema.json and for
+ * inconsistencies the schema cannot catch (minAmount above maxAmount,
+ * repeated scheme or section names, rates the cost model ignores, calls that
+ * close before they open, an id that does not match the file name, versions
+ * sharing an id or applying over the same dates, margins that leave no room
+ * for text, compliance rules missing the fields their type needs).
+ *
+ *   npm run lint-funders                            # every file in data/funders
+ *   npm run lint-funders -- data/funders/ukri-epsrc.json /other/templates
+ *   npm run lint-funders -- --strict                # fail on warnings too
+ *
+ * Exits with status 1 when any template has errors (or, with --strict,
+ * warnings). The server refuses to load templates with errors.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { lintFunderText } = require('../lib/funders');
+
+const FUNDERS_DIR = path.join(__dirname, '..', 'data', 'funders');
+
+function parseArgs(argv) {
+  const args = { strict: false, paths: [] };
+  for (const arg of argv) {
+    if (arg === '--strict') args.strict = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option "${arg}"`);
+    else args.paths.push(path.resolve(arg));
+  }
+  if (!args.paths.length) args.paths.push(FUNDERS_DIR);
+  return args;
+}
+
+// The .json files named, with directories expanded
+async function templateFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    const stat = await fs.stat(p);
+    if (stat.isDirectory()) {
+      files.push(...(await fs.readdir(p)).filter(f => f.endsWith('.json')).sort().map(f => path.join(p, f)));
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n !== 1 ? 's' : ''}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = await templateFiles(args.paths);
+  let errors = 0;
+  let warnings = 0;
+  for (const file of files) {
+    const result = lintFunderText(await fs.readFile(file, 'utf8'), { fileName: path.basename(file) });
+    if (!result.errors.length && !result.warnings.length) continue;
+    console.log(path.relative(process.cwd(), file));
+    for (const e of result.errors) console.log(`  error    ${e.path || '(file)'} ${e.message}`);
+    for (const w of result.warnings) console.log(`  warning  ${w.path || '(file)'} ${w.message}`);
+    console.log('');
+    errors += result.errors.length;
+    warnings += result.warnings.length;
+  }
+  const summary = `${plural(files.length, 'template')} checked: ${plural(errors, 'error')}, ${plural(warnings, 'warning')}`;
+  console.log(errors || warnings ? `✖ ${summary}` : `✔ ${summary}`);
+  if (errors || (args.strict && warnings)) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(`lint-funders: ${err.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Copy proposals and their attachments, version snapshots, audit logs, user
+ * accounts and their notifications, and funder template history between
+ * storage backends. Sign-in sessions are not copied; users sign in again.
+ *
+ *   npm run migrate-storage                       # proposals/ + versions/ → bidwriter.db
+ *   npm run migrate-storage -- --from sqlite --to json
+ *   npm run migrate-storage -- --proposals /old/proposals --versions /old/versions --db /srv/bidwriter.db
+ *
+ * Existing records with the same id are overwritten, so the command can be
+ * re-run safely. Audit logs are append-only, so a proposal's log is only
+ * copied when the target has none for it yet; funder history entries the
+ * target already has are skipped. The source is never modified.
+ */
+
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+function parseArgs(argv) {
+  const args = { from: 'json', to: 'sqlite' };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) throw new Error(`Unexpected argument "${flag}"`);
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for ${flag}`);
+    args[flag.slice(2)] = value;
+  }
+  return args;
+}
+
+function backendOptions(backend, args) {
+  return {
+    backend,
+    proposalsDir: args.proposals && path.resolve(args.proposals),
+    versionsDir: args.versions && path.resolve(args.versions),
+    auditDir: args.audit && path.resolve(args.audit),
+    notificationsDir: args.notifications && path.resolve(args.notifications),
+    funderHistoryDir: args['funder-history'] && path.resolve(args['funder-history']),
+    sqlitePath: args.db && path.resolve(args.db)
+  };
+}
+
+async function migrate(source, target) {
+  const totals = { users: 0, proposals: 0, attachments: 0, versions: 0, auditEntries: 0, notifications: 0, funderHistory: 0, skipped: 0 };
+  for (const user of await source.listUsers()) {
+    await target.saveUser(user);
+    totals.users++;
+    // Oldest first, so the target keeps the same order; ones already there are skipped
+    for (const notification of (await source.listNotifications(user.id)).reverse()) {
+      if (await target.addNotification(notification)) totals.notifications++;
+    }
+  }
+  for (const summary of await source.listProposals()) {
+    const proposal = await source.getProposal(summary.id);
+    if (!proposal) { totals.skipped++; continue; }
+    await target.saveProposal(proposal);
+    totals.proposals++;
+    for (const { id } of proposal.attachments || []) {
+      const file = await source.getAttachment(summary.id, id);
+      if (!file) { totals.skipped++; continue; }
+      await target.saveAttachment(summary.id, id, file);
+      totals.attachments++;
+    }
+    for (const meta of await source.listVersions(summary.id)) {
+      const snapshot = await source.getVersion(summary.id, meta.versionId);
+      if (!snapshot) { totals.skipped++; continue; }
+      await target.saveVersion(summary.id, snapshot);
+      totals.versions++;
+    }
+    if ((await target.listAudit(summary.id)).length === 0) {
+      for (const entry of await source.listAudit(summary.id)) {
+        await target.appendAudit(summary.id, entry);
+        totals.auditEntries++;
+      }
+    }
+  }
+  const copied = new Set((await target.listFunderHistory()).map(e => e.id));
+  for (const entry of await source.listFunderHistory()) {
+    if (copied.has(entry.id)) continue;
+    await target.appendFunderHistory(entry.funderId, entry);
+    totals.funderHistory++;
+  }
+  return totals;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.from === args.to) throw new Error('--from and --to must be different backends');
+  const source = createStorage(backendOptions(args.from, args));
+  const target = createStorage(backendOptions(args.to, args));
+  try {
+    const totals = await migrate(source, target);
+    console.log(`Migrated ${totals.users} users, ${totals.proposals} proposals, ${totals.attachments} attachments, ${totals.versions} versions, ${totals.auditEntries} audit entries, ${totals.notifications} notifications and ${totals.funderHistory} funder history entries from ${args.from} to ${args.to}` +
+      (totals.skipped ? ` (${totals.skipped} unreadable records skipped)` : ''));
+  } finally {
+    source.close();
+    target.close();
+  }
+}
+
+main().catch(err => {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+});
@@ -1,7 +1,8 @@
 /**
  * Mikoshi BidWriter — Academic Grant Proposal Writing Platform
- * Express server with multi-provider AI, proposal management,
- * version history, compliance checking, and paper search.
+ * Express server with multi-provider AI, accounts and sharing, proposal
+ * management, approval workflow, deadline calendar and reminders, funding
+ * analytics, version history, compliance checking, and paper search.
  */
 
 const express = require('express');
@@ -10,7 +11,7 @@ const fs = require('fs').promises;
 const crypto = require('crypto');
 
 const {
-  getProviderConfig,
+  getProviderConfig, rerankMatches,
   generateProposal, generateImpact, polishText,
   generateBudgetJustification, generateLiteratureReview,
   generateMethodology, generateEthics,
@@ -19,6 +20,25 @@ const {
 } = require('./lib/ai');
 const { runComplianceChecks } = require('./lib/templates');
 const { calculateBudget } = require('./lib/budget-calc');
+const { diffProposals } = require('./lib/diff');
+const { snapshotReason, selectExpired } = require('./lib/versions');
+const collab = require('./lib/collab');
+const comments = require('./lib/comments');
+const suggestions = require('./lib/suggestions');
+const workflow = require('./lib/workflow');
+const analytics = require('./lib/analytics');
+const calendar = require('./lib/calendar');
+const reminders = require('./lib/reminders');
+const mailer = require('./lib/mailer');
+const funders = require('./lib/funders');
+const matcher = require('./lib/matcher');
+const sectionMapping = require('./lib/section-map');
+const attachments = require('./lib/attachments');
+const { exportDocument } = require('./lib/document');
+const { generatePDF } = require('./lib/pdf');
+const { generateDOCX, isWordTemplate } = require('./lib/docx');
+const { createStorage } = require('./lib/storage');
+const auth = require('./lib/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,15 +46,262 @@ const PORT = process.env.PORT || 3000;
 // Paths
 const DATA_DIR = path.join(__dirname, 'data');
 const FUNDERS_DIR = path.join(DATA_DIR, 'funders');
-const PROPOSALS_DIR = path.join(__dirname, 'proposals');
-const VERSIONS_DIR = path.join(__dirname, 'versions');
+
+// Proposals, version snapshots and accounts (STORAGE_BACKEND=json|sqlite)
+const storage = createStorage();
+
+// Anyone may create an account unless ALLOW_SIGNUP=false (the first account is always allowed)
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP !== 'false';
+
+// Where people reach the app, for links in reminder emails
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Reminder checks run every REMINDER_INTERVAL_MINUTES (0 turns them off); email goes
+// out when SMTP_HOST is set (see lib/mailer.js)
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES || 60);
+const mailConfig = mailer.configFromEnv();
+
+// Largest file that can be attached to a proposal
+const ATTACHMENT_MAX_MB = Number(process.env.ATTACHMENT_MAX_MB || 10);
+
+// Besides administrators, accounts with these approver roles may edit funder templates
+const FUNDER_EDITOR_ROLES = (process.env.FUNDER_EDITOR_ROLES || 'research-office').split(',').map(r => r.trim()).filter(Boolean);
+
+// Besides administrators, accounts with these approver roles see analytics for
+// every proposal, shared with them or not; none unless configured
+const ANALYTICS_ROLES = (process.env.ANALYTICS_ROLES || '').split(',').map(r => r.trim()).filter(Boolean);
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
+// Shared with the browser for real-time editing
+app.get('/js/ot.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'ot.js')));
+app.get('/js/fonts.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'fonts.js')));
+app.get('/js/layout.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'layout.js')));
+
+// Most recent snapshot time per proposal, so auto-save PUTs need not rescan versions/
+const lastSnapshotAt = new Map();
+
+// Helper: write a version snapshot of a proposal
+async function saveSnapshot(id, proposalData, label = '', { auto = false } = {}) {
+  const versionId = crypto.randomUUID();
+  const snapshot = { ...proposalData, versionId, timestamp: new Date().toISOString(), label, auto };
+  await storage.saveVersion(id, snapshot);
+  lastSnapshotAt.set(id, snapshot.timestamp);
+  return snapshot;
+}
+
+// Helper: delete snapshots that fall outside the retention policy
+async function pruneVersions(id) {
+  const expired = selectExpired(await storage.listVersions(id));
+  for (const versionId of expired) await storage.deleteVersion(id, versionId);
+  return expired.length;
+}
+
+// Helper: snapshot the stored proposal before a significant change
+async function autoSnapshot(id, existing, incoming, reason) {
+  if (!lastSnapshotAt.has(id)) {
+    const [latest] = await storage.listVersions(id);
+    lastSnapshotAt.set(id, latest ? latest.timestamp : null);
+  }
+  const label = snapshotReason(existing, incoming, { reason, lastSnapshotAt: lastSnapshotAt.get(id) });
+  if (label) {
+    await saveSnapshot(id, existing, label, { auto: true });
+    await pruneVersions(id);
+  }
+}
+
+// Helper: run one read-modify-write of a proposal at a time, so saves,
+// live-editing writes and comment changes landing together do not drop
+// each other's changes
+const proposalLocks = new Map();
+function withProposalLock(id, fn) {
+  const run = (proposalLocks.get(id) || Promise.resolve()).then(() => fn());
+  const tail = run.catch(() => {});
+  proposalLocks.set(id, tail);
+  tail.then(() => { if (proposalLocks.get(id) === tail) proposalLocks.delete(id); });
+  return run;
+}
+
+// Helper: proposal revision as an ETag, and If-Match parsing
+function etagFor(proposal) {
+  return `"${proposal.revision || 0}"`;
+}
+
+function ifMatchRevision(req) {
+  const header = req.headers['if-match'];
+  if (!header || header === '*') return null;
+  const value = header.trim().replace(/^W\//, '').replace(/"/g, '');
+  if (!/^\d+$/.test(value)) throw Object.assign(new Error('If-Match must be a proposal revision'), { status: 400 });
+  return Number(value);
+}
+
+// Helper: the signed-in user for a request, or null
+async function sessionUser(req) {
+  const token = auth.parseCookies(req.headers.cookie)[auth.SESSION_COOKIE];
+  if (!token) return null;
+  const sessionId = auth.hashToken(token);
+  const session = await storage.getSession(sessionId);
+  if (!session) return null;
+  if (new Date(session.expiresAt) < new Date()) {
+    await storage.deleteSession(sessionId);
+    return null;
+  }
+  return storage.getUser(session.userId);
+}
+
+async function startSession(req, res, user) {
+  const { token, session } = auth.createSession(user.id);
+  await storage.saveSession(session);
+  res.setHeader('Set-Cookie', auth.sessionCookie(token, { secure: req.secure }));
+}
+
+// Middleware: load the proposal in req.params.id and check the user's role on it.
+// Proposals the user cannot see at all answer 404 so their existence is not revealed.
+// Approvers the proposal's workflow stage is waiting on may comment on it.
+function requireRole(minimum) {
+  return async (req, res, next) => {
+    try {
+      const proposal = await storage.getProposal(req.params.id);
+      const role = auth.roleFor(proposal, req.user.id) || workflow.reviewerRole(proposal, req.user);
+      if (!role) return res.status(404).json({ error: 'Proposal not found' });
+      if (!auth.hasRole(role, minimum)) return res.status(403).json({ error: `This needs ${minimum} access to the proposal` });
+      req.proposal = proposal;
+      req.role = role;
+      res.setHeader('X-Access-Role', role);
+      next();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load proposal' });
+    }
+  };
+}
+
+// Ownership, sharing, comment threads, suggestions and the workflow stage are
+// only changed through their own routes
+function withoutManagedFields(body) {
+  const { ownerId, access, comments, suggestions, status, workflow, attachments, ...rest } = body || {};
+  return rest;
+}
+
+// Helper: add an entry to a proposal's audit log. Call inside withProposalLock
+// (or before anyone else can see the proposal) so entries chain in order.
+async function recordAudit(proposalId, user, fields) {
+  const log = await storage.listAudit(proposalId);
+  const entry = workflow.auditEntry(proposalId, log[log.length - 1] || null, { userId: user.id, userName: user.name, ...fields });
+  return storage.appendAudit(proposalId, entry);
+}
+
+// Helper: read a funder template file, or null if it is missing or fails the
+// checks in lib/funders.js. Refused templates are logged once per change.
+const refusedFunders = new Map();   // file → reason last logged
+async function readFunderFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const { template, errors } = funders.lintFunderText(text, { fileName: path.basename(file) });
+  if (!errors.length) {
+    refusedFunders.delete(file);
+    return template;
+  }
+  const reason = errors.map(e => `${e.path || 'file'} ${e.message}`).join('; ');
+  if (refusedFunders.get(file) !== reason) {
+    refusedFunders.set(file, reason);
+    console.error(`Funder template ${path.relative(__dirname, file)} is not valid and was not loaded: ${reason}. Run "npm run lint-funders" for details.`);
+  }
+  return null;
+}
+
+// Helper: a funder template, or null if there is no valid one with that id
+async function loadFunder(id) {
+  if (!id || !/^[\w-]+$/.test(id)) return null;
+  return readFunderFile(path.join(FUNDERS_DIR, `${id}.json`));
+}
+
+// Helper: a funder's Word template (data/funders/<id>.docx), or null
+async function loadWordTemplate(id) {
+  if (!id || !/^[\w-]+$/.test(id)) return null;
+  try {
+    return await fs.readFile(path.join(FUNDERS_DIR, `${id}.docx`));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Helper: the funder template as it applies to a proposal, with the schemes
+// of the version it is pinned to (see lib/funders.js), or null
+async function loadProposalFunder(proposal) {
+  const template = await loadFunder(proposal.funder);
+  return template && funders.resolveVersion(template, { version: proposal.funderVersion, date: proposal.createdAt });
+}
+
+// Helper: the funder version to pin a proposal to: the one asked for, which
+// must exist, or else the one in effect today. Null for unversioned templates.
+async function funderVersionFor(funderId, requested) {
+  const template = await loadFunder(funderId);
+  if (!template) return null;
+  if (requested) {
+    if (!funders.funderVersions(template).some(v => v.id === requested)) {
+      throw Object.assign(new Error(`${template.name} has no template version "${requested}"`), { status: 400 });
+    }
+    return requested;
+  }
+  return funders.versionOn(template, new Date().toISOString()).id;
+}
+
+// Helper: the scheme a proposal is written for, from its pinned template
+// version, or null
+async function loadProposalScheme(proposal) {
+  const funder = await loadProposalFunder(proposal);
+  return (funder && (funder.schemes || []).find(s => s.name === proposal.scheme)) || null;
+}
+
+// Helper: a section mapping suggested for the proposal's scheme (see
+// lib/section-map.js), or undefined when it has no scheme
+async function suggestedSectionMap(proposal) {
+  const scheme = await loadProposalScheme(proposal);
+  return scheme ? sectionMapping.suggestSectionMap(scheme.sections, sectionMapping.editorSections(proposal.sections)) : undefined;
+}
+
+// Helper: the proposal's mapping when it fits the scheme of its pinned
+// template version, or else a suggested one
+async function fittingSectionMap(proposal) {
+  const scheme = await loadProposalScheme(proposal);
+  if (scheme && !sectionMapping.sectionMapProblems(scheme.sections, proposal.sectionMap).length) return proposal.sectionMap;
+  return suggestedSectionMap(proposal);
+}
+
+// Helper: every valid funder template
+async function listFunderTemplates() {
+  const list = [];
+  for (const file of await fs.readdir(FUNDERS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const template = await readFunderFile(path.join(FUNDERS_DIR, file));
+    if (template) list.push(template);
+  }
+  return list;
+}
 
-async function ensureDir(dir) {
-  try { await fs.mkdir(dir, { recursive: true }); } catch (e) { /* exists */ }
+// Helper: send an expected failure (an error carrying an HTTP status, and
+// perhaps a list of validation errors) as is, anything else as a generic 500
+function routeError(res, err, fallback) {
+  if (!err.status) return res.status(500).json({ error: fallback });
+  res.status(err.status).json(err.errors ? { error: err.message, errors: err.errors } : { error: err.message });
+}
+
+// Helper: the owner and everyone a proposal is shared with
+async function proposalMembers(proposal) {
+  const describe = async (userId, role) => {
+    const user = await storage.getUser(userId);
+    return { userId, role, name: user ? user.name : 'Deleted account', email: user ? user.email : '' };
+  };
+  const members = [await describe(proposal.ownerId, 'owner')];
+  for (const [userId, role] of Object.entries(proposal.access || {})) members.push(await describe(userId, role));
+  return members;
 }
 
 // Helper: set up SSE response
@@ -64,31 +331,188 @@ function errorSSE(res, err) {
   }
 }
 
+// ─── Accounts ───────────────────────────────────────────────
+
+// Every API route except the account routes needs a signed-in user. The
+// calendar feed checks its own token, as calendar apps cannot sign in.
+app.use('/api', async (req, res, next) => {
+  try {
+    req.user = await sessionUser(req);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to check session' });
+  }
+  if (req.user || req.path.startsWith('/auth/') || req.path === '/calendar.ics') return next();
+  res.status(401).json({ error: 'Sign in required' });
+});
+
+// Failed sign-ins per email, to slow down password guessing
+const loginFailures = new Map();
+const LOGIN_LOCK_AFTER = 5;
+const LOGIN_LOCK_MS = 5 * 60 * 1000;
+
+// Forget failures older than the lock window, so the map only holds recent guesses
+function pruneLoginFailures(now = Date.now()) {
+  for (const [email, failures] of loginFailures) {
+    if (now - failures.last >= LOGIN_LOCK_MS) loginFailures.delete(email);
+  }
+}
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const signupOpen = ALLOW_SIGNUP || (await storage.listUsers()).length === 0;
+    res.json({ user: auth.publicUser(req.user), signupOpen, emailEnabled: !!mailConfig, funderEditorRoles: FUNDER_EDITOR_ROLES });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load account' });
+  }
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const email = auth.normalizeEmail(req.body.email);
+    const name = String(req.body.name || '').trim().slice(0, 100);
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Enter a valid email address' });
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    const problem = auth.passwordProblem(req.body.password);
+    if (problem) return res.status(400).json({ error: problem });
+
+    // With sign-up closed, an administrator can still create accounts for colleagues
+    const byAdmin = !!(req.user && req.user.admin);
+    const users = await storage.listUsers();
+    if (!ALLOW_SIGNUP && users.length > 0 && !byAdmin) return res.status(403).json({ error: 'Sign-up is closed; ask an administrator for an account' });
+    if (await storage.getUserByEmail(email)) return res.status(409).json({ error: 'An account with that email already exists' });
+
+    const first = users.length === 0;
+    const user = {
+      id: crypto.randomUUID(),
+      email,
+      name,
+      passwordHash: auth.hashPassword(req.body.password),
+      admin: first,
+      createdAt: new Date().toISOString()
+    };
+    await storage.saveUser(user);
+
+    // Proposals written before accounts existed belong to the first account
+    if (first) {
+      for (const summary of await storage.listProposals()) {
+        if (summary.ownerId) continue;
+        const proposal = await storage.getProposal(summary.id);
+        if (proposal) await storage.saveProposal({ ...proposal, ownerId: user.id, access: proposal.access || {} });
+      }
+    }
+
+    if (!byAdmin) await startSession(req, res, user);
+    res.status(201).json(auth.publicUser(user));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = auth.normalizeEmail(req.body.email);
+    pruneLoginFailures();
+    const failures = loginFailures.get(email);
+    if (failures && failures.count >= LOGIN_LOCK_AFTER) {
+      return res.status(429).json({ error: 'Too many failed attempts; try again in a few minutes' });
+    }
+    const user = await storage.getUserByEmail(email);
+    if (!user || !auth.verifyPassword(String(req.body.password || ''), user.passwordHash)) {
+      const latest = loginFailures.get(email);
+      loginFailures.set(email, { count: latest ? latest.count + 1 : 1, last: Date.now() });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    loginFailures.delete(email);
+    await startSession(req, res, user);
+    res.json(auth.publicUser(user));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = auth.parseCookies(req.headers.cookie)[auth.SESSION_COOKIE];
+    if (token) await storage.deleteSession(auth.hashToken(token));
+    res.setHeader('Set-Cookie', auth.sessionCookie('', { secure: req.secure, clear: true }));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Profile fields shown in Settings
+app.put('/api/auth/me', async (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  try {
+    const updated = { ...req.user };
+    for (const field of ['name', 'institution', 'department', 'orcid']) {
+      if (req.body[field] !== undefined) updated[field] = String(req.body[field]).trim().slice(0, 200);
+    }
+    if (req.body.emailReminders !== undefined) updated.emailReminders = !!req.body.emailReminders;
+    if (!updated.name) return res.status(400).json({ error: 'Name is required' });
+    await storage.saveUser(updated);
+    res.json(auth.publicUser(updated));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+app.post('/api/auth/password', async (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  try {
+    if (!auth.verifyPassword(String(req.body.currentPassword || ''), req.user.passwordHash)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    const problem = auth.passwordProblem(req.body.newPassword);
+    if (problem) return res.status(400).json({ error: problem });
+    await storage.saveUser({ ...req.user, passwordHash: auth.hashPassword(req.body.newPassword) });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Administrators give accounts approver roles (see data/workflow.json)
+function requireAdmin(req, res, next) {
+  if (!req.user.admin) return res.status(403).json({ error: 'This needs an administrator' });
+  next();
+}
+
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await storage.listUsers();
+    res.json(users.map(auth.publicUser).sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list accounts' });
+  }
+});
+
+// { workflowRoles: ['research-office', ...] }
+app.put('/api/admin/users/:userId/roles', requireAdmin, async (req, res) => {
+  try {
+    const roles = req.body.workflowRoles;
+    const known = Object.keys(workflow.describe().approverRoles);
+    if (!Array.isArray(roles) || roles.some(r => !known.includes(r))) {
+      return res.status(400).json({ error: `Approver roles must be from: ${known.join(', ')}` });
+    }
+    const user = await storage.getUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: 'Account not found' });
+    const updated = { ...user, workflowRoles: [...new Set(roles)] };
+    await storage.saveUser(updated);
+    res.json(auth.publicUser(updated));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
 // ─── Proposal CRUD ──────────────────────────────────────────
 
+// Optional filters: ?q=text&status=draft&funder=ukri&limit=50&offset=0
 app.get('/api/proposals', async (req, res) => {
   try {
-    await ensureDir(PROPOSALS_DIR);
-    const files = await fs.readdir(PROPOSALS_DIR);
-    const proposals = [];
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue;
-      try {
-        const data = JSON.parse(await fs.readFile(path.join(PROPOSALS_DIR, file), 'utf8'));
-        proposals.push({
-          id: data.id,
-          title: data.title || 'Untitled',
-          funder: data.funder || '',
-          scheme: data.scheme || '',
-          status: data.status || 'draft',
-          amount: data.amount || 0,
-          updatedAt: data.updatedAt || data.createdAt,
-          createdAt: data.createdAt
-        });
-      } catch (e) { /* skip corrupt */ }
-    }
-    proposals.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-    res.json(proposals);
+    const { q, status, funder, limit, offset } = req.query;
+    res.json(await storage.listProposals({ q, status, funder, userId: req.user.id, limit, offset }));
   } catch (err) {
     res.status(500).json({ error: 'Failed to list proposals' });
   }
@@ -96,129 +520,869 @@ app.get('/api/proposals', async (req, res) => {
 
 app.post('/api/proposals', async (req, res) => {
   try {
-    await ensureDir(PROPOSALS_DIR);
     const id = crypto.randomUUID();
     const now = new Date().toISOString();
-    const proposal = { ...req.body, id, createdAt: now, updatedAt: now, status: req.body.status || 'draft' };
-    await fs.writeFile(path.join(PROPOSALS_DIR, `${id}.json`), JSON.stringify(proposal, null, 2));
+    const proposal = { ...withoutManagedFields(req.body), id, ownerId: req.user.id, access: {}, comments: [], suggestions: [], revision: 1, createdAt: now, updatedAt: now, status: 'draft' };
+    proposal.funderVersion = await funderVersionFor(proposal.funder, proposal.funderVersion);
+    if (!proposal.sectionMap) proposal.sectionMap = await suggestedSectionMap(proposal);
+    await storage.saveProposal(proposal);
+    await recordAudit(id, req.user, { action: 'created', to: 'draft' });
+    res.setHeader('ETag', etagFor(proposal));
     res.status(201).json(proposal);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save proposal' });
+    routeError(res, err, 'Failed to save proposal');
   }
 });
 
-app.get('/api/proposals/:id', async (req, res) => {
-  try {
-    const data = JSON.parse(await fs.readFile(path.join(PROPOSALS_DIR, `${req.params.id}.json`), 'utf8'));
-    res.json(data);
-  } catch (err) {
-    res.status(404).json({ error: 'Proposal not found' });
-  }
+app.get('/api/proposals/:id', requireRole('viewer'), (req, res) => {
+  res.setHeader('ETag', etagFor(req.proposal));
+  res.json(req.proposal);
 });
 
-app.put('/api/proposals/:id', async (req, res) => {
+app.put('/api/proposals/:id', requireRole('editor'), (req, res) => withProposalLock(req.params.id, async () => {
   try {
-    const filePath = path.join(PROPOSALS_DIR, `${req.params.id}.json`);
-    const existing = JSON.parse(await fs.readFile(filePath, 'utf8'));
-    const updated = { ...existing, ...req.body, id: req.params.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
-    await fs.writeFile(filePath, JSON.stringify(updated, null, 2));
+    // Deleted while this save waited for the lock
+    const existing = await storage.getProposal(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Proposal not found' });
+    req.body = withoutManagedFields(req.body);
+
+    // Optimistic concurrency: reject saves based on an older revision
+    const expected = ifMatchRevision(req);
+    if (expected !== null && expected !== (existing.revision || 0)) {
+      res.setHeader('ETag', etagFor(existing));
+      return res.status(409).json({ error: 'Proposal was changed by someone else', current: existing });
+    }
+
+    // Sections being edited live belong to the collaboration room
+    const live = collab.liveSections(req.params.id);
+    if (live && req.body.sections) req.body.sections = { ...req.body.sections, ...live };
+
+    // A new funder, or a move to another version of its template, re-pins the
+    // rules the proposal is checked against
+    const funderId = req.body.funder !== undefined ? req.body.funder : existing.funder;
+    const requestedVersion = req.body.funderVersion !== existing.funderVersion ? req.body.funderVersion : undefined;
+    if (funderId !== existing.funder || requestedVersion !== undefined) {
+      req.body.funderVersion = await funderVersionFor(funderId, requestedVersion);
+    }
+
+    // A changed mapping must fit the scheme it is saved with
+    if (req.body.sectionMap !== undefined && JSON.stringify(req.body.sectionMap) !== JSON.stringify(existing.sectionMap)) {
+      const scheme = await loadProposalScheme({ ...existing, ...req.body });
+      const problems = scheme ? sectionMapping.sectionMapProblems(scheme.sections, req.body.sectionMap) : [];
+      if (problems.length) throw Object.assign(new Error('The section mapping does not fit the scheme'), { status: 400, errors: problems });
+    }
+
+    // Snapshot the state being replaced when the change is significant
+    await autoSnapshot(req.params.id, existing, req.body, req.headers['x-snapshot-reason']);
+
+    const updated = { ...existing, ...req.body, id: req.params.id, revision: (existing.revision || 0) + 1, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+    // Another scheme has other required sections: suggest afresh unless the
+    // save brings its own mapping
+    const schemeChanged = updated.funder !== existing.funder || updated.scheme !== existing.scheme || updated.funderVersion !== existing.funderVersion;
+    if (schemeChanged && JSON.stringify(updated.sectionMap) === JSON.stringify(existing.sectionMap)) {
+      updated.sectionMap = await suggestedSectionMap(updated);
+    }
+    updated.comments = comments.remapAnchors(existing.comments, existing.sections, updated.sections);
+    updated.suggestions = comments.remapAnchors(existing.suggestions, existing.sections, updated.sections);
+    await storage.saveProposal(updated);
+    res.setHeader('ETag', etagFor(updated));
     res.json(updated);
   } catch (err) {
-    res.status(404).json({ error: 'Proposal not found' });
+    routeError(res, err, 'Failed to save proposal');
   }
-});
+}));
 
-app.delete('/api/proposals/:id', async (req, res) => {
+// Under the lock, so a save already under way finishes first and later ones find nothing
+app.delete('/api/proposals/:id', requireRole('owner'), (req, res) => withProposalLock(req.params.id, async () => {
   try {
-    await fs.unlink(path.join(PROPOSALS_DIR, `${req.params.id}.json`));
-    // Also clean up versions
-    const vDir = path.join(VERSIONS_DIR, req.params.id);
-    try { await fs.rm(vDir, { recursive: true }); } catch (e) { /* no versions */ }
+    // Also removes its versions
+    if (!await storage.deleteProposal(req.params.id)) return res.status(404).json({ error: 'Proposal not found' });
+    lastSnapshotAt.delete(req.params.id);
     res.json({ success: true });
   } catch (err) {
-    res.status(404).json({ error: 'Proposal not found' });
+    res.status(500).json({ error: 'Failed to delete proposal' });
   }
-});
+}));
 
 // Duplicate a proposal
-app.post('/api/proposals/:id/duplicate', async (req, res) => {
+app.post('/api/proposals/:id/duplicate', requireRole('viewer'), async (req, res) => {
   try {
-    const data = JSON.parse(await fs.readFile(path.join(PROPOSALS_DIR, `${req.params.id}.json`), 'utf8'));
+    const data = req.proposal;
     const newId = crypto.randomUUID();
     const now = new Date().toISOString();
-    const dup = { ...data, id: newId, title: `${data.title || 'Untitled'} (Copy)`, createdAt: now, updatedAt: now, status: 'draft' };
-    await fs.writeFile(path.join(PROPOSALS_DIR, `${newId}.json`), JSON.stringify(dup, null, 2));
+    const dup = { ...withoutManagedFields(data), id: newId, ownerId: req.user.id, access: {}, comments: [], suggestions: [], title: `${data.title || 'Untitled'} (Copy)`, revision: 1, createdAt: now, updatedAt: now, status: 'draft' };
+    // A copy is a new application; the original's deadline and outcome stay
+    // with it, and it follows the funder's rules in effect today, whose
+    // sections may have been renamed since
+    delete dup.deadline;
+    delete dup.outcome;
+    dup.funderVersion = await funderVersionFor(dup.funder, null);
+    dup.sectionMap = await fittingSectionMap(dup);
+    await storage.saveProposal(dup);
+    await recordAudit(newId, req.user, { action: 'created', to: 'draft', note: `Copy of ${data.title || 'Untitled'}` });
     res.status(201).json(dup);
   } catch (err) {
-    res.status(404).json({ error: 'Proposal not found' });
+    res.status(500).json({ error: 'Failed to duplicate proposal' });
   }
 });
 
-// ─── Version History ────────────────────────────────────────
+// ─── Sharing ────────────────────────────────────────────────
+
+// Helper: change who a proposal is shared with, as a new revision
+function updateAccess(proposalId, change) {
+  return withProposalLock(proposalId, async () => {
+    const proposal = await storage.getProposal(proposalId);
+    if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+    const members = { ...(proposal.access || {}) };
+    change({ ownerId: proposal.ownerId, members });
+    const fromRevision = proposal.revision || 0;
+    const updated = { ...proposal, access: members, revision: fromRevision + 1, updatedAt: new Date().toISOString() };
+    await storage.saveProposal(updated);
+    collab.notify(proposalId, { type: 'saved', sections: {}, fromRevision, revision: updated.revision, updatedAt: updated.updatedAt });
+    return updated;
+  });
+}
+
+app.get('/api/proposals/:id/access', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ role: req.role, members: await proposalMembers(req.proposal) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load sharing' });
+  }
+});
+
+// Share with an existing account by email: { email, role: viewer|commenter|editor }
+app.put('/api/proposals/:id/access', requireRole('owner'), async (req, res) => {
+  const { role } = req.body;
+  if (!auth.ROLES.includes(role) || role === 'owner') return res.status(400).json({ error: 'Role must be viewer, commenter or editor' });
+  try {
+    const user = await storage.getUserByEmail(req.body.email);
+    if (!user) return res.status(404).json({ error: 'No account with that email' });
+    await updateAccess(req.params.id, access => {
+      if (user.id === access.ownerId) throw Object.assign(new Error('That account already owns this proposal'), { status: 400 });
+      access.members[user.id] = role;
+    });
+    res.json({ userId: user.id, name: user.name, email: user.email, role });
+  } catch (err) {
+    routeError(res, err, 'Failed to share proposal');
+  }
+});
+
+// Owners can remove anyone; members can remove themselves
+app.delete('/api/proposals/:id/access/:userId', requireRole('viewer'), async (req, res) => {
+  if (req.role !== 'owner' && req.params.userId !== req.user.id) return res.status(403).json({ error: 'This needs owner access to the proposal' });
+  try {
+    await updateAccess(req.params.id, access => {
+      if (!access.members[req.params.userId]) throw Object.assign(new Error('That account does not have access'), { status: 404 });
+      delete access.members[req.params.userId];
+    });
+    res.json({ success: true });
+  } catch (err) {
+    routeError(res, err, 'Failed to update sharing');
+  }
+});
+
+// ─── Comments ───────────────────────────────────────────────
+
+// Helper: change a proposal's comment threads and tell everyone who has it open
+function updateComments(proposalId, change) {
+  return withProposalLock(proposalId, async () => {
+    const proposal = await storage.getProposal(proposalId);
+    if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+    const list = proposal.comments || [];
+    const result = await change(list, proposal);
+    await storage.saveProposal({ ...proposal, comments: list });
+    collab.notify(proposalId, { type: 'comments', comments: list });
+    return result;
+  });
+}
+
+function findThread(list, commentId) {
+  const comment = list.find(c => c.id === commentId);
+  if (!comment) throw Object.assign(new Error('Comment not found'), { status: 404 });
+  return comment;
+}
+
+app.get('/api/proposals/:id/comments', requireRole('viewer'), (req, res) => {
+  res.json(req.proposal.comments || []);
+});
+
+// Start a thread on a passage: { section, start, end, quote, text }
+app.post('/api/proposals/:id/comments', requireRole('commenter'), async (req, res) => {
+  const { section, text } = req.body;
+  const problem = comments.messageProblem(text);
+  if (problem) return res.status(400).json({ error: problem });
+  try {
+    // Anchors are kept against the saved text, so write out live edits first
+    await collab.saveNow(req.params.id);
+    const comment = await updateComments(req.params.id, async (list, proposal) => {
+      const sectionText = (proposal.sections || {})[section];
+      if (typeof sectionText !== 'string') throw Object.assign(new Error('Unknown section'), { status: 400 });
+      const anchor = comments.locateAnchor(sectionText, req.body);
+      if (!anchor) throw Object.assign(new Error('The selected text has changed; select it again'), { status: 409 });
+      const created = comments.createComment({ section, anchor, text, author: req.user, members: await proposalMembers(proposal) });
+      list.push(created);
+      return created;
+    });
+    res.status(201).json(comment);
+  } catch (err) {
+    routeError(res, err, 'Failed to add comment');
+  }
+});
+
+app.post('/api/proposals/:id/comments/:commentId/replies', requireRole('commenter'), async (req, res) => {
+  const problem = comments.messageProblem(req.body.text);
+  if (problem) return res.status(400).json({ error: problem });
+  try {
+    const reply = await updateComments(req.params.id, async (list, proposal) => {
+      const thread = findThread(list, req.params.commentId);
+      const created = comments.createReply({ text: req.body.text, author: req.user, members: await proposalMembers(proposal) });
+      thread.replies = [...(thread.replies || []), created];
+      return created;
+    });
+    res.status(201).json(reply);
+  } catch (err) {
+    routeError(res, err, 'Failed to reply');
+  }
+});
+
+// Resolve or reopen a thread ({ resolved }), or edit its first message ({ text }, author only)
+app.put('/api/proposals/:id/comments/:commentId', requireRole('commenter'), async (req, res) => {
+  const { resolved, text } = req.body;
+  if (text !== undefined) {
+    const problem = comments.messageProblem(text);
+    if (problem) return res.status(400).json({ error: problem });
+  }
+  try {
+    const comment = await updateComments(req.params.id, async (list, proposal) => {
+      const thread = findThread(list, req.params.commentId);
+      if (text !== undefined) {
+        if (thread.authorId !== req.user.id) throw Object.assign(new Error('Only the author can edit a comment'), { status: 403 });
+        thread.text = text.trim();
+        thread.mentions = comments.findMentions(text, await proposalMembers(proposal));
+        thread.editedAt = new Date().toISOString();
+      }
+      if (resolved !== undefined && !!resolved !== !!thread.resolved) {
+        thread.resolved = !!resolved;
+        thread.resolvedBy = resolved ? req.user.name : null;
+        thread.resolvedAt = resolved ? new Date().toISOString() : null;
+      }
+      return thread;
+    });
+    res.json(comment);
+  } catch (err) {
+    routeError(res, err, 'Failed to update comment');
+  }
+});
+
+// Threads can be deleted by their author or the proposal owner
+app.delete('/api/proposals/:id/comments/:commentId', requireRole('commenter'), async (req, res) => {
+  try {
+    await updateComments(req.params.id, async (list) => {
+      const thread = findThread(list, req.params.commentId);
+      if (thread.authorId !== req.user.id && req.role !== 'owner') throw Object.assign(new Error('Only the author or owner can delete a comment'), { status: 403 });
+      list.splice(list.indexOf(thread), 1);
+    });
+    res.json({ success: true });
+  } catch (err) {
+    routeError(res, err, 'Failed to delete comment');
+  }
+});
+
+// ─── Suggestions ────────────────────────────────────────────
+
+app.get('/api/proposals/:id/suggestions', requireRole('viewer'), (req, res) => {
+  res.json(req.proposal.suggestions || []);
+});
+
+// Suggest changes to a section: { section, text, base, source }. `text` is the
+// whole section as the suggester would have it and `base` the text they
+// started editing from (defaults to the current text).
+app.post('/api/proposals/:id/suggestions', requireRole('commenter'), async (req, res) => {
+  const { section, text, base, source } = req.body;
+  if (typeof text !== 'string') return res.status(400).json({ error: 'Suggested text is required' });
+  try {
+    // Anchors are kept against the saved text, so write out live edits first
+    await collab.saveNow(req.params.id);
+    const result = await withProposalLock(req.params.id, async () => {
+      const proposal = await storage.getProposal(req.params.id);
+      if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      const current = (proposal.sections || {})[section];
+      if (typeof current !== 'string') throw Object.assign(new Error('Unknown section'), { status: 400 });
+      const made = suggestions.createSuggestions({
+        section, current, text, source,
+        base: typeof base === 'string' ? base : current,
+        author: req.user
+      });
+      if (made.created.length === 0) {
+        throw Object.assign(new Error(made.skipped ? 'The text has changed since you started; nothing could be suggested' : 'No changes to suggest'), { status: made.skipped ? 409 : 400 });
+      }
+      const list = [...(proposal.suggestions || []), ...made.created];
+      await storage.saveProposal({ ...proposal, suggestions: list });
+      collab.notify(req.params.id, { type: 'suggestions', suggestions: list });
+      return made;
+    });
+    res.status(201).json({ suggestions: result.created, skipped: result.skipped });
+  } catch (err) {
+    routeError(res, err, 'Failed to save suggestions');
+  }
+});
+
+// Accept suggestions { ids } in order; ones whose passage has changed are skipped
+app.post('/api/proposals/:id/suggestions/accept', requireRole('editor'), async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+  if (ids.length === 0) return res.status(400).json({ error: 'No suggestions given' });
+  try {
+    await collab.saveNow(req.params.id);
+    const result = await withProposalLock(req.params.id, async () => {
+      const existing = await storage.getProposal(req.params.id);
+      if (!existing) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      let proposal = existing;
+      const accepted = [], conflicts = [], changed = new Set();
+      for (const id of ids) {
+        const applied = suggestions.acceptSuggestion(proposal, id);
+        if (!applied) { conflicts.push(id); continue; }
+        proposal = {
+          ...proposal,
+          sections: { ...proposal.sections, [applied.section]: applied.text },
+          suggestions: applied.suggestions,
+          comments: applied.comments
+        };
+        accepted.push(id);
+        changed.add(applied.section);
+      }
+      if (accepted.length === 0) return { accepted, conflicts, proposal: existing };
+
+      await autoSnapshot(req.params.id, existing, proposal);
+      const fromRevision = existing.revision || 0;
+      const updated = { ...proposal, revision: fromRevision + 1, updatedAt: new Date().toISOString() };
+      await storage.saveProposal(updated);
+
+      // Anyone editing live gets the new text as an ordinary remote edit
+      const sections = {};
+      for (const key of changed) {
+        sections[key] = updated.sections[key];
+        collab.replaceText(req.params.id, key, updated.sections[key]);
+      }
+      collab.notify(req.params.id, { type: 'saved', sections, fromRevision, revision: updated.revision, updatedAt: updated.updatedAt, comments: updated.comments });
+      collab.notify(req.params.id, { type: 'suggestions', suggestions: updated.suggestions });
+      return { accepted, conflicts, proposal: updated };
+    });
+    res.setHeader('ETag', etagFor(result.proposal));
+    res.json(result);
+  } catch (err) {
+    routeError(res, err, 'Failed to accept suggestions');
+  }
+});
+
+// Reject suggestions { ids }: editors may reject any, others withdraw their own
+app.post('/api/proposals/:id/suggestions/reject', requireRole('commenter'), async (req, res) => {
+  const ids = new Set(Array.isArray(req.body.ids) ? req.body.ids : []);
+  if (ids.size === 0) return res.status(400).json({ error: 'No suggestions given' });
+  const editor = auth.hasRole(req.role, 'editor');
+  try {
+    const rejected = await withProposalLock(req.params.id, async () => {
+      const proposal = await storage.getProposal(req.params.id);
+      if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      const list = proposal.suggestions || [];
+      const removed = list.filter(s => ids.has(s.id) && (editor || s.authorId === req.user.id));
+      if (removed.length === 0) {
+        if (list.some(s => ids.has(s.id))) throw Object.assign(new Error('Only editors can reject other people\'s suggestions'), { status: 403 });
+        throw Object.assign(new Error('Suggestion not found'), { status: 404 });
+      }
+      const remaining = list.filter(s => !removed.includes(s));
+      await storage.saveProposal({ ...proposal, suggestions: remaining });
+      collab.notify(req.params.id, { type: 'suggestions', suggestions: remaining });
+      return removed.map(s => s.id);
+    });
+    res.json({ rejected });
+  } catch (err) {
+    routeError(res, err, 'Failed to reject suggestions');
+  }
+});
+
+// ─── Workflow ───────────────────────────────────────────────
+
+app.get('/api/workflow', (req, res) => {
+  res.json(workflow.describe());
+});
+
+// Proposals waiting on one of the signed-in user's approver roles
+app.get('/api/workflow/pending', async (req, res) => {
+  try {
+    const pending = [];
+    for (const stage of workflow.stagesAwaiting(req.user.workflowRoles)) {
+      pending.push(...await storage.listProposals({ status: stage }));
+    }
+    pending.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    res.json(pending);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list pending approvals' });
+  }
+});
+
+// The current stage, and the moves the user can make with their preconditions
+app.get('/api/proposals/:id/workflow', requireRole('viewer'), async (req, res) => {
+  try {
+    const funder = await loadProposalFunder(req.proposal);
+    res.json(workflow.status(req.proposal, { user: req.user, role: req.role, funder }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load workflow' });
+  }
+});
+
+// Approve a move to another stage: { to, note }. The proposal moves once the
+// transition has all the approvals it needs.
+app.post('/api/proposals/:id/workflow', requireRole('viewer'), async (req, res) => {
+  try {
+    // Preconditions are checked against the latest live text
+    await collab.saveNow(req.params.id);
+    const outcome = await withProposalLock(req.params.id, async () => {
+      const proposal = await storage.getProposal(req.params.id);
+      if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      const funder = await loadProposalFunder(proposal);
+      const result = workflow.advance(proposal, { to: req.body.to, note: req.body.note, user: req.user, role: req.role, funder });
+      // An approval short of the number required only adds to workflow.approvals;
+      // write and audit only what actually changed the proposal
+      if (!result.moved && JSON.stringify(result.proposal.workflow) === JSON.stringify(proposal.workflow)) {
+        return { proposal, moved: false, funder };
+      }
+      const updated = result.moved ? { ...result.proposal, updatedAt: new Date().toISOString() } : result.proposal;
+      await storage.saveProposal(updated);
+      await recordAudit(req.params.id, req.user, result.entry);
+      collab.notify(req.params.id, { type: 'workflow', status: updated.status, userId: req.user.id, userName: req.user.name });
+      return { proposal: updated, moved: result.moved, funder };
+    });
+    res.json({ moved: outcome.moved, ...workflow.status(outcome.proposal, { user: req.user, role: req.role, funder: outcome.funder }) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, checks: err.checks });
+    res.status(500).json({ error: 'Failed to change stage' });
+  }
+});
+
+// The proposal's append-only audit log, oldest first, with a check of its hash chain
+app.get('/api/proposals/:id/audit', requireRole('viewer'), async (req, res) => {
+  try {
+    const entries = await storage.listAudit(req.params.id);
+    res.json({ entries, ...workflow.verifyAudit(entries) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// ─── Analytics ──────────────────────────────────────────────
+
+// Success rates, requested vs awarded, time to submission, pipeline and quarterly
+// figures: ?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv. Administrators and
+// holders of an ANALYTICS_ROLES role see every proposal; everyone else sees the
+// proposals they can open.
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const everything = req.user.admin || (req.user.workflowRoles || []).some(r => ANALYTICS_ROLES.includes(r));
+    const summaries = await storage.listProposals(everything ? {} : { userId: req.user.id });
+    const { stages } = workflow.describe();
+    const finalStages = stages.filter(s => s.final).map(s => s.id);
+    const facts = [];
+    for (const summary of summaries) {
+      const proposal = await storage.getProposal(summary.id);
+      if (!proposal) continue;
+      const audit = await storage.listAudit(summary.id);
+      facts.push(analytics.proposalFacts({ ...proposal, status: workflow.stageOf(proposal) }, audit, { finalStages }));
+    }
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="bidwriter-analytics.csv"');
+      return res.send(analytics.factsToCsv(facts, req.query));
+    }
+    res.json({ scope: everything ? 'all' : 'mine', ...analytics.buildAnalytics(facts, { from: req.query.from, to: req.query.to, stages }) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+});
+
+// ─── Calendar ───────────────────────────────────────────────
+
+// Helper: deadlines and milestones of the proposals a user can open, and
+// (unless calls is false) every funder call's opening and closing dates
+async function calendarEvents(user, { calls = true } = {}) {
+  const { stages, milestones } = workflow.describe();
+  const funders = await listFunderTemplates();
+  const funderNames = new Map(funders.map(f => [f.id, f.name]));
+  const events = [];
+  for (const summary of await storage.listProposals({ userId: user.id })) {
+    const proposal = await storage.getProposal(summary.id);
+    if (proposal) events.push(...calendar.proposalEvents(proposal, { defaults: milestones, stages, stage: workflow.stageOf(proposal), funderName: funderNames.get(proposal.funder) }));
+  }
+  if (calls) {
+    for (const funder of funders) events.push(...calendar.callEvents(funder));
+  }
+  return events;
+}
+
+function siteUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&calls=0 (leave out funder calls)
+app.get('/api/calendar', async (req, res) => {
+  try {
+    const events = await calendarEvents(req.user, { calls: req.query.calls !== '0' });
+    const feed = req.user.calendarFeed;
+    res.json({ events: calendar.eventsBetween(events, req.query.from, req.query.to), feed: feed ? { createdAt: feed.createdAt } : null });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load calendar' });
+  }
+});
+
+// The same events as an iCalendar feed. Signed-in browsers can download it;
+// calendar apps subscribe with the secret ?token= from POST /api/calendar/feed.
+app.get('/api/calendar.ics', async (req, res) => {
+  try {
+    let user = req.user;
+    if (!user && req.query.token) {
+      const tokenHash = auth.hashToken(String(req.query.token));
+      user = (await storage.listUsers()).find(u => u.calendarFeed && u.calendarFeed.tokenHash === tokenHash) || null;
+    }
+    if (!user) return res.status(401).json({ error: 'Sign in or use your calendar feed link' });
+    const events = calendar.eventsBetween(await calendarEvents(user, { calls: req.query.calls !== '0' }));
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="bidwriter.ics"');
+    res.send(calendar.toICS(events, {
+      name: `BidWriter — ${user.name}`,
+      host: req.hostname,
+      proposalUrl: id => `${siteUrl(req)}/#/proposal/${id}`
+    }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// A new subscription link; any earlier link stops working. Like session
+// tokens, only the token's hash is kept, so the link is shown just this once.
+app.post('/api/calendar/feed', async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const calendarFeed = { tokenHash: auth.hashToken(token), createdAt: new Date().toISOString() };
+    await storage.saveUser({ ...req.user, calendarFeed });
+    res.status(201).json({ url: `${siteUrl(req)}/api/calendar.ics?token=${token}`, createdAt: calendarFeed.createdAt });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create calendar link' });
+  }
+});
+
+app.delete('/api/calendar/feed', async (req, res) => {
+  try {
+    const { calendarFeed, ...user } = req.user;
+    await storage.saveUser(user);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to turn off calendar link' });
+  }
+});
+
+// ─── Reminders & Notifications ──────────────────────────────
+
+// Helper: the accounts a reminder is for — the owner and editors, and/or
+// everyone holding one of its approver roles
+function reminderRecipients(proposal, audience, users) {
+  const ids = new Set();
+  if (audience.team) {
+    ids.add(proposal.ownerId);
+    for (const [userId, role] of Object.entries(proposal.access || {})) {
+      if (auth.hasRole(role, 'editor')) ids.add(userId);
+    }
+  }
+  for (const user of users) {
+    if ((user.workflowRoles || []).some(r => audience.approverRoles.includes(r))) ids.add(user.id);
+  }
+  return users.filter(u => ids.has(u.id));
+}
 
-app.get('/api/proposals/:id/versions', async (req, res) => {
-  try {
-    const vDir = path.join(VERSIONS_DIR, req.params.id);
-    await ensureDir(vDir);
-    const files = await fs.readdir(vDir);
-    const versions = [];
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue;
-      try {
-        const data = JSON.parse(await fs.readFile(path.join(vDir, file), 'utf8'));
-        versions.push({ versionId: data.versionId, timestamp: data.timestamp, label: data.label || '' });
-      } catch (e) { /* skip */ }
+// Helper: add a notification to a user's bell and, unless they have turned it
+// off, email it. Returns false when they already had it.
+async function deliverNotification(user, fields) {
+  const notification = await storage.addNotification({ id: crypto.randomUUID(), userId: user.id, createdAt: new Date().toISOString(), readAt: null, ...fields });
+  if (!notification) return { added: false, emailed: false };
+  if (!mailConfig || user.emailReminders === false) return { added: true, emailed: false };
+  try {
+    await mailer.sendMail(mailConfig, {
+      to: user.email,
+      subject: `BidWriter: ${notification.title}`,
+      text: [notification.title, notification.body, notification.proposalId ? `Open the proposal: ${PUBLIC_URL}/#/proposal/${notification.proposalId}` : '',
+        `You can turn these emails off in BidWriter's Settings: ${PUBLIC_URL}/#/settings`].filter(Boolean).join('\n\n')
+    });
+    return { added: true, emailed: true };
+  } catch (err) {
+    console.error(`Reminder email to ${user.email} failed: ${err.message}`);
+    return { added: true, emailed: false };
+  }
+}
+
+// Check every proposal for reminders due today. Runs one at a time; a call while
+// a check is under way waits for that check.
+let reminderRun = null;
+function runReminders() {
+  if (reminderRun) return reminderRun;
+  reminderRun = (async () => {
+    const { stages, transitions, milestones, reminders: settings } = workflow.describe();
+    const users = await storage.listUsers();
+    const totals = { proposals: 0, notifications: 0, emailed: 0 };
+    for (const summary of await storage.listProposals()) {
+      const proposal = await storage.getProposal(summary.id);
+      if (!proposal) continue;
+      totals.proposals++;
+      const funder = await loadProposalFunder(proposal);
+      const due = reminders.proposalReminders(proposal, { stage: workflow.stageOf(proposal), stages, transitions, milestones, funder, settings });
+      for (const { audience, ...fields } of due) {
+        for (const user of reminderRecipients(proposal, audience, users)) {
+          const { added, emailed } = await deliverNotification(user, fields);
+          if (added) totals.notifications++;
+          if (emailed) totals.emailed++;
+        }
+      }
     }
-    versions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    res.json(versions);
+    return totals;
+  })().finally(() => { reminderRun = null; });
+  return reminderRun;
+}
+
+function startReminderScheduler() {
+  if (!(REMINDER_INTERVAL_MINUTES > 0)) return;
+  const run = () => runReminders().catch(err => console.error(`Reminder check failed: ${err.message}`));
+  setTimeout(run, 30 * 1000).unref();
+  setInterval(run, REMINDER_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+// The signed-in user's latest notifications and how many are unread
+app.get('/api/notifications', async (req, res) => {
+  try {
+    const all = await storage.listNotifications(req.user.id);
+    res.json({ unread: all.filter(n => !n.readAt).length, notifications: all.slice(0, 50) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+// { ids: [...] } marks those read; without ids, all of them
+app.post('/api/notifications/read', async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : undefined;
+    const marked = await storage.markNotificationsRead(req.user.id, ids);
+    const unread = (await storage.listNotifications(req.user.id)).filter(n => !n.readAt).length;
+    res.json({ marked, unread });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// Run the reminder check now instead of waiting for the scheduler
+app.post('/api/admin/reminders/run', requireAdmin, async (req, res) => {
+  try {
+    res.json(await runReminders());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check reminders' });
+  }
+});
+
+// Send a test email to the administrator, to check the SMTP settings
+app.post('/api/admin/mail/test', requireAdmin, async (req, res) => {
+  if (!mailConfig) return res.status(400).json({ error: 'Email is off; set SMTP_HOST to turn it on' });
+  try {
+    await mailer.sendMail(mailConfig, { to: req.user.email, subject: 'BidWriter test email', text: `Reminder emails from BidWriter reach ${req.user.email}.` });
+    res.json({ success: true, to: req.user.email });
+  } catch (err) {
+    res.status(502).json({ error: `Could not send: ${err.message}` });
+  }
+});
+
+// ─── Version History ────────────────────────────────────────
+
+app.get('/api/proposals/:id/versions', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await storage.listVersions(req.params.id));
   } catch (err) {
     res.json([]);
   }
 });
 
-app.post('/api/proposals/:id/versions', async (req, res) => {
+app.post('/api/proposals/:id/versions', requireRole('editor'), async (req, res) => {
   try {
-    const proposalData = JSON.parse(await fs.readFile(path.join(PROPOSALS_DIR, `${req.params.id}.json`), 'utf8'));
-    const vDir = path.join(VERSIONS_DIR, req.params.id);
-    await ensureDir(vDir);
-    const versionId = crypto.randomUUID();
-    const snapshot = { ...proposalData, versionId, timestamp: new Date().toISOString(), label: req.body.label || '' };
-    await fs.writeFile(path.join(vDir, `${versionId}.json`), JSON.stringify(snapshot, null, 2));
-    res.status(201).json({ versionId, timestamp: snapshot.timestamp, label: snapshot.label });
+    const snapshot = await saveSnapshot(req.params.id, req.proposal, req.body.label || '');
+    res.status(201).json({ versionId: snapshot.versionId, timestamp: snapshot.timestamp, label: snapshot.label });
   } catch (err) {
     res.status(500).json({ error: 'Failed to create version' });
   }
 });
 
-app.get('/api/proposals/:id/versions/:versionId', async (req, res) => {
+app.get('/api/proposals/:id/versions/:versionId', requireRole('viewer'), async (req, res) => {
   try {
-    const data = JSON.parse(await fs.readFile(path.join(VERSIONS_DIR, req.params.id, `${req.params.versionId}.json`), 'utf8'));
+    const data = await storage.getVersion(req.params.id, req.params.versionId);
+    if (!data) return res.status(404).json({ error: 'Version not found' });
     res.json(data);
   } catch (err) {
-    res.status(404).json({ error: 'Version not found' });
+    res.status(500).json({ error: 'Failed to load version' });
   }
 });
 
-// Restore a version
-app.post('/api/proposals/:id/versions/:versionId/restore', async (req, res) => {
+// Compare two versions ("current" = the live proposal)
+app.get('/api/proposals/:id/versions/:a/diff/:b', requireRole('viewer'), async (req, res) => {
+  const load = async versionId => versionId === 'current'
+    ? req.proposal
+    : storage.getVersion(req.params.id, versionId);
   try {
-    const vData = JSON.parse(await fs.readFile(path.join(VERSIONS_DIR, req.params.id, `${req.params.versionId}.json`), 'utf8'));
-    // Save current as a version first
-    const currentData = JSON.parse(await fs.readFile(path.join(PROPOSALS_DIR, `${req.params.id}.json`), 'utf8'));
-    const vDir = path.join(VERSIONS_DIR, req.params.id);
-    await ensureDir(vDir);
-    const autoVid = crypto.randomUUID();
-    await fs.writeFile(path.join(vDir, `${autoVid}.json`), JSON.stringify({ ...currentData, versionId: autoVid, timestamp: new Date().toISOString(), label: 'Auto-save before restore' }, null, 2));
+    const [before, after] = await Promise.all([load(req.params.a), load(req.params.b)]);
+    if (!before || !after) return res.status(404).json({ error: 'Version not found' });
+    const describe = (v, data) => ({ versionId: v, timestamp: data.timestamp || data.updatedAt, label: v === 'current' ? 'Current' : (data.label || '') });
+    res.json({ from: describe(req.params.a, before), to: describe(req.params.b, after), ...diffProposals(before, after) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compare versions' });
+  }
+});
+
+// Restore a version. With no body the whole snapshot is restored; otherwise
+// only the listed parts: { sections: ['Case for Support'], overview, budget, gantt }
+app.post('/api/proposals/:id/versions/:versionId/restore', requireRole('editor'), async (req, res) => {
+  const { sections, overview, budget, gantt } = req.body || {};
+  if (sections !== undefined && !(Array.isArray(sections) && sections.every(s => typeof s === 'string'))) {
+    return res.status(400).json({ error: 'sections must be a list of section names' });
+  }
+  const partial = [sections, overview, budget, gantt].some(part => part !== undefined);
+  if (partial && !((sections || []).length || overview || budget || gantt)) {
+    return res.status(400).json({ error: 'Choose at least one part to restore' });
+  }
+  try {
+    // Live edits are saved first, so the snapshot below holds them
+    await collab.saveNow(req.params.id);
+    const restored = await withProposalLock(req.params.id, async () => {
+      const currentData = await storage.getProposal(req.params.id);
+      if (!currentData) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      const vData = await storage.getVersion(req.params.id, req.params.versionId);
+      if (!vData) throw Object.assign(new Error('Version not found'), { status: 404 });
+      // A section the version does not have has nothing to restore; today's text stays
+      const absent = (sections || []).filter(key => typeof (vData.sections || {})[key] !== 'string');
+      if (absent.length) throw Object.assign(new Error(`This version has no ${absent.map(key => `"${key}"`).join(', ')} section to restore`), { status: 400 });
+      // Save current as a version first
+      await saveSnapshot(req.params.id, currentData, partial ? 'Auto-save before partial restore' : 'Auto-save before restore', { auto: true });
+
+      // Restore
+      const fromRevision = currentData.revision || 0;
+      let restored;
+      if (partial) {
+        restored = { ...currentData, sections: { ...(currentData.sections || {}) }, revision: fromRevision + 1, updatedAt: new Date().toISOString() };
+        for (const key of sections || []) restored.sections[key] = vData.sections[key];
+        if (overview) restored.overview = vData.overview || {};
+        if (budget) restored.budget = vData.budget || null;
+        if (gantt) restored.gantt = { ...(currentData.gantt || {}), workPackages: (vData.gantt || {}).workPackages || [] };
+      } else {
+        restored = { ...vData, id: req.params.id, ownerId: currentData.ownerId, access: currentData.access || {}, status: currentData.status, workflow: currentData.workflow, revision: fromRevision + 1, updatedAt: new Date().toISOString() };
+        delete restored.versionId;
+        delete restored.timestamp;
+        delete restored.label;
+        delete restored.auto;
+      }
+      // Comment threads and suggestions are kept across restores (only their anchors move),
+      // and the workflow stage and attached files stay as they are
+      restored.attachments = currentData.attachments;
+      restored.comments = comments.remapAnchors(currentData.comments, currentData.sections, restored.sections);
+      restored.suggestions = comments.remapAnchors(currentData.suggestions, currentData.sections, restored.sections);
+      await storage.saveProposal(restored);
 
-    // Restore
-    const restored = { ...vData, id: req.params.id, updatedAt: new Date().toISOString() };
-    delete restored.versionId;
-    delete restored.timestamp;
-    delete restored.label;
-    await fs.writeFile(path.join(PROPOSALS_DIR, `${req.params.id}.json`), JSON.stringify(restored, null, 2));
+      // Anyone editing live gets the restored text as ordinary remote edits, and
+      // loses the sections the restore removed
+      const before = currentData.sections || {};
+      const after = restored.sections || {};
+      const changed = {};
+      for (const [key, text] of Object.entries(after)) {
+        if (text === before[key]) continue;
+        changed[key] = text;
+        collab.replaceText(req.params.id, key, text);
+      }
+      for (const key of Object.keys(before)) {
+        if (!(key in after)) collab.removeSection(req.params.id, key);
+      }
+      collab.notify(req.params.id, { type: 'saved', sections: changed, fromRevision, revision: restored.revision, updatedAt: restored.updatedAt, comments: restored.comments });
+      collab.notify(req.params.id, { type: 'suggestions', suggestions: restored.suggestions });
+      return restored;
+    });
+    res.setHeader('ETag', etagFor(restored));
     res.json(restored);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to restore version' });
+    routeError(res, err, 'Failed to restore version');
+  }
+});
+
+// ─── Real-time Collaboration ────────────────────────────────
+
+// Event stream: welcome, op, presence and saved events for one proposal.
+// A client reconnecting passes ?room=<id>&since=<JSON { section: version }>
+// to be sent the ops it missed
+app.get('/api/proposals/:id/collab', requireRole('viewer'), async (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const clientId = crypto.randomUUID();
+  const roomStorage = {
+    load: async () => ((await storage.getProposal(req.params.id)) || {}).sections || {},
+    save: (sections) => withProposalLock(req.params.id, async () => {
+      const existing = await storage.getProposal(req.params.id);
+      if (!existing) throw new Error('Proposal was deleted');
+      const incoming = { sections: { ...(existing.sections || {}), ...sections } };
+      await autoSnapshot(req.params.id, existing, incoming);
+      const fromRevision = existing.revision || 0;
+      const updated = { ...existing, ...incoming, revision: fromRevision + 1, updatedAt: new Date().toISOString() };
+      updated.comments = comments.remapAnchors(existing.comments, existing.sections, updated.sections);
+      updated.suggestions = comments.remapAnchors(existing.suggestions, existing.sections, updated.sections);
+      await storage.saveProposal(updated);
+      return {
+        fromRevision, revision: updated.revision, updatedAt: updated.updatedAt,
+        comments: updated.comments || [], suggestions: updated.suggestions || []
+      };
+    })
+  };
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(keepAlive);
+    collab.leave(req.params.id, clientId);
+  });
+
+  let resume = null;
+  try {
+    if (req.query.room) resume = { room: String(req.query.room), since: JSON.parse(req.query.since || '{}') };
+  } catch (err) {
+    resume = null;
+  }
+
+  try {
+    await collab.join(req.params.id, { id: clientId, userId: req.user.id, name: req.user.name, res }, roomStorage, resume);
+    if (closed) collab.leave(req.params.id, clientId);
+  } catch (err) {
+    res.write(`data: ${JSON.stringify({ type: 'error', error: err.message })}\n\n`);
+    res.end();
+  }
+});
+
+app.post('/api/proposals/:id/collab/ops', requireRole('editor'), (req, res) => {
+  try {
+    const { clientId, section, version, op, seq } = req.body;
+    const newVersion = collab.submitOp(req.params.id, clientId, { section, version, op, seq }, req.user.id);
+    res.status(202).json({ version: newVersion });
+  } catch (err) {
+    res.status(err.resync ? 409 : 400).json({ error: err.message, resync: !!err.resync });
+  }
+});
+
+app.post('/api/proposals/:id/collab/presence', requireRole('viewer'), (req, res) => {
+  try {
+    const { clientId, section, cursor } = req.body;
+    collab.setPresence(req.params.id, clientId, { section, cursor }, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
 });
 
@@ -226,33 +1390,381 @@ app.post('/api/proposals/:id/versions/:versionId/restore', async (req, res) => {
 
 app.get('/api/funders', async (req, res) => {
   try {
-    const files = await fs.readdir(FUNDERS_DIR);
-    const funders = [];
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue;
-      try {
-        const data = JSON.parse(await fs.readFile(path.join(FUNDERS_DIR, file), 'utf8'));
-        funders.push({ id: data.id, name: data.name, fullName: data.fullName, parent: data.parent || null, schemesCount: data.schemes ? data.schemes.length : 0, priorities: data.priorities || [] });
-      } catch (e) { /* skip */ }
-    }
-    funders.sort((a, b) => a.name.localeCompare(b.name));
-    res.json(funders);
+    const list = (await listFunderTemplates()).map(data => ({ id: data.id, name: data.name, fullName: data.fullName, parent: data.parent || null, schemesCount: data.schemes ? data.schemes.length : 0, priorities: data.priorities || [] }));
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    res.json(list);
   } catch (err) {
     res.status(500).json({ error: 'Failed to list funders' });
   }
 });
 
+app.get('/api/funders/schema', (req, res) => {
+  res.json(funders.SCHEMA);
+});
+
+// ?version=<id> for the template with an earlier version's schemes
 app.get('/api/funders/:id', async (req, res) => {
   try {
-    const data = JSON.parse(await fs.readFile(path.join(FUNDERS_DIR, `${req.params.id}.json`), 'utf8'));
-    res.json(data);
+    const data = await loadFunder(req.params.id);
+    if (!data) return res.status(404).json({ error: 'Funder not found' });
+    if (!req.query.version) return res.json(data);
+    const resolved = funders.resolveVersion(data, { version: req.query.version });
+    if (resolved.missingVersion) return res.status(404).json({ error: `${data.name} has no template version "${req.query.version}"` });
+    res.json(resolved);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load funder' });
+  }
+});
+
+// The funder template with the schemes of the version the proposal is pinned
+// to, its details, and the current version when that is newer
+app.get('/api/proposals/:id/funder', requireRole('viewer'), async (req, res) => {
+  try {
+    const funder = await loadProposalFunder(req.proposal);
+    if (!funder) return res.status(404).json({ error: 'Funder not found' });
+    res.json(funder);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load funder' });
+  }
+});
+
+// The scheme's required sections with the parts of the proposal mapped to
+// each, the mapping suggested from their names and the editor sections to
+// choose from. The mapping itself is saved with the proposal (sectionMap).
+app.get('/api/proposals/:id/section-map', requireRole('viewer'), async (req, res) => {
+  try {
+    const p = req.proposal;
+    const scheme = await loadProposalScheme(p);
+    if (!scheme) return res.status(404).json({ error: 'The proposal has no scheme to map sections to' });
+    const available = sectionMapping.editorSections(p.sections);
+    const resolved = sectionMapping.resolveSections(scheme.sections, p.sectionMap, p.sections);
+    res.json({
+      sectionMap: p.sectionMap || null,
+      suggested: sectionMapping.suggestSectionMap(scheme.sections, available),
+      editorSections: available,
+      sections: resolved.map(({ text, ...r }, i) => ({ ...r, required: !!scheme.sections[i].required }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load the section mapping' });
+  }
+});
+
+// ─── Attachments ────────────────────────────────────────────
+
+// The file itself is the request body, of any content type
+const attachmentBody = express.raw({ type: () => true, limit: ATTACHMENT_MAX_MB * 1024 * 1024 });
+function readAttachmentBody(req, res, next) {
+  attachmentBody(req, res, err => {
+    if (!err) return next();
+    const tooLarge = err.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Files can be up to ${ATTACHMENT_MAX_MB} MB` : 'Could not read the file' });
+  });
+}
+
+app.get('/api/proposals/:id/attachments', requireRole('viewer'), (req, res) => {
+  res.json(req.proposal.attachments || []);
+});
+
+// Upload a file for one of the scheme's sections: the file as the body, with
+// ?section=&name= and, for a letter, &dated=YYYY-MM-DD. A section that was not
+// mapped to anything is then met by attachments.
+app.post('/api/proposals/:id/attachments', requireRole('editor'), readAttachmentBody, async (req, res) => {
+  try {
+    const { section, name, dated } = req.query;
+    const scheme = await loadProposalScheme(req.proposal);
+    if (!scheme) throw Object.assign(new Error('The proposal has no scheme to attach files to'), { status: 400 });
+    if (!(scheme.sections || []).some(s => s.name === section)) throw Object.assign(new Error(`The scheme has no section "${section}"`), { status: 400 });
+    const record = attachments.describeUpload(req.body, { id: crypto.randomUUID(), name, section, dated, uploadedBy: req.user.id }, { maxBytes: ATTACHMENT_MAX_MB * 1024 * 1024 });
+
+    const result = await withProposalLock(req.params.id, async () => {
+      const proposal = await storage.getProposal(req.params.id);
+      if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      await storage.saveAttachment(proposal.id, record.id, req.body);
+      const entry = (proposal.sectionMap || {})[section];
+      const sectionMap = entry && (entry.attachment || (entry.sections || []).length)
+        ? proposal.sectionMap
+        : { ...(proposal.sectionMap || {}), [section]: { attachment: true } };
+      await storage.saveProposal({ ...proposal, attachments: [...(proposal.attachments || []), record], sectionMap });
+      return { attachment: record, sectionMap };
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    routeError(res, err, 'Failed to save the attachment');
+  }
+});
+
+app.get('/api/proposals/:id/attachments/:attachmentId', requireRole('viewer'), async (req, res) => {
+  try {
+    const record = (req.proposal.attachments || []).find(a => a.id === req.params.attachmentId);
+    const file = record && await storage.getAttachment(req.params.id, record.id);
+    if (!file) return res.status(404).json({ error: 'Attachment not found' });
+    res.setHeader('Content-Type', attachments.FILE_TYPES[record.type].mime);
+    res.setHeader('Content-Disposition', `attachment; filename="${record.name.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(record.name)}`);
+    res.send(file);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load the attachment' });
+  }
+});
+
+app.delete('/api/proposals/:id/attachments/:attachmentId', requireRole('editor'), async (req, res) => {
+  try {
+    await withProposalLock(req.params.id, async () => {
+      const proposal = await storage.getProposal(req.params.id);
+      if (!proposal) throw Object.assign(new Error('Proposal not found'), { status: 404 });
+      const list = proposal.attachments || [];
+      if (!list.some(a => a.id === req.params.attachmentId)) throw Object.assign(new Error('Attachment not found'), { status: 404 });
+      await storage.saveProposal({ ...proposal, attachments: list.filter(a => a.id !== req.params.attachmentId) });
+      await storage.deleteAttachment(proposal.id, req.params.attachmentId);
+    });
+    res.json({ success: true });
+  } catch (err) {
+    routeError(res, err, 'Failed to delete the attachment');
+  }
+});
+
+// ─── Funder Template Editing ────────────────────────────────
+
+function requireFunderEditor(req, res, next) {
+  if (!req.user.admin && !(req.user.workflowRoles || []).some(r => FUNDER_EDITOR_ROLES.includes(r))) {
+    return res.status(403).json({ error: 'Only the research office can edit funder templates' });
+  }
+  next();
+}
+
+// Helper: one template change at a time, so two editors saving together
+// cannot interleave a file write with a history entry
+let funderWrites = Promise.resolve();
+function withFunderLock(fn) {
+  const run = funderWrites.then(() => fn());
+  funderWrites = run.catch(() => {});
+  return run;
+}
+
+// Helper: write a template file in one step (a reader never sees half a file)
+async function writeFunderFile(template) {
+  const file = path.join(FUNDERS_DIR, `${template.id}.json`);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(template, null, 2) + '\n');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Validate and save a template, recording the change in its history.
+ * Call inside withFunderLock.
+ * @param {Object|null} before - the template as it was, or null when new
+ * @param {Object|null} after - the template to save, or null to delete it
+ */
+async function saveFunderTemplate(before, after, { action, user, note, revertedTo }) {
+  const id = (after || before).id;
+  if (after) funders.assertValidFunder(after);
+  // The first change through the app keeps the hand-edited file it replaces
+  if (before && !(await storage.listFunderHistory(id)).length) {
+    await storage.appendFunderHistory(id, funders.historyEntry({ funderId: id, action: 'original', data: before }));
+  }
+  if (after) await writeFunderFile(after);
+  else await fs.unlink(path.join(FUNDERS_DIR, `${id}.json`));
+  const entry = funders.historyEntry({ funderId: id, action, user, note, data: after, changes: funders.describeChange(before, after), revertedTo });
+  await storage.appendFunderHistory(id, entry);
+  return entry;
+}
+
+// Helper: change one funder's template with fn(template) → the new template
+function changeFunder(req, fn) {
+  return withFunderLock(async () => {
+    const before = await loadFunder(req.params.id);
+    if (!before) throw Object.assign(new Error('Funder not found'), { status: 404 });
+    const after = fn(JSON.parse(JSON.stringify(before)));
+    await saveFunderTemplate(before, after, { action: 'updated', user: req.user, note: req.body.note });
+    return after;
+  });
+}
+
+// Helper: index of a scheme by name, or a 404
+function schemeIndex(template, name) {
+  const index = (template.schemes || []).findIndex(s => s.name === name);
+  if (index < 0) throw Object.assign(new Error(`${template.name} has no scheme called "${name}"`), { status: 404 });
+  return index;
+}
+
+// Create a funder { template, note }
+app.post('/api/funders', requireFunderEditor, async (req, res) => {
+  try {
+    const template = req.body.template;
+    if (!template || typeof template !== 'object') return res.status(400).json({ error: 'template is required' });
+    const saved = await withFunderLock(async () => {
+      funders.assertValidFunder(template);
+      if (await loadFunder(template.id)) throw Object.assign(new Error(`There is already a funder with the id "${template.id}"`), { status: 409 });
+      await saveFunderTemplate(null, template, { action: 'created', user: req.user, note: req.body.note });
+      return template;
+    });
+    res.status(201).json(saved);
+  } catch (err) {
+    routeError(res, err, 'Failed to create funder');
+  }
+});
+
+// Replace a funder's template { template, note }; the id cannot change
+app.put('/api/funders/:id', requireFunderEditor, async (req, res) => {
+  try {
+    const template = req.body.template;
+    if (!template || typeof template !== 'object') return res.status(400).json({ error: 'template is required' });
+    res.json(await changeFunder(req, () => ({ ...template, id: req.params.id })));
+  } catch (err) {
+    routeError(res, err, 'Failed to save funder');
+  }
+});
+
+app.delete('/api/funders/:id', requireFunderEditor, async (req, res) => {
+  try {
+    await withFunderLock(async () => {
+      const before = await loadFunder(req.params.id);
+      if (!before) throw Object.assign(new Error('Funder not found'), { status: 404 });
+      await saveFunderTemplate(before, null, { action: 'deleted', user: req.user, note: req.body && req.body.note });
+      await fs.rm(path.join(FUNDERS_DIR, `${req.params.id}.docx`), { force: true });
+    });
+    res.json({ success: true });
+  } catch (err) {
+    routeError(res, err, 'Failed to delete funder');
+  }
+});
+
+// Add a scheme { scheme, note }
+app.post('/api/funders/:id/schemes', requireFunderEditor, async (req, res) => {
+  try {
+    const scheme = req.body.scheme;
+    if (!scheme || typeof scheme !== 'object') return res.status(400).json({ error: 'scheme is required' });
+    const saved = await changeFunder(req, template => {
+      if (template.schemes.some(s => s.name === scheme.name)) throw Object.assign(new Error(`${template.name} already has a scheme called "${scheme.name}"`), { status: 409 });
+      template.schemes.push(scheme);
+      return template;
+    });
+    res.status(201).json(saved);
+  } catch (err) {
+    routeError(res, err, 'Failed to add scheme');
+  }
+});
+
+// Replace a scheme { scheme, note }. Renaming a scheme leaves proposals
+// written for the old name without their requirements
+app.put('/api/funders/:id/schemes/:scheme', requireFunderEditor, async (req, res) => {
+  try {
+    const scheme = req.body.scheme;
+    if (!scheme || typeof scheme !== 'object') return res.status(400).json({ error: 'scheme is required' });
+    res.json(await changeFunder(req, template => {
+      const index = schemeIndex(template, req.params.scheme);
+      if (scheme.name !== req.params.scheme && template.schemes.some(s => s.name === scheme.name)) {
+        throw Object.assign(new Error(`${template.name} already has a scheme called "${scheme.name}"`), { status: 409 });
+      }
+      template.schemes[index] = scheme;
+      return template;
+    }));
+  } catch (err) {
+    routeError(res, err, 'Failed to save scheme');
+  }
+});
+
+app.delete('/api/funders/:id/schemes/:scheme', requireFunderEditor, async (req, res) => {
+  try {
+    res.json(await changeFunder(req, template => {
+      template.schemes.splice(schemeIndex(template, req.params.scheme), 1);
+      return template;
+    }));
   } catch (err) {
-    res.status(404).json({ error: 'Funder not found' });
+    routeError(res, err, 'Failed to delete scheme');
+  }
+});
+
+// Changes made in the app, newest first; also for deleted funders
+app.get('/api/funders/:id/history', requireFunderEditor, async (req, res) => {
+  try {
+    const entries = await storage.listFunderHistory(req.params.id);
+    res.json(entries.map(funders.historySummary).reverse());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load funder history' });
+  }
+});
+
+app.get('/api/funders/:id/history/:entryId', requireFunderEditor, async (req, res) => {
+  try {
+    const entry = (await storage.listFunderHistory(req.params.id)).find(e => e.id === req.params.entryId);
+    if (!entry) return res.status(404).json({ error: 'History entry not found' });
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load funder history' });
+  }
+});
+
+// Put a funder's template back as it was after an earlier change { note }.
+// Restores a deleted funder too.
+app.post('/api/funders/:id/history/:entryId/revert', requireFunderEditor, async (req, res) => {
+  try {
+    const restored = await withFunderLock(async () => {
+      const entry = (await storage.listFunderHistory(req.params.id)).find(e => e.id === req.params.entryId);
+      if (!entry) throw Object.assign(new Error('History entry not found'), { status: 404 });
+      if (!entry.data) throw Object.assign(new Error('That change deleted the funder; choose an earlier one to restore'), { status: 400 });
+      const before = await loadFunder(req.params.id);
+      await saveFunderTemplate(before, entry.data, { action: 'reverted', user: req.user, note: req.body.note, revertedTo: entry.id });
+      return entry.data;
+    });
+    res.json(restored);
+  } catch (err) {
+    routeError(res, err, 'Failed to restore funder');
+  }
+});
+
+// A funder's Word template: the .docx (or .dotx) Word exports start from, so
+// they come out in the funder's styles and page setup
+app.get('/api/funders/:id/word-template', async (req, res) => {
+  try {
+    const template = await loadWordTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'This funder has no Word template' });
+    res.setHeader('Content-Type', attachments.FILE_TYPES.docx.mime);
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}-template.docx"`);
+    res.send(template);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load the Word template' });
+  }
+});
+
+// Upload or replace it: the file as the body
+app.put('/api/funders/:id/word-template', requireFunderEditor, readAttachmentBody, async (req, res) => {
+  try {
+    await withFunderLock(async () => {
+      if (!(await loadFunder(req.params.id))) throw Object.assign(new Error('Funder not found'), { status: 404 });
+      if (!Buffer.isBuffer(req.body) || !isWordTemplate(req.body)) {
+        throw Object.assign(new Error('The Word template must be a Word document (.docx or .dotx) with styles'), { status: 415 });
+      }
+      const file = path.join(FUNDERS_DIR, `${req.params.id}.docx`);
+      await fs.writeFile(`${file}.tmp`, req.body);
+      await fs.rename(`${file}.tmp`, file);
+    });
+    res.json({ success: true, size: req.body.length });
+  } catch (err) {
+    routeError(res, err, 'Failed to save the Word template');
+  }
+});
+
+app.delete('/api/funders/:id/word-template', requireFunderEditor, async (req, res) => {
+  try {
+    await withFunderLock(async () => {
+      if (!(await loadWordTemplate(req.params.id))) throw Object.assign(new Error('This funder has no Word template'), { status: 404 });
+      await fs.unlink(path.join(FUNDERS_DIR, `${req.params.id}.docx`));
+    });
+    res.json({ success: true });
+  } catch (err) {
+    routeError(res, err, 'Failed to delete the Word template');
   }
 });
 
 // ─── AI Generation Endpoints (all SSE) ─────────────────────
 
+// Generation for an open proposal (X-Proposal-Id) writes into it, so needs editor access
+app.use('/api/generate', (req, res, next) => {
+  const proposalId = req.headers['x-proposal-id'];
+  if (!proposalId) return next();
+  req.params.id = proposalId;
+  requireRole('editor')(req, res, next);
+});
+
 app.post('/api/generate/proposal', async (req, res) => {
   try {
     const onChunk = setupSSE(res);
@@ -373,13 +1885,68 @@ app.post('/api/generate/reviewer-response', async (req, res) => {
   } catch (err) { errorSSE(res, err); }
 });
 
+// ─── Funding Opportunity Finder ─────────────────────────────
+
+const RERANK_TOP = 10;
+
+app.get('/api/match/career-stages', (req, res) => {
+  res.json(matcher.CAREER_STAGES);
+});
+
+// Rank every scheme against { researchArea, researchQuestion, amount, duration,
+// careerStage }. With rerank: true, the AI provider in the request headers
+// re-orders the best eligible matches; the offline ranking stands if it fails.
+app.post('/api/match', async (req, res) => {
+  try {
+    const { researchArea = '', researchQuestion = '', amount, duration, careerStage, rerank } = req.body || {};
+    if (!String(researchArea).trim() && !String(researchQuestion).trim()) {
+      return res.status(400).json({ error: 'Describe the research area or question to match against' });
+    }
+    const idea = { researchArea, researchQuestion, amount: Number(amount) || 0, duration: Number(duration) || 0, careerStage: careerStage || null };
+    // New proposals follow the rules in effect today
+    const today = new Date().toISOString();
+    const templates = (await listFunderTemplates()).map(t => funders.resolveVersion(t, { date: today }));
+    let matches = matcher.matchSchemes(idea, templates);
+    const ai = { used: false };
+
+    if (rerank) {
+      const providerOpts = getProviderConfig(req);
+      ai.provider = providerOpts.provider;
+      if (providerOpts.provider !== 'mikoshi' && !providerOpts.apiKey) {
+        ai.error = 'No API key is set for the AI provider';
+      } else {
+        const top = matches.filter(m => m.eligible).slice(0, RERANK_TOP);
+        try {
+          const order = await rerankMatches(idea, top, providerOpts);
+          const reranked = order.map(({ index, reason }) => ({ ...top[index], aiReason: reason }));
+          // Anything the reply left out keeps its place after the re-ranked ones
+          const rest = matches.filter(m => !order.some(o => top[o.index] === m));
+          matches = [...reranked, ...rest];
+          ai.used = order.length > 0;
+        } catch (err) {
+          ai.error = err.message;
+        }
+      }
+    }
+    res.json({ idea, matches, ai });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to match schemes' });
+  }
+});
+
 // ─── Compliance Check ───────────────────────────────────────
 
 app.post('/api/compliance/check', async (req, res) => {
   try {
-    const { proposalText, sections, funderId, schemeIndex, budget, duration } = req.body;
-    const funderData = JSON.parse(await fs.readFile(path.join(FUNDERS_DIR, `${funderId}.json`), 'utf8'));
-    const results = runComplianceChecks(proposalText, sections, funderData, schemeIndex, budget, duration);
+    // funderVersion and date (the proposal's createdAt) select the template
+    // version as for a saved proposal
+    const { proposalText, sections, funderId, funderVersion, date, scheme, budget, budgetData, duration, applicant, startDate, deadline, sectionMap, attachments } = req.body;
+    const funderData = await loadProposalFunder({ funder: funderId, funderVersion, createdAt: date });
+    if (!funderData) return res.status(404).json({ error: 'Funder not found' });
+    // Proposals store the scheme by name; the workflow's compliance gate looks it up the same way
+    let { schemeIndex } = req.body;
+    if (scheme) schemeIndex = Math.max(0, (funderData.schemes || []).findIndex(s => s.name === scheme));
+    const results = runComplianceChecks(proposalText, sections, funderData, schemeIndex, budget, duration, { applicant, startDate, deadline, budgetData, sectionMap, attachments });
     res.json(results);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -403,13 +1970,54 @@ app.get('/api/search/papers', async (req, res) => {
 });
 
 // ─── PDF Export ─────────────────────────────────────────────
+// A PDF written on the server (see lib/pdf.js), in the scheme's formatting
+
+// Helper: a proposal as exported (see lib/document.js), under its funder and scheme
+async function proposalDocument(proposal) {
+  const funder = await loadProposalFunder(proposal);
+  const scheme = (funder && (funder.schemes || []).find(s => s.name === proposal.scheme)) || null;
+  return exportDocument(proposal, { funder, scheme });
+}
+
+async function sendPDF(res, proposal) {
+  const pdf = await generatePDF(await proposalDocument(proposal));
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${(proposal.title || 'proposal').replace(/[^a-z0-9]/gi, '_')}.pdf"`);
+  res.send(pdf);
+}
 
-app.post('/api/export/pdf', (req, res) => {
-  const { proposal } = req.body;
-  const { generatePrintHTML } = require('./lib/pdf');
-  const html = generatePrintHTML(proposal);
-  res.setHeader('Content-Type', 'text/html');
-  res.send(html);
+app.get('/api/proposals/:id/export/pdf', requireRole('viewer'), async (req, res) => {
+  try {
+    await sendPDF(res, req.proposal);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to export the PDF' });
+  }
+});
+
+// A PDF of proposal data that need not be saved, e.g. from a script
+app.post('/api/export/pdf', async (req, res) => {
+  try {
+    const { proposal } = req.body;
+    if (!proposal || typeof proposal !== 'object') return res.status(400).json({ error: 'proposal required' });
+    await sendPDF(res, proposal);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to export the PDF' });
+  }
+});
+
+// ─── Word Export ────────────────────────────────────────────
+// A .docx (see lib/docx.js), started from the funder's Word template when it has one
+
+app.get('/api/proposals/:id/export/docx', requireRole('viewer'), async (req, res) => {
+  try {
+    const doc = await proposalDocument(req.proposal);
+    const docx = generateDOCX(doc, { template: await loadWordTemplate(req.proposal.funder) });
+    res.setHeader('Content-Type', attachments.FILE_TYPES.docx.mime);
+    res.setHeader('Content-Disposition', `attachment; filename="${(req.proposal.title || 'proposal').replace(/[^a-z0-9]/gi, '_')}.docx"`);
+    res.send(docx);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to export the Word document' });
+  }
 });
 
 // ─── Budget Calculation ─────────────────────────────────────
@@ -425,27 +2033,37 @@ app.post('/api/budget/calculate', (req, res) => {
 
 // ─── Export/Import JSON ─────────────────────────────────────
 
-app.get('/api/proposals/:id/export', async (req, res) => {
+app.get('/api/proposals/:id/export', requireRole('viewer'), (req, res) => {
   try {
-    const data = JSON.parse(await fs.readFile(path.join(PROPOSALS_DIR, `${req.params.id}.json`), 'utf8'));
+    const data = withoutManagedFields(req.proposal);
     res.setHeader('Content-Disposition', `attachment; filename="${(data.title || 'proposal').replace(/[^a-z0-9]/gi, '_')}.json"`);
     res.setHeader('Content-Type', 'application/json');
     res.json(data);
   } catch (err) {
-    res.status(404).json({ error: 'Proposal not found' });
+    res.status(500).json({ error: 'Failed to export proposal' });
   }
 });
 
 app.post('/api/proposals/import', async (req, res) => {
   try {
-    await ensureDir(PROPOSALS_DIR);
     const data = req.body;
     const id = crypto.randomUUID();
     const now = new Date().toISOString();
-    const imported = { ...data, id, createdAt: now, updatedAt: now, status: 'draft' };
+    const imported = { ...withoutManagedFields(data), id, ownerId: req.user.id, access: {}, comments: [], suggestions: [], revision: 1, createdAt: now, updatedAt: now, status: 'draft' };
     delete imported.versionId;
     delete imported.timestamp;
-    await fs.writeFile(path.join(PROPOSALS_DIR, `${id}.json`), JSON.stringify(imported, null, 2));
+    delete imported.auto;
+    delete imported.outcome;
+    // A file from elsewhere may name a template version or sections this
+    // server's templates do not have: pin today's version and suggest a
+    // mapping instead
+    imported.funderVersion = await funderVersionFor(imported.funder, imported.funderVersion).catch(err => {
+      if (err.status) return funderVersionFor(imported.funder);
+      throw err;
+    });
+    imported.sectionMap = await fittingSectionMap(imported);
+    await storage.saveProposal(imported);
+    await recordAudit(id, req.user, { action: 'created', to: 'draft', note: 'Imported' });
     res.status(201).json(imported);
   } catch (err) {
     res.status(500).json({ error: 'Failed to import proposal' });
@@ -462,4 +2080,7 @@ app.get('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`\n  🎓 Mikoshi BidWriter running at http://localhost:${PORT}\n`);
+  // Report invalid funder templates now rather than on first use
+  listFunderTemplates().catch(err => console.error('Failed to read funder templates:', err.message));
+  startReminderScheduler();
 });
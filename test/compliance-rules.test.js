@@ -0,0 +1,116 @@
+/**
+ * Each compliance rule type on its own, with a hand-made context (see
+ * lib/compliance-rules.js)
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RULE_TYPES, runRules, lintRule, countReferences } = require('../lib/compliance-rules');
+
+// A context whose sections are given as { name: text }; no section means all of them
+function context(sections, budget = null) {
+  return {
+    text: section => (section ? sections[section] : Object.values(sections).join('\n\n')),
+    budget
+  };
+}
+
+function statuses(rules, ctx) {
+  return runRules(rules, ctx).map(r => r.status);
+}
+
+test('forbiddenPhrases fails on whole phrases only, and counts them', () => {
+  const rule = { type: 'forbiddenPhrases', phrases: ['world-leading', 'paradigm shift'] };
+  assert.deepStrictEqual(statuses([rule], context({ A: 'A world-leading team. World-leading again.' })), ['warn']);
+  assert.match(runRules([rule], context({ A: 'A world-leading team. World-leading again.' }))[0].message, /"world-leading" \(2×\)/);
+  assert.deepStrictEqual(statuses([rule], context({ A: 'A paradigm  shifting idea.' })), ['pass']);
+  assert.deepStrictEqual(statuses([{ ...rule, caseSensitive: true }], context({ A: 'World-Leading' })), ['pass']);
+});
+
+test('requiredKeywords checks the named section', () => {
+  const rule = { type: 'requiredKeywords', keywords: ['Trusted Research'], section: 'Case for Support' };
+  assert.deepStrictEqual(statuses([rule], context({ 'Case for Support': 'We follow trusted research guidance.' })), ['pass']);
+  const [missing] = runRules([rule], context({ 'Case for Support': 'Nothing here.', Impact: 'Trusted Research' }));
+  assert.strictEqual(missing.status, 'fail');
+  assert.strictEqual(missing.check, 'Required Keywords: Case for Support');
+  assert.match(missing.message, /"Trusted Research"/);
+});
+
+test('maxReferences counts a reference list, or else distinct citations', () => {
+  assert.deepStrictEqual(countReferences('Text.\n\n## References\n\nA. 2020.\nB. 2021.\n\n## Appendix\nC.'), { count: 2, from: 'list' });
+  assert.deepStrictEqual(countReferences('As shown [1], [2–4] and [3] (Smith et al., 2020; Jones 2019).'), { count: 6, from: 'citations' });
+  const rule = { type: 'maxReferences', max: 2 };
+  assert.deepStrictEqual(statuses([rule], context({ A: 'See [1] and [2].' })), ['pass']);
+  assert.deepStrictEqual(statuses([rule], context({ A: 'See [1]-[3] and [4].' })), ['fail']);
+});
+
+test('requiredHeadings finds markdown headings, optionally in order', () => {
+  const rule = { type: 'requiredHeadings', headings: ['Objectives', 'Methodology'], section: 'Excellence' };
+  const inOrder = '## 1. Objectives and ambition\nText\n## METHODOLOGY\nText';
+  const reversed = '## Methodology\nText\n## Objectives\nText';
+  assert.deepStrictEqual(statuses([rule], context({ Excellence: inOrder })), ['pass']);
+  assert.deepStrictEqual(statuses([rule], context({ Excellence: reversed })), ['pass']);
+  assert.deepStrictEqual(statuses([{ ...rule, inOrder: true }], context({ Excellence: reversed })), ['fail']);
+  assert.match(runRules([rule], context({ Excellence: '## Objectives\nText' }))[0].message, /"Methodology"/);
+});
+
+test('acronymsDefined accepts either way of defining an acronym where first used', () => {
+  const rule = { type: 'acronymsDefined' };
+  assert.deepStrictEqual(statuses([rule], context({ A: 'Natural Language Processing (NLP) helps. NLP again.' })), ['pass']);
+  assert.deepStrictEqual(statuses([rule], context({ A: 'NLP (natural language processing) helps.' })), ['pass']);
+  assert.deepStrictEqual(statuses([rule], context({ A: 'The UK and the NHS.' })), ['pass']);
+  const [result] = runRules([rule], context({ A: 'We use NLP and LLMs.' }));
+  assert.strictEqual(result.status, 'warn');
+  assert.match(result.message, /NLP, LLM/);
+  assert.deepStrictEqual(statuses([{ ...rule, ignore: ['NLP', 'LLM'] }], context({ A: 'We use NLP and LLMs.' })), ['pass']);
+});
+
+test('maxBudgetShare compares a category with direct costs or the full economic cost', () => {
+  const budget = { summary: { directCosts: 1000, fullEconomicCost: 4000 }, categories: { equipment: { total: 300 } } };
+  const rule = { type: 'maxBudgetShare', category: 'equipment', maxPercent: 20 };
+  assert.deepStrictEqual(statuses([rule], context({}, budget)), ['fail']);
+  assert.deepStrictEqual(statuses([{ ...rule, of: 'fullEconomicCost' }], context({}, budget)), ['pass']);
+  assert.deepStrictEqual(statuses([{ ...rule, maxPercent: 30 }], context({}, budget)), ['pass']);
+  assert.deepStrictEqual(statuses([rule], context({})), ['warn']);
+});
+
+test('a rule can override severity, name and advice', () => {
+  const rule = { type: 'requiredKeywords', keywords: ['impact'], severity: 'warn', name: 'Impact mentioned', advice: 'Say what changes.' };
+  const [failed] = runRules([rule], context({ A: 'Nothing.' }));
+  assert.deepStrictEqual(failed, { check: 'Impact mentioned', status: 'warn', message: 'Does not mention "impact".', advice: 'Say what changes.' });
+  const [passed] = runRules([rule], context({ A: 'Real impact.' }));
+  assert.strictEqual(passed.advice, undefined);
+});
+
+test('an unknown rule type is reported, not skipped', () => {
+  const [result] = runRules([{ type: 'noSuchRule' }], context({}));
+  assert.strictEqual(result.status, 'warn');
+  assert.match(result.message, /noSuchRule/);
+});
+
+test('lintRule names the fields a type needs', () => {
+  assert.deepStrictEqual(lintRule({ type: 'maxBudgetShare', category: 'travel' }), [{ path: 'maxPercent', message: 'is required for a maxBudgetShare rule' }]);
+  assert.deepStrictEqual(lintRule({ type: 'acronymsDefined' }), []);
+});
+
+test('every rule type returns results in the usual shape', () => {
+  const budget = { summary: { directCosts: 100 }, categories: { travel: { total: 10 } } };
+  const examples = {
+    forbiddenPhrases: { phrases: ['x'] },
+    requiredKeywords: { keywords: ['x'] },
+    maxReferences: { max: 1 },
+    requiredHeadings: { headings: ['x'] },
+    acronymsDefined: {},
+    maxBudgetShare: { category: 'travel', maxPercent: 5 }
+  };
+  assert.deepStrictEqual(Object.keys(examples).sort(), Object.keys(RULE_TYPES).sort());
+  for (const [type, fields] of Object.entries(examples)) {
+    for (const result of runRules([{ type, ...fields }], context({ A: 'Some text.' }, budget))) {
+      assert.strictEqual(typeof result.check, 'string', type);
+      assert.ok(['pass', 'warn', 'fail'].includes(result.status), type);
+      assert.strictEqual(typeof result.message, 'string', type);
+    }
+  }
+});